@@ -0,0 +1,7317 @@
+const cheerio = require("cheerio");
+const pdfParse = require("pdf-parse");
+const { createStore, createBackendFromEnv } = require("./store");
+const { extractPdfImages } = require("./ocr");
+
+// ── Clients — injected by init() so tests can run against fakes ──────
+// index.js builds the real Slack/Anthropic/Google clients; test/ passes fakes.
+
+let slack = null; // Bolt App (event registration + .client)
+let anthropic = null;
+let sheets = null;
+let drive = null;
+let ocr = null; // OCR engine for scanned briefs — see ocr.js; null turns OCR off
+let fetch = globalThis.fetch; // Streamtime, portfolio scraping and Slack file downloads
+
+// Dedup, caches and watcher state survive restarts — see store.js.
+// The backend is chosen in init(); namespaces below resolve it on each call.
+const store = createStore(null);
+
+const SPREADSHEET_ID = process.env.GOOGLE_SPREADSHEET_ID;
+const TEAM_SPREADSHEET_ID = process.env.GOOGLE_TEAM_SPREADSHEET_ID || null;
+const SUBMISSIONS_SPREADSHEET_ID = process.env.GOOGLE_SUBMISSIONS_SPREADSHEET_ID || null;
+const SUBMISSIONS_NOTIFY_CHANNEL = process.env.SUBMISSIONS_NOTIFY_CHANNEL || null;
+const STREAMTIME_API_KEY = process.env.STREAMTIME_API_KEY || null;
+const STREAMTIME_API_BASE = "https://api.streamtime.net/v1";
+const TALENT_SCOUT_CHANNEL = process.env.TALENT_SCOUT_CHANNEL || null;
+const RATE_REPORT_CHANNEL = process.env.RATE_REPORT_CHANNEL || null;
+// Comma-separated list of directory URLs to scrape for talent
+const TALENT_SCOUT_SOURCES = process.env.TALENT_SCOUT_SOURCES
+  ? process.env.TALENT_SCOUT_SOURCES.split(",").map((s) => s.trim())
+  : [];
+
+// ── Claude API with retry on rate limit ─────────────────────────────
+
+async function claudeCreate(params, retries = 2) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      return await anthropic.messages.create(params);
+    } catch (err) {
+      if (err.status === 429 && attempt < retries) {
+        const waitSecs = parseInt(err.headers?.["retry-after"] || "30", 10);
+        console.log(`⏳ Rate limited — waiting ${waitSecs}s before retry (attempt ${attempt + 1}/${retries})...`);
+        await new Promise((r) => setTimeout(r, waitSecs * 1000));
+      } else {
+        throw err;
+      }
+    }
+  }
+}
+
+// Streaming variant: handlers are MessageStream listeners ({ text, inputJson }) called as
+// tokens arrive. Same 429 retry as claudeCreate; resolves with the final message.
+async function claudeStream(params, handlers = {}, retries = 2) {
+  if (typeof anthropic.messages.stream !== "function") return claudeCreate(params, retries);
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const stream = anthropic.messages.stream(params);
+      for (const [event, listener] of Object.entries(handlers)) stream.on(event, listener);
+      return await stream.finalMessage();
+    } catch (err) {
+      if (err.status === 429 && attempt < retries) {
+        const waitSecs = parseInt(err.headers?.["retry-after"] || "30", 10);
+        console.log(`⏳ Rate limited — waiting ${waitSecs}s before retry (attempt ${attempt + 1}/${retries})...`);
+        await new Promise((r) => setTimeout(r, waitSecs * 1000));
+      } else {
+        throw err;
+      }
+    }
+  }
+}
+
+// ── Tabs we care about (skip "REQUESTS" tab) ────────────────────────
+
+const FREELANCER_TABS = [
+  "Creative Directors",
+  "AD/Designers",
+  "Copywriters",
+  "Animators",
+  "3D Artists",
+  "Developers",
+  "Producers/AM",
+  "Retouchers",
+  "Photographer/Videographers",
+  "Strategists",
+  "Specialists",
+];
+
+// ── Simple cache to avoid re-fetching the sheet on every request ──────
+
+const CACHE_TTL_MS = 60 * 1000; // 1 minute — fresh enough for live data, avoids hammering the API
+const sheetCache = store.namespace("sheet-cache", CACHE_TTL_MS); // keys: "roster", "team"
+
+// ── Streamtime job history cache ────────────────────────────────────
+const STREAMTIME_CACHE_TTL_MS = 30 * 60 * 1000; // 30 minutes — jobs don't change as often
+const streamtimeCache = store.namespace("streamtime-cache", STREAMTIME_CACHE_TTL_MS);
+
+// ── Streamtime API helper ───────────────────────────────────────────
+
+async function streamtimeFetch(path, method = "GET", body = null) {
+  if (!STREAMTIME_API_KEY) return null;
+
+  const options = {
+    method,
+    headers: {
+      Authorization: `Bearer ${STREAMTIME_API_KEY}`,
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+  };
+  if (body) options.body = JSON.stringify(body);
+
+  const res = await fetch(`${STREAMTIME_API_BASE}${path}`, options);
+  if (!res.ok) return null;
+  return res.json();
+}
+
+async function streamtimeSearch(searchView, maxResults = 200, offset = 0, filterGroups = []) {
+  return streamtimeFetch(
+    `/search?search_view=${searchView}&include_statistics=false`,
+    "POST",
+    {
+      offset,
+      maxResults,
+      filterGroupCollection: {
+        conditionMatchTypeId: 1,
+        filterGroups,
+        filterGroupCollections: [],
+      },
+    }
+  );
+}
+
+// ── Paginated Streamtime search helper ───────────────────────────────
+// Reads every page — null if any page fails, so a partial result is never mistaken for the whole set
+
+async function streamtimeSearchAll(searchView, filterGroups = []) {
+  const all = [];
+  let offset = 0;
+  const pageSize = 200;
+
+  while (true) {
+    const data = await streamtimeSearch(searchView, pageSize, offset, filterGroups);
+    if (!data || !data.searchResults) return null;
+
+    all.push(...data.searchResults);
+
+    if (data.searchResults.length < pageSize) break;
+    offset += pageSize;
+  }
+
+  return all;
+}
+
+// ── Incremental Streamtime sync ──────────────────────────────────────
+// Companies, jobs, job items, job item users, time entries and job item roles are kept
+// in an index in the store. The first sync reads everything; later ones only
+// ask each search view for records modified since its last sync — using the
+// "modified" date filter that /filter_group_types lists for that view — and
+// merge them in by ID. A view without such a filter is re-read in full. Edits
+// are picked up incrementally, but deletions aren't, so the whole index is
+// rebuilt once a day. Records are slimmed to the fields the bot reads, and
+// time entries older than the logged-time profiles look back are dropped.
+
+const STREAMTIME_FULL_SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const STREAMTIME_SYNC_OVERLAP_MS = 10 * 60 * 1000; // Re-read a little before the cursor so clock skew can't skip an edit
+const FILTER_TYPE_DATE = 2;
+const FILTER_TYPE_DATETIME = 6;
+const FILTER_MATCH_ON_OR_AFTER = 38; // ValueMatchType GREATER_THAN_OR_EQUALS
+const MODIFIED_FILTER_NAME = /\b(?:modified|updated|changed|edited)\b/i;
+const streamtimeIndex = store.namespace("streamtime-index"); // "index" → { fullSyncedAt, filters, views }
+
+const labelNames = (labels) => (labels || []).map((l) => ({ name: l.name }));
+const statusOf = (status) => (status ? { id: status.id, name: status.name } : null);
+
+const STREAMTIME_SYNC_VIEWS = [
+  {
+    key: "companies",
+    view: 12,
+    slim: (company) => ({
+      id: company.id,
+      name: company.name,
+      websiteAddress: company.websiteAddress || "",
+      companyStatus: statusOf(company.companyStatus),
+    }),
+  },
+  {
+    key: "jobs",
+    view: 7,
+    slim: (job) => ({
+      id: job.id,
+      number: job.number,
+      name: job.name,
+      company: job.company ? { id: job.company.id, name: job.company.name, companyLabels: labelNames(job.company.companyLabels) } : null,
+      jobStatus: statusOf(job.jobStatus),
+      rateCard: job.rateCard ? { id: job.rateCard.id, name: job.rateCard.name || "" } : null,
+      users: (job.users || []).map((u) => ({ id: u.id })),
+    }),
+  },
+  {
+    key: "jobItems",
+    view: 16,
+    slim: (item) => ({ id: item.id, jobId: item.jobId, name: item.name, jobItemStatus: statusOf(item.jobItemStatus) }),
+  },
+  {
+    key: "jobItemUsers",
+    view: 17,
+    slim: (jiu) => ({
+      id: jiu.id,
+      jobItemId: jiu.jobItemId,
+      userId: jiu.userId,
+      jobItemUserStatus: statusOf(jiu.jobItemUserStatus),
+      sellRate: jiu.sellRate ?? null,
+      totalPlannedMinutes: jiu.totalPlannedMinutes ?? null,
+      totalIncompleteMinutes: jiu.totalIncompleteMinutes ?? null,
+      totalLoggedMinutes: jiu.totalLoggedMinutes ?? null,
+      earliestStartDate: jiu.earliestStartDate || "",
+      latestEndDate: jiu.latestEndDate || "",
+    }),
+  },
+  {
+    key: "loggedTimes",
+    view: 8,
+    slim: (entry) => ({
+      id: entry.id,
+      userId: entry.userId,
+      date: entry.date,
+      minutes: entry.minutes,
+      loggedTimeStatus: statusOf(entry.loggedTimeStatus),
+      job: entry.job ? { id: entry.job.id } : null,
+      jobItemUser: entry.jobItemUser ? { jobItemId: entry.jobItemUser.jobItemId } : null,
+      itemName: entry.itemName || "",
+    }),
+    // Only the logged-time profile windows are ever read
+    keep: (entry, today) => entry.date >= monthsBefore(today, Math.max(...PROFILE_WINDOWS_MONTHS)) && entry.loggedTimeStatus?.id !== LOGGED_TIME_DELETED_STATUS,
+  },
+  {
+    key: "jobItemRoles",
+    view: 20,
+    slim: (role) => ({
+      id: role.id,
+      jobItemId: role.jobItemId,
+      roleId: role.roleId,
+      active: role.active,
+      jobCurrencySellRate: role.jobCurrencySellRate ?? null,
+      totalPlannedMinutes: role.totalPlannedMinutes ?? null,
+    }),
+  },
+];
+
+// search view → { id, filterType } of its "last modified" date filter, from /filter_group_types
+async function discoverModifiedFilters() {
+  const settings = await streamtimeFetch(`/filter_group_types?search_views=${STREAMTIME_SYNC_VIEWS.map((v) => v.view).join(",")}`);
+  const filters = {};
+  for (const setting of Array.isArray(settings) ? settings : []) {
+    if (![FILTER_TYPE_DATE, FILTER_TYPE_DATETIME].includes(setting.filterType) || setting.deprecated) continue;
+    if (!MODIFIED_FILTER_NAME.test(`${setting.name || ""} ${setting.simpleName || ""}`)) continue;
+    for (const view of setting.searchViews || []) {
+      if (!filters[view]) filters[view] = { id: setting.filterGroupType, filterType: setting.filterType };
+    }
+  }
+  return filters;
+}
+
+function modifiedSinceFilterGroup(filter, sinceIso) {
+  const from = new Date(Date.parse(sinceIso) - STREAMTIME_SYNC_OVERLAP_MS);
+  return {
+    filterGroupTypeId: filter.id,
+    conditionMatchTypeId: 1,
+    filters: [{ valueMatchTypeId: FILTER_MATCH_ON_OR_AFTER, value: filter.filterType === FILTER_TYPE_DATE ? toIsoDate(from) : from.toISOString() }],
+  };
+}
+
+// Bring the index up to date and return it. Callers that arrive while a sync is running
+// share it rather than each pulling every view and overwriting one another's result.
+let streamtimeSyncInFlight = null;
+
+function syncStreamtimeIndex() {
+  if (!streamtimeSyncInFlight) {
+    streamtimeSyncInFlight = runStreamtimeSync().finally(() => {
+      streamtimeSyncInFlight = null;
+    });
+  }
+  return streamtimeSyncInFlight;
+}
+
+// One sync pass — a view that fails keeps its last good records
+async function runStreamtimeSync() {
+  const startedAt = new Date().toISOString();
+  const today = startedAt.split("T")[0];
+  const index = (await streamtimeIndex.get("index")) || { fullSyncedAt: null, filters: null, views: {} };
+  const full = !index.fullSyncedAt || Date.parse(startedAt) - Date.parse(index.fullSyncedAt) >= STREAMTIME_FULL_SYNC_INTERVAL_MS;
+  if (full || !index.filters) index.filters = await discoverModifiedFilters();
+
+  const outcomes = await Promise.all(
+    STREAMTIME_SYNC_VIEWS.map(async (spec) => {
+      const previous = index.views[spec.key];
+      const filter = index.filters[spec.view];
+      const incremental = !full && !!previous && !!filter;
+      const records = await streamtimeSearchAll(spec.view, incremental ? [modifiedSinceFilterGroup(filter, previous.syncedAt)] : []).catch((err) => {
+        console.warn(`⚠️ Streamtime sync: ${spec.key} search error:`, err.message);
+        return null;
+      });
+      if (!records) {
+        console.warn(`⚠️ Streamtime sync: couldn't read ${spec.key} — keeping the last copy`);
+        return { spec, ok: false, summary: `${spec.key} failed` };
+      }
+
+      const merged = incremental ? { ...previous.records } : {};
+      for (const record of records) merged[record.id] = spec.slim(record);
+      if (spec.keep) {
+        for (const [id, record] of Object.entries(merged)) if (!spec.keep(record, today)) delete merged[id];
+      }
+      index.views[spec.key] = { records: merged, syncedAt: startedAt, incremental };
+      return { spec, ok: true, summary: `${spec.key} ${incremental ? `+${records.length}` : records.length}` };
+    })
+  );
+
+  if (full && outcomes.every((o) => o.ok)) index.fullSyncedAt = startedAt;
+  await streamtimeIndex.set("index", index);
+  console.log(`🏢 Streamtime ${full ? "full" : "incremental"} sync: ${outcomes.map((o) => o.summary).join(", ")}`);
+  return index;
+}
+
+// ── Fetch Streamtime job history and build person → jobs mapping ─────
+
+async function fetchStreamtimeJobHistory() {
+  if (!STREAMTIME_API_KEY) return null;
+
+  // Return cached data if still fresh
+  const cached = await streamtimeCache.get("history");
+  if (cached) return cached;
+
+  try {
+    console.log("🏢 Fetching Streamtime data...");
+
+    // 1. Fetch all users to get ID → name mapping
+    const usersData = await streamtimeFetch("/users");
+    if (!usersData) {
+      console.warn("⚠️ Streamtime: could not fetch users");
+      return null;
+    }
+
+    const userMap = {}; // id → { firstName, lastName, fullName, role }
+    for (const u of usersData) {
+      userMap[u.id] = {
+        firstName: u.firstName || "",
+        lastName: u.lastName || "",
+        fullName: `${u.firstName || ""} ${u.lastName || ""}`.trim(),
+        displayName: u.displayName || "",
+        role: u.role?.name || u.jobTitle || "",
+        dailyHours: getUserDailyHours(u),
+      };
+    }
+    console.log(`🏢 Streamtime: ${Object.keys(userMap).length} users loaded`);
+
+    // 2. Sync client companies, jobs, job items (tasks within jobs), job item users (who's on each task + hours),
+    //    time entries (the logged_times records) and job item roles (/job_items/{id}/job_item_roles
+    //    for every item at once) into the local index, and fetch role names
+    const [index, roles] = await Promise.all([syncStreamtimeIndex(), streamtimeFetch("/roles")]);
+    const recordsOf = (key) => Object.values(index.views[key]?.records || {});
+    const allCompanies = recordsOf("companies");
+    const allJobs = recordsOf("jobs");
+    const allJobItems = recordsOf("jobItems");
+    const allJobItemUsers = recordsOf("jobItemUsers");
+    const allLoggedTimes = recordsOf("loggedTimes");
+    const allJobItemRoles = recordsOf("jobItemRoles");
+
+    console.log(`🏢 Streamtime: ${allJobs.length} jobs, ${allJobItems.length} job items, ${allJobItemUsers.length} job item users, ${allLoggedTimes.length} time entries`);
+
+    // 3. Build lookup maps for enrichment
+    // jobId → job info
+    const jobMap = {};
+    for (const job of allJobs) {
+      jobMap[job.id] = {
+        number: job.number || "",
+        name: job.name || "",
+        company: job.company?.name || "Unknown client",
+        companyId: job.company?.id ?? null,
+        sectors: (job.company?.companyLabels || []).map((l) => l.name).filter(Boolean),
+        status: job.jobStatus?.name || "",
+      };
+    }
+
+    // jobItemId → task name
+    const jobItemMap = {};
+    for (const item of allJobItems) {
+      jobItemMap[item.id] = {
+        name: item.name || "",
+        jobId: item.jobId,
+      };
+    }
+
+    // jobItemId → roles booked on it, for the role each person worked in
+    const roleNames = Object.fromEntries((roles || []).map((r) => [r.id, r.name]));
+    const rolesByItem = {};
+    for (const role of allJobItemRoles) (rolesByItem[role.jobItemId] = rolesByItem[role.jobItemId] || []).push(role);
+    const today = new Date().toISOString().split("T")[0];
+
+    // 4. Build person → jobs mapping with task-level detail
+    const personJobs = {};
+
+    // First pass: job-level assignments (from the users array on each job)
+    for (const job of allJobs) {
+      const jobInfo = {
+        number: job.number || "",
+        name: job.name || "",
+        company: job.company?.name || "Unknown client",
+        companyId: job.company?.id ?? null,
+        status: job.jobStatus?.name || "",
+        tasks: [],    // Will be enriched with task-level detail
+        roles: [],
+        totalHours: 0,
+        lastWorked: "",
+      };
+
+      const jobUsers = job.users || [];
+      for (const u of jobUsers) {
+        const user = userMap[u.id];
+        if (!user) continue;
+
+        const key = user.fullName.toLowerCase();
+        if (!personJobs[key]) {
+          personJobs[key] = {
+            fullName: user.fullName,
+            displayName: user.displayName,
+            role: user.role,
+            jobs: {},      // jobId → jobInfo (deduped)
+            currentJobs: [],  // Jobs where they're currently scheduled
+            dailyHours: user.dailyHours,
+          };
+        }
+        personJobs[key].jobs[job.id] = { ...jobInfo };
+      }
+    }
+
+    // Second pass: enrich with task-level detail from Job Item Users
+    for (const jiu of allJobItemUsers) {
+      const user = userMap[jiu.userId];
+      if (!user) continue;
+
+      const key = user.fullName.toLowerCase();
+      const jobItem = jobItemMap[jiu.jobItemId];
+      if (!jobItem) continue;
+
+      const job = jobMap[jobItem.jobId];
+      if (!job) continue;
+
+      // Ensure person entry exists
+      if (!personJobs[key]) {
+        personJobs[key] = {
+          fullName: user.fullName,
+          displayName: user.displayName,
+          role: user.role,
+          jobs: {},
+          currentJobs: [],
+          dailyHours: user.dailyHours,
+        };
+      }
+
+      // Ensure job entry exists for this person
+      if (!personJobs[key].jobs[jobItem.jobId]) {
+        personJobs[key].jobs[jobItem.jobId] = {
+          number: job.number,
+          name: job.name,
+          company: job.company,
+          companyId: job.companyId,
+          status: job.status,
+          tasks: [],
+          roles: [],
+          totalHours: 0,
+          lastWorked: "",
+        };
+      }
+
+      const personJob = personJobs[key].jobs[jobItem.jobId];
+
+      // Add the specific task they worked on
+      const hoursLogged = Math.round((jiu.totalLoggedMinutes || 0) / 60 * 10) / 10;
+      if (jobItem.name) {
+        personJob.tasks.push(jobItem.name);
+      }
+      personJob.totalHours += hoursLogged;
+      if (hoursLogged > 0) {
+        personJob.roles.push(loggedTimeRole(rolesByItem[jiu.jobItemId], roleNames, user.role));
+        // Time entries give the exact day below; a finished item's end date stands in until then
+        if (jiu.latestEndDate && jiu.latestEndDate <= today && jiu.latestEndDate > personJob.lastWorked) personJob.lastWorked = jiu.latestEndDate;
+      }
+
+      // Track current scheduling for availability
+      const status = jiu.jobItemUserStatus?.name || "";
+      const endDate = jiu.latestEndDate || "";
+
+      if ((status === "Scheduled" || status === "In Play") && (!endDate || endDate >= today)) {
+        // Remaining planned work — used to work out how much of each day the booking takes
+        const remainingMinutes = jiu.totalIncompleteMinutes ?? jiu.totalPlannedMinutes ?? null;
+        personJobs[key].currentJobs.push({
+          jobName: `${job.number} ${job.name}`,
+          jobNumber: job.number,
+          task: jobItem.name || "",
+          startDate: jiu.earliestStartDate || "",
+          endDate: endDate,
+          status,
+          remainingHours: remainingMinutes === null ? null : Math.round(remainingMinutes / 60 * 10) / 10,
+        });
+      }
+    }
+
+    // Last day each person logged time on each job — exact, so it beats the planned end date
+    const lastLogged = new Map(); // person job → date
+    for (const entry of allLoggedTimes) {
+      const user = userMap[entry.userId];
+      if (!user || !entry.date || entry.date > today || !(entry.minutes > 0)) continue;
+      if (entry.loggedTimeStatus?.id && entry.loggedTimeStatus.id !== LOGGED_TIME_COMPLETE_STATUS) continue;
+      const personJob = personJobs[user.fullName.toLowerCase()]?.jobs[entry.job?.id ?? jobItemMap[entry.jobItemUser?.jobItemId]?.jobId];
+      if (personJob && entry.date > (lastLogged.get(personJob) || "")) lastLogged.set(personJob, entry.date);
+    }
+    for (const [personJob, date] of lastLogged) personJob.lastWorked = date;
+
+    // Convert jobs objects to arrays for cleaner output
+    for (const person of Object.values(personJobs)) {
+      person.jobList = Object.values(person.jobs);
+      // Deduplicate tasks and roles within each job
+      for (const j of person.jobList) {
+        j.tasks = [...new Set(j.tasks)];
+        j.roles = [...new Set(j.roles)];
+        j.totalHours = Math.round(j.totalHours * 10) / 10;
+      }
+      // Keep every scheduled range for date-window availability, then dedupe for display
+      person.bookings = [...person.currentJobs];
+      const seen = new Set();
+      person.currentJobs = person.currentJobs.filter((cj) => {
+        const k = cj.jobName;
+        if (seen.has(k)) return false;
+        seen.add(k);
+        return true;
+      });
+    }
+
+    // 5. Logged-time profiles — hours by role, task and client over the last 12/24 months
+    const profiles = buildLoggedTimeProfiles({ loggedTimes: allLoggedTimes, jobItemRoles: allJobItemRoles, roles: roles || [], jobItemMap, jobMap, userMap });
+    for (const [key, profile] of Object.entries(profiles)) {
+      if (!personJobs[key]) {
+        const user = Object.values(userMap).find((u) => u.fullName.toLowerCase() === key);
+        personJobs[key] = { fullName: user.fullName, displayName: user.displayName, role: user.role, jobs: {}, jobList: [], currentJobs: [], bookings: [], dailyHours: user.dailyHours };
+      }
+      personJobs[key].profile = profile;
+    }
+
+    console.log(`🏢 Streamtime: ${Object.keys(personJobs).length} people matched to jobs, ${Object.keys(profiles).length} with logged time`);
+
+    const history = { userMap, personJobs, companies: allCompanies, totalJobs: allJobs.length };
+    await streamtimeCache.set("history", history);
+    return history;
+  } catch (err) {
+    console.warn("⚠️ Streamtime fetch error:", err.message);
+    return null;
+  }
+}
+
+// ── Logged-time profiles ─────────────────────────────────────────────
+// Capabilities cells are self-declared and go stale; logged time is what
+// people actually did. Each time entry is attributed to the role booked on
+// its job item, a task category read from the item name and the job's client
+// (plus the client's company labels, e.g. "FMCG"), then summed per person
+// over the last 12 and 24 months. The totals go into the prompt as evidence
+// and into the match score.
+
+const PROFILE_WINDOWS_MONTHS = [12, 24];
+const PROFILE_TOP_ENTRIES = 5;
+// LoggedTimeStatus ids, per the enum in streamtime-api-spec.json:
+// 1 = Incomplete (a to-do, not time actually worked), 2 = Complete, 3 = Deleted
+const LOGGED_TIME_COMPLETE_STATUS = 2;
+const LOGGED_TIME_DELETED_STATUS = 3;
+
+// First match wins — specific crafts before the catch-all "design"
+const TASK_CATEGORIES = [
+  ["Animation", /anim|character|rigging|cel\b/],
+  ["Motion design", /motion|kinetic|after effects|transition|title sequence/],
+  ["3D", /\b3d\b|cinema ?4d|\bc4d\b|blender|render|modell?ing|texturing|lighting/],
+  ["Creative direction", /creative direct|concept|ideation/],
+  ["Art direction", /art direct/],
+  ["Copywriting", /copy|script|writing|headline|tagline/],
+  ["Editing", /edit|cut ?down|grad(e|ing)|colou?r|sound|audio|\bmix/],
+  ["Development", /develop|\bbuild|coding|front ?end|back ?end|website|\bqa\b/],
+  ["Strategy", /strateg|research|insight|workshop/],
+  ["Production", /produc|shoot|pre ?pro|casting|location/],
+  ["Design", /design|layout|typograph|identity|logo|packag|illustrat|storyboard|retouch/],
+  ["Meetings & admin", /meeting|admin|account|status|internal|presentation|pitch|feedback/],
+];
+
+function taskCategory(itemName) {
+  const name = normalizeName(itemName || "");
+  return TASK_CATEGORIES.find(([, pattern]) => pattern.test(name))?.[0] || "Other";
+}
+
+function monthsBefore(isoDate, months) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() - months);
+  return toIsoDate(d);
+}
+
+// The role a time entry counts towards: the job item's only role, else the one matching the
+// person's own Streamtime role, else the role with the most planned time
+function loggedTimeRole(itemRoles, roleNames, userRole) {
+  const named = (itemRoles || []).filter((r) => r.active !== false && roleNames[r.roleId]);
+  if (named.length === 0) return userRole || "Unspecified role";
+  const own = named.find((r) => roleNames[r.roleId] === userRole);
+  const chosen = own || named.reduce((best, r) => ((r.totalPlannedMinutes || 0) > (best.totalPlannedMinutes || 0) ? r : best));
+  return roleNames[chosen.roleId];
+}
+
+// { name: hours } → [[name, hours], ...] biggest first, rounded, top N
+function topHours(totals, limit = PROFILE_TOP_ENTRIES) {
+  return Object.entries(totals)
+    .map(([name, minutes]) => [name, Math.round(minutes / 60)])
+    .filter(([, hours]) => hours > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+}
+
+// person key (lower-cased full name) → { lastLogged, windows: { 12: summary, 24: summary } }
+// summary = { hours, roles, tasks, clients, sectors, highlights } — lists are [[name, hours], ...]
+function buildLoggedTimeProfiles({ loggedTimes, jobItemRoles, roles, jobItemMap, jobMap, userMap }, today = toIsoDate(new Date())) {
+  const roleNames = Object.fromEntries((roles || []).map((r) => [r.id, r.name]));
+  const rolesByItem = {};
+  for (const role of jobItemRoles || []) (rolesByItem[role.jobItemId] = rolesByItem[role.jobItemId] || []).push(role);
+  const cutoffs = PROFILE_WINDOWS_MONTHS.map((months) => [months, monthsBefore(today, months)]);
+  const oldestCutoff = cutoffs.reduce((oldest, [, cutoff]) => (cutoff < oldest ? cutoff : oldest), today);
+
+  const totals = {}; // key → { lastLogged, windows: { months: { minutes, roles, tasks, clients, sectors, highlights } } }
+  const bump = (bucket, name, minutes) => {
+    bucket[name] = (bucket[name] || 0) + minutes;
+  };
+
+  for (const entry of loggedTimes || []) {
+    const user = userMap[entry.userId];
+    const minutes = entry.minutes || 0;
+    if (!user || minutes <= 0 || !entry.date || entry.date > today || entry.date < oldestCutoff) continue;
+    if (entry.loggedTimeStatus?.id && entry.loggedTimeStatus.id !== LOGGED_TIME_COMPLETE_STATUS) continue;
+
+    const jobItemId = entry.jobItemUser?.jobItemId;
+    const jobItem = jobItemMap[jobItemId];
+    const job = jobMap[entry.job?.id ?? jobItem?.jobId];
+    const role = loggedTimeRole(rolesByItem[jobItemId], roleNames, user.role);
+    const task = taskCategory(entry.itemName || jobItem?.name);
+    const client = job?.company || entry.job?.company?.name || "Unknown client";
+    const sectors = job?.sectors || (entry.job?.company?.companyLabels || []).map((l) => l.name).filter(Boolean);
+
+    const key = user.fullName.toLowerCase();
+    const person = (totals[key] = totals[key] || { lastLogged: "", windows: {} });
+    if (entry.date > person.lastLogged) person.lastLogged = entry.date;
+    for (const [months, cutoff] of cutoffs) {
+      if (entry.date < cutoff) continue;
+      const window = (person.windows[months] = person.windows[months] || { minutes: 0, roles: {}, tasks: {}, clients: {}, sectors: {}, highlights: {} });
+      window.minutes += minutes;
+      bump(window.roles, role, minutes);
+      bump(window.tasks, task, minutes);
+      if (client !== "Unknown client") bump(window.clients, client, minutes);
+      for (const sector of sectors) bump(window.sectors, sector, minutes);
+      // "motion design on FMCG clients" — by sector where the client is labelled, otherwise by client
+      if (task !== "Other" && task !== "Meetings & admin") {
+        const on = sectors.length > 0 ? `${sectors[0]} clients` : client !== "Unknown client" ? client : null;
+        if (on) bump(window.highlights, `${task.toLowerCase()} on ${on}`, minutes);
+      }
+    }
+  }
+
+  const profiles = {};
+  for (const [key, person] of Object.entries(totals)) {
+    const windows = {};
+    for (const [months, window] of Object.entries(person.windows)) {
+      windows[months] = {
+        hours: Math.round(window.minutes / 60),
+        roles: topHours(window.roles),
+        tasks: topHours(window.tasks),
+        clients: topHours(window.clients),
+        sectors: topHours(window.sectors),
+        highlights: topHours(window.highlights, 2),
+      };
+    }
+    profiles[key] = { lastLogged: person.lastLogged, windows };
+  }
+  return profiles;
+}
+
+// One prompt line of evidence, e.g. "420 hrs of motion design on FMCG clients in the past year"
+function formatLoggedTimeProfile(profile) {
+  const year = profile?.windows?.[12];
+  const twoYears = profile?.windows?.[24];
+  if (!year && !twoYears) return "";
+  const list = (pairs) => pairs.map(([name, hours]) => `${name} ${hours}h`).join(", ");
+
+  if (!year) return `Logged time: none in the past year; ${twoYears.hours}h over 24 months (${list(twoYears.tasks.slice(0, 3))}), last on ${profile.lastLogged}`;
+  const parts = [`Logged time: ${year.hours}h in the past 12 months${twoYears && twoYears.hours > year.hours ? ` (${twoYears.hours}h over 24)` : ""}`];
+  if (year.highlights.length > 0) parts.push(year.highlights.map(([what, hours]) => `${hours} hrs of ${what}`).join("; "));
+  if (year.roles.length > 0) parts.push(`roles: ${list(year.roles)}`);
+  if (year.tasks.length > 0) parts.push(`tasks: ${list(year.tasks)}`);
+  if (year.clients.length > 0) parts.push(`clients: ${list(year.clients)}`);
+  if (year.sectors.length > 0) parts.push(`sectors: ${list(year.sectors)}`);
+  return parts.join(" | ");
+}
+
+// Past-year hours in roles and tasks the request asks for — the scorer's evidence of real experience
+function loggedTimeEvidence(profile, criteria) {
+  const year = profile?.windows?.[12];
+  if (!year) return null;
+  const relevant = (name) => {
+    const normalized = normalizeName(name);
+    return detectCategories(name).some((c) => criteria.categories.includes(c)) ||
+      criteria.keywords.some((kw) => kw.length >= 4 && normalized.includes(kw));
+  };
+  // Roles and tasks describe the same hours — take whichever shows more of the relevant work
+  const roleHours = year.roles.filter(([name]) => relevant(name)).reduce((sum, [, h]) => sum + h, 0);
+  const taskMatches = year.tasks.filter(([name]) => relevant(name));
+  const taskHours = taskMatches.reduce((sum, [, h]) => sum + h, 0);
+  const hours = Math.max(roleHours, taskHours);
+  if (hours === 0) return null;
+  const what = taskHours >= roleHours
+    ? taskMatches.map(([name]) => name.toLowerCase()).join(", ")
+    : `as ${year.roles.filter(([name]) => relevant(name)).map(([name]) => name).join(" / ")}`;
+  return { hours, detail: `${hours}h ${what} in the past year` };
+}
+
+// ── Format Streamtime job history for Claude prompt ──────────────────
+// Only includes people who are in the roster or team sheet to keep the prompt small.
+
+function formatStreamtimeForPrompt(streamtimeData, roster, team, window = null, maxJobsPerPerson = 10) {
+  if (!streamtimeData || !streamtimeData.personJobs) return "";
+
+  const { personJobs } = streamtimeData;
+  if (Object.keys(personJobs).length === 0) return "";
+
+  // Build a set of names from the roster + team so we only include relevant people
+  const knownNames = new Set();
+  for (const p of (roster || [])) {
+    if (p.Name) knownNames.add(normalizeName(p.Name));
+  }
+  for (const p of (team || [])) {
+    if (p.Name) knownNames.add(normalizeName(p.Name));
+  }
+
+  let text = "\n\n═══ STREAMTIME PROJECT HISTORY ═══\n";
+  text += "(Real project data from Streamtime — shows who worked on what, their tasks, hours logged, and current bookings. Use this to match people to similar jobs/clients and check availability.)\n";
+
+  let includedCount = 0;
+  for (const [key, person] of Object.entries(personJobs)) {
+    // Only include people who are in our roster or team sheet
+    if (!knownNames.has(normalizeName(person.fullName))) continue;
+
+    const jobs = person.jobList || [];
+    const profileLine = formatLoggedTimeProfile(person.profile);
+    if ((jobs.length === 0 && !profileLine) || maxJobsPerPerson <= 0) continue;
+
+    // Last 10 jobs by default — enough context without bloating the prompt
+    const recentJobs = jobs.slice(-maxJobsPerPerson);
+
+    text += `\n• ${person.fullName}`;
+
+    // Flag bookings — against the project's dates if we know them, otherwise anything current
+    if (window) {
+      const availability = computeAvailability(person, window);
+      if (availability) text += ` [${formatAvailability(availability, window)}]`;
+    } else if (person.currentJobs && person.currentJobs.length > 0) {
+      const bookings = person.currentJobs.slice(0, 3);
+      text += ` [⚠️ CURRENTLY BOOKED: ${bookings.map((b) => b.jobName).join(", ")}]`;
+    }
+
+    if (profileLine) text += `\n  ${profileLine}`;
+
+    if (recentJobs.length > 0) text += "\n  ";
+    text += recentJobs.map((j) => {
+      let entry = `${j.number} ${j.name} [${j.company}]`;
+      // Add task names if available (concise)
+      if (j.tasks && j.tasks.length > 0) {
+        entry += ` (${j.tasks.slice(0, 3).join(", ")})`;
+      }
+      // Add hours if significant
+      if (j.totalHours >= 1) {
+        entry += ` ${j.totalHours}hrs`;
+      }
+      return entry;
+    }).join(" | ");
+    text += "\n";
+    includedCount++;
+  }
+
+  if (includedCount === 0) return "";
+  return text;
+}
+
+// ── Date windows & availability ──────────────────────────────────────
+// Works out when the new project runs (from text, brief or the /talent form) and
+// intersects that window with each person's scheduled Streamtime job items, so
+// people are only flagged as booked when their bookings actually overlap.
+
+const DEFAULT_DAILY_HOURS = [0, 8, 8, 8, 8, 8, 0]; // Sun → Sat
+const DEFAULT_WINDOW_DAYS = 14; // Assumed length when only a start date is given
+const MONTHS = {
+  jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3, may: 4,
+  jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8, september: 8,
+  oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11,
+};
+
+// Working hours per weekday from a Streamtime user (falls back to a 40hr Mon–Fri week)
+function getUserDailyHours(user) {
+  const days = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+  const hours = days.map((d) => user[`hoursWorked${d}`]);
+  if (hours.every((h) => typeof h !== "number")) return DEFAULT_DAILY_HOURS;
+  return hours.map((h) => (typeof h === "number" ? h : 0));
+}
+
+function toIsoDate(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toIsoDate(d);
+}
+
+// Working days (per the person's weekly hours) between two ISO dates, inclusive
+function workingDaysBetween(start, end, dailyHours = DEFAULT_DAILY_HOURS) {
+  const days = [];
+  for (let d = start; d <= end && days.length < 370; d = addDays(d, 1)) {
+    const weekday = new Date(`${d}T00:00:00Z`).getUTCDay();
+    if (dailyHours[weekday] > 0) days.push(d);
+  }
+  return days;
+}
+
+// Build an ISO date, rolling into next year if a year-less date is well in the past
+function buildDate(year, month, day, today) {
+  const explicitYear = year !== undefined && year !== null;
+  let y = explicitYear ? (year < 100 ? 2000 + year : year) : new Date(`${today}T00:00:00Z`).getUTCFullYear();
+  let date = new Date(Date.UTC(y, month, day));
+  if (date.getUTCMonth() !== month) return null; // e.g. 31 Feb
+  if (!explicitYear && toIsoDate(date) < addDays(today, -30)) {
+    date = new Date(Date.UTC(y + 1, month, day));
+  }
+  return toIsoDate(date);
+}
+
+// Parse the project's date window from free text.
+// Handles "2026-03-02", "2 March", "March 2nd", "2/3/26", "2–20 March", "next week",
+// "next month", "ASAP" and durations like "for 3 weeks". Returns { start, end } or null.
+function parseDateWindow(text, today = toIsoDate(new Date())) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  const monthNames = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join("|");
+  const found = []; // { index, date }
+
+  // "2–20 March" / "2 to 20 March 2026"
+  const shortRange = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s*(?:-|–|to)\\s*(\\d{1,2})(?:st|nd|rd|th)?\\s+(${monthNames})\\.?(?:,?\\s+(\\d{4}))?\\b`, "g");
+  let m;
+  while ((m = shortRange.exec(lower)) !== null) {
+    const year = m[4] ? parseInt(m[4], 10) : null;
+    const start = buildDate(year, MONTHS[m[3]], parseInt(m[1], 10), today);
+    const end = buildDate(year, MONTHS[m[3]], parseInt(m[2], 10), today);
+    if (start && end) return { start, end: end >= start ? end : start };
+  }
+
+  const patterns = [
+    { re: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, build: (x) => buildDate(+x[1], +x[2] - 1, +x[3], today) },
+    { re: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthNames})\\.?(?:,?\\s+(\\d{4}))?\\b`, "g"), build: (x) => buildDate(x[3] ? +x[3] : null, MONTHS[x[2]], +x[1], today) },
+    { re: new RegExp(`\\b(${monthNames})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, "g"), build: (x) => buildDate(x[3] ? +x[3] : null, MONTHS[x[1]], +x[2], today) },
+    // Australian day/month order — without a year, only after a date word so "24/7" isn't a date
+    { re: /\b(\d{1,2})\/(\d{1,2})\/(\d{2,4})\b/g, build: (x) => buildDate(+x[3], +x[2] - 1, +x[1], today) },
+    { re: /(?<=\b(?:from|start(?:ing)?|on|until|till|to|by|through)\s+)(\d{1,2})\/(\d{1,2})\b(?!\/)/g, build: (x) => buildDate(null, +x[2] - 1, +x[1], today) },
+  ];
+  for (const { re, build } of patterns) {
+    while ((m = re.exec(lower)) !== null) {
+      // Skip overlaps (e.g. "March 2" inside "2 March 2026")
+      if (found.some((f) => m.index < f.end && m.index + m[0].length > f.index)) continue;
+      const date = build(m);
+      if (date) found.push({ index: m.index, end: m.index + m[0].length, date });
+    }
+  }
+  found.sort((a, b) => a.index - b.index);
+
+  let start = found[0]?.date || null;
+  let end = found[1]?.date || null;
+
+  // Relative phrases when no explicit start date was given
+  if (!start) {
+    const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+    const nextMonday = addDays(today, ((8 - weekday) % 7) || 7);
+    if (/\bnext week\b/.test(lower)) {
+      start = nextMonday;
+      end = end || addDays(nextMonday, 4);
+    } else if (/\bthis week\b/.test(lower)) {
+      start = today;
+      end = end || addDays(nextMonday, -3);
+    } else if (/\bnext month\b/.test(lower)) {
+      const d = new Date(`${today}T00:00:00Z`);
+      start = toIsoDate(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1)));
+      end = end || toIsoDate(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 2, 0)));
+    } else if (/\b(asap|immediately|right away|urgent(?:ly)?)\b/.test(lower)) {
+      start = today;
+    } else if (/\btomorrow\b/.test(lower)) {
+      start = addDays(today, 1);
+    }
+  }
+  if (!start) return null;
+
+  // "for 3 weeks", "3-week campaign", "10 days"
+  if (!end) {
+    const duration = lower.match(/\b(\d{1,2})[-\s]?(day|week|month)s?\b/);
+    if (duration) {
+      const n = parseInt(duration[1], 10);
+      const days = duration[2] === "day" ? n : duration[2] === "week" ? n * 7 : n * 30;
+      end = addDays(start, Math.max(days - 1, 0));
+    } else {
+      end = addDays(start, DEFAULT_WINDOW_DAYS - 1);
+    }
+  }
+  if (end < start) end = start;
+  return { start, end };
+}
+
+function formatShortDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString("en-AU", { day: "numeric", month: "short", timeZone: "UTC" });
+}
+
+function formatDateWindow(window) {
+  return `${formatShortDate(window.start)} – ${formatShortDate(window.end)}`;
+}
+
+// Intersect a date window with a person's scheduled job items.
+// Each booking's remaining planned hours are spread across its working days; a day
+// counts as booked once it's at least half full. Returns null if the window has no working days.
+function computeAvailability(stPerson, window) {
+  const dailyHours = stPerson?.dailyHours || DEFAULT_DAILY_HOURS;
+  const days = workingDaysBetween(window.start, window.end, dailyHours);
+  if (days.length === 0) return null;
+
+  const load = {}; // ISO date → booked hours
+  const clashes = new Set();
+  for (const booking of stPerson?.bookings || []) {
+    if (!booking.startDate) continue;
+    const bookingEnd = booking.endDate || booking.startDate;
+    if (bookingEnd < window.start || booking.startDate > window.end) continue;
+
+    const bookingDays = workingDaysBetween(booking.startDate, bookingEnd, dailyHours);
+    if (bookingDays.length === 0) continue;
+    const hoursPerDay = booking.remainingHours === null || booking.remainingHours === undefined
+      ? null // No planned hours — assume it takes the whole day
+      : booking.remainingHours / bookingDays.length;
+
+    for (const day of bookingDays) {
+      if (day < window.start || day > window.end) continue;
+      const capacity = dailyHours[new Date(`${day}T00:00:00Z`).getUTCDay()];
+      load[day] = (load[day] || 0) + (hoursPerDay === null ? capacity : hoursPerDay);
+    }
+    clashes.add(booking.jobNumber || booking.jobName);
+  }
+
+  const bookedDays = days.filter((day) => {
+    const capacity = dailyHours[new Date(`${day}T00:00:00Z`).getUTCDay()];
+    return (load[day] || 0) >= capacity * 0.5;
+  }).length;
+
+  let status = "free";
+  if (bookedDays >= days.length) status = "full";
+  else if (bookedDays > 0) status = "partial";
+
+  return { status, bookedDays, totalDays: days.length, jobs: [...clashes] };
+}
+
+function formatAvailability(availability, window) {
+  const when = formatDateWindow(window);
+  if (availability.status === "free") return `📅 FREE ${when}`;
+  const jobs = availability.jobs.slice(0, 3).join(", ");
+  if (availability.status === "full") return `⛔ FULLY BOOKED ${when}: ${jobs}`;
+  return `⚠️ PARTIALLY BOOKED (${availability.bookedDays} of ${availability.totalDays} days) ${when}: ${jobs}`;
+}
+
+// ── Sync Streamtime users → Team Google Sheet ────────────────────────
+// Streamtime is the source of truth for who's on the team.
+// This adds missing people and updates roles, but never overwrites Comments
+// or other manually-entered columns.
+
+async function syncStreamtimeToTeamSheet() {
+  if (!STREAMTIME_API_KEY || !TEAM_SPREADSHEET_ID) return;
+
+  try {
+    console.log("🔄 Syncing Streamtime users → Team sheet...");
+
+    // 1. Fetch all Streamtime users
+    const usersData = await streamtimeFetch("/users");
+    if (!usersData || !Array.isArray(usersData)) {
+      console.warn("⚠️ Streamtime sync: could not fetch users");
+      return;
+    }
+
+    // 2. Read current team sheet
+    const { data } = await sheets.spreadsheets.values.get({
+      spreadsheetId: TEAM_SPREADSHEET_ID,
+      range: "A1:Z",
+    });
+
+    const rows = data.values || [];
+    if (rows.length < 1) {
+      console.warn("⚠️ Streamtime sync: team sheet has no headers");
+      return;
+    }
+
+    const headers = rows[0].map((h) => h.trim());
+    const nameCol = headers.findIndex((h) => h.toLowerCase() === "name");
+    const roleCol = headers.findIndex((h) => h.toLowerCase() === "role");
+
+    if (nameCol === -1) {
+      console.warn("⚠️ Streamtime sync: no 'Name' column found in team sheet");
+      return;
+    }
+
+    // 3. Build a map of existing names (normalized → row index)
+    const existingNames = new Map();
+    for (let i = 1; i < rows.length; i++) {
+      const name = (rows[i][nameCol] || "").trim();
+      if (name) {
+        existingNames.set(normalizeName(name), i);
+      }
+    }
+
+    // 4. Compare Streamtime users against the sheet
+    const statusCol = headers.findIndex((h) => h.toLowerCase() === "status");
+    const newUsers = [];
+    const updatedRoles = [];
+    const activeStreamtimeNames = new Set(); // Track who's still in Streamtime
+
+    for (const u of usersData) {
+      const fullName = `${u.firstName || ""} ${u.lastName || ""}`.trim();
+      if (!fullName) continue;
+
+      // Skip users that look inactive/archived
+      if (u.isArchived || u.archived || u.isActive === false) continue;
+
+      const normalized = normalizeName(fullName);
+      const role = u.role?.name || u.jobTitle || "";
+      activeStreamtimeNames.add(normalized);
+
+      if (!existingNames.has(normalized)) {
+        // New person — needs to be added to the sheet
+        newUsers.push({ name: fullName, role });
+      } else if (roleCol >= 0 && role) {
+        // Existing person — update their role if it changed in Streamtime
+        const rowIdx = existingNames.get(normalized);
+        const currentRole = (rows[rowIdx][roleCol] || "").trim();
+        if (currentRole !== role) {
+          updatedRoles.push({ name: fullName, role, rowIdx });
+        }
+      }
+    }
+
+    // 4b. Update Status column for everyone in the sheet
+    const markedInactive = [];
+    const markedActive = [];
+    if (statusCol >= 0) {
+      for (const [normalized, rowIdx] of existingNames) {
+        const currentStatus = (rows[rowIdx][statusCol] || "").trim().toLowerCase();
+        const name = (rows[rowIdx][nameCol] || "").trim();
+
+        if (activeStreamtimeNames.has(normalized)) {
+          // Still in Streamtime — mark Active if not already
+          if (currentStatus !== "active") {
+            markedActive.push({ name, rowIdx });
+          }
+        } else {
+          // No longer in Streamtime — mark Inactive if not already
+          if (currentStatus !== "inactive") {
+            markedInactive.push({ name, rowIdx });
+          }
+        }
+      }
+    }
+
+    // 5. Append new users to the sheet
+    if (newUsers.length > 0) {
+      const newRows = newUsers.map((u) => {
+        const row = new Array(headers.length).fill("");
+        if (nameCol >= 0) row[nameCol] = u.name;
+        if (roleCol >= 0) row[roleCol] = u.role;
+        if (statusCol >= 0) row[statusCol] = "Active";
+        return row;
+      });
+
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: TEAM_SPREADSHEET_ID,
+        range: "A1",
+        valueInputOption: "RAW",
+        insertDataOption: "INSERT_ROWS",
+        requestBody: { values: newRows },
+      });
+
+      console.log(`🔄 Added ${newUsers.length} new team member(s) from Streamtime: ${newUsers.map((u) => u.name).join(", ")}`);
+    }
+
+    // 6. Update roles for existing users (only the Role column — nothing else)
+    for (const update of updatedRoles) {
+      const colLetter = colIndexToLetter(roleCol);
+      const sheetRow = update.rowIdx + 1; // rows array is 0-indexed, sheet is 1-indexed
+
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: TEAM_SPREADSHEET_ID,
+        range: `${colLetter}${sheetRow}`,
+        valueInputOption: "RAW",
+        requestBody: { values: [[update.role]] },
+      });
+    }
+
+    if (updatedRoles.length > 0) {
+      console.log(`🔄 Updated roles for ${updatedRoles.length} team member(s): ${updatedRoles.map((u) => `${u.name} → ${u.role}`).join(", ")}`);
+    }
+
+    // 7. Update Status column — Active for current, Inactive for departed
+    if (statusCol >= 0) {
+      const colLetter = colIndexToLetter(statusCol);
+
+      for (const person of markedActive) {
+        await sheets.spreadsheets.values.update({
+          spreadsheetId: TEAM_SPREADSHEET_ID,
+          range: `${colLetter}${person.rowIdx + 1}`,
+          valueInputOption: "RAW",
+          requestBody: { values: [["Active"]] },
+        });
+      }
+
+      for (const person of markedInactive) {
+        await sheets.spreadsheets.values.update({
+          spreadsheetId: TEAM_SPREADSHEET_ID,
+          range: `${colLetter}${person.rowIdx + 1}`,
+          valueInputOption: "RAW",
+          requestBody: { values: [["Inactive"]] },
+        });
+      }
+    }
+
+    if (markedActive.length > 0) {
+      console.log(`🔄 Marked ${markedActive.length} team member(s) as Active`);
+    }
+    if (markedInactive.length > 0) {
+      console.log(`🔄 Marked ${markedInactive.length} team member(s) as Inactive: ${markedInactive.map((u) => u.name).join(", ")}`);
+    }
+
+    if (newUsers.length === 0 && updatedRoles.length === 0 && markedActive.length === 0 && markedInactive.length === 0) {
+      console.log("🔄 Streamtime sync: team sheet already up to date");
+    }
+
+    // Bust team cache since we may have changed the sheet
+    if (newUsers.length > 0 || updatedRoles.length > 0 || markedActive.length > 0 || markedInactive.length > 0) {
+      await sheetCache.delete("team");
+    }
+  } catch (err) {
+    console.warn("⚠️ Streamtime sync error:", err.message);
+  }
+}
+
+// ── Read entire freelancer roster from Google Sheets ─────────────────
+
+async function fetchRoster() {
+  // Return cached data if still fresh
+  const cached = await sheetCache.get("roster");
+  if (cached) return cached;
+
+  // Fetch each tab individually so one missing tab doesn't break everything
+  const roster = [];
+
+  for (const tabName of FREELANCER_TABS) {
+    try {
+      const { data } = await sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `'${tabName}'!A2:Z`,
+      });
+
+      const rows = data.values || [];
+      if (rows.length < 2) continue; // skip empty tabs
+
+      const headers = rows[0].map((h) => h.trim());
+      console.log(`📋 Tab "${tabName}" — Headers: [${headers.join(", ")}]`);
+      console.log(`📋 Tab "${tabName}" — ${rows.length - 1} data rows, first row sample:`, rows[1]?.slice(0, 4));
+
+      for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (!row[0] || !row[0].trim()) continue;
+
+        const entry = { Category: tabName };
+        headers.forEach((header, col) => {
+          entry[header] = (row[col] || "").trim();
+        });
+        roster.push(entry);
+      }
+    } catch (err) {
+      console.warn(`⚠️ Skipping tab "${tabName}" — not found or unreadable`);
+    }
+  }
+
+  await sheetCache.set("roster", roster);
+  return roster;
+}
+
+// ── Read internal studio team from Google Sheets ─────────────────────
+
+async function fetchTeam() {
+  if (!TEAM_SPREADSHEET_ID) return [];
+
+  const cached = await sheetCache.get("team");
+  if (cached) return cached;
+
+  try {
+    const { data } = await sheets.spreadsheets.values.get({
+      spreadsheetId: TEAM_SPREADSHEET_ID,
+      range: "A1:Z",
+    });
+
+    const rows = data.values || [];
+    if (rows.length < 2) return [];
+
+    const headers = rows[0].map((h) => h.trim());
+    console.log(`👥 Team sheet — Headers: [${headers.join(", ")}]`);
+
+    const team = [];
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i];
+      if (!row[0] || !row[0].trim()) continue;
+
+      const entry = { Source: "Internal Team" };
+      headers.forEach((header, col) => {
+        entry[header] = (row[col] || "").trim();
+      });
+
+      // Skip people marked as Inactive (no longer at the company)
+      if ((entry.Status || "").toLowerCase() === "inactive") continue;
+
+      team.push(entry);
+    }
+
+    console.log(`👥 Team sheet — ${team.length} team members loaded`);
+    await sheetCache.set("team", team);
+    return team;
+  } catch (err) {
+    console.warn("⚠️ Could not read internal team sheet:", err.message);
+    return [];
+  }
+}
+
+// ── Per-channel bot config ("Bot Config" tab) ─────────────────────────
+// Optional tab in the roster spreadsheet, one row per channel:
+//   Channel | Model | Max Tokens | Freelancer Picks | Tone | Priority Disciplines | Extra Rules
+// "Channel" is a channel ID (C0123ABC), a #channel-name, or "default" for
+// workspace-wide settings. Blank cells fall back to the default row, then
+// to DEFAULT_BOT_CONFIG. Read through the sheet cache, so edits are picked
+// up within a minute — no redeploy.
+
+const BOT_CONFIG_TAB = "Bot Config";
+const DEFAULT_BOT_CONFIG = {
+  model: "claude-sonnet-4-20250514",
+  maxTokens: 2048,
+  freelancerPicks: 3,
+  tone: "",
+  priorityCategories: [],
+  extraRules: "",
+};
+const CONFIG_MAX_TOKENS_RANGE = [256, 8192];
+const CONFIG_PICKS_RANGE = [1, 5];
+const CHANNEL_NAME_TTL_MS = 24 * 60 * 60 * 1000;
+const channelNames = store.namespace("channel-names", CHANNEL_NAME_TTL_MS);
+
+function clampInt(value, [min, max], field) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) {
+    console.warn(`⚙️ Bot Config: "${value}" isn't a number for ${field} — ignoring`);
+    return undefined;
+  }
+  return Math.min(max, Math.max(min, n));
+}
+
+// Row → only the settings it actually sets, so blanks inherit
+function parseBotConfigRow(entry) {
+  const overrides = {};
+  const model = entry.Model;
+  if (model) {
+    if (/^claude-/i.test(model)) overrides.model = model;
+    else console.warn(`⚙️ Bot Config: unknown model "${model}" for ${entry.Channel} — ignoring`);
+  }
+  if (entry["Max Tokens"]) overrides.maxTokens = clampInt(entry["Max Tokens"], CONFIG_MAX_TOKENS_RANGE, "Max Tokens");
+  if (entry["Freelancer Picks"]) overrides.freelancerPicks = clampInt(entry["Freelancer Picks"], CONFIG_PICKS_RANGE, "Freelancer Picks");
+  if (entry.Tone) overrides.tone = entry.Tone;
+  if (entry["Extra Rules"]) overrides.extraRules = entry["Extra Rules"];
+  if (entry["Priority Disciplines"]) {
+    const wanted = entry["Priority Disciplines"].split(/[,;\n]/).map((s) => s.trim()).filter(Boolean);
+    const matched = wanted
+      .map((w) => FREELANCER_TABS.find((tab) => tab.toLowerCase() === w.toLowerCase()) || detectCategories(w)[0])
+      .filter(Boolean);
+    if (matched.length < wanted.length) {
+      console.warn(`⚙️ Bot Config: couldn't match some of "${entry["Priority Disciplines"]}" to a roster tab`);
+    }
+    overrides.priorityCategories = [...new Set(matched)];
+  }
+  for (const key of Object.keys(overrides)) {
+    if (overrides[key] === undefined) delete overrides[key];
+  }
+  return overrides;
+}
+
+// All config rows as [{ channel, overrides }] — [] when the tab doesn't exist
+async function fetchBotConfig() {
+  const cached = await sheetCache.get("bot-config");
+  if (cached) return cached;
+
+  let rows = [];
+  try {
+    const { data } = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${BOT_CONFIG_TAB}'!A1:G`,
+    });
+    rows = data.values || [];
+  } catch (err) {
+    if (!err.message?.includes("Unable to parse range")) {
+      console.warn(`⚙️ Could not read the "${BOT_CONFIG_TAB}" tab — using defaults:`, err.message);
+      return [];
+    }
+  }
+
+  const headers = (rows[0] || []).map((h) => h.trim());
+  const channelCol = headers.findIndex((h) => h.toLowerCase() === "channel");
+  if (rows.length > 0 && channelCol < 0) {
+    console.warn(`⚙️ The "${BOT_CONFIG_TAB}" tab has no "Channel" header in row 1 — using defaults`);
+    rows = [];
+  }
+  const config = rows.slice(1)
+    .filter((row) => row[channelCol] && row[channelCol].trim())
+    .map((row) => {
+      const entry = {};
+      headers.forEach((header, col) => {
+        entry[header] = (row[col] || "").trim();
+      });
+      const channel = entry[headers[channelCol]].replace(/^#/, "");
+      // Slack IDs are upper case (C…, G…, D…); names are lower case, so check before lowercasing
+      return { channel: channel.toLowerCase(), isChannelId: /^[CGD][A-Z0-9]{8,}$/.test(channel), overrides: parseBotConfigRow(entry) };
+    });
+
+  await sheetCache.set("bot-config", config);
+  return config;
+}
+
+// Channel ID → name (without #), for rows keyed by name. Needs the channels:read scope.
+async function getChannelName(channelId) {
+  const cached = await channelNames.get(channelId);
+  if (cached !== undefined) return cached;
+  let name = "";
+  try {
+    const result = await slack.client.conversations.info({ channel: channelId });
+    name = (result.channel?.name || "").toLowerCase();
+  } catch (err) {
+    console.warn(`⚙️ Could not look up the name of ${channelId}:`, err.data?.error || err.message);
+  }
+  await channelNames.set(channelId, name);
+  return name;
+}
+
+// Effective settings for a channel: defaults ← "default" row ← the channel's row
+async function getChannelConfig(channelId) {
+  const rows = await fetchBotConfig();
+  const defaults = rows.find((r) => r.channel === "default" || r.channel === "*");
+  const id = (channelId || "").toLowerCase();
+  let row = rows.find((r) => r.channel === id);
+  if (!row && channelId && rows.some((r) => r !== defaults && !r.isChannelId)) {
+    const name = await getChannelName(channelId);
+    row = name ? rows.find((r) => r.channel === name) : null;
+  }
+  return { ...DEFAULT_BOT_CONFIG, ...defaults?.overrides, ...row?.overrides };
+}
+
+// ── Format internal team as a readable string for Claude ─────────────
+
+function formatTeamForPrompt(team) {
+  if (team.length === 0) return "";
+
+  let text = "\n\n═══ INTERNAL STUDIO TEAM ═══\n";
+  for (const p of team) {
+    text += `\n• ${p.Name || "Unknown"}`;
+    if (p.Role) text += ` | Role: ${p.Role}`;
+    if (p.Level) text += ` | Level: ${p.Level}`;
+    if (p["Cost Rate ( per 8hr day)"] || p["Cost Rate (per 8hr day)"])
+      text += ` | Day Rate: ${p["Cost Rate ( per 8hr day)"] || p["Cost Rate (per 8hr day)"]}`;
+    if (p.Capabilites || p.Capabilities)
+      text += `\n  Capabilities: ${p.Capabilites || p.Capabilities}`;
+    if (p.Clients) text += `\n  Previous Clients: ${p.Clients}`;
+    if (p.Location) text += `\n  Location: ${p.Location}`;
+    if (p.Comments) text += `\n  Comments: ${p.Comments}`;
+    text += "\n";
+  }
+  return text;
+}
+
+// ── Format roster as a readable string for Claude ────────────────────
+
+function formatRosterForPrompt(roster) {
+  const grouped = {};
+  for (const person of roster) {
+    const cat = person.Category;
+    if (!grouped[cat]) grouped[cat] = [];
+    grouped[cat].push(person);
+  }
+
+  let text = "";
+  for (const [category, people] of Object.entries(grouped)) {
+    text += `\n═══ ${category.toUpperCase()} ═══\n`;
+    for (const p of people) {
+      text += `\n• ${p.Name || "Unknown"}`;
+      if (p.Level) text += ` | Level: ${p.Level}`;
+      if (p.Availability || p.Availibility)
+        text += ` | Availability: ${p.Availability || p.Availibility}`;
+      if (p.Status) text += ` | Status: ${p.Status}`;
+      if (p["Cost Rate ( per 8hr day)"] || p["Cost Rate (per 8hr day)"])
+        text += ` | Day Rate: ${p["Cost Rate ( per 8hr day)"] || p["Cost Rate (per 8hr day)"]}`;
+      if (p["Min Sell Rate (2X)"])
+        text += ` | Min Sell Rate: ${p["Min Sell Rate (2X)"]}`;
+      if (p.Capabilites || p.Capabilities)
+        text += `\n  Capabilities: ${p.Capabilites || p.Capabilities}`;
+      if (p.Reccomendation || p.Recommendation)
+        text += `\n  Recommendation: ${p.Reccomendation || p.Recommendation}`;
+      if (p.Clients) text += `\n  Previous Clients: ${p.Clients}`;
+      if (p.Location) text += `\n  Location: ${p.Location}`;
+      if (p.Comments) text += `\n  Comments: ${p.Comments}`;
+      if (p.Portfolio) text += `\n  Portfolio: ${p.Portfolio}`;
+      text += "\n";
+    }
+  }
+  return text;
+}
+
+// ── Candidate scoring — deterministic pre-ranking before the Claude call ──
+// Scores every roster/team entry against the request so only the top N
+// (with their score breakdown) are sent to Claude. Keeps the prompt small as
+// the roster grows and makes the ranking explainable.
+
+const SHORTLIST_SIZE = parseInt(process.env.SHORTLIST_SIZE || "12", 10);
+const SHORTLIST_TEAM_SIZE = parseInt(process.env.SHORTLIST_TEAM_SIZE || "6", 10);
+
+// Seniority words → rank, so "senior" vs "Mid" can be compared as a distance
+const LEVEL_RANKS = [
+  { pattern: /\b(junior|jnr|graduate|grad|entry[-\s]?level)\b/i, rank: 1 },
+  { pattern: /\b(mid[-\s]?weight|mid[-\s]?level|mid|intermediate)\b/i, rank: 2 },
+  { pattern: /\b(senior|snr|experienced)\b/i, rank: 3 },
+  { pattern: /\b(lead|head of|principal|director|executive)\b/i, rank: 4 },
+];
+
+// Words that carry no signal when matching capabilities
+const SCORING_STOPWORDS = new Set([
+  "the", "and", "for", "with", "who", "can", "need", "needs", "needed", "want", "wants", "looking",
+  "someone", "somebody", "anyone", "person", "people", "freelancer", "freelancers", "project",
+  "projects", "brief", "job", "work", "working", "help", "please", "thanks", "our", "out", "about",
+  "from", "that", "this", "into", "have", "has", "ideally", "would", "could", "should", "will",
+  "week", "weeks", "day", "days", "month", "months", "budget", "rate", "under", "over", "per",
+  "max", "around", "experience", "recommend", "recommendation", "team", "internal", "any", "some",
+  "available", "availability", "asap", "next", "start", "starting", "campaign", "client", "good",
+  "great", "also", "like", "more", "less", "than", "are", "was", "what", "which", "there", "their",
+  "junior", "jnr", "mid", "senior", "snr", "lead",
+]);
+
+function detectLevelRank(text) {
+  if (!text) return null;
+  for (const { pattern, rank } of LEVEL_RANKS) {
+    if (pattern.test(text)) return rank;
+  }
+  return null;
+}
+
+// Parse a currency cell like "$850", "850 AUD", "800-900", "$1.2k" or "$1,200/day"
+// into { min, max }. Returns null for blanks and non-numeric values ("TBC", "ask").
+function parseCurrencyAmount(value) {
+  if (value === null || value === undefined) return null;
+  const cleaned = String(value)
+    .toLowerCase()
+    .replace(/,/g, "")
+    .replace(/(\d+(?:\.\d+)?)\s*k\b/g, (_, n) => String(parseFloat(n) * 1000));
+
+  // Strip currency codes/symbols so only the numbers remain
+  const numbers = (cleaned.match(/\d+(?:\.\d+)?/g) || [])
+    .map((n) => parseFloat(n))
+    .filter((n) => n > 0);
+  if (numbers.length === 0) return null;
+
+  // A range like "800-900" or "$800 to $900" — anything else uses the first figure
+  const isRange = numbers.length >= 2 && /\d\s*(?:-|–|—|to)\s*\$?\s*\d/.test(cleaned);
+  if (isRange) {
+    return { min: Math.min(numbers[0], numbers[1]), max: Math.max(numbers[0], numbers[1]) };
+  }
+  return { min: numbers[0], max: numbers[0] };
+}
+
+function formatMoney(amount) {
+  return `$${Math.round(amount).toLocaleString("en-AU")}`;
+}
+
+function formatRateRange(range) {
+  if (!range) return "unknown";
+  return range.min === range.max ? formatMoney(range.min) : `${formatMoney(range.min)}–${formatMoney(range.max)}`;
+}
+
+// Look for a day-rate budget in the request or brief ("under $900/day", "budget 800-900 AUD per day").
+// Returns the upper limit in dollars, or null if no budget is mentioned.
+function extractBudgetFromText(text) {
+  if (!text) return null;
+  const amount = "\\$?\\s?\\d[\\d,.]*\\s*k?(?:\\s*(?:-|–|to)\\s*\\$?\\s?\\d[\\d,.]*\\s*k?)?(?:\\s*(?:aud|nzd|usd|dollars))?";
+  const patterns = [
+    new RegExp(`(?:budget|under|max(?:imum)?|up to|below|less than|no more than|cap(?:ped)? at)[^$\\d\\n]{0,20}(${amount})`, "i"),
+    new RegExp(`(${amount})\\s*(?:\\/|per|a)\\s*(?:day|d\\b)`, "i"),
+  ];
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const range = parseCurrencyAmount(match[1]);
+    // Ignore tiny numbers ("budget for 3 weeks") — a day rate is at least three figures
+    if (range && range.max >= 100) return range.max;
+  }
+  return null;
+}
+
+// Map free-text disciplines in the request to roster tab names (longest phrase wins)
+function detectCategories(text) {
+  if (!text) return [];
+  let remaining = ` ${text.toLowerCase()} `;
+  const categories = new Set();
+  const keys = Object.keys(CATEGORY_TO_TAB)
+    .filter((k) => k !== "other")
+    .sort((a, b) => b.length - a.length);
+
+  for (const key of keys) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    const pattern = new RegExp(`\\b${escaped}(?:s|es)?\\b`, "i");
+    const match = remaining.match(pattern);
+    if (match) {
+      categories.add(CATEGORY_TO_TAB[key]);
+      // Blank out the match so "motion designer" doesn't also count as "designer"
+      remaining = remaining.slice(0, match.index) + " ".repeat(match[0].length) + remaining.slice(match.index + match[0].length);
+    }
+  }
+
+  // Tab names themselves ("Animators", "3D Artists") also count
+  for (const tab of FREELANCER_TABS) {
+    if (text.toLowerCase().includes(tab.toLowerCase())) categories.add(tab);
+  }
+
+  return [...categories];
+}
+
+function extractKeywords(text) {
+  if (!text) return [];
+  const words = normalizeName(text)
+    .replace(/[^a-z0-9+#.\s-]/g, " ")
+    .split(/\s+/)
+    .map((w) => w.replace(/^[.-]+|[.-]+$/g, ""))
+    .filter((w) => (w.length >= 3 || /^\d+d$/.test(w)) && !SCORING_STOPWORDS.has(w) && !/^\d+$/.test(w));
+  return [...new Set(words)];
+}
+
+// Build the structured criteria the scorer works from
+function parseRequestCriteria(text) {
+  const window = parseDateWindow(text);
+  return {
+    text: normalizeName(text || ""),
+    categories: detectCategories(text),
+    levelRank: detectLevelRank(text),
+    keywords: extractKeywords(text),
+    budget: extractBudgetFromText(text),
+    startDate: window?.start || null,
+    endDate: window?.end || null,
+  };
+}
+
+// Streamtime keys people by lower-cased full name — fall back to accent-insensitive matching
+function findStreamtimePerson(streamtimeData, name) {
+  if (!streamtimeData || !streamtimeData.personJobs || !name) return null;
+  const direct = streamtimeData.personJobs[name.toLowerCase().trim()];
+  if (direct) return direct;
+  const normalized = normalizeName(name);
+  return Object.values(streamtimeData.personJobs).find((p) => normalizeName(p.fullName) === normalized) || null;
+}
+
+function getPersonRate(person) {
+  return person["Cost Rate ( per 8hr day)"] || person["Cost Rate (per 8hr day)"] || "";
+}
+
+// Cost + sell rates for a person — "Min Sell Rate (2X)" falls back to 2× cost when blank
+function getPersonRates(person) {
+  const cost = parseCurrencyAmount(getPersonRate(person));
+  let sell = parseCurrencyAmount(person["Min Sell Rate (2X)"]);
+  const sellDerived = !sell && !!cost;
+  if (sellDerived) sell = { min: cost.min * 2, max: cost.max * 2 };
+  return { cost, sell, sellDerived };
+}
+
+// Check a person's cost rate against a day-rate budget:
+// "within", "over" (every figure exceeds budget), "partial" (range straddles it) or "unknown"
+function checkBudget(person, budget) {
+  const { cost } = getPersonRates(person);
+  if (!cost) return { status: "unknown", cost };
+  if (cost.min > budget) return { status: "over", cost };
+  if (cost.max > budget) return { status: "partial", cost };
+  return { status: "within", cost };
+}
+
+// Remove people whose cost rate is definitely over budget so they're never pitched
+function applyBudgetFilter(people, budget) {
+  if (!budget) return { kept: people || [], excluded: [] };
+  const kept = [];
+  const excluded = [];
+  for (const person of people || []) {
+    const check = checkBudget(person, budget);
+    if (check.status === "over") excluded.push({ person, cost: check.cost });
+    else kept.push(person);
+  }
+  return { kept, excluded };
+}
+
+// Score a single roster/team entry — returns { score, breakdown: [{ factor, points, detail }] }
+function scoreCandidate(person, criteria, streamtimeData) {
+  const breakdown = [];
+  const add = (factor, points, detail) => {
+    if (points !== 0) breakdown.push({ factor, points, detail });
+  };
+
+  const isTeam = person.Source === "Internal Team";
+  const capabilities = person.Capabilites || person.Capabilities || "";
+  const searchable = normalizeName([
+    capabilities,
+    person.Comments || "",
+    person.Reccomendation || person.Recommendation || "",
+    person.Role || "",
+    person.Category || "",
+  ].join(" "));
+
+  // 1. Category / discipline
+  if (criteria.categories.length > 0) {
+    if (!isTeam && criteria.categories.includes(person.Category)) {
+      add("category", 30, person.Category);
+    } else if (isTeam && person.Role && detectCategories(person.Role).some((c) => criteria.categories.includes(c))) {
+      add("category", 30, person.Role);
+    }
+  }
+
+  // Channel priority disciplines (Bot Config) — a nudge, not a filter
+  if (!isTeam && criteria.priorityCategories?.includes(person.Category)) {
+    add("channel priority", 15, person.Category);
+  }
+
+  // 2. Seniority
+  const personLevel = detectLevelRank(person.Level || (isTeam ? person.Role : ""));
+  if (criteria.levelRank && personLevel) {
+    const distance = Math.abs(criteria.levelRank - personLevel);
+    if (distance === 0) add("level", 10, person.Level || person.Role);
+    else if (distance === 1) add("level", 4, person.Level || person.Role);
+    else add("level", -5, `${person.Level || person.Role} (seniority mismatch)`);
+  }
+
+  // 3. Capability keywords
+  const matchedKeywords = criteria.keywords.filter((kw) => searchable.includes(kw));
+  if (matchedKeywords.length > 0) {
+    add("capabilities", Math.min(matchedKeywords.length * 4, 20), matchedKeywords.slice(0, 5).join(", "));
+  }
+
+  // 4. Client overlap from the sheet
+  const clients = (person.Clients || "")
+    .split(/[,;|\n]/)
+    .map((c) => normalizeName(c))
+    .filter((c) => c.length >= 3);
+  const matchedClients = clients.filter((c) => criteria.text.includes(c));
+  if (matchedClients.length > 0) {
+    add("clients", Math.min(matchedClients.length * 15, 30), matchedClients.join(", "));
+  }
+
+  // 5. Streamtime client history
+  const stPerson = findStreamtimePerson(streamtimeData, person.Name);
+  if (stPerson) {
+    const relevantJobs = (stPerson.jobList || []).filter((j) => {
+      const company = normalizeName(j.company || "");
+      return company.length >= 3 && company !== "unknown client" && criteria.text.includes(company);
+    });
+    if (relevantJobs.length > 0) {
+      add("streamtime", Math.min(relevantJobs.length * 10, 20), relevantJobs.slice(0, 3).map((j) => `[${j.number}]`).join(" "));
+    }
+
+    // Logged hours in the disciplines asked for outweigh what the Capabilities cell claims
+    const evidence = loggedTimeEvidence(stPerson.profile, criteria);
+    if (evidence) add("logged time", evidence.hours >= 200 ? 15 : evidence.hours >= 80 ? 10 : 5, evidence.detail);
+  }
+
+  // 6. Availability
+  const availability = (person.Availability || person.Availibility || "").toLowerCase();
+  const status = (person.Status || "").toLowerCase();
+  if (/unavailable|not available|booked|busy|on leave|away/.test(availability)) {
+    add("availability", -15, person.Availability || person.Availibility);
+  } else if (/available|free|open/.test(availability)) {
+    add("availability", 5, person.Availability || person.Availibility);
+  }
+  if (/do not use|don't use|blacklist|inactive/.test(status)) {
+    add("status", -40, person.Status);
+  }
+  if (criteria.startDate && criteria.endDate) {
+    // Only penalise bookings that overlap the project's dates
+    const window = { start: criteria.startDate, end: criteria.endDate };
+    const availability = stPerson ? computeAvailability(stPerson, window) : null;
+    if (availability?.status === "free") {
+      add("dates", 10, `free ${formatDateWindow(window)}`);
+    } else if (availability?.status === "partial") {
+      add("dates", -Math.round(25 * availability.bookedDays / availability.totalDays), `booked ${availability.bookedDays} of ${availability.totalDays} days`);
+    } else if (availability?.status === "full") {
+      add("dates", -30, `fully booked ${formatDateWindow(window)}`);
+    }
+  } else if (stPerson && stPerson.currentJobs && stPerson.currentJobs.length > 0) {
+    add("booked", -8, `${stPerson.currentJobs.length} current Streamtime booking(s)`);
+  }
+
+  // 7. Day rate vs budget — clearly over-budget people never get here (applyBudgetFilter)
+  if (criteria.budget) {
+    const check = checkBudget(person, criteria.budget);
+    if (check.status === "within") add("budget", 8, `${formatRateRange(check.cost)}/day within ${formatMoney(criteria.budget)}`);
+    else if (check.status === "partial") add("budget", -5, `${formatRateRange(check.cost)}/day may exceed ${formatMoney(criteria.budget)}`);
+    else if (check.status === "unknown") add("budget", -3, "no cost rate on file");
+  }
+
+  const score = breakdown.reduce((sum, b) => sum + b.points, 0);
+  return { score, breakdown };
+}
+
+// Score everyone and keep the top N freelancers + top N internal team members
+function shortlistCandidates(roster, team, streamtimeData, criteria) {
+  const rank = (people, limit) =>
+    (people || [])
+      .filter((p) => p.Name)
+      .map((person) => ({ person, ...scoreCandidate(person, criteria, streamtimeData) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+  // Hard budget filter first — over-budget people never reach the model
+  const rosterBudget = applyBudgetFilter(roster, criteria.budget);
+  const teamBudget = applyBudgetFilter(team, criteria.budget);
+  const excluded = [...rosterBudget.excluded, ...teamBudget.excluded];
+  if (excluded.length > 0) {
+    console.log(`💰 Budget ${formatMoney(criteria.budget)}/day — excluded ${excluded.length}: ${excluded.map((e) => `${e.person.Name} (${formatRateRange(e.cost)})`).join(", ")}`);
+  }
+
+  const freelancers = rank(rosterBudget.kept, SHORTLIST_SIZE);
+  const teamMembers = rank(teamBudget.kept, SHORTLIST_TEAM_SIZE);
+
+  console.log(`🎯 Shortlist: ${freelancers.length}/${(roster || []).length} freelancers, ${teamMembers.length}/${(team || []).length} team — categories [${criteria.categories.join(", ")}], level ${criteria.levelRank || "any"}, budget ${criteria.budget ? formatMoney(criteria.budget) : "none"}`);
+
+  const window = criteria.startDate && criteria.endDate ? { start: criteria.startDate, end: criteria.endDate } : null;
+  return { freelancers, team: teamMembers, budget: criteria.budget || null, excludedForBudget: excluded, window };
+}
+
+function formatScoreBreakdown(entry) {
+  if (entry.breakdown.length === 0) return `${entry.score} (no strong signals)`;
+  return `${entry.score} — ${entry.breakdown.map((b) => `${b.factor} ${b.points > 0 ? "+" : ""}${b.points} (${b.detail})`).join(", ")}`;
+}
+
+// Format the shortlist for Claude: same data layout as the full roster, plus match scores.
+// options.maxJobsPerPerson limits Streamtime history (0 leaves it out) when the prompt is over budget.
+function formatShortlistForPrompt(shortlist, streamtimeData, options = {}) {
+  const teamPeople = shortlist.team.map((e) => e.person);
+  const rosterPeople = shortlist.freelancers.map((e) => e.person);
+
+  let text = formatTeamForPrompt(teamPeople) + "\n" + formatRosterForPrompt(rosterPeople);
+  text += formatStreamtimeForPrompt(streamtimeData, rosterPeople, teamPeople, shortlist.window, options.maxJobsPerPerson ?? 10);
+  if (shortlist.window) {
+    text += `\n\n═══ PROJECT DATES ═══\n${shortlist.window.start} → ${shortlist.window.end} (${formatDateWindow(shortlist.window)}). Streamtime availability above is for this window only.\n`;
+  }
+
+  text += "\n\n═══ PRE-RANKED MATCH SCORES ═══\n";
+  text += "(Deterministic scores from category, level, capabilities, client overlap, availability, budget, Streamtime history and logged hours. A guide, not a verdict — use your judgement.)\n";
+  for (const entry of shortlist.team) {
+    text += `\n• [Internal] ${entry.person.Name}: ${formatScoreBreakdown(entry)}`;
+  }
+  for (const entry of shortlist.freelancers) {
+    text += `\n• ${entry.person.Name}: ${formatScoreBreakdown(entry)}`;
+  }
+
+  if (shortlist.budget) {
+    text += `\n\n═══ BUDGET ═══\nDay-rate budget: ${formatMoney(shortlist.budget)} (cost rate).`;
+    text += ` ${shortlist.excludedForBudget.length} over-budget ${shortlist.excludedForBudget.length === 1 ? "person has" : "people have"} already been removed — never suggest anyone who isn't listed above.`;
+    const flagged = [...shortlist.team, ...shortlist.freelancers].filter((e) => checkBudget(e.person, shortlist.budget).status !== "within");
+    if (flagged.length > 0) {
+      text += `\nCheck rate before pitching: ${flagged.map((e) => `${e.person.Name} (${formatRateRange(checkBudget(e.person, shortlist.budget).cost)})`).join(", ")}`;
+    }
+  }
+  return text + "\n";
+}
+
+// ── Prompt budget — keep the recommendation prompt under a token ceiling ──
+// The shortlist caps how many people are sent, but long briefs, thread
+// history and Streamtime job lists can still push a request into 429s.
+// assembleRecommendationPrompt measures the prompt with a local estimator
+// (calibrated against the input_tokens Claude reports back) and trims the
+// lowest-priority content first, logging everything it dropped:
+//   1. freelancers outside the requested disciplines (lowest score first)
+//   2. Streamtime history — down to a few jobs each, then removed
+//   3. the attached brief — cut down in steps
+//   4. in-discipline freelancers, then internal team (lowest score first)
+// The request text, conversation history and system prompt are never trimmed.
+
+const PROMPT_TOKEN_BUDGET = parseInt(process.env.PROMPT_TOKEN_BUDGET || "12000", 10);
+const STREAMTIME_JOBS_PER_PERSON = 10;
+const STREAMTIME_JOBS_TRIMMED = 3;
+const MIN_BRIEF_CHARS = 1000;
+const MIN_FREELANCERS_KEPT = 3;
+const MIN_TEAM_KEPT = 2;
+
+let charsPerToken = 3.5; // English prose + sheet data averages ~3.5 chars/token; refined from real usage
+
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / charsPerToken);
+}
+
+// Characters in a string or a list of content blocks
+function contentLength(content) {
+  if (typeof content === "string") return content.length;
+  return (content || []).reduce((sum, b) => sum + (typeof b.text === "string" ? b.text.length : JSON.stringify(b).length), 0);
+}
+
+// Everything sent with a request, as characters — what input tokens are measured against
+function promptCharCount(params) {
+  const messages = (params.messages || []).reduce((sum, m) => sum + contentLength(m.content), 0);
+  return contentLength(params.system) + JSON.stringify(params.tools || []).length + messages;
+}
+
+// Nudge the estimator towards what the API actually counted, so trimming tracks reality.
+// With prompt caching, input_tokens only covers the uncached tail — add the cached parts back.
+function calibrateTokenEstimate(params, usage) {
+  const chars = promptCharCount(params);
+  const tokens = (usage?.input_tokens || 0) + (usage?.cache_creation_input_tokens || 0) + (usage?.cache_read_input_tokens || 0);
+  if (!tokens || !chars) return;
+  const observed = chars / tokens;
+  charsPerToken = Math.min(6, Math.max(2, charsPerToken * 0.8 + observed * 0.2));
+}
+
+function formatBriefForPrompt(requestText, brief, originalLength) {
+  if (!brief) return requestText;
+  const note = brief.length < originalLength ? `\n\n[Brief truncated — full document was ${originalLength} chars]` : "";
+  return `${requestText}\n\n📄 ATTACHED BRIEF:\n${brief}${note}`;
+}
+
+// Build the roster block + request text within the budget.
+// Returns { allData, requestText, tokens, trimmed, shortlist } — trimmed lists what was cut, for logs;
+// shortlist is who actually made it into the prompt.
+function assembleRecommendationPrompt({ shortlist, streamtime, criteria, requestText, brief = "", threadHistory = [], config = DEFAULT_BOT_CONFIG, budget = PROMPT_TOKEN_BUDGET }) {
+  const fixedTokens =
+    estimateTokens(buildSystemPrompt(config)) +
+    estimateTokens(JSON.stringify(buildRecommendationTool(config))) +
+    threadHistory.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+
+  const state = {
+    shortlist: { ...shortlist, freelancers: [...shortlist.freelancers], team: [...shortlist.team] },
+    streamtimeJobs: STREAMTIME_JOBS_PER_PERSON,
+    brief: brief.length > MAX_BRIEF_CHARS ? brief.substring(0, MAX_BRIEF_CHARS) : brief,
+  };
+  const trimmed = [];
+  if (state.brief.length < brief.length) trimmed.push(`brief cut to ${MAX_BRIEF_CHARS} of ${brief.length} chars`);
+
+  const build = () => {
+    const allData = formatShortlistForPrompt(state.shortlist, streamtime, { maxJobsPerPerson: state.streamtimeJobs });
+    const text = formatBriefForPrompt(requestText, state.brief, brief.length);
+    return { allData, requestText: text, tokens: fixedTokens + estimateTokens(allData) + estimateTokens(text) };
+  };
+
+  const inDiscipline = (entry) => criteria.categories.length === 0 || criteria.categories.includes(entry.person.Category);
+  // Lists are sorted best-first, so the last match is the lowest scored
+  const dropLowest = (list, predicate, label) => {
+    const index = list.findLastIndex(predicate);
+    if (index < 0) return null;
+    const [entry] = list.splice(index, 1);
+    return `${label} ${entry.person.Name} (score ${entry.score})`;
+  };
+
+  // Each step trims one unit and describes it, or returns null once it has nothing left to give
+  const steps = [
+    () => dropLowest(state.shortlist.freelancers, (e) => !inDiscipline(e), "off-discipline freelancer"),
+    () => {
+      if (state.streamtimeJobs === 0) return null;
+      state.streamtimeJobs = state.streamtimeJobs > STREAMTIME_JOBS_TRIMMED ? STREAMTIME_JOBS_TRIMMED : 0;
+      return state.streamtimeJobs ? `Streamtime history cut to ${state.streamtimeJobs} jobs per person` : "Streamtime history";
+    },
+    () => {
+      if (state.brief.length <= MIN_BRIEF_CHARS) return null;
+      state.brief = state.brief.substring(0, Math.max(MIN_BRIEF_CHARS, Math.floor(state.brief.length * 0.6)));
+      return `brief cut to ${state.brief.length} chars`;
+    },
+    () => (state.shortlist.freelancers.length > MIN_FREELANCERS_KEPT ? dropLowest(state.shortlist.freelancers, () => true, "freelancer") : null),
+    () => (state.shortlist.team.length > MIN_TEAM_KEPT ? dropLowest(state.shortlist.team, () => true, "team member") : null),
+  ];
+
+  let prompt = build();
+  const initialTokens = prompt.tokens;
+  for (const step of steps) {
+    while (prompt.tokens > budget) {
+      const change = step();
+      if (!change) break;
+      trimmed.push(change);
+      prompt = build();
+    }
+  }
+
+  if (trimmed.length > 0) {
+    console.log(`📏 Prompt ~${initialTokens} → ~${prompt.tokens} tokens (budget ${budget}) — trimmed: ${trimmed.join("; ")}`);
+  }
+  if (prompt.tokens > budget) {
+    console.warn(`📏 Prompt still ~${prompt.tokens} tokens after trimming (budget ${budget}) — the request or thread history alone is too long`);
+  }
+  return { ...prompt, trimmed, shortlist: state.shortlist };
+}
+
+// ── Brief extraction (attachments + Google Docs/Slides/Sheets links) ─
+
+// Extract text from a PDF file buffer (with fallback for non-standard PDFs)
+async function extractPdfText(buffer) {
+  // Verify it's actually a PDF (should start with %PDF)
+  const header = buffer.slice(0, 5).toString("ascii");
+  if (!header.startsWith("%PDF")) {
+    console.warn(`📄 File header is "${header}" — not a standard PDF, trying anyway...`);
+  }
+
+  // Primary: use pdf-parse
+  try {
+    const data = await pdfParse(buffer);
+    const text = data.text.trim();
+    if (text && text.length > 20) return text;
+  } catch (error) {
+    console.warn("📄 pdf-parse failed:", error.message);
+  }
+
+  // Fallback: extract readable strings from the raw PDF binary
+  // Many PDFs contain readable text between stream markers
+  try {
+    const raw = buffer.toString("latin1");
+    const textChunks = [];
+    // Look for text between BT (begin text) and ET (end text) operators
+    const btPattern = /BT\s([\s\S]*?)ET/g;
+    let match;
+    while ((match = btPattern.exec(raw)) !== null) {
+      // Extract strings in parentheses (PDF text objects)
+      const tjPattern = /\(([^)]+)\)/g;
+      let tj;
+      while ((tj = tjPattern.exec(match[1])) !== null) {
+        const cleaned = tj[1].replace(/\\[nrt]/g, " ").trim();
+        if (cleaned.length > 1) textChunks.push(cleaned);
+      }
+    }
+    if (textChunks.length > 5) {
+      console.log(`📄 Fallback extraction got ${textChunks.length} text chunks`);
+      return textChunks.join(" ").replace(/\s+/g, " ").trim();
+    }
+  } catch (e) {
+    console.warn("📄 Fallback text extraction also failed:", e.message);
+  }
+
+  return null;
+}
+
+// Extract text from a DOCX file buffer (DOCX = ZIP of XML files)
+async function extractDocxText(buffer) {
+  try {
+    const AdmZip = require("adm-zip");
+    const zip = new AdmZip(buffer);
+    const entry = zip.getEntry("word/document.xml");
+    if (!entry) {
+      console.warn("📄 DOCX: no word/document.xml found in archive");
+      return null;
+    }
+    const xml = entry.getData().toString("utf-8");
+    // Strip XML tags, keep text content
+    const text = xml
+      .replace(/<w:br[^>]*\/>/g, "\n")         // line breaks
+      .replace(/<\/w:p>/g, "\n")                // paragraph breaks
+      .replace(/<[^>]+>/g, "")                  // strip all XML tags
+      .replace(/&amp;/g, "&")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/\n{3,}/g, "\n\n")              // collapse multiple blank lines
+      .trim();
+    return text.length > 20 ? text : null;
+  } catch (error) {
+    console.error("📄 DOCX extraction error:", error.message);
+    return null;
+  }
+}
+
+// ── Office Open XML text (PPTX decks, XLSX workbooks) ─────────────────
+// Google Slides and Sheets briefs are exported through Drive as .pptx /
+// .xlsx and read here, which keeps slide titles, speaker notes and tab
+// names that a plain-text export throws away.
+
+const PPTX_MIME = "application/vnd.openxmlformats-officedocument.presentationml.presentation";
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const BRIEF_SHEET_MAX_ROWS = 40; // rows read from each tab of a spreadsheet brief
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&amp;/g, "&");
+}
+
+// Text of each <a:p> paragraph in a DrawingML fragment
+function drawingParagraphs(xml) {
+  return xml
+    .split(/<\/a:p>/)
+    .map((p) => decodeXmlEntities([...p.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map((m) => m[1]).join("")).trim())
+    .filter(Boolean);
+}
+
+function zipEntryText(zip, path) {
+  const entry = zip.getEntry(path);
+  return entry ? entry.getData().toString("utf-8") : null;
+}
+
+// Relationship id → target path, resolved against the part's folder
+function readRelationships(zip, relsPath, baseDir) {
+  const xml = zipEntryText(zip, relsPath) || "";
+  const rels = {};
+  for (const m of xml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = /\bId="([^"]+)"/.exec(m[0])?.[1];
+    const target = /\bTarget="([^"]+)"/.exec(m[0])?.[1];
+    if (!id || !target) continue;
+    const parts = `${baseDir}/${target}`.split("/");
+    const resolved = [];
+    for (const part of parts) {
+      if (part === "..") resolved.pop();
+      else if (part && part !== ".") resolved.push(part);
+    }
+    rels[id] = target.startsWith("/") ? target.slice(1) : resolved.join("/");
+  }
+  return rels;
+}
+
+// Slides in presentation order → [{ number, title, text, notes }]
+function extractPptxSlides(buffer) {
+  try {
+    const AdmZip = require("adm-zip");
+    const zip = new AdmZip(buffer);
+    const presentation = zipEntryText(zip, "ppt/presentation.xml") || "";
+    const rels = readRelationships(zip, "ppt/_rels/presentation.xml.rels", "ppt");
+    let slidePaths = [...presentation.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)].map((m) => rels[m[1]]).filter(Boolean);
+    if (slidePaths.length === 0) {
+      // No slide list — fall back to file numbering
+      slidePaths = zip.getEntries()
+        .map((e) => e.entryName)
+        .filter((n) => /^ppt\/slides\/slide\d+\.xml$/.test(n))
+        .sort((a, b) => parseInt(a.match(/\d+/)[0], 10) - parseInt(b.match(/\d+/)[0], 10));
+    }
+
+    return slidePaths.map((path, i) => {
+      const xml = zipEntryText(zip, path) || "";
+      const shapes = xml.split(/<\/p:sp>/);
+      const titleShape = shapes.find((s) => /<p:ph\b[^>]*type="(?:title|ctrTitle)"/.test(s));
+      const title = titleShape ? drawingParagraphs(titleShape).join(" ") : "";
+      const body = shapes.filter((s) => s !== titleShape).flatMap(drawingParagraphs);
+
+      // Speaker notes live in a separate part linked from the slide
+      const fileName = path.split("/").pop();
+      const slideRels = readRelationships(zip, path.replace(fileName, `_rels/${fileName}.rels`), path.replace(`/${fileName}`, ""));
+      const notesPath = Object.values(slideRels).find((t) => /notesSlides\/notesSlide\d+\.xml$/.test(t));
+      const notesXml = notesPath ? zipEntryText(zip, notesPath) || "" : "";
+      const notes = notesXml
+        .split(/<\/p:sp>/)
+        .filter((s) => /<p:ph\b[^>]*type="body"/.test(s))
+        .flatMap(drawingParagraphs);
+
+      return { number: i + 1, title, text: body.join("\n"), notes: notes.join("\n") };
+    });
+  } catch (error) {
+    console.error("📄 PPTX extraction error:", error.message);
+    return [];
+  }
+}
+
+// Column letters of a cell reference → 0-based index ("C7" → 2)
+function cellColumnIndex(ref) {
+  const letters = (/^[A-Z]+/i.exec(ref || "") || ["A"])[0].toUpperCase();
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// Workbook tabs in order → [{ name, rows: [[cell, ...]] }], at most maxRows non-empty rows each
+function extractXlsxTabs(buffer, maxRows = BRIEF_SHEET_MAX_ROWS) {
+  try {
+    const AdmZip = require("adm-zip");
+    const zip = new AdmZip(buffer);
+    const workbook = zipEntryText(zip, "xl/workbook.xml") || "";
+    const rels = readRelationships(zip, "xl/_rels/workbook.xml.rels", "xl");
+    const sharedStrings = [...(zipEntryText(zip, "xl/sharedStrings.xml") || "").matchAll(/<si>([\s\S]*?)<\/si>/g)]
+      .map((m) => decodeXmlEntities([...m[1].matchAll(/<t\b[^>]*>([^<]*)<\/t>/g)].map((t) => t[1]).join("")));
+
+    return [...workbook.matchAll(/<sheet\b[^>]*>/g)].map((m) => {
+      const name = decodeXmlEntities(/\bname="([^"]*)"/.exec(m[0])?.[1] || "Sheet");
+      const path = rels[/\br:id="([^"]+)"/.exec(m[0])?.[1]];
+      const xml = (path && zipEntryText(zip, path)) || "";
+      const rows = [];
+      for (const rowMatch of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        if (rows.length >= maxRows) break;
+        const row = [];
+        for (const cell of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+          const attrs = cell[1];
+          const inner = cell[2] || "";
+          const type = /\bt="([^"]+)"/.exec(attrs)?.[1];
+          const raw = /<v>([^<]*)<\/v>/.exec(inner)?.[1];
+          let value = "";
+          if (type === "s") value = sharedStrings[parseInt(raw, 10)] || "";
+          else if (type === "inlineStr") value = decodeXmlEntities([...inner.matchAll(/<t\b[^>]*>([^<]*)<\/t>/g)].map((t) => t[1]).join(""));
+          else if (raw !== undefined) value = decodeXmlEntities(raw);
+          row[cellColumnIndex(/\br="([^"]+)"/.exec(attrs)?.[1])] = value.trim();
+        }
+        const cells = Array.from(row, (v) => v || "");
+        while (cells.length && !cells[cells.length - 1]) cells.pop();
+        if (cells.length > 0) rows.push(cells);
+      }
+      return { name, rows };
+    });
+  } catch (error) {
+    console.error("📄 XLSX extraction error:", error.message);
+    return [];
+  }
+}
+
+// Slide titles become headings so the brief keeps the deck's structure
+function formatSlidesForBrief(slides) {
+  return slides
+    .filter((s) => s.title || s.text || s.notes)
+    .map((s) => {
+      let text = `## Slide ${s.number}${s.title ? `: ${s.title}` : ""}`;
+      if (s.text) text += `\n${s.text}`;
+      if (s.notes) text += `\nSpeaker notes: ${s.notes}`;
+      return text;
+    })
+    .join("\n\n");
+}
+
+function formatTabsForBrief(tabs) {
+  return tabs
+    .filter((t) => t.rows.length > 0)
+    .map((t) => `## Tab: ${t.name}\n${t.rows.map((r) => r.join(" | ")).join("\n")}`)
+    .join("\n\n");
+}
+
+// Download a file from Slack (requires bot token for private URLs)
+async function downloadSlackFile(fileUrl) {
+  try {
+    const response = await fetch(fileUrl, {
+      headers: { Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}` },
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+  } catch (error) {
+    console.error("Slack file download error:", error.message);
+    return null;
+  }
+}
+
+// Fetch content from a Google Doc via Drive API (exports as plain text)
+async function fetchGoogleDocContent(docId) {
+  try {
+    const response = await drive.files.export({
+      fileId: docId,
+      mimeType: "text/plain",
+    });
+    return typeof response.data === "string"
+      ? response.data.trim()
+      : String(response.data).trim();
+  } catch (error) {
+    // If it's a DOCX/uploaded file (not a native Google Doc), export won't work
+    // Fall back to downloading the raw file and extracting text
+    if (error.message && error.message.includes("Export only supports Docs Editors files")) {
+      console.log(`📄 Doc ${docId} is not a native Google Doc (likely DOCX) — downloading raw file...`);
+      try {
+        const fileRes = await drive.files.get(
+          { fileId: docId, alt: "media" },
+          { responseType: "arraybuffer" }
+        );
+        const buffer = Buffer.from(fileRes.data);
+        // Try DOCX extraction first (most likely for .docx files opened in Google Docs)
+        const docxText = await extractDocxText(buffer);
+        if (docxText) {
+          console.log(`📄 Extracted ${docxText.length} chars from DOCX via Drive download`);
+          return docxText;
+        }
+        // Try PDF extraction as fallback
+        const pdfText = await extractPdfText(buffer);
+        if (pdfText) {
+          console.log(`📄 Extracted ${pdfText.length} chars from PDF via Drive download`);
+          return pdfText;
+        }
+        console.warn(`📄 Could not extract text from downloaded file ${docId}`);
+        return null;
+      } catch (dlError) {
+        console.error(`📄 Drive download fallback failed (${docId}):`, dlError.message);
+        return null;
+      }
+    }
+    console.error(`Google Doc fetch error (${docId}):`, error.message);
+    return null;
+  }
+}
+
+// Export a native Slides/Sheets file through Drive in an Office format we can read.
+// An uploaded .pptx/.xlsx opened in Slides/Sheets can't be exported — download it as-is.
+async function exportGoogleFile(fileId, mimeType) {
+  try {
+    const response = await drive.files.export({ fileId, mimeType }, { responseType: "arraybuffer" });
+    return Buffer.from(response.data);
+  } catch (error) {
+    if (!error.message?.includes("Export only supports Docs Editors files")) throw error;
+    console.log(`📄 ${fileId} is an uploaded Office file — downloading raw file...`);
+    const fileRes = await drive.files.get({ fileId, alt: "media" }, { responseType: "arraybuffer" });
+    return Buffer.from(fileRes.data);
+  }
+}
+
+// Google Slides deck → per-slide text and speaker notes, slide titles as headings
+async function fetchGoogleSlidesContent(fileId) {
+  try {
+    const slides = extractPptxSlides(await exportGoogleFile(fileId, PPTX_MIME));
+    console.log(`📄 Google Slides ${fileId}: ${slides.length} slides`);
+    return formatSlidesForBrief(slides) || null;
+  } catch (error) {
+    console.error(`Google Slides fetch error (${fileId}):`, error.message);
+    return null;
+  }
+}
+
+// Google Sheet → the first BRIEF_SHEET_MAX_ROWS rows of each tab, tab names as headings
+async function fetchGoogleSheetContent(fileId) {
+  try {
+    const tabs = extractXlsxTabs(await exportGoogleFile(fileId, XLSX_MIME));
+    console.log(`📄 Google Sheet ${fileId}: ${tabs.length} tabs`);
+    return formatTabsForBrief(tabs) || null;
+  } catch (error) {
+    console.error(`Google Sheet fetch error (${fileId}):`, error.message);
+    return null;
+  }
+}
+
+// URL path segment → how to read that kind of Google file
+const GOOGLE_LINK_KINDS = {
+  document: { label: "Google Doc", fetch: (id) => fetchGoogleDocContent(id) },
+  presentation: { label: "Google Slides", fetch: (id) => fetchGoogleSlidesContent(id) },
+  spreadsheets: { label: "Google Sheets", fetch: (id) => fetchGoogleSheetContent(id) },
+};
+
+// Parse Google Doc/Slides/Sheet URLs from message text
+// Supports: docs.google.com/{document,presentation,spreadsheets}/d/FILE_ID/...
+function extractGoogleLinks(text) {
+  const pattern = /docs\.google\.com\/(document|presentation|spreadsheets)\/d\/([a-zA-Z0-9_-]+)/g;
+  const links = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (!links.some((l) => l.id === match[2])) links.push({ kind: match[1], id: match[2] });
+  }
+  return links;
+}
+
+// Text of an RTF document — control words and non-text groups (fonts, colours, pictures) dropped
+function extractRtfText(rtf) {
+  const SKIP_DESTINATIONS = /^(?:fonttbl|colortbl|stylesheet|info|pict|object|header|footer|listtable|listoverridetable|themedata|datastore|latentstyles|generator)$/;
+  const out = [];
+  const stack = [];
+  let skipping = false;
+  let unicodeSkip = 1; // fallback chars to drop after a \uN — RTF's default is \uc1
+  let pendingSkip = 0;
+  let i = 0;
+
+  while (i < rtf.length) {
+    const ch = rtf[i];
+    if (ch === "{") {
+      stack.push({ skipping, unicodeSkip });
+      i++;
+    } else if (ch === "}") {
+      ({ skipping, unicodeSkip } = stack.pop() || { skipping: false, unicodeSkip: 1 });
+      i++;
+    } else if (ch === "\\") {
+      const next = rtf[i + 1];
+      if (next === "\\" || next === "{" || next === "}") {
+        if (!skipping) out.push(next);
+        i += 2;
+      } else if (next === "'") {
+        if (pendingSkip > 0) pendingSkip--;
+        else if (!skipping) out.push(Buffer.from([parseInt(rtf.substr(i + 2, 2), 16)]).toString("latin1"));
+        i += 4;
+      } else if (next === "*") {
+        skipping = true; // {\* ...} is an optional destination we don't understand
+        i += 2;
+      } else {
+        const m = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i, i + 40));
+        if (!m) {
+          i += 2; // control symbol like \~ or \-
+          if (next === "~" && !skipping) out.push(" ");
+          continue;
+        }
+        const [whole, word, param] = m;
+        i += whole.length;
+        if (SKIP_DESTINATIONS.test(word)) skipping = true;
+        else if (skipping) continue;
+        else if (word === "par" || word === "line" || word === "row") out.push("\n");
+        else if (word === "tab" || word === "cell") out.push("\t");
+        else if (word === "uc") unicodeSkip = parseInt(param, 10);
+        else if (word === "u") {
+          out.push(String.fromCharCode(((parseInt(param, 10) % 65536) + 65536) % 65536));
+          pendingSkip = unicodeSkip;
+        }
+      }
+    } else {
+      if (ch !== "\r" && ch !== "\n") {
+        if (pendingSkip > 0) pendingSkip--;
+        else if (!skipping) out.push(ch);
+      }
+      i++;
+    }
+  }
+
+  const text = out.join("").replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  return text.length > 20 ? text : null;
+}
+
+// Text of an HTML document, keeping one line per block element
+function extractHtmlText(html) {
+  const $ = cheerio.load(html);
+  $("script, style, noscript, iframe, svg").remove();
+  $("br").replaceWith("\n");
+  $("p, div, li, tr, h1, h2, h3, h4, h5, h6, section, article, blockquote").each((_, el) => {
+    $(el).append("\n");
+  });
+  const text = $("body").text()
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return text.length > 20 ? text : null;
+}
+
+// ── OCR — scanned PDFs and image briefs ──────────────────────────────
+
+const OCR_MAX_PAGES = 10; // OCR takes a few seconds a page — enough for any brief
+const OCR_GOOD_CONFIDENCE = 80;
+const OCR_FAIR_CONFIDENCE = 60;
+
+// OCR images in order → { text, ocr: { pages, confidence } }, or null if nothing legible.
+// Confidence is averaged over the pages, weighted by how much text each one had.
+async function recognizeImages(images) {
+  const pages = [];
+  for (const [i, image] of images.slice(0, OCR_MAX_PAGES).entries()) {
+    try {
+      const result = await ocr.recognize(image);
+      if (result.text) pages.push(result);
+    } catch (err) {
+      console.warn(`🔎 OCR failed on page ${i + 1}:`, err.message);
+    }
+  }
+  const text = pages.map((p) => p.text).join("\n\n");
+  if (text.length < 20) return null;
+  const confidence = Math.round(pages.reduce((sum, p) => sum + p.confidence * p.text.length, 0) / pages.reduce((sum, p) => sum + p.text.length, 0));
+  console.log(`🔎 OCR read ${pages.length} page(s) — ${text.length} chars, ${confidence}% confidence`);
+  return { text, ocr: { pages: pages.length, confidence } };
+}
+
+function ocrConfidenceIndicator(confidence) {
+  return confidence >= OCR_GOOD_CONFIDENCE ? "🟢" : confidence >= OCR_FAIR_CONFIDENCE ? "🟡" : "🔴";
+}
+
+// PDF, a DOCX that was saved with a .pdf name, or a scan — its page images go through OCR
+async function readPdfBrief(buffer) {
+  const text = await extractPdfText(buffer);
+  if (text) return text;
+  if (buffer[0] === 0x50 && buffer[1] === 0x4B) {
+    console.log("📄 File is actually a ZIP/DOCX — trying DOCX extraction...");
+    return extractDocxText(buffer);
+  }
+  const pages = extractPdfImages(buffer, { maxImages: OCR_MAX_PAGES });
+  if (pages.length === 0) return null;
+  if (!ocr) return { skipped: "it's a scan and OCR is turned off" };
+  console.log(`🔎 No text layer — running OCR on ${pages.length} scanned page(s)...`);
+  return (await recognizeImages(pages.map((p) => p.data))) || { skipped: "it's a scan and OCR couldn't make out any text" };
+}
+
+const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Attachment types we can read, checked in order (RTF and HTML before plain text —
+// Slack sends them as text/rtf and text/html). Binary formats fall back to Slack's preview.
+const BRIEF_FILE_TYPES = [
+  { kind: "PDF", ext: /\.pdf$/i, mimes: ["application/pdf"], read: readPdfBrief, slackPreview: true },
+  { kind: "DOCX", ext: /\.docx$/i, mimes: [DOCX_MIME], read: extractDocxText, slackPreview: true },
+  { kind: "PPTX", ext: /\.pptx$/i, mimes: [PPTX_MIME], read: (buffer) => formatSlidesForBrief(extractPptxSlides(buffer)) || null, slackPreview: true },
+  { kind: "XLSX", ext: /\.xlsx$/i, mimes: [XLSX_MIME], read: (buffer) => formatTabsForBrief(extractXlsxTabs(buffer)) || null, slackPreview: true },
+  { kind: "RTF", ext: /\.rtf$/i, mimes: ["application/rtf", "text/rtf"], read: (buffer) => extractRtfText(buffer.toString("latin1")) },
+  { kind: "HTML", ext: /\.html?$/i, mimes: ["text/html"], read: (buffer) => extractHtmlText(buffer.toString("utf-8")) },
+  { kind: "text", ext: /\.(?:txt|md|csv)$/i, mimes: ["text/"], read: (buffer) => buffer.toString("utf-8").trim() || null },
+  { kind: "image", ext: /\.(?:png|jpe?g)$/i, mimes: ["image/png", "image/jpeg"], read: (buffer) => recognizeImages([buffer]), needsOcr: true },
+];
+
+function briefFileType(file) {
+  const name = file.name || "";
+  const mime = file.mimetype || "";
+  return BRIEF_FILE_TYPES.find((t) => (!t.needsOcr || ocr) &&
+    (t.ext.test(name) || t.mimes.some((m) => (m.endsWith("/") ? mime.startsWith(m) : mime === m))));
+}
+
+// Why we can't read a file, in words a producer can act on
+function unreadableFileReason(file) {
+  const name = file.name || "";
+  const mime = file.mimetype || "";
+  if (/\.key$/i.test(name) || file.filetype === "keynote") return "Keynote file — export it as PDF or PowerPoint and attach that";
+  if (/\.pages$/i.test(name)) return "Pages file — export it as PDF or Word and attach that";
+  if (/\.(?:doc|ppt|xls)$/i.test(name)) return "old Office format — save it as .docx, .pptx or .xlsx";
+  if (mime.startsWith("image/")) return ocr ? "image — only PNG and JPG can be read with OCR" : "image — OCR is turned off, so there's no text to read";
+  if (mime.startsWith("video/") || mime.startsWith("audio/")) return "video/audio — there's no text to read";
+  return `${(name.match(/\.([a-z0-9]+)$/i)?.[1] || mime || "unknown").toLowerCase()} files aren't supported`;
+}
+
+// Slack's own text conversion of an upload, when our parser gets nothing out of it
+async function slackFilePreview(file) {
+  const name = file.name || "unknown";
+  const slackPreview = file.plain_text || file.preview || "";
+  if (slackPreview.length > 50) {
+    console.log(`📄 Using Slack preview (${slackPreview.length} chars) for ${name}`);
+    return slackPreview;
+  }
+  try {
+    const fileInfo = await slack.client.files.info({ file: file.id });
+    const content = fileInfo.content || fileInfo.file?.plain_text || fileInfo.file?.preview || "";
+    if (content.length > 50) {
+      console.log(`📄 Using Slack files.info content (${content.length} chars) for ${name}`);
+      return content;
+    }
+  } catch (e) {
+    console.warn(`📄 files.info fallback failed: ${e.message}`);
+  }
+  return null;
+}
+
+// One attachment → { name, kind, text } if read, or { name, skipped } with the reason
+async function readBriefFile(file) {
+  const name = file.name || "unknown";
+  const type = briefFileType(file);
+  if (!type) {
+    const skipped = unreadableFileReason(file);
+    console.log(`📄 Skipping ${name}: ${skipped}`);
+    return { name, skipped };
+  }
+
+  console.log(`📄 Downloading ${type.kind}: ${name} (${((file.size || 0) / 1024).toFixed(0)}KB)`);
+  const buffer = await downloadSlackFile(file.url_private);
+  // Readers return the text, or { text, ocr } / { skipped } when there's more to say
+  let read = {};
+  if (buffer) {
+    try {
+      const result = await type.read(buffer);
+      read = typeof result === "string" ? { text: result } : result || {};
+    } catch (error) {
+      console.error(`📄 ${type.kind} extraction error (${name}):`, error.message);
+    }
+  }
+  if (!read.text && type.slackPreview) {
+    const preview = await slackFilePreview(file);
+    if (preview) read = { text: preview };
+  }
+
+  if (read.text) {
+    console.log(`📄 ✅ Extracted ${read.text.length} chars from ${name}${read.ocr ? " (OCR)" : ""}`);
+    return { name, kind: type.kind, text: read.text, ocr: read.ocr || null };
+  }
+  console.warn(`📄 ❌ Could not extract text from ${name}`);
+  return { name, skipped: read.skipped || (buffer ? `no readable text in this ${type.kind}` : "couldn't download it from Slack") };
+}
+
+// Extract brief content from all attachments and Google Docs/Slides/Sheets links in a message.
+// Returns { text, files } — text is null if nothing could be read; files lists every
+// attachment and link with what was read or why it was skipped.
+async function extractBriefContent(event) {
+  const briefParts = [];
+  const files = [];
+
+  // 1. File attachments — one at a time, in the order they were attached
+  for (const file of event.files || []) {
+    const result = await readBriefFile(file);
+    files.push(result);
+    if (result.text) {
+      const note = result.ocr ? ` (scanned — read with OCR at ${result.ocr.confidence}% confidence, may contain recognition errors)` : "";
+      briefParts.push(`--- Brief: ${result.name}${note} ---\n${result.text}`);
+    }
+  }
+
+  // 2. Check for Google Docs, Slides and Sheets links in the message text
+  const messageText = event.text || "";
+  for (const link of extractGoogleLinks(messageText)) {
+    const { label, fetch: fetchContent } = GOOGLE_LINK_KINDS[link.kind];
+    console.log(`📄 Fetching ${label}: ${link.id}`);
+    const text = await fetchContent(link.id);
+    if (text) {
+      console.log(`📄 Extracted ${text.length} chars from ${label}`);
+      briefParts.push(`--- ${label} Brief ---\n${text}`);
+      files.push({ name: label, kind: label, text });
+    } else {
+      console.warn(`📄 Could not fetch ${label} ${link.id} — make sure it's shared with the service account`);
+      files.push({ name: label, skipped: "couldn't open it — share it with the bot's service account" });
+    }
+  }
+
+  return { text: briefParts.length > 0 ? briefParts.join("\n\n") : null, files };
+}
+
+// Thread note listing which brief files were read and which were skipped
+function formatBriefFileReport(files) {
+  const lines = files.map((f) => {
+    if (!f.text) return `⏭️ ${f.name} — skipped: ${f.skipped}`;
+    const ocrNote = f.ocr ? ` · 🔎 OCR, ${f.ocr.pages} page(s), ${ocrConfidenceIndicator(f.ocr.confidence)} ${f.ocr.confidence}% confidence` : "";
+    return `✅ ${f.name} — ${f.kind}, ${f.text.length.toLocaleString("en-AU")} chars${ocrNote}`;
+  });
+  const scanned = files.filter((f) => f.ocr);
+  if (scanned.length > 0) {
+    lines.push("🔎 _Scanned text was read with OCR — check names, dates and figures against the original._");
+    const unclear = scanned.filter((f) => f.ocr.confidence < OCR_FAIR_CONFIDENCE).map((f) => f.name);
+    if (unclear.length > 0) {
+      lines.push(`⚠️ _Low OCR confidence on ${unclear.join(", ")} — a sharper scan or the original file will give better results._`);
+    }
+  }
+  return `📎 *Brief files*\n${lines.join("\n")}`;
+}
+
+async function postBriefFileReport(channel, threadTs, files) {
+  if (files.length === 0) return;
+  try {
+    await slack.client.chat.postMessage({ channel, thread_ts: threadTs, text: formatBriefFileReport(files) });
+  } catch (e) {
+    console.warn("📎 Could not post the brief file report:", e.message);
+  }
+}
+
+// ── Structured briefs ────────────────────────────────────────────────
+// Attached briefs are read once by a dedicated brief-analysis call that
+// fills in a Brief (client, deliverables, disciplines, timeline, budget,
+// location, tone). The recommendation works from the Brief rather than the
+// raw document, so nothing past the first few pages is lost to truncation.
+// The Brief is posted to the thread for producers to correct and stored per
+// thread, so follow-ups and corrections reuse it.
+
+const BRIEF_ANALYSIS_MAX_CHARS = 60000; // ~15k tokens — long decks fit, runaway exports don't
+const BRIEF_LIST_MAX_ITEMS = 10;
+// Kept while the thread is likely to see follow-ups and corrections — the Brief Archive tab is the long-term copy
+const BRIEF_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const briefStore = store.namespace("briefs", BRIEF_TTL_MS); // "channel:threadTs" → Brief
+
+const BRIEF_ANALYSIS_PROMPT = `You read creative agency project briefs and record the details a producer needs to staff the job.
+
+Rules:
+- Only record what the brief says. Leave a field empty rather than guess.
+- Dates as YYYY-MM-DD; resolve "w/c 3 March" style dates against today's date.
+- Disciplines are the crew the work needs, as plain agency job titles (Creative Director, Art Director, Designer, Copywriter, Animator, Motion Designer, 3D Artist, Developer, Producer, Retoucher, Photographer, Strategist).
+- Keep budget and timeline in the brief's own words, e.g. "$40k total" or "$900/day".`;
+
+const BRIEF_TOOL = {
+  name: "record_brief",
+  description: "Record the structured details of a creative brief.",
+  input_schema: {
+    type: "object",
+    properties: {
+      client: { type: "string", description: "Client company" },
+      brand: { type: "string", description: "Brand or product, if different from the client" },
+      project: { type: "string", description: "The project in under 8 words" },
+      deliverables: { type: "array", items: { type: "string" }, description: "What has to be made, e.g. \"1x 30s hero film\"" },
+      disciplines: { type: "array", items: { type: "string" }, description: "Crew disciplines the work needs, as agency job titles" },
+      start_date: { type: "string", description: "YYYY-MM-DD, if the brief gives one" },
+      end_date: { type: "string", description: "YYYY-MM-DD, if the brief gives one" },
+      timeline: { type: "string", description: "Phases, durations and key dates as written" },
+      budget: { type: "string", description: "Budget as written" },
+      location: { type: "string", description: "Where the work happens, e.g. \"Sydney office\"" },
+      work_setup: { type: "string", enum: ["On-site", "Remote", "Hybrid", "Either", ""] },
+      tone_references: { type: "array", items: { type: "string" }, description: "Tone, style and reference points" },
+    },
+  },
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function briefKey(channel, threadTs) {
+  return `${channel}:${threadTs}`;
+}
+
+// record_brief input → Brief fields, with anything malformed dropped
+function normalizeBrief(input) {
+  const list = (value) =>
+    (Array.isArray(value) ? value : typeof value === "string" ? value.split(/\n|;/) : [])
+      .map(cleanField)
+      .filter(Boolean)
+      .slice(0, BRIEF_LIST_MAX_ITEMS);
+  const date = (value) => (ISO_DATE_PATTERN.test(cleanField(value)) ? cleanField(value) : null);
+  const startDate = date(input.start_date);
+  const endDate = date(input.end_date);
+  const workSetup = cleanField(input.work_setup);
+
+  return {
+    client: cleanField(input.client),
+    brand: cleanField(input.brand),
+    project: cleanField(input.project),
+    deliverables: list(input.deliverables),
+    disciplines: list(input.disciplines),
+    startDate,
+    endDate: endDate && (!startDate || endDate >= startDate) ? endDate : null,
+    timeline: cleanField(input.timeline),
+    budget: cleanField(input.budget),
+    location: cleanField(input.location),
+    workSetup: WORK_SETUP_OPTIONS.includes(workSetup) ? workSetup : "",
+    toneReferences: list(input.tone_references),
+  };
+}
+
+// Ask Claude to structure the brief — null if the call fails, so the raw text is used instead
+async function analyseBrief(briefText, requestText = "", config = DEFAULT_BOT_CONFIG) {
+  const text = briefText.length > BRIEF_ANALYSIS_MAX_CHARS ? briefText.substring(0, BRIEF_ANALYSIS_MAX_CHARS) : briefText;
+  try {
+    const response = await claudeCreate({
+      model: config.model,
+      max_tokens: 1024,
+      system: BRIEF_ANALYSIS_PROMPT,
+      tools: [BRIEF_TOOL],
+      tool_choice: { type: "tool", name: BRIEF_TOOL.name },
+      messages: [{ role: "user", content: `Today is ${toIsoDate(new Date())}.\nProducer's request: ${requestText}\n\n${text}` }],
+    });
+    const toolUse = (response.content || []).find((b) => b.type === "tool_use" && b.name === BRIEF_TOOL.name);
+    if (!toolUse) return null;
+    const brief = normalizeBrief(toolUse.input || {});
+    console.log(`📄 Brief analysed: ${brief.client || "no client"} — ${brief.deliverables.length} deliverable(s), needs ${brief.disciplines.join(", ") || "unspecified"}`);
+    return brief;
+  } catch (err) {
+    console.warn("📄 Brief analysis failed — using the raw brief text:", err.message);
+    return null;
+  }
+}
+
+// [label, value] pairs for every field the brief filled in
+function briefFieldLines(brief) {
+  const lines = [];
+  const client = [brief.client, brief.brand].filter(Boolean).join(" / ");
+  const dates = brief.startDate ? formatDateWindow({ start: brief.startDate, end: brief.endDate || brief.startDate }) : "";
+  const timeline = [dates, brief.timeline].filter(Boolean).join(" — ");
+  const where = [brief.location, brief.workSetup].filter(Boolean).join(", ");
+  if (client) lines.push(["Client", client]);
+  if (brief.project) lines.push(["Project", brief.project]);
+  if (brief.deliverables.length) lines.push(["Deliverables", brief.deliverables.join("; ")]);
+  if (brief.disciplines.length) lines.push(["Needs", brief.disciplines.join(", ")]);
+  if (timeline) lines.push(["Timeline", timeline]);
+  if (brief.budget) lines.push(["Budget", brief.budget]);
+  if (where) lines.push(["Location", where]);
+  if (brief.toneReferences.length) lines.push(["Tone", brief.toneReferences.join("; ")]);
+  return lines;
+}
+
+// What the recommendation prompt sees in place of the raw brief
+function formatBriefForRecommendation(brief) {
+  const source = brief.correctedBy ? "checked by the producer" : "read from the attached brief";
+  return `STRUCTURED BRIEF (${source}):\n${briefFieldLines(brief).map(([label, value]) => `• ${label}: ${value}`).join("\n")}`;
+}
+
+// Words the scorer should match on — budget and dates are pinned separately
+function briefCriteriaText(brief) {
+  return [brief.client, brief.brand, brief.project, ...brief.deliverables, ...brief.disciplines, ...brief.toneReferences]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// The brief's disciplines, dates and (day-rate) budget override guesses from the request text
+function applyBriefToCriteria(criteria, brief) {
+  const categories = detectCategories(brief.disciplines.join(", "));
+  const dayRate = /\b(?:per|a)\s+day\b|\/\s*day\b|\bdaily\b|\bday rate\b/i.test(brief.budget) ? extractBudgetFromText(brief.budget) : null;
+  return {
+    ...criteria,
+    categories: categories.length > 0 ? categories : criteria.categories,
+    budget: dayRate || criteria.budget,
+    startDate: brief.startDate || criteria.startDate,
+    endDate: brief.startDate
+      ? brief.endDate || addDays(brief.startDate, DEFAULT_WINDOW_DAYS - 1)
+      : criteria.endDate,
+  };
+}
+
+function buildBriefSummaryMessage(brief) {
+  const heading = `📄 *Brief${brief.project ? ` — ${brief.project}` : ""}*`;
+  const fields = briefFieldLines(brief).map(([label, value]) => `• *${label}:* ${value}`);
+  const footer = brief.correctedBy
+    ? `_Corrected by <@${brief.correctedBy}>_`
+    : `_Read from ${brief.sources.join(", ") || "the attached brief"} — anything wrong? Correct it and I'll search again._`;
+  const text = [heading, ...(fields.length ? fields : ["_Nothing structured found in the brief._"]), footer].join("\n");
+  return {
+    text,
+    blocks: [
+      { type: "section", text: { type: "mrkdwn", text } },
+      {
+        type: "actions",
+        elements: [
+          { type: "button", text: { type: "plain_text", text: "✏️ Correct brief" }, action_id: "brief_edit", value: briefKey(brief.channel, brief.threadTs) },
+        ],
+      },
+    ],
+  };
+}
+
+// Post the summary in the thread and store the Brief (with the summary's ts, so corrections can update it)
+async function saveAndPostBrief(brief) {
+  try {
+    const posted = await slack.client.chat.postMessage({ channel: brief.channel, thread_ts: brief.threadTs, ...buildBriefSummaryMessage(brief) });
+    brief.summaryTs = posted.ts;
+  } catch (e) {
+    console.warn("📄 Could not post the brief summary:", e.data?.error || e.message);
+  }
+  await briefStore.set(briefKey(brief.channel, brief.threadTs), brief);
+}
+
+// A new brief is analysed, archived and posted for producers to correct — the same for
+// single-role requests and crew mode. Returns { brief, archiveId }; brief is null if it
+// couldn't be structured (callers fall back to the raw text).
+// request = { channel, threadTs, query, requestText, requester, crew }
+async function structureBrief(documents, request, config) {
+  const { channel, threadTs, query } = request;
+  const fields = await analyseBrief(documents.text, request.requestText || query, config);
+  const sources = documents.files.filter((f) => f.text).map((f) => f.name);
+  const archiveId = await archiveBrief({ text: documents.text, brief: fields, channel, threadTs, requester: request.requester, request: query, sources });
+  if (!fields) return { brief: null, archiveId };
+
+  const brief = {
+    ...fields,
+    channel,
+    threadTs,
+    request: query,
+    requestText: request.requestText || null,
+    requester: request.requester || null,
+    crew: request.crew || false,
+    sources,
+    archiveId,
+    createdAt: new Date().toISOString(),
+  };
+  await saveAndPostBrief(brief);
+  return { brief, archiveId };
+}
+
+function buildBriefEditModal(brief, key) {
+  const textInput = (blockId, label, value, { multiline = false, hint } = {}) => ({
+    type: "input",
+    block_id: blockId,
+    optional: true,
+    label: { type: "plain_text", text: label },
+    ...(hint ? { hint: { type: "plain_text", text: hint } } : {}),
+    element: { type: "plain_text_input", action_id: "value", multiline, ...(value ? { initial_value: value } : {}) },
+  });
+  const dateInput = (blockId, label, value) => ({
+    type: "input",
+    block_id: blockId,
+    optional: true,
+    label: { type: "plain_text", text: label },
+    element: { type: "datepicker", action_id: "value", ...(value ? { initial_date: value } : {}) },
+  });
+
+  return {
+    type: "modal",
+    callback_id: "brief_edit",
+    private_metadata: key,
+    title: { type: "plain_text", text: "Correct brief" },
+    submit: { type: "plain_text", text: "Save & search" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      textInput("client", "Client", brief.client),
+      textInput("brand", "Brand / product", brief.brand),
+      textInput("project", "Project", brief.project),
+      textInput("deliverables", "Deliverables", brief.deliverables.join("\n"), { multiline: true, hint: "One per line" }),
+      textInput("disciplines", "Disciplines needed", brief.disciplines.join("\n"), { multiline: true, hint: "One per line, e.g. Animator" }),
+      dateInput("start_date", "Start date", brief.startDate),
+      dateInput("end_date", "End date", brief.endDate),
+      textInput("timeline", "Timeline notes", brief.timeline),
+      textInput("budget", "Budget", brief.budget, { hint: "Say \"per day\" for a day rate cap, e.g. $900/day" }),
+      textInput("location", "Location", brief.location),
+      {
+        type: "input",
+        block_id: "work_setup",
+        optional: true,
+        label: { type: "plain_text", text: "On-site or remote?" },
+        element: {
+          type: "radio_buttons",
+          action_id: "value",
+          options: WORK_SETUP_OPTIONS.map(plainOption),
+          ...(brief.workSetup ? { initial_option: plainOption(brief.workSetup) } : {}),
+        },
+      },
+      textInput("tone_references", "Tone & references", brief.toneReferences.join("\n"), { multiline: true, hint: "One per line" }),
+    ],
+  };
+}
+
+// Submitted modal → record_brief-shaped input, so it goes through the same normalizeBrief
+function parseBriefEditView(view) {
+  const values = view.state.values;
+  const get = (blockId) => values[blockId]?.value || {};
+  return {
+    client: get("client").value || "",
+    brand: get("brand").value || "",
+    project: get("project").value || "",
+    deliverables: get("deliverables").value || "",
+    disciplines: get("disciplines").value || "",
+    start_date: get("start_date").selected_date || "",
+    end_date: get("end_date").selected_date || "",
+    timeline: get("timeline").value || "",
+    budget: get("budget").value || "",
+    location: get("location").value || "",
+    work_setup: get("work_setup").selected_option?.value || "",
+    tone_references: get("tone_references").value || "",
+  };
+}
+
+async function handleBriefEditButton({ ack, body, action, client }) {
+  await ack();
+  const brief = await briefStore.get(action.value);
+  if (!brief) {
+    await slack.client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      thread_ts: body.message?.thread_ts || body.message?.ts,
+      text: "ℹ️ I no longer have that brief — attach it again to start over.",
+    });
+    return;
+  }
+  try {
+    await client.views.open({ trigger_id: body.trigger_id, view: buildBriefEditModal(brief, action.value) });
+  } catch (err) {
+    console.error("📄 Could not open the brief editor:", err.data?.error || err.message);
+  }
+}
+
+async function handleBriefEditSubmit({ ack, body, view }) {
+  const input = parseBriefEditView(view);
+  if (input.start_date && input.end_date && input.end_date < input.start_date) {
+    await ack({ response_action: "errors", errors: { end_date: "End date is before the start date" } });
+    return;
+  }
+  await ack();
+
+  const key = view.private_metadata;
+  const previous = await briefStore.get(key);
+  if (!previous) return;
+  const brief = { ...previous, ...normalizeBrief(input), correctedBy: body.user.id, updatedAt: new Date().toISOString() };
+  await briefStore.set(key, brief);
+  console.log(`📄 Brief for ${key} corrected by ${body.user.name || body.user.id}`);
+  if (brief.archiveId) await updateArchivedBrief(brief);
+
+  try {
+    if (brief.summaryTs) {
+      await slack.client.chat.update({ channel: brief.channel, ts: brief.summaryTs, ...buildBriefSummaryMessage(brief) });
+    }
+    await slack.client.chat.postMessage({
+      channel: brief.channel,
+      thread_ts: brief.threadTs,
+      text: `✏️ <@${body.user.id}> corrected the brief — searching again with the new details.`,
+    });
+  } catch (e) {
+    console.warn("📄 Could not update the brief summary:", e.data?.error || e.message);
+  }
+
+  const rerun = { channel: brief.channel, threadTs: brief.threadTs, query: brief.request, requester: brief.requester || undefined, brief };
+  (brief.crew
+    ? runCrewProposal(rerun)
+    : runRecommendationPipeline({ ...rerun, requestText: brief.requestText || undefined, label: "[brief] " })
+  ).catch((err) => console.error("📄 Re-run after brief correction failed:", err.message));
+}
+
+// ── Portfolio scraping ────────────────────────────────────────────────
+
+const PORTFOLIO_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Cache for 7 days (portfolios change rarely)
+const portfolioCache = store.namespace("portfolios", PORTFOLIO_CACHE_TTL_MS); // url → { summary, imageUrl }
+
+function stripHtmlToText(html) {
+  const $ = cheerio.load(html);
+  // Remove scripts, styles, navs, footers — keep the meat
+  $("script, style, nav, footer, header, iframe, noscript").remove();
+  // Get text, collapse whitespace
+  return $("body").text().replace(/\s+/g, " ").trim();
+}
+
+async function scrapePortfolio(portfolioUrl, personName) {
+  if (!portfolioUrl) return null;
+
+  // Clean and validate the URL
+  let url = portfolioUrl.trim();
+  if (!url.startsWith("http")) url = "https://" + url;
+
+  // Check cache
+  const cached = await portfolioCache.get(url);
+  if (cached) return cached;
+
+  try {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 8000); // 8 second timeout per site
+
+    const response = await fetch(url, {
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (compatible; FreelancerFinderBot/1.0; internal agency tool)",
+      },
+      signal: controller.signal,
+      redirect: "follow",
+    });
+
+    clearTimeout(timeout);
+
+    if (!response.ok) {
+      console.error(`Portfolio fetch failed for ${url}: ${response.status}`);
+      return null;
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    if (!contentType.includes("text/html")) {
+      // Not an HTML page (could be a PDF portfolio, image, etc.)
+      return null;
+    }
+
+    const html = await response.text();
+    const $ = cheerio.load(html);
+
+    // ── Smart profile image finder ─────────────────────────────────
+    // Score all images on the page to find the most likely headshot.
+    // Priority: filename/alt/class keywords > og:image as last resort.
+
+    // Build name fragments for matching (e.g. "John Smith" → ["john", "smith"])
+    const nameFragments = personName
+      ? personName.toLowerCase().split(/[\s\-]+/).filter((w) => w.length > 2)
+      : [];
+
+    // Keywords that strongly suggest a headshot/profile pic
+    const headshotKeywords = [
+      "profile", "avatar", "headshot", "head-shot", "portrait",
+      "author", "bio", "about-me", "aboutme", "mugshot", "selfie",
+      "team-photo", "staff", "person", "face", "photo-of",
+    ];
+
+    // Keywords that suggest it's NOT a profile pic
+    const excludeKeywords = [
+      "logo", "favicon", "icon", "banner", "hero", "bg", "background",
+      "pattern", "texture", "sprite", "placeholder", "default", "og-default",
+      "loading", "spinner", "arrow", "chevron", "badge", "social",
+      "facebook", "twitter", "instagram", "linkedin", "youtube",
+      "client", "brand", "award", "certificate",
+    ];
+
+    // Collect all candidate images with scores
+    const candidates = [];
+
+    $("img").each((_, el) => {
+      const src = $(el).attr("src") || "";
+      const alt = ($(el).attr("alt") || "").toLowerCase();
+      const className = ($(el).attr("class") || "").toLowerCase();
+      const id = ($(el).attr("id") || "").toLowerCase();
+      const parentClass = ($(el).parent().attr("class") || "").toLowerCase();
+      const parentId = ($(el).parent().attr("id") || "").toLowerCase();
+
+      if (!src) return;
+
+      // Resolve to absolute URL
+      let absoluteSrc = src;
+      if (!absoluteSrc.startsWith("http")) {
+        try { absoluteSrc = new URL(absoluteSrc, url).href; } catch (e) { return; }
+      }
+
+      const srcLower = absoluteSrc.toLowerCase();
+      const allText = `${srcLower} ${alt} ${className} ${id} ${parentClass} ${parentId}`;
+
+      // Skip tiny images (tracking pixels, icons) and SVGs
+      if (srcLower.endsWith(".svg") || srcLower.includes("1x1") || srcLower.includes("pixel")) return;
+      // Skip excluded keywords
+      if (excludeKeywords.some((kw) => allText.includes(kw))) return;
+
+      let score = 0;
+
+      // Strong signal: filename or alt/class contains headshot keywords
+      for (const kw of headshotKeywords) {
+        if (srcLower.includes(kw)) score += 10;
+        if (alt.includes(kw)) score += 8;
+        if (className.includes(kw) || id.includes(kw)) score += 6;
+        if (parentClass.includes(kw) || parentId.includes(kw)) score += 4;
+      }
+
+      // Strong signal: filename or alt contains the person's name
+      for (const frag of nameFragments) {
+        if (srcLower.includes(frag)) score += 12;
+        if (alt.includes(frag)) score += 10;
+      }
+
+      // Medium signal: round/circle styling (common for headshots)
+      if (allText.includes("rounded-full") || allText.includes("border-radius") ||
+          allText.includes("circle") || allText.includes("round")) {
+        score += 5;
+      }
+
+      // Medium signal: image is in an "about", "bio", "contact", "header", "intro" section
+      // Walk up a few parent levels to check
+      let parent = $(el).parent();
+      for (let depth = 0; depth < 5; depth++) {
+        const pClass = (parent.attr("class") || "").toLowerCase();
+        const pId = (parent.attr("id") || "").toLowerCase();
+        if (pClass.includes("about") || pId.includes("about") ||
+            pClass.includes("bio") || pId.includes("bio") ||
+            pClass.includes("team") || pId.includes("team") ||
+            pClass.includes("author") || pId.includes("author") ||
+            pClass.includes("intro") || pId.includes("intro") ||
+            pClass.includes("contact") || pId.includes("contact") ||
+            pClass.includes("founder") || pId.includes("founder") ||
+            pClass.includes("header") || pId.includes("header") ||
+            pClass.includes("hero") || pId.includes("hero")) {
+          score += 6;
+          break;
+        }
+        parent = parent.parent();
+        if (!parent.length) break;
+      }
+
+      // Slight signal: common headshot image extensions & sizes
+      if (srcLower.match(/\.(jpg|jpeg|png|webp)/)) score += 1;
+      // object-cover + contained size classes often indicate headshots
+      if (className.includes("object-cover")) score += 3;
+
+      // Medium signal: image has width/height attributes suggesting a portrait-ish size
+      const width = parseInt($(el).attr("width") || "0", 10);
+      const height = parseInt($(el).attr("height") || "0", 10);
+      if (width > 0 && height > 0) {
+        const ratio = height / width;
+        // Square-ish or portrait (0.7 to 1.5 ratio) and reasonable size
+        if (ratio >= 0.7 && ratio <= 1.5 && width >= 80 && width <= 600) score += 4;
+      }
+
+      // Collect ALL images (even score 0) so we can use the best available
+      candidates.push({ src: absoluteSrc, score, alt, debug: allText.substring(0, 100) });
+    });
+
+    // Sort by score descending, pick the best
+    candidates.sort((a, b) => b.score - a.score);
+
+    let imageUrl = null;
+
+    // Also score the og:image/twitter:image as a candidate
+    const ogImage =
+      $('meta[property="og:image"]').attr("content") ||
+      $('meta[name="og:image"]').attr("content") ||
+      $('meta[property="twitter:image"]').attr("content") ||
+      $('meta[name="twitter:image"]').attr("content") ||
+      "";
+    if (ogImage) {
+      let ogAbsolute = ogImage.trim();
+      try { ogAbsolute = new URL(ogAbsolute, url).href; } catch (e) { ogAbsolute = ""; }
+      if (ogAbsolute) {
+        const ogLower = ogAbsolute.toLowerCase();
+        // Give og:image a baseline score of 2 (it's the site's chosen preview image)
+        let ogScore = 2;
+        // Boost if it contains headshot keywords or the person's name
+        for (const kw of headshotKeywords) { if (ogLower.includes(kw)) ogScore += 8; }
+        for (const frag of nameFragments) { if (ogLower.includes(frag)) ogScore += 10; }
+        // Penalize if it looks like a logo or project image
+        const ogBad = ["logo", "favicon", "icon", "banner", "project", "work", "og-default", "default"];
+        if (!ogBad.some((p) => ogLower.includes(p))) {
+          candidates.push({ src: ogAbsolute, score: ogScore, alt: "og:image", debug: "og:image" });
+        }
+      }
+    }
+
+    // Sort by score descending
+    candidates.sort((a, b) => b.score - a.score);
+
+    if (candidates.length > 0 && candidates[0].score >= 3) {
+      imageUrl = candidates[0].src;
+      console.log(`📸 ${url}: best image (score=${candidates[0].score}): ${imageUrl.substring(imageUrl.lastIndexOf("/") + 1).substring(0, 50)}`);
+      if (candidates.length > 1) {
+        console.log(`📸   runners-up: ${candidates.slice(1, 3).map((c) => `score=${c.score} ${c.src.substring(c.src.lastIndexOf("/") + 1).substring(0, 40)}`).join(", ")}`);
+      }
+    } else {
+      console.log(`📸 ${url}: no suitable image found (${candidates.length} candidates, best score=${candidates.length > 0 ? candidates[0].score : 0})`);
+    }
+
+    // Ensure HTTPS for Slack
+    if (imageUrl && imageUrl.startsWith("http://")) {
+      imageUrl = imageUrl.replace("http://", "https://");
+    }
+
+    let pageText = stripHtmlToText(html);
+
+    // Truncate to ~3000 chars — enough context for a summary, not so much that it's wasteful
+    if (pageText.length > 3000) {
+      pageText = pageText.substring(0, 3000) + "...";
+    }
+
+    let summary = null;
+    if (pageText.length >= 50) {
+      // Use Claude to extract a short insight from the portfolio
+      const summaryResponse = await claudeCreate({
+        model: "claude-haiku-4-5-20251001",
+        max_tokens: 150,
+        system:
+          "You summarise freelancer portfolio websites for an agency. Given the raw text from a portfolio site, provide a 1-2 sentence summary of: what kind of work they showcase, any notable clients or brands visible, and their apparent specialty or style. Be specific and factual. If the text is too garbled or empty to summarise, reply with just: INSUFFICIENT_DATA",
+        messages: [
+          {
+            role: "user",
+            content: `Portfolio text from ${url}:\n\n${pageText}`,
+          },
+        ],
+      });
+
+      const text = summaryResponse.content?.[0]?.text || null;
+      if (text && !text.includes("INSUFFICIENT_DATA")) {
+        summary = text;
+      }
+    }
+
+    const result = { summary, imageUrl };
+
+    // Cache if we got anything useful (summary or image)
+    if (result.summary || result.imageUrl) {
+      await portfolioCache.set(url, result);
+      return result;
+    }
+
+    return null;
+  } catch (error) {
+    if (error.name === "AbortError") {
+      console.error(`Portfolio fetch timed out for ${url}`);
+    } else {
+      console.error(`Portfolio scrape error for ${url}:`, error.message);
+    }
+    return null;
+  }
+}
+
+// Scrape portfolios for a list of recommended names
+// Returns { text, images } — text is the portfolio insights string, images is a name → imageUrl map
+async function enrichWithPortfolios(names, roster) {
+  const matches = [];
+  for (const name of names) {
+    const person = roster.find(
+      (p) => p.Name && normalizeName(p.Name) === normalizeName(name)
+    );
+    if (person) {
+      const portfolioUrl = person.Portfolio || "";
+      // "Profile Image" column in the sheet overrides scraped image (direct link to a headshot)
+      const manualPhoto = person["Profile Image"] || person["Profile Image URL"] || person["Image"] || person.Photo || person["Photo URL"] || "";
+      matches.push({ name: person.Name, url: portfolioUrl, manualPhoto: manualPhoto.trim() });
+    }
+  }
+
+  if (matches.length === 0) {
+    console.log("📸 No portfolio URLs found for recommended people");
+    return { text: "", images: {} };
+  }
+
+  console.log(`📸 Enriching ${matches.length} recommended people: ${matches.map((m) => `${m.name} (${m.url || "no portfolio"})`).join(", ")}`);
+
+  // Fetch all portfolios in parallel (only those with URLs)
+  const results = await Promise.all(
+    matches.map(async (m) => {
+      let scrapeResult = null;
+      if (m.url) {
+        scrapeResult = await scrapePortfolio(m.url, m.name);
+      }
+
+      // Use manual photo if provided, otherwise use scraped image
+      let imageUrl = m.manualPhoto || (scrapeResult ? scrapeResult.imageUrl : null);
+      // Ensure HTTPS for Slack blocks
+      if (imageUrl && imageUrl.startsWith("http://")) {
+        imageUrl = imageUrl.replace("http://", "https://");
+      }
+      // Filter out URLs that are clearly not headshots (logos, icons, tiny images)
+      if (imageUrl) {
+        const urlLower = imageUrl.toLowerCase();
+        const badPatterns = ["logo", "favicon", "icon", "badge", "banner", "sprite", "1x1", "pixel", "placeholder", "default"];
+        if (badPatterns.some((p) => urlLower.includes(p))) {
+          console.log(`📸 ${m.name}: filtered out bad image URL (${urlLower.substring(urlLower.lastIndexOf("/") + 1, urlLower.lastIndexOf("/") + 40)})`);
+          imageUrl = null;
+        }
+      }
+      const summary = scrapeResult ? scrapeResult.summary : null;
+
+      if (!imageUrl && !summary) {
+        console.log(`📸 ${m.name}: no image or summary found`);
+        return null;
+      }
+
+      console.log(`📸 ${m.name}: image=${imageUrl ? "✅" : "❌"}, summary=${summary ? "✅" : "❌"}`);
+      return { name: m.name, summary, imageUrl, url: m.url };
+    })
+  );
+
+  const validResults = results.filter((r) => r !== null);
+  if (validResults.length === 0) return { text: "", images: {} };
+
+  const images = {};
+  let text = "";
+  const summaries = validResults.filter((r) => r.summary);
+
+  if (summaries.length > 0) {
+    text = "\n\n🎨 *Portfolio Insights*\n";
+    for (const r of summaries) {
+      text += `• *${r.name}*: ${r.summary} (<${r.url}|View portfolio>)\n`;
+    }
+  }
+
+  for (const r of validResults) {
+    if (r.imageUrl) {
+      images[r.name] = r.imageUrl;
+    }
+  }
+
+  console.log(`📸 Final: ${Object.keys(images).length} image(s), ${summaries.length} summary/summaries`);
+  return { text, images };
+}
+
+// ── Combined enrichment ───────────────────────────────────────────────
+
+async function enrichRecommendations(names, roster) {
+  return await enrichWithPortfolios(names, roster);
+}
+
+// ── Profile Image Enrichment — scrape portfolio sites for headshots ──
+// Runs in background, finds freelancers with a portfolio URL but no profile image,
+// scrapes the og:image, and writes it back to the Google Sheet.
+
+async function enrichProfileImages() {
+  console.log("📸 Profile Image Enrichment: starting...");
+
+  // Clear portfolio cache so images are re-scraped with latest scoring logic
+  await portfolioCache.clear();
+
+  try {
+    // Need to read fresh data (bypass cache) to see current Profile Image column
+    const updates = []; // { tabName, rowIndex, colIndex, imageUrl }
+
+    for (const tabName of FREELANCER_TABS) {
+      try {
+        const { data } = await sheets.spreadsheets.values.get({
+          spreadsheetId: SPREADSHEET_ID,
+          range: `'${tabName}'!A2:Z`,
+        });
+
+        const rows = data.values || [];
+        if (rows.length < 2) continue;
+
+        const headers = rows[0].map((h) => h.trim());
+        const nameCol = headers.findIndex((h) => h.toLowerCase() === "name");
+        const portfolioCol = headers.findIndex((h) => h.toLowerCase() === "portfolio");
+        const imageCol = headers.findIndex((h) =>
+          h.toLowerCase() === "profile image" || h.toLowerCase() === "profile image url" || h.toLowerCase() === "image"
+        );
+
+        if (nameCol < 0 || portfolioCol < 0 || imageCol < 0) continue;
+
+        for (let i = 1; i < rows.length; i++) {
+          const row = rows[i];
+          const name = (row[nameCol] || "").trim();
+          const portfolio = (row[portfolioCol] || "").trim();
+          const existingImage = (row[imageCol] || "").trim();
+
+          // Skip if no portfolio URL or already has an image
+          if (!name || !portfolio || existingImage) continue;
+
+          updates.push({
+            tabName,
+            name,
+            portfolio,
+            // Row 2 = headers, data starts at row 3 (i=1 means row 3)
+            rowNumber: i + 2, // +2 because: row 1 = tab title, row 2 = headers, data starts row 3
+            colIndex: imageCol,
+          });
+        }
+      } catch (err) {
+        // Tab might not exist or be unreadable
+      }
+    }
+
+    if (updates.length === 0) {
+      console.log("📸 Profile Image Enrichment: all freelancers already have images (or no 'Profile Image' column found)");
+      return;
+    }
+
+    console.log(`📸 Profile Image Enrichment: ${updates.length} freelancer(s) need images`);
+
+    // Process in batches of 5 to be polite
+    let enrichedCount = 0;
+    for (let i = 0; i < updates.length && i < 20; i++) {
+      const item = updates[i];
+
+      try {
+        const result = await scrapePortfolio(item.portfolio, item.name);
+        if (result && result.imageUrl) {
+          // Write the image URL to the sheet
+          const colLetter = String.fromCharCode(65 + item.colIndex); // A=0, B=1, etc.
+          const cellRange = `'${item.tabName}'!${colLetter}${item.rowNumber}`;
+
+          await sheets.spreadsheets.values.update({
+            spreadsheetId: SPREADSHEET_ID,
+            range: cellRange,
+            valueInputOption: "RAW",
+            requestBody: {
+              values: [[result.imageUrl]],
+            },
+          });
+
+          console.log(`📸 ${item.name}: saved image URL to ${cellRange}`);
+          enrichedCount++;
+        } else {
+          console.log(`📸 ${item.name}: no image found on portfolio`);
+        }
+      } catch (err) {
+        console.warn(`📸 ${item.name}: error — ${err.message}`);
+      }
+
+      // Be polite between requests
+      await new Promise((r) => setTimeout(r, 1500));
+    }
+
+    // Bust cache so next roster fetch picks up the new images
+    await sheetCache.delete("roster");
+
+    console.log(`📸 Profile Image Enrichment: done — ${enrichedCount} image(s) added`);
+  } catch (err) {
+    console.warn("📸 Profile Image Enrichment error:", err.message);
+  }
+}
+
+// ── Look up a freelancer's profile image from the roster (instant, no scraping) ──
+
+function getImageFromRoster(name, roster) {
+  const person = roster.find(
+    (p) => p.Name && normalizeName(p.Name) === normalizeName(name)
+  );
+  if (!person) return null;
+  const url = person["Profile Image"] || person["Profile Image URL"] || person["Image"] || person.Photo || person["Photo URL"] || "";
+  if (!url.trim()) return null;
+  // Filter out obvious non-headshots
+  const lower = url.toLowerCase();
+  if (["logo", "favicon", "icon", "badge", "banner", "placeholder", "default"].some((p) => lower.includes(p))) return null;
+  return url.trim().startsWith("http://") ? url.trim().replace("http://", "https://") : url.trim();
+}
+
+// ── Margin line for a recommended person (sell rate minus cost) ──────
+// Computed from the sheet, not by Claude, so account managers can trust the numbers.
+
+function formatMarginLine(person) {
+  const { cost, sell, sellDerived } = getPersonRates(person);
+  if (!cost) return "💰 _No cost rate on file — confirm before quoting_";
+
+  const low = sell.min - cost.max;
+  const high = sell.max - cost.min;
+  const margin = low === high ? formatMoney(low) : `${formatMoney(low)}–${formatMoney(high)}`;
+  const pct = Math.round((low / sell.min) * 100);
+  return `💰 Cost ${formatRateRange(cost)}/day · Sell ${formatRateRange(sell)}/day${sellDerived ? " (2× cost)" : ""} · *Margin ${margin}/day* (${pct}%)`;
+}
+
+// ── Structured recommendations — tool-use output from Claude ─────────
+// The recommendation call forces Claude to answer through the
+// recommend_talent tool, so the Slack cards are built from fields rather
+// than regex-parsed out of markdown. Every name is resolved against the
+// sheet before anything is posted; unknown people are dropped.
+
+const RECOMMENDATION_TOOL_NAME = "recommend_talent";
+
+// The tool schema for a channel — the number of freelancer picks comes from its config, like the system prompt
+function buildRecommendationTool(config = DEFAULT_BOT_CONFIG) {
+  return {
+    name: RECOMMENDATION_TOOL_NAME,
+    description: "Return talent recommendations for the request, or a clarifying question / follow-up answer.",
+    input_schema: {
+      type: "object",
+      properties: {
+        internal: {
+          type: "array",
+          description: "Internal studio team picks — always considered first.",
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string", description: "Exact name from the internal team data" },
+              role: { type: "string" },
+              level: { type: "string" },
+              reasons: { type: "string", description: "2-3 sentences on why they fit" },
+              job_numbers: { type: "array", items: { type: "string" }, description: "Streamtime job numbers cited, without brackets" },
+              caveats: { type: "string", description: "Availability, budget or other things to check" },
+            },
+            required: ["name", "reasons"],
+          },
+        },
+        no_internal_reason: { type: "string", description: "Why no internal team member fits, if internal is empty" },
+        freelancers: {
+          type: "array",
+          description: `Freelancers ranked best first — up to ${config.freelancerPicks}.`,
+          maxItems: config.freelancerPicks,
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string", description: "Exact name from the freelancer roster" },
+              category: { type: "string" },
+              level: { type: "string" },
+              day_rate: { type: "string", description: "Cost rate per 8hr day as shown in the data" },
+              reasons: { type: "string", description: "2-3 sentences on why they fit" },
+              job_numbers: { type: "array", items: { type: "string" }, description: "Streamtime job numbers cited, without brackets" },
+              caveats: { type: "string", description: "Availability, budget or other things to check" },
+            },
+            required: ["name", "reasons"],
+          },
+        },
+        note: { type: "string", description: "Optional closing note — availability, budget, combining internal + freelance" },
+        clarifying_question: { type: "string", description: "Set instead of picks when the request is too vague" },
+        message: { type: "string", description: "Plain answer for follow-ups that don't need new picks" },
+      },
+    },
+  };
+}
+
+const MEDALS = ["🥇", "🥈", "🥉"];
+
+const cleanField = (value) => (typeof value === "string" ? value.trim() : "");
+
+// ── Hallucination guard ──────────────────────────────────────────────
+// Every person, day rate and Streamtime job number in Claude's answer is
+// checked against the sheet and Streamtime before it's posted. Unknown
+// names get one corrective re-prompt and are then stripped; wrong rates
+// are replaced with the sheet's; uncited job numbers are removed. Each
+// fix is listed under the picks so producers can see what changed.
+
+// Streamtime job references written inline, e.g. "[WOOL1349]" or "[ACM-042]"
+const JOB_REF_PATTERN = /\[([A-Za-z]{2,}[\w-]*?\d+[\w-]*)\]/g;
+
+const normalizeJobNumber = (value) => String(value).replace(/[[\]\s]/g, "").toUpperCase();
+
+function knownJobNumbers(person, streamtimeData) {
+  const stPerson = findStreamtimePerson(streamtimeData, person.Name);
+  return new Set((stPerson?.jobList || []).map((j) => normalizeJobNumber(j.number || "")).filter(Boolean));
+}
+
+// Check one pick's quoted rate and cited jobs; returns the cleaned fields plus human-readable corrections
+function verifyPickDetails(raw, person, streamtimeData) {
+  const corrections = [];
+
+  // Day rate — the card always shows the sheet's figure, but call out a misquote
+  const quoted = parseCurrencyAmount(cleanField(raw.day_rate));
+  const { cost } = getPersonRates(person);
+  if (quoted && cost && (quoted.min !== cost.min || quoted.max !== cost.max)) {
+    corrections.push(`${person.Name}: rate quoted as ${formatRateRange(quoted)}/day, the sheet says ${formatRateRange(cost)}/day`);
+  }
+
+  // Job numbers — keep only ones in this person's Streamtime history
+  const known = knownJobNumbers(person, streamtimeData);
+  const unverified = new Set();
+  const cited = (Array.isArray(raw.job_numbers) ? raw.job_numbers : []).map(normalizeJobNumber).filter(Boolean);
+  const jobNumbers = [...new Set(cited)].filter((j) => known.has(j) || !unverified.add(j));
+  const stripRefs = (text) =>
+    cleanField(text).replace(JOB_REF_PATTERN, (ref, number) => {
+      if (known.has(normalizeJobNumber(number))) return ref;
+      unverified.add(normalizeJobNumber(number));
+      return "";
+    }).replace(/\s{2,}/g, " ").replace(/\s+([.,;])/g, "$1").trim();
+  const reasons = stripRefs(raw.reasons);
+  const caveats = stripRefs(raw.caveats);
+  if (unverified.size > 0) {
+    corrections.push(`${person.Name}: removed ${[...unverified].map((j) => `[${j}]`).join(" ")} — not in their Streamtime history`);
+  }
+
+  return { reasons, caveats, jobNumbers, corrections };
+}
+
+// Turn the raw tool input into a recommendation whose people all exist in the sheet.
+// Picks filed under the wrong list (a freelancer under internal) are moved; unknown names are dropped,
+// and so is anyone who wasn't on the shortlist Claude was shown (e.g. over budget).
+function validateRecommendation(input, { roster, team, streamtime, config, shortlist }) {
+  const rec = {
+    internal: [],
+    freelancers: [],
+    noInternalReason: cleanField(input.no_internal_reason),
+    note: cleanField(input.note),
+    clarifyingQuestion: cleanField(input.clarifying_question),
+    message: cleanField(input.message),
+    dropped: [],
+    corrections: [],
+  };
+  const seen = new Set();
+  const shortlisted = shortlist
+    ? new Set([...shortlist.freelancers, ...shortlist.team].map((e) => normalizeName(e.person.Name)))
+    : null;
+
+  const toPick = (raw, person, isTeam) => {
+    const verified = verifyPickDetails(raw, person, streamtime);
+    rec.corrections.push(...verified.corrections);
+    return {
+      name: person.Name,
+      person,
+      isTeam,
+      role: isTeam ? person.Role || cleanField(raw.role) : "",
+      category: isTeam ? "" : person.Category || cleanField(raw.category),
+      level: person.Level || cleanField(raw.level),
+      dayRate: getPersonRate(person) || cleanField(raw.day_rate),
+      reasons: verified.reasons,
+      jobNumbers: verified.jobNumbers,
+      caveats: verified.caveats,
+    };
+  };
+
+  const place = (raw, preferTeam) => {
+    const name = cleanField(raw?.name);
+    const teamMatch = findClosestPerson(team, name);
+    const rosterMatch = findClosestPerson(roster, name);
+    const [person, isTeam] = preferTeam
+      ? teamMatch ? [teamMatch, true] : [rosterMatch, false]
+      : rosterMatch ? [rosterMatch, false] : [teamMatch, true];
+    if (!person) {
+      if (name) rec.dropped.push(name);
+      return;
+    }
+    if (!namesMatch(person.Name, name)) console.log(`🛡️ Matched "${name}" to "${person.Name}"`);
+    const key = normalizeName(person.Name);
+    if (shortlisted && !shortlisted.has(key)) {
+      if (!rec.dropped.includes(person.Name)) rec.dropped.push(person.Name);
+      return;
+    }
+    if (seen.has(key)) return;
+    seen.add(key);
+    (isTeam ? rec.internal : rec.freelancers).push(toPick(raw, person, isTeam));
+  };
+
+  for (const raw of Array.isArray(input.internal) ? input.internal : []) place(raw, true);
+  for (const raw of Array.isArray(input.freelancers) ? input.freelancers : []) place(raw, false);
+  rec.freelancers = rec.freelancers.slice(0, (config || DEFAULT_BOT_CONFIG).freelancerPicks);
+
+  if (rec.dropped.length > 0) {
+    console.warn(`🚫 ${rec.dropped.length} recommended name(s) not on the shortlist: ${rec.dropped.join(", ")}`);
+  }
+  return rec;
+}
+
+// Why a dropped name was left out — unknown, over budget, or just not shortlisted for this request
+function droppedReason(name, { roster, team, shortlist }) {
+  const person = findClosestPerson(roster, name) || findClosestPerson(team, name);
+  if (!person) return "not in the roster or internal team sheet";
+  if (shortlist?.excludedForBudget.some((e) => e.person.Name === person.Name)) {
+    return `over the ${formatMoney(shortlist.budget)}/day budget`;
+  }
+  return "not on the shortlist for this request";
+}
+
+function hasPicks(rec) {
+  return rec.internal.length > 0 || rec.freelancers.length > 0;
+}
+
+// ── Prompt caching ───────────────────────────────────────────────────
+// The tool schema and system prompt end in one cache breakpoint and the
+// roster block in another (Anthropic prompt caching, 5-minute TTL). The
+// tool and system prompt only change with the channel config, so every
+// request reads them from the cache. The roster block is this request's
+// shortlist — already filtered and budget-trimmed — so only follow-ups and
+// re-prompts in a thread read it back. Each call logs what was read from /
+// written to the cache, plus a running hit rate.
+
+const promptCacheStats = { requests: 0, hits: 0, readTokens: 0, writtenTokens: 0, uncachedTokens: 0 };
+
+function cachedText(text) {
+  return { type: "text", text, cache_control: { type: "ephemeral" } };
+}
+
+function logPromptCacheUsage(usage) {
+  if (!usage) return;
+  const read = usage.cache_read_input_tokens || 0;
+  const written = usage.cache_creation_input_tokens || 0;
+  const uncached = usage.input_tokens || 0;
+  promptCacheStats.requests++;
+  if (read > 0) promptCacheStats.hits++;
+  promptCacheStats.readTokens += read;
+  promptCacheStats.writtenTokens += written;
+  promptCacheStats.uncachedTokens += uncached;
+  console.log(
+    `🗄️ Prompt cache ${read > 0 ? "hit" : "miss"}: ${read} read, ${written} written, ${uncached} uncached ` +
+    `(hit rate ${promptCacheStats.hits}/${promptCacheStats.requests})`
+  );
+}
+
+async function callRecommendationTool(messages, config = DEFAULT_BOT_CONFIG, onDraft = null) {
+  const params = {
+    model: config.model,
+    max_tokens: config.maxTokens,
+    system: [cachedText(buildSystemPrompt(config))], // tools + system prompt only change with the channel config — cached
+    tools: [buildRecommendationTool(config)],
+    tool_choice: { type: "tool", name: RECOMMENDATION_TOOL_NAME },
+    messages,
+  };
+  // Stream so the thinking message can show the answer taking shape
+  const response = onDraft
+    ? await claudeStream(params, { inputJson: (_, snapshot) => onDraft(snapshot) })
+    : await claudeCreate(params);
+  calibrateTokenEstimate(params, response.usage);
+  logPromptCacheUsage(response.usage);
+  if (response.stop_reason === "max_tokens") {
+    console.warn(`⚠️ Recommendation hit max_tokens (${config.maxTokens}) — the answer may be cut short`);
+  }
+  const toolUse = (response.content || []).find((b) => b.type === "tool_use" && b.name === RECOMMENDATION_TOOL_NAME);
+  return { response, toolUse };
+}
+
+// Call Claude with the recommendation tool forced and return a validated recommendation.
+// context = { roster, team, streamtime } — the source data every claim is checked against —
+// plus the channel's config (model, token limit, number of picks) and the shortlist Claude
+// was shown, which every pick must come from.
+// onDraft(partialToolInput) is called as the answer streams in, for progress updates.
+async function requestRecommendation(messages, context, onDraft = null) {
+  const config = context.config || DEFAULT_BOT_CONFIG;
+  let { response, toolUse } = await callRecommendationTool(messages, config, onDraft);
+  if (!toolUse) {
+    // Shouldn't happen with tool_choice forced, but never lose an answer
+    const text = (response.content || []).filter((b) => b.type === "text").map((b) => b.text).join("\n").trim();
+    console.warn("⚠️ Claude answered without the recommend_talent tool — posting as plain text");
+    return { ...validateRecommendation({}, context), message: text || "No recommendation could be generated." };
+  }
+
+  let rec = validateRecommendation(toolUse.input || {}, context);
+
+  // Unknown or unshortlisted names — tell Claude which ones and let it try once more
+  if (rec.dropped.length > 0) {
+    console.log(`🛡️ Re-prompting Claude to replace: ${rec.dropped.join(", ")}`);
+    const retry = await callRecommendationTool([
+      ...messages,
+      { role: "assistant", content: response.content },
+      {
+        role: "user",
+        content: [{
+          type: "tool_result",
+          tool_use_id: toolUse.id,
+          is_error: true,
+          content: `These people are not in the roster or internal team data you were given: ${rec.dropped.join(", ")}. Only recommend people listed in the data, using their exact names. Replace them with someone from the data (or leave them out) and call recommend_talent again.`,
+        }],
+      },
+    ], config, onDraft).catch((err) => {
+      console.warn("🛡️ Re-prompt failed — stripping unknown names instead:", err.message);
+      return {};
+    });
+    if (retry.toolUse) rec = validateRecommendation(retry.toolUse.input || {}, context);
+  }
+
+  if (rec.dropped.length > 0) {
+    const byReason = new Map();
+    for (const name of rec.dropped) {
+      const reason = droppedReason(name, context);
+      byReason.set(reason, [...(byReason.get(reason) || []), name]);
+    }
+    rec.corrections.unshift(...[...byReason].map(([reason, names]) => `Left out ${names.join(", ")} — ${reason}`));
+  }
+  return rec;
+}
+
+function formatCorrections(rec) {
+  if (rec.corrections.length === 0) return "";
+  return `🛡️ _Checked against the sheet and Streamtime:_\n${rec.corrections.map((c) => `• ${c}`).join("\n")}`;
+}
+
+// Text for the "thinking" message once the answer is in — the whole answer when there are no picks
+function recommendationPointer(rec) {
+  if (hasPicks(rec)) return "✅ Here are my recommendations:";
+  const answer = rec.clarifyingQuestion || rec.message || "No recommendation could be generated.";
+  return [answer, formatCorrections(rec)].filter(Boolean).join("\n\n");
+}
+
+function formatPickExtras(pick) {
+  let text = "";
+  if (pick.jobNumbers.length > 0) text += `\n📁 Streamtime: ${pick.jobNumbers.map((j) => `[${j}]`).join(" ")}`;
+  if (pick.caveats) text += `\n⚠️ ${pick.caveats}`;
+  return text;
+}
+
+function formatInternalSection(rec) {
+  let text = "🏠 *Internal Team*\n";
+  if (rec.internal.length === 0) {
+    return text + `_${rec.noInternalReason || "No strong internal match for this brief — recommending freelancers below."}_`;
+  }
+  for (const pick of rec.internal) {
+    const headline = [pick.role, pick.level, pick.dayRate ? `${pick.dayRate}/day` : ""].filter(Boolean).join(" | ");
+    text += `\n*${pick.name}*${headline ? ` — ${headline}` : ""}\n_Why:_ ${pick.reasons}${formatPickExtras(pick)}\n`;
+  }
+  return text.trim();
+}
+
+function formatFreelancerCard(pick, index) {
+  const medal = MEDALS[index] || "•";
+  const headline = [pick.category, pick.level, pick.dayRate ? `${pick.dayRate}/day` : ""].filter(Boolean).join(" | ");
+  let text = `${medal} *#${index + 1} — ${pick.name}*`;
+  if (headline) text += `\n${headline}`;
+  text += `\n_Why:_ ${pick.reasons}${formatPickExtras(pick)}`;
+  text += `\n${formatMarginLine(pick.person)}`;
+  return text;
+}
+
+// Names of recommended freelancers, for portfolio enrichment
+function recommendedFreelancerNames(rec) {
+  return rec.freelancers.map((pick) => pick.name);
+}
+
+// ── Post a recommendation as structured per-person messages with inline images ──
+
+// bookingContext = { project, window } — adds hold/booking buttons to each freelancer card
+async function postRecommendationWithImages(channel, threadTs, rec, slackClient, bookingContext = null) {
+  // No picks — the answer already went into the thinking message (see recommendationPointer)
+  if (!hasPicks(rec)) return;
+
+  // 1) Internal team section (or why there isn't one) as plain text
+  await slackClient.chat.postMessage({ channel, thread_ts: threadTs, text: formatInternalSection(rec) });
+
+  // 2) Each recommended freelancer as a block message with image
+  for (const [index, pick] of rec.freelancers.entries()) {
+    const imageUrl = getImageFromRoster(pick.name, [pick.person]);
+    let blockText = formatFreelancerCard(pick, index);
+
+    // Truncate section text if needed (Slack section block max is 3000 chars)
+    if (blockText.length > 2900) blockText = blockText.substring(0, 2900) + "...";
+
+    const block = {
+      type: "section",
+      text: { type: "mrkdwn", text: blockText },
+    };
+
+    if (imageUrl) {
+      block.accessory = {
+        type: "image",
+        image_url: imageUrl,
+        alt_text: pick.name,
+      };
+    }
+
+    const blocks = [block];
+    if (bookingContext) {
+      blocks.push(buildBookingActionsBlock(pick.person, bookingContext));
+    }
+
+    try {
+      await slackClient.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        blocks,
+        text: blockText,
+      });
+      if (imageUrl) console.log(`📸 Posted ${pick.name} with inline image ✅`);
+    } catch (err) {
+      // Fallback: post as plain text if blocks fail
+      console.warn(`📸 Block failed for ${pick.name}: ${err.message} — falling back to text`);
+      await slackClient.chat.postMessage({ channel, thread_ts: threadTs, text: blockText });
+    }
+  }
+
+  // 3) Closing note or follow-up answer, plus anything the hallucination guard corrected
+  const closing = [rec.message, rec.note ? `💡 *Note:* ${rec.note}` : "", formatCorrections(rec)].filter(Boolean).join("\n\n");
+  if (closing) {
+    await slackClient.chat.postMessage({ channel, thread_ts: threadTs, text: closing });
+  }
+}
+
+// ── Post-project feedback system ─────────────────────────────────────
+
+const REVIEW_PATTERN = /^(?:review|feedback)\s+(.+?)(?:\s*[-–—:]\s*)([\s\S]+)$/i;
+
+function detectReviewRequest(text) {
+  const match = text.match(REVIEW_PATTERN);
+  if (!match) return null;
+  return { name: match[1].trim(), feedback: match[2].trim() };
+}
+
+// Strip accents/diacritics so "Giedrė" matches "Giedre", "José" matches "Jose", etc.
+function normalizeName(str) {
+  return str.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+}
+
+function namesMatch(sheetName, searchName) {
+  // Exact match (case-insensitive)
+  if (sheetName.toLowerCase().trim() === searchName.toLowerCase().trim()) return true;
+  // Match after stripping accents
+  if (normalizeName(sheetName) === normalizeName(searchName)) return true;
+  return false;
+}
+
+// Levenshtein distance — small typos like "Jane Do" / "Jnae Doe"
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Find the sheet entry a model-written name refers to: exact/accent match first, then a
+// unique near-miss (a typo, a dropped middle name, first name only). Returns null when
+// nothing matches or the name is ambiguous, so a guess never turns into a wrong person.
+function findClosestPerson(people, name) {
+  const candidates = (people || []).filter((p) => p.Name);
+  const target = normalizeName(name || "").replace(/\s+/g, " ");
+  if (!target) return null;
+
+  const exact = candidates.find((p) => namesMatch(p.Name, name));
+  if (exact) return exact;
+
+  const unique = (matches) => (matches.length === 1 ? matches[0] : null);
+  const tokenize = (str) => normalizeName(str).replace(/[.,]/g, " ").split(/\s+/).filter(Boolean);
+  const targetTokens = tokenize(name);
+
+  // Every word of one name appears in the other ("Jane Doe" ↔ "Jane M. Doe", "Priya" ↔ "Priya Shah", "Doe, Jane")
+  const byTokens = unique(candidates.filter((p) => {
+    const tokens = tokenize(p.Name);
+    return targetTokens.every((t) => tokens.includes(t)) || tokens.every((t) => targetTokens.includes(t));
+  }));
+  if (byTokens) return byTokens;
+
+  // Typos — allow one edit per ~5 characters, at most 2
+  const maxDistance = Math.min(2, Math.floor(target.length / 5));
+  if (maxDistance === 0) return null;
+  const scored = candidates
+    .map((p) => ({ person: p, distance: editDistance(normalizeName(p.Name), target) }))
+    .filter((c) => c.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+  if (scored.length === 0) return null;
+  if (scored.length > 1 && scored[1].distance === scored[0].distance) return null;
+  return scored[0].person;
+}
+
+async function findFreelancerInSheet(name) {
+  console.log(`🔍 Searching for "${name}" across all tabs...`);
+  const matches = [];
+
+  // Search each tab for the freelancer by name — collect ALL matches
+  for (const tabName of FREELANCER_TABS) {
+    try {
+      const { data } = await sheets.spreadsheets.values.get({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `'${tabName}'!A2:Z`,
+      });
+
+      const rows = data.values || [];
+      if (rows.length < 2) continue;
+
+      const headers = rows[0].map((h) => h.trim());
+      const commentsCol = headers.findIndex(
+        (h) => h.toLowerCase() === "comments"
+      );
+      const nameCol = headers.findIndex(
+        (h) => h.toLowerCase() === "name"
+      );
+      const availabilityCol = headers.findIndex(
+        (h) => h.toLowerCase() === "availability" || h.toLowerCase() === "availibility"
+      );
+
+      if (nameCol === -1) continue;
+
+      for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        const cellName = (row[nameCol] || "").trim();
+        if (!cellName) continue;
+
+        if (namesMatch(cellName, name)) {
+          const sheetRow = i + 2; // +2 because range starts at A2 (skipping title), and rows[0] = headers
+          const currentComments = commentsCol >= 0 ? (row[commentsCol] || "").trim() : "";
+          console.log(`✅ Found "${cellName}" in tab "${tabName}" at sheet row ${sheetRow}, comments col ${commentsCol}`);
+          matches.push({
+            name: cellName,
+            tab: tabName,
+            headers,
+            sheetRow,
+            commentsCol: commentsCol >= 0 ? commentsCol : null,
+            currentComments,
+            availabilityCol: availabilityCol >= 0 ? availabilityCol : null,
+          });
+        }
+      }
+    } catch (err) {
+      console.warn(`⚠️ Review search: skipping tab "${tabName}" — ${err.message}`);
+    }
+  }
+
+  // Also check internal team sheet
+  if (TEAM_SPREADSHEET_ID) {
+    try {
+      const { data } = await sheets.spreadsheets.values.get({
+        spreadsheetId: TEAM_SPREADSHEET_ID,
+        range: "A1:Z",
+      });
+
+      const rows = data.values || [];
+      if (rows.length >= 2) {
+        const headers = rows[0].map((h) => h.trim());
+        const commentsCol = headers.findIndex((h) => h.toLowerCase() === "comments");
+        const nameCol = headers.findIndex((h) => h.toLowerCase() === "name");
+
+        if (nameCol >= 0) {
+          for (let i = 1; i < rows.length; i++) {
+            const row = rows[i];
+            const cellName = (row[nameCol] || "").trim();
+            if (!cellName) continue;
+
+            if (namesMatch(cellName, name)) {
+              console.log(`✅ Found "${cellName}" in internal team sheet at row ${i + 1}, comments col ${commentsCol}`);
+              matches.push({
+                name: cellName,
+                tab: "Internal Team",
+                sheetRow: i + 1, // Headers in row 1, data from row 2
+                commentsCol: commentsCol >= 0 ? commentsCol : null,
+                currentComments: commentsCol >= 0 ? (row[commentsCol] || "").trim() : "",
+                isTeam: true,
+              });
+            }
+          }
+        }
+      }
+    } catch (err) {
+      console.warn(`⚠️ Review search: team sheet error — ${err.message}`);
+    }
+  }
+
+  if (matches.length === 0) {
+    console.log(`❌ "${name}" not found in any tab or team sheet`);
+  } else {
+    console.log(`📝 Found "${name}" in ${matches.length} location(s): ${matches.map((m) => m.tab).join(", ")}`);
+  }
+
+  return matches;
+}
+
+function colIndexToLetter(index) {
+  let letter = "";
+  let i = index;
+  while (i >= 0) {
+    letter = String.fromCharCode((i % 26) + 65) + letter;
+    i = Math.floor(i / 26) - 1;
+  }
+  return letter;
+}
+
+async function writeFeedback(freelancer, feedback) {
+  const date = new Date().toISOString().split("T")[0]; // e.g. 2026-02-07
+  const newEntry = `[${date} via Slack] ${feedback}`;
+
+  // Append to existing comments with a separator, or start fresh
+  const updatedComments = freelancer.currentComments
+    ? `${freelancer.currentComments} | ${newEntry}`
+    : newEntry;
+
+  const spreadsheetId = freelancer.isTeam ? TEAM_SPREADSHEET_ID : SPREADSHEET_ID;
+
+  if (freelancer.commentsCol === null) {
+    // No Comments column found — can't write
+    return { success: false, reason: "no_comments_column" };
+  }
+
+  const colLetter = colIndexToLetter(freelancer.commentsCol);
+  const range = freelancer.isTeam
+    ? `${colLetter}${freelancer.sheetRow}`
+    : `'${freelancer.tab}'!${colLetter}${freelancer.sheetRow}`;
+
+  console.log(`📝 Writing feedback to spreadsheet: ${spreadsheetId}`);
+  console.log(`📝 Range: ${range}`);
+  console.log(`📝 Content: ${updatedComments.substring(0, 100)}...`);
+
+  try {
+    const result = await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range,
+      valueInputOption: "RAW",
+      requestBody: {
+        values: [[updatedComments]],
+      },
+    });
+
+    console.log(`📝 Write result: ${result.data.updatedCells} cell(s) updated at ${result.data.updatedRange}`);
+
+    // Bust the cache so the next recommendation picks up the new feedback
+    await sheetCache.delete(freelancer.isTeam ? "team" : "roster");
+
+    return { success: true };
+  } catch (err) {
+    console.error("❌ Failed to write feedback:", err.message);
+    return { success: false, reason: err.message };
+  }
+}
+
+async function handleReview(query, say, threadTs, channel) {
+  const review = detectReviewRequest(query);
+  if (!review) return false; // Not a review request — let normal handler take over
+
+  const thinking = await say({
+    text: `📝 Logging feedback for ${review.name}...`,
+    thread_ts: threadTs,
+  });
+
+  try {
+    const matches = await findFreelancerInSheet(review.name);
+
+    if (matches.length === 0) {
+      await slack.client.chat.update({
+        channel,
+        ts: thinking.ts,
+        text: `❌ Couldn't find *${review.name}* in the roster or internal team sheet. Check the spelling and try again — the name needs to match how it appears in the Google Sheet.`,
+      });
+      return true;
+    }
+
+    // Write feedback to ALL tabs where this person appears
+    const results = [];
+    for (const match of matches) {
+      const result = await writeFeedback(match, review.feedback);
+      results.push({ tab: match.tab, ...result });
+    }
+
+    const succeeded = results.filter((r) => r.success);
+    const failed = results.filter((r) => !r.success);
+    const displayName = matches[0].name;
+
+    if (succeeded.length > 0) {
+      const tabs = succeeded.map((r) => `*${r.tab}*`).join(", ");
+      let message = `✅ Feedback logged for *${displayName}* across ${succeeded.length} tab${succeeded.length > 1 ? "s" : ""}: ${tabs}\n\n> _${review.feedback}_\n\nThis will be factored into future recommendations.`;
+      if (failed.length > 0) {
+        const failedTabs = failed.map((r) => `${r.tab} (${r.reason})`).join(", ");
+        message += `\n\n⚠️ Couldn't update: ${failedTabs}`;
+      }
+      await slack.client.chat.update({
+        channel,
+        ts: thinking.ts,
+        text: message,
+      });
+    } else {
+      await slack.client.chat.update({
+        channel,
+        ts: thinking.ts,
+        text: `⚠️ Found *${displayName}* but couldn't write to any tabs: ${failed.map((r) => `${r.tab} (${r.reason})`).join(", ")}`,
+      });
+    }
+  } catch (error) {
+    console.error("Error processing review:", error);
+    await slack.client.chat.update({
+      channel,
+      ts: thinking.ts,
+      text: "⚠️ Something went wrong logging the feedback. Please try again.",
+    });
+  }
+
+  return true; // Handled — don't pass to the normal recommendation flow
+}
+
+// ── System prompt for Claude ─────────────────────────────────────────
+
+// Base instructions plus the channel's tone, priority disciplines and extra rules (see "Bot Config")
+function buildSystemPrompt(config = DEFAULT_BOT_CONFIG) {
+  const picks = config.freelancerPicks;
+  const options = picks === 1 ? "option" : "options";
+  const freelancers = picks === 1 ? "freelancer" : "freelancers";
+  let prompt = `You are the Talent Finder — an AI assistant for a creative advertising agency. Your job is to recommend the best people for a project, always checking the INTERNAL STUDIO TEAM first before suggesting freelancers.
+
+PRIORITY ORDER:
+1. **Internal team members FIRST** — the agency always prefers to use in-house talent if someone suitable is available. Check the internal team data carefully.
+2. **Freelancers as backup** — recommend freelancers when no internal team member fits, or as additional options alongside an internal pick.
+
+HOW TO EVALUATE CANDIDATES (both internal and freelancers):
+- **Capabilities**: Does their skill set directly match what the project needs?
+- **Role/Category**: Does their discipline align with the work required?
+- **Comments/Notes**: This is critical — it contains details about specific projects they've worked on, niche strengths, software proficiency, working style, and internal feedback. Use this to identify if someone has worked on a similar project before, or with the same client. If so, call this out prominently (e.g. "Randle worked on the previous iteration of this brand campaign — worth looping him in for continuity").
+- **Previous Clients**: Have they worked on similar brands, industries, or campaign types? Someone with direct client experience is a much stronger match.
+- **Level**: Does the seniority match what the project demands?
+- **Recommendation**: Internal recommendation score or notes — factor this into confidence.
+- **Availability & Status**: Strongly prefer people who are marked as available. Flag concerns if recommending someone who may be busy. When PROJECT DATES are given, Streamtime bookings are checked against those dates: 📅 FREE means no overlapping bookings, ⚠️ PARTIALLY BOOKED shows how many days clash, ⛔ FULLY BOOKED means they're unavailable for the whole window. Don't rule someone out for a booking that ends before the project starts.
+- **Cost Rate (per 8hr day)**: Always show this. If a BUDGET section is present, over-budget people have already been removed — never suggest anyone outside the data, and call out anyone listed under "Check rate before pitching". The margin (sell rate minus cost) is added to each pick automatically, so don't calculate it yourself.
+- **Location**: Only factor this in if the requester mentions on-site, local, or timezone needs.
+- **Match Scores**: The data has been pre-filtered to the strongest candidates and each has a deterministic match score with a breakdown. Use it as a starting point and to explain your picks, but apply your own judgement — a lower-scored person with the right project history can still be the best fit.
+- **Logged Time**: "Logged time" lines are hours people actually recorded in Streamtime over the last 12 months, by role, task, client and client sector. They're stronger evidence than the self-declared Capabilities column, which is often out of date — when the two disagree, trust the hours, and cite them in \`reasons\` (e.g. "420 hrs of motion design on FMCG clients in the past year").
+- **Streamtime Job History**: If provided, this is REAL project data from the agency's management system. Use it to identify people who have worked on similar projects, with the same client, or in the same industry. When someone has relevant job history, reference the specific job number (e.g. "[WOOL1349]") and suggest the producer talk to them about that project. This is extremely powerful context — a person who worked on a previous Woolworths campaign is a much stronger match for a new Woolworths brief.
+
+RULES:
+1. Always check the internal team first. If a strong internal match exists, lead with them.
+2. Always recommend ${picks} freelancer ${options} alongside any internal recommendations.
+3. Only recommend people who appear in the data provided. Never invent people.
+4. Never share phone numbers or email addresses in the channel.
+5. Keep responses concise and scannable — this is Slack, not an email.
+6. If the request is vague, ask a clarifying question before recommending.
+7. If an internal team member has worked on a related project or with the same client (based on Comments or Previous Clients), always highlight this — it's extremely valuable context.
+
+HOW TO ANSWER:
+Always answer by calling the \`recommend_talent\` tool — never reply with plain text. The bot renders your answer into Slack cards itself.
+- Put internal team picks in \`internal\` (or explain in \`no_internal_reason\` why there's no strong internal match).
+- Rank up to ${picks} ${freelancers} in \`freelancers\`, best first.
+- Use each person's exact name as it appears in the data. Names that aren't in the data are dropped.
+- \`reasons\`: 2-3 sentences — capabilities, relevant project experience from Comments, notable previous clients.
+- \`job_numbers\`: Streamtime job numbers you're citing, without brackets (e.g. "WOOL1349").
+- \`caveats\`: availability clashes, budget concerns or anything to check before pitching.
+- If the request is too vague to recommend anyone, leave the lists empty and set \`clarifying_question\`.
+- For a follow-up that doesn't need a fresh shortlist (e.g. "who's cheaper?"), answer in \`message\` and only include people if you're changing the picks.`;
+
+  const channelRules = [];
+  if (config.priorityCategories.length > 0) {
+    channelRules.push(`- This channel works mostly with ${config.priorityCategories.join(", ")} — consider them first when they fit the brief.`);
+  }
+  if (config.tone) channelRules.push(`- Tone: ${config.tone}`);
+  for (const rule of config.extraRules.split("\n")) {
+    const text = rule.replace(/^[-•]\s*/, "").trim();
+    if (text) channelRules.push(`- ${text}`);
+  }
+  if (channelRules.length > 0) prompt += `\n\nCHANNEL SETTINGS:\n${channelRules.join("\n")}`;
+  return prompt;
+}
+
+// ── Thread history — gives the bot memory in conversations ───────────
+
+// Earlier turns of a thread as Claude messages. currentTs skips the message being answered,
+// which Slack already includes in the replies.
+async function getThreadHistory(channel, threadTs, botUserId, currentTs = null) {
+  if (!threadTs) return [];
+
+  try {
+    const result = await slack.client.conversations.replies({
+      channel,
+      ts: threadTs,
+      limit: 20, // last 20 messages in the thread — plenty of context
+    });
+
+    const messages = result.messages || [];
+    const history = [];
+
+    for (const msg of messages) {
+      if (currentTs && msg.ts === currentTs) continue;
+      // Skip the "thinking" messages
+      if (msg.text === THINKING_TEXT) continue;
+
+      // Clean bot mentions from text
+      const cleanText = msg.text.replace(/<@[A-Z0-9]+>/g, "").trim();
+      if (!cleanText) continue;
+
+      if (msg.bot_id || msg.user === botUserId) {
+        history.push({ role: "assistant", content: cleanText });
+      } else {
+        history.push({ role: "user", content: cleanText });
+      }
+    }
+
+    return history;
+  } catch (error) {
+    console.error("Error fetching thread history:", error.message);
+    return [];
+  }
+}
+
+// ── Crew mode — staff a whole brief in one go ─────────────────────────
+// "crew me <brief>" breaks a campaign brief into the roles it needs (via a
+// short Claude call), then fills each role deterministically from the
+// shortlist scorer: available internal people first, then freelancers.
+// Ends with the estimated daily burn from the Cost Rate columns.
+
+const CREW_TRIGGER = /^(?:crew(?:\s+me)?|staff\s+(?:me|up)|(?:build|assemble|put together)\s+(?:me\s+)?(?:a\s+|the\s+)?(?:crew|team))\b[\s:,-]*/i;
+const CREW_MAX_ROLES = 8;
+const CREW_MAX_PER_ROLE = 4;
+
+const CREW_ROLES_PROMPT = `You read creative agency project briefs and list the crew needed to deliver them.
+
+Reply with JSON only, no prose:
+{"summary": "<project in under 8 words>", "roles": [{"role": "<job title>", "count": <people needed>, "level": "<junior|mid|senior|lead or empty>", "skills": "<key skills for this role, comma separated>"}]}
+
+Rules:
+- Use plain agency job titles (Creative Director, Art Director, Designer, Copywriter, Animator, Motion Designer, 3D Artist, Developer, Producer, Retoucher, Photographer, Strategist).
+- One entry per distinct role; use "count" for several people in the same role.
+- Only include roles the brief actually needs. If it names roles explicitly, use exactly those.`;
+
+// "crew me a launch campaign..." → "a launch campaign..." (null if not a crew request)
+function detectCrewRequest(query) {
+  const match = query.match(CREW_TRIGGER);
+  if (!match) return null;
+  return query.slice(match[0].length).trim();
+}
+
+// Pull the JSON object out of Claude's reply and sanity-check the roles
+function parseCrewRoles(reply) {
+  const start = reply.indexOf("{");
+  const end = reply.lastIndexOf("}");
+  if (start < 0 || end <= start) return null;
+  try {
+    const parsed = JSON.parse(reply.slice(start, end + 1));
+    const roles = (parsed.roles || [])
+      .filter((r) => r && typeof r.role === "string" && r.role.trim())
+      .slice(0, CREW_MAX_ROLES)
+      .map((r) => ({
+        role: r.role.trim(),
+        count: Math.min(Math.max(parseInt(r.count, 10) || 1, 1), CREW_MAX_PER_ROLE),
+        level: typeof r.level === "string" ? r.level.trim() : "",
+        skills: typeof r.skills === "string" ? r.skills.trim() : "",
+      }));
+    if (roles.length === 0) return null;
+    return { summary: typeof parsed.summary === "string" ? parsed.summary.trim() : "", roles };
+  } catch (err) {
+    console.warn("🎬 Crew: could not parse role breakdown:", err.message);
+    return null;
+  }
+}
+
+// Ask Claude for the role breakdown; fall back to one person per discipline named in the brief
+async function breakBriefIntoRoles(briefText, config = DEFAULT_BOT_CONFIG) {
+  try {
+    const response = await claudeCreate({
+      model: config.model,
+      max_tokens: 512,
+      system: CREW_ROLES_PROMPT,
+      messages: [{ role: "user", content: briefText }],
+    });
+    const parsed = parseCrewRoles(response.content?.[0]?.text || "");
+    if (parsed) return parsed;
+  } catch (err) {
+    console.warn("🎬 Crew: role breakdown call failed:", err.message);
+  }
+  const roles = detectCategories(briefText).map((tab) => ({ role: tab.replace(/s$/, ""), count: 1, level: "", skills: "" }));
+  return { summary: "", roles };
+}
+
+// Role-level criteria: discipline, level and skills come from the role; client, dates and budget from the brief
+function buildRoleCriteria(role, project) {
+  const roleCriteria = parseRequestCriteria(`${role.level} ${role.role} ${role.skills}`);
+  return {
+    ...roleCriteria,
+    text: project.text,
+    categories: roleCriteria.categories.length > 0 ? roleCriteria.categories : detectCategories(role.role),
+    budget: project.budget,
+    startDate: project.startDate,
+    endDate: project.endDate,
+  };
+}
+
+// Someone can fill a role if they're in the right discipline (or, for roles that
+// don't map to a tab, match its skills) and aren't fully booked for the dates
+function canFillRole(entry, criteria) {
+  if (entry.breakdown.some((b) => b.factor === "dates" && b.points <= -30)) return false;
+  if (entry.breakdown.some((b) => b.factor === "status")) return false;
+  if (criteria.categories.length > 0) return entry.breakdown.some((b) => b.factor === "category");
+  return entry.breakdown.some((b) => b.factor === "capabilities");
+}
+
+function assembleCrew(breakdown, roster, team, streamtimeData, project) {
+  const taken = new Set(); // Nobody fills two roles
+  const rank = (people, criteria) =>
+    applyBudgetFilter(people, criteria.budget).kept
+      .filter((p) => p.Name && !taken.has(normalizeName(p.Name)))
+      .map((person) => ({ person, ...scoreCandidate(person, criteria, streamtimeData) }))
+      .filter((entry) => canFillRole(entry, criteria))
+      .sort((a, b) => b.score - a.score);
+
+  const roles = breakdown.roles.map((role) => {
+    const criteria = buildRoleCriteria(role, project);
+    const internal = rank(team, criteria).map((e) => ({ ...e, isTeam: true }));
+    const freelancers = rank(roster, criteria).map((e) => ({ ...e, isTeam: false }));
+    const picks = [...internal, ...freelancers].slice(0, role.count);
+    for (const pick of picks) taken.add(normalizeName(pick.person.Name));
+    return { ...role, picks, freelancers, unfilled: role.count - picks.length };
+  });
+
+  // Backups are only people who didn't end up in another role
+  for (const role of roles) {
+    role.alternates = role.freelancers.filter((e) => !taken.has(normalizeName(e.person.Name))).slice(0, 2);
+    delete role.freelancers;
+  }
+
+  // Daily burn from the Cost Rate columns — people without a rate are counted separately
+  const burn = { min: 0, max: 0, costed: 0, uncosted: [] };
+  for (const pick of roles.flatMap((r) => r.picks)) {
+    const { cost } = getPersonRates(pick.person);
+    if (cost) {
+      burn.min += cost.min;
+      burn.max += cost.max;
+      burn.costed++;
+    } else {
+      burn.uncosted.push(pick.person.Name);
+    }
+  }
+
+  return { summary: breakdown.summary, roles, burn };
+}
+
+function formatCrewPick(pick, window, streamtimeData) {
+  const { person } = pick;
+  const { cost } = getPersonRates(person);
+  const parts = [pick.isTeam ? `🏠 *${person.Name}* (internal)` : `👤 *${person.Name}*`];
+  parts.push(pick.isTeam ? person.Role || "Team" : [person.Level, person.Category].filter(Boolean).join(" "));
+  parts.push(cost ? `${formatRateRange(cost)}/day` : "no cost rate on file");
+  if (window) {
+    const stPerson = findStreamtimePerson(streamtimeData, person.Name);
+    const availability = stPerson ? computeAvailability(stPerson, window) : null;
+    if (availability) parts.push(formatAvailability(availability, window));
+  }
+  return `• ${parts.filter(Boolean).join(" · ")}`;
+}
+
+function formatCrewProposal(crew, project, streamtimeData) {
+  const window = project.startDate && project.endDate ? { start: project.startDate, end: project.endDate } : null;
+  const headcount = crew.roles.reduce((sum, r) => sum + r.count, 0);
+
+  let text = `🎬 *Proposed crew${crew.summary ? ` — ${crew.summary}` : ""}*`;
+  const context = [`${headcount} ${headcount === 1 ? "person" : "people"}`];
+  if (window) context.push(formatDateWindow(window));
+  if (project.budget) context.push(`budget ${formatMoney(project.budget)}/day per person`);
+  text += `\n_${context.join(" · ")}_\n`;
+
+  for (const role of crew.roles) {
+    text += `\n*${role.role}*${role.count > 1 ? ` ×${role.count}` : ""}${role.level ? ` _(${role.level})_` : ""}\n`;
+    for (const pick of role.picks) text += `${formatCrewPick(pick, window, streamtimeData)}\n`;
+    if (role.unfilled > 0) {
+      text += `• ⚠️ ${role.unfilled === role.count ? "No one" : `${role.unfilled} more — no one else`} on the team or roster fits${project.budget ? " within budget" : ""}\n`;
+    }
+    if (role.alternates.length > 0) {
+      text += `  _Also consider: ${role.alternates.map((e) => e.person.Name).join(", ")}_\n`;
+    }
+  }
+
+  const { burn } = crew;
+  text += `\n💸 *Estimated daily burn:* `;
+  text += burn.costed > 0 ? `${formatRateRange({ min: burn.min, max: burn.max })}/day cost` : "unknown";
+  if (burn.uncosted.length > 0) {
+    text += ` _(plus ${burn.uncosted.join(", ")} — no cost rate on file)_`;
+  }
+  if (burn.costed > 0 && window) {
+    const days = workingDaysBetween(window.start, window.end).length;
+    if (days > 0) text += `\n≈ ${formatRateRange({ min: burn.min * days, max: burn.max * days })} over ${days} working days`;
+  }
+  text += `\n\n_Ask for any role on its own (e.g. "senior animator for this") to see detailed recommendations._`;
+  return text;
+}
+
+// Crew picks in recommend_talent's shape, for the brief archive's Recommended column
+function crewAsRecommendation(crew) {
+  const picks = crew.roles.flatMap((r) => r.picks);
+  return {
+    internal: picks.filter((p) => p.isTeam).map((p) => ({ name: p.person.Name })),
+    freelancers: picks.filter((p) => !p.isTeam).map((p) => ({ name: p.person.Name })),
+  };
+}
+
+// Returns true if the query was a crew request (and has been answered)
+async function handleCrewRequest(query, event, say, threadTs) {
+  const request = detectCrewRequest(query);
+  if (request === null) return false;
+
+  await runCrewProposal({ channel: event.channel, threadTs, query: request, requester: event.user, briefSource: event });
+  return true;
+}
+
+// request = { channel, threadTs, query, requester, briefSource, brief } — like runRecommendationPipeline's,
+// query being the brief text after "crew me"; brief is a corrected Brief to re-run with
+async function runCrewProposal(request) {
+  const { channel, threadTs, query } = request;
+  const thinking = await slack.client.chat.postMessage({
+    channel,
+    thread_ts: threadTs,
+    text: "🎬 Reading the brief and working out the crew...",
+  });
+
+  try {
+    const [roster, team, streamtime, documents, config] = await Promise.all([
+      fetchRoster(),
+      fetchTeam(),
+      fetchStreamtimeJobHistory(),
+      request.briefSource ? extractBriefContent(request.briefSource) : { text: null, files: [] },
+      getChannelConfig(channel),
+    ]);
+    await postBriefFileReport(channel, threadTs, documents.files);
+
+    const briefText = [query, documents.text].filter(Boolean).join("\n\n");
+    if (briefText.length < 15) {
+      await slack.client.chat.update({
+        channel,
+        ts: thinking.ts,
+        text: "🎬 Send me the brief with *crew me* — paste it, attach a PDF, Word or PowerPoint file, or link a Google Doc — and I'll propose a crew for every role.",
+      });
+      return;
+    }
+
+    // The whole crew request is the brief, so it's structured and archived like an attached one
+    let brief = request.brief || null;
+    let archiveId = brief?.archiveId || null;
+    if (!brief) {
+      ({ brief, archiveId } = await structureBrief({ text: briefText, files: documents.files }, { ...request, crew: true }, config));
+    }
+
+    let project = parseRequestCriteria(brief ? [briefText, briefCriteriaText(brief)].join("\n") : briefText);
+    if (brief) project = applyBriefToCriteria(project, brief);
+    const breakdown = await breakBriefIntoRoles(brief ? `${briefText}\n\n${formatBriefForRecommendation(brief)}` : briefText, config);
+    if (breakdown.roles.length === 0) {
+      await slack.client.chat.update({
+        channel,
+        ts: thinking.ts,
+        text: "🎬 I couldn't work out which roles this brief needs. Try listing them, e.g. _crew me: CD, copywriter, 2 animators and a producer for a 4-week launch_.",
+      });
+      return;
+    }
+
+    const crew = assembleCrew(breakdown, roster, team, streamtime, project);
+    console.log(`🎬 Crew: ${crew.roles.map((r) => `${r.role} ${r.picks.length}/${r.count}`).join(", ")}`);
+
+    await slack.client.chat.update({
+      channel,
+      ts: thinking.ts,
+      text: formatCrewProposal(crew, project, streamtime),
+    });
+    if (archiveId) await recordRecommendedPeople(archiveId, crewAsRecommendation(crew));
+  } catch (error) {
+    console.error("Error assembling crew:", error);
+    await slack.client.chat.update({
+      channel,
+      ts: thinking.ts,
+      text: "⚠️ Something went wrong while putting the crew together. Please try again in a moment.",
+    });
+  }
+}
+
+// ── Event deduplication ───────────────────────────────────────────────
+// Slack retries events when Socket Mode ack is slow, causing duplicate handler runs.
+// This prevents retries from overwriting block-enriched messages with plain text.
+// Claimed through the shared store so an overlapping instance mid-deploy skips it too.
+const EVENT_DEDUP_TTL_MS = 60_000; // keep event IDs for 60 seconds
+const processedEvents = store.namespace("events", EVENT_DEDUP_TTL_MS);
+
+async function isDuplicateEvent(eventTs) {
+  if (await processedEvents.claim(eventTs)) return false;
+  console.log(`🔄 Skipping duplicate event: ${eventTs}`);
+  return true;
+}
+
+// ── Recommendation pipeline ───────────────────────────────────────────
+// Every entry point — @mentions, DMs, /talent, and anything added later
+// (shortcuts, HTTP) — describes its request and hands it to
+// runRecommendationPipeline: gather context → build messages → ask Claude
+// → render cards → enrich in the background. Keeps the paths from drifting.
+
+const THINKING_TEXT = "🔍 Checking the team and freelancer roster...";
+const MAX_BRIEF_CHARS = 4000; // hard cap on raw brief text when it couldn't be structured — the prompt budget may cut it further
+
+const HELP_TEXT = "Hey! Tell me what kind of project you need a freelancer for and I'll check the roster. For example: _We need a senior motion designer for a 3-week brand campaign with 3D experience._\n\n📄 You can also attach a brief (*PDF, Word, PowerPoint, Excel, RTF or HTML*) or paste a *Google Docs, Slides or Sheets link* and I'll read it for context.\n\n📋 Prefer a form? Use */talent* to fill in discipline, dates, budget and client.\n\n🎬 Staffing a whole campaign? Say *crew me* with the brief and I'll propose someone for every role.\n\n🗂️ Want to see how we staffed jobs like it? Say *similar briefs:* and describe it — I'll show past briefs with who was recommended and booked.\n\n🏢 Need someone who knows a client? Say *who knows* and the client — I'll list everyone who's logged time on their Streamtime jobs.\n\nTo log feedback: _review Jane Smith - great work, delivered on time, 9/10_";
+
+const TALENT_SCOUT_TRIGGER = /^(scout|scan\s*talent|talent\s*scout|find\s*talent|scrape)/i;
+
+// Roster context goes into the first user turn as its own cacheable block; earlier thread turns
+// follow (cached up to the last one), then the new request — the only part that's always fresh
+function buildRecommendationMessages(allData, requestText, threadHistory) {
+  const rosterBlock = cachedText(`Here is the internal team and freelancer roster:\n${allData}\n\n---\n\n`);
+  if (threadHistory.length === 0) {
+    return [{ role: "user", content: [rosterBlock, { type: "text", text: `Request: ${requestText}` }] }];
+  }
+  const [first, ...rest] = threadHistory;
+  const messages = [
+    { role: "user", content: [rosterBlock, { type: "text", text: first.content }] },
+    ...rest.map((m) => ({ ...m })),
+  ];
+  if (rest.length > 0) {
+    const last = messages[messages.length - 1];
+    last.content = [cachedText(last.content)];
+  }
+  messages.push({ role: "user", content: requestText });
+  return messages;
+}
+
+// ── Live "thinking" message ───────────────────────────────────────────
+// While the pipeline runs, the thinking message lists each stage as it
+// finishes (with elapsed time, so slow stages are obvious) and then shows
+// Claude's answer as it streams in. Updates are throttled — chat.update is
+// a Tier 3 method (~50/min per channel) — and stop before the final answer.
+
+const PROGRESS_UPDATE_INTERVAL_MS = 1200;
+const DRAFT_REASON_CHARS = 90;
+
+function createProgressMessage(channel, ts) {
+  const started = Date.now();
+  const stages = [];
+  let draft = "";
+  let lastText = THINKING_TEXT;
+  let lastSentAt = 0;
+  let timer = null;
+  let stopped = false;
+  let inFlight = Promise.resolve();
+
+  const render = () => [THINKING_TEXT, ...stages.map((s) => `• ${s}`), draft ? `\n✍️ _Drafting…_\n${draft}` : ""].filter(Boolean).join("\n");
+
+  function send() {
+    timer = null;
+    const text = render();
+    if (stopped || text === lastText) return;
+    lastText = text;
+    lastSentAt = Date.now();
+    inFlight = inFlight
+      .then(() => slack.client.chat.update({ channel, ts, text }))
+      .catch((err) => console.warn("⏱️ Progress update failed:", err.data?.error || err.message));
+  }
+
+  function schedule() {
+    if (stopped || timer) return;
+    timer = setTimeout(send, Math.max(0, lastSentAt + PROGRESS_UPDATE_INTERVAL_MS - Date.now()));
+  }
+
+  return {
+    stage(line) {
+      const elapsed = ((Date.now() - started) / 1000).toFixed(1);
+      console.log(`⏱️ ${line} (${elapsed}s)`);
+      stages.push(`${line} _(${elapsed}s)_`);
+      schedule();
+    },
+    draft(text) {
+      draft = text;
+      schedule();
+    },
+    // Call before the final chat.update so a late progress update can't overwrite the answer
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      await inFlight;
+    },
+  };
+}
+
+// Partial recommend_talent input → a few lines of preview text
+function formatDraftPreview(draft) {
+  if (!draft || typeof draft !== "object") return "";
+  const reason = (p) => {
+    const text = typeof p.reasons === "string" ? p.reasons.trim() : "";
+    if (!text) return "";
+    return ` — ${text.length > DRAFT_REASON_CHARS ? text.substring(0, DRAFT_REASON_CHARS - 1) + "…" : text}`;
+  };
+  const lines = [];
+  for (const p of Array.isArray(draft.internal) ? draft.internal : []) {
+    if (p?.name) lines.push(`🏠 ${p.name}${reason(p)}`);
+  }
+  (Array.isArray(draft.freelancers) ? draft.freelancers : []).forEach((p, i) => {
+    if (p?.name) lines.push(`${MEDALS[i] || "•"} ${p.name}${reason(p)}`);
+  });
+  const answer = draft.clarifying_question || draft.message;
+  if (typeof answer === "string" && answer.trim()) lines.push(answer.trim());
+  return lines.join("\n");
+}
+
+// request = {
+//   channel, threadTs   — where to reply (threadTs is the thread the answer goes in)
+//   query               — the producer's own words (booking project label, log lines)
+//   requester           — Slack user ID of whoever asked, recorded with archived briefs
+//   requestText         — what Claude is asked; defaults to query
+//   briefSource         — anything extractBriefContent reads ({ files, text })
+//   brief               — a structured Brief to use as-is (re-runs after a correction)
+//   followUp            — { threadTs, currentTs } to send the earlier thread as conversation history
+//   applyCriteria       — (criteria) => criteria, to pin structured constraints over the parsed ones
+//   project             — label for holds/bookings; defaults to summariseProject(query)
+//   label               — log prefix, e.g. "[DM] "
+// }
+async function runRecommendationPipeline(request) {
+  const { channel, threadTs, query, label = "" } = request;
+  const thinking = await slack.client.chat.postMessage({ channel, thread_ts: threadTs, text: THINKING_TEXT });
+  const progress = createProgressMessage(channel, thinking.ts);
+  // Report each fetch on the thinking message as soon as it lands
+  const reported = (promise, describe) =>
+    promise.then((value) => {
+      const line = describe(value);
+      if (line) progress.stage(line);
+      return value;
+    });
+
+  try {
+    // 1) Gather — sheet data, Streamtime history, attached briefs and earlier turns in parallel
+    const [config, roster, team, streamtime, documents, threadHistory] = await Promise.all([
+      getChannelConfig(channel),
+      reported(fetchRoster(), (r) => `Roster loaded: ${r.length} freelancers`),
+      reported(fetchTeam(), (t) => `Team loaded: ${t.length} people`),
+      reported(fetchStreamtimeJobHistory(), (st) => (st ? `Streamtime: ${st.totalJobs} jobs` : null)),
+      request.briefSource
+        ? reported(extractBriefContent(request.briefSource), (b) =>
+            b.text ? `Brief: ${b.files.filter((f) => f.text).length} document(s) parsed, ${b.text.length.toLocaleString("en-AU")} chars` : null)
+        : { text: null, files: [] },
+      request.followUp ? fetchConversationHistory(channel, request.followUp) : [],
+    ]);
+    await postBriefFileReport(channel, threadTs, documents.files);
+
+    const baseRequestText = request.requestText || query;
+    if (documents.text) console.log(`📄 ${label}Brief attached (${documents.text.length} chars)`);
+
+    // 2) Structure the brief — a new attachment is analysed, archived and posted for producers to correct;
+    //    follow-ups in the thread reuse the Brief stored for it. Falls back to the raw text.
+    let brief = request.brief || null;
+    let archiveId = brief?.archiveId || null;
+    if (!brief && documents.text) {
+      ({ brief, archiveId } = await structureBrief(documents, request, config));
+      if (brief) progress.stage(`Brief structured: ${briefFieldLines(brief).map(([label]) => label.toLowerCase()).join(", ") || "no details found"}`);
+    }
+    if (!brief && request.followUp) {
+      brief = (await briefStore.get(briefKey(channel, threadTs))) || null;
+      archiveId = brief?.archiveId || null;
+    }
+    const briefContent = brief ? formatBriefForRecommendation(brief) : documents.text || "";
+
+    // 3) Build messages — pre-rank against the whole conversation so follow-ups keep the original criteria,
+    //    then fit the roster, Streamtime history and brief into the token budget
+    const criteriaText = [
+      ...threadHistory.filter((m) => m.role === "user").map((m) => m.content),
+      baseRequestText,
+      brief ? briefCriteriaText(brief) : briefContent,
+    ].join("\n");
+    let criteria = { ...parseRequestCriteria(criteriaText), priorityCategories: config.priorityCategories };
+    if (brief) criteria = applyBriefToCriteria(criteria, brief);
+    if (request.applyCriteria) criteria = request.applyCriteria(criteria);
+    const shortlist = shortlistCandidates(roster, team, streamtime, criteria);
+    progress.stage(`Shortlisted ${shortlist.freelancers.length} freelancers + ${shortlist.team.length} team`);
+    const prompt = assembleRecommendationPrompt({
+      shortlist,
+      streamtime,
+      criteria,
+      requestText: baseRequestText,
+      brief: briefContent,
+      threadHistory,
+      config,
+    });
+    const messages = buildRecommendationMessages(prompt.allData, prompt.requestText, threadHistory);
+
+    // 4) Ask Claude — answers come back through the recommend_talent tool, streamed into the thinking message
+    progress.stage("Asking Claude…");
+    const recommendation = await requestRecommendation(messages, { roster, team, streamtime, config, shortlist: prompt.shortlist }, (draft) =>
+      progress.draft(formatDraftPreview(draft))
+    );
+
+    // 5) Render — short pointer in place of the thinking message, then a card per person
+    await progress.stop();
+    await slack.client.chat.update({ channel, ts: thinking.ts, text: recommendationPointer(recommendation) });
+    await postRecommendationWithImages(channel, threadTs, recommendation, slack.client, {
+      project: request.project || summariseProject(query),
+      window: shortlist.window,
+    });
+    if (archiveId) await recordRecommendedPeople(archiveId, recommendation);
+
+    // 6) Enrich — portfolio insights follow in the thread (fire-and-forget)
+    const recommendedNames = recommendedFreelancerNames(recommendation);
+    if (recommendedNames.length > 0) {
+      (async () => {
+        try {
+          const enrichment = await enrichRecommendations(recommendedNames, roster);
+          if (enrichment.text) {
+            await slack.client.chat.postMessage({ channel, thread_ts: threadTs, text: enrichment.text });
+            console.log(`📂 ${label}Portfolio insights posted as follow-up in thread`);
+          }
+        } catch (e) {
+          console.warn("Portfolio enrichment failed:", e.message);
+        }
+      })();
+    }
+    return recommendation;
+  } catch (error) {
+    console.error(`${label}Error processing request:`, error);
+    await progress.stop();
+    await slack.client.chat.update({
+      channel,
+      ts: thinking.ts,
+      text: "⚠️ Something went wrong while checking the roster. Please try again in a moment.",
+    });
+    return null;
+  }
+}
+
+async function fetchConversationHistory(channel, { threadTs, currentTs }) {
+  const authResult = await slack.client.auth.test();
+  return getThreadHistory(channel, threadTs, authResult.user_id, currentTs);
+}
+
+// Mentions and DMs share one front door: help, reviews, talent scout, similar briefs, client lookups, crew mode, then recommendations.
+// Replies always go in a thread, so a follow-up anywhere in it carries the conversation forward.
+async function handleIncomingMessage(event, query, say, label) {
+  const threadTs = event.thread_ts || event.ts;
+
+  if (!query && !(event.files && event.files.length > 0)) {
+    await say({ text: HELP_TEXT, thread_ts: threadTs });
+    return;
+  }
+
+  // Check if this is a review/feedback request
+  const wasReview = await handleReview(query, say, threadTs, event.channel);
+  if (wasReview) return;
+
+  // Check if this is a talent scout trigger
+  if (TALENT_SCOUT_TRIGGER.test(query)) {
+    if (!TALENT_SCOUT_CHANNEL || TALENT_SCOUT_SOURCES.length === 0) {
+      await say({ text: "⚠️ Talent Scout isn't configured yet. Set `TALENT_SCOUT_CHANNEL` and `TALENT_SCOUT_SOURCES` in Railway.", thread_ts: threadTs });
+      return;
+    }
+    await say({ text: "🔍 Running talent scout now — results will appear in the talent scouting channel shortly...", thread_ts: threadTs });
+    runTalentScout().catch((err) => console.warn("🔍 Manual scout error:", err.message));
+    return;
+  }
+
+  // "similar briefs: <text>" — search the brief archive instead of the roster
+  if (await handleSimilarBriefsRequest(query, event, say, threadTs)) return;
+
+  // "who knows <client>" — people with logged time on the client's Streamtime jobs
+  if (await handleWhoKnowsRequest(query, say, threadTs)) return;
+
+  // "crew me <brief>" — propose a whole team instead of one role
+  if (await handleCrewRequest(query, event, say, threadTs)) return;
+
+  await runRecommendationPipeline({
+    channel: event.channel,
+    threadTs,
+    query,
+    requester: event.user,
+    briefSource: event,
+    followUp: event.thread_ts ? { threadTs: event.thread_ts, currentTs: event.ts } : null,
+    label,
+  });
+}
+
+// ── Handle messages that mention the bot ──────────────────────────────
+
+async function handleAppMention({ event, say }) {
+  if (await isDuplicateEvent(event.ts)) return;
+
+  // Strip the bot mention from the message
+  const query = event.text.replace(/<@[A-Z0-9]+>/g, "").trim();
+  await handleIncomingMessage(event, query, say, "");
+}
+
+// ── Also handle direct messages to the bot ───────────────────────────
+
+async function handleDirectMessage({ event, say }) {
+  // Only handle DMs (not channel messages, which are handled by app_mention)
+  if (event.channel_type !== "im") return;
+  if (event.bot_id) return; // ignore bot messages
+  if (await isDuplicateEvent(event.ts)) return;
+
+  await handleIncomingMessage(event, (event.text || "").trim(), say, "[DM] ");
+}
+
+// ── /talent slash command — structured request form ──────────────────
+// Opens a modal so producers can't forget budget, dates or discipline,
+// then runs the same shortlist → Claude → post pipeline with those constraints.
+
+const SENIORITY_OPTIONS = ["Junior", "Mid", "Senior", "Lead"];
+const WORK_SETUP_OPTIONS = ["On-site", "Remote", "Hybrid", "Either"];
+
+function plainOption(text) {
+  return { text: { type: "plain_text", text }, value: text };
+}
+
+function buildTalentRequestModal(channelId) {
+  return {
+    type: "modal",
+    callback_id: "talent_request",
+    private_metadata: JSON.stringify({ channel: channelId }),
+    title: { type: "plain_text", text: "Find talent" },
+    submit: { type: "plain_text", text: "Find people" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "input",
+        block_id: "discipline",
+        label: { type: "plain_text", text: "Discipline" },
+        element: {
+          type: "static_select",
+          action_id: "value",
+          placeholder: { type: "plain_text", text: "Choose a discipline" },
+          // Slack allows max 100 options — well above our tab count
+          options: FREELANCER_TABS.map(plainOption),
+        },
+      },
+      {
+        type: "input",
+        block_id: "seniority",
+        optional: true,
+        label: { type: "plain_text", text: "Seniority" },
+        element: {
+          type: "static_select",
+          action_id: "value",
+          placeholder: { type: "plain_text", text: "Any level" },
+          options: SENIORITY_OPTIONS.map(plainOption),
+        },
+      },
+      {
+        type: "input",
+        block_id: "start_date",
+        optional: true,
+        label: { type: "plain_text", text: "Start date" },
+        element: { type: "datepicker", action_id: "value" },
+      },
+      {
+        type: "input",
+        block_id: "end_date",
+        optional: true,
+        label: { type: "plain_text", text: "End date" },
+        element: { type: "datepicker", action_id: "value" },
+      },
+      {
+        type: "input",
+        block_id: "budget",
+        optional: true,
+        label: { type: "plain_text", text: "Budget per day ($, cost rate)" },
+        element: { type: "number_input", action_id: "value", is_decimal_allowed: false, min_value: "0" },
+      },
+      {
+        type: "input",
+        block_id: "client",
+        optional: true,
+        label: { type: "plain_text", text: "Client" },
+        element: { type: "plain_text_input", action_id: "value", placeholder: { type: "plain_text", text: "e.g. Woolworths" } },
+      },
+      {
+        type: "input",
+        block_id: "work_setup",
+        optional: true,
+        label: { type: "plain_text", text: "On-site or remote?" },
+        element: { type: "radio_buttons", action_id: "value", options: WORK_SETUP_OPTIONS.map(plainOption) },
+      },
+      {
+        type: "input",
+        block_id: "details",
+        label: { type: "plain_text", text: "What's the project?" },
+        element: {
+          type: "plain_text_input",
+          action_id: "value",
+          multiline: true,
+          placeholder: { type: "plain_text", text: "A few lines on the work, skills needed and anything else that matters" },
+        },
+      },
+      {
+        type: "input",
+        block_id: "brief_file",
+        optional: true,
+        label: { type: "plain_text", text: "Brief" },
+        element: { type: "file_input", action_id: "value", filetypes: ["pdf", "docx", "pptx", "xlsx", "rtf", "html", "txt", "md"], max_files: 3 },
+      },
+    ],
+  };
+}
+
+// Read the submitted modal into a plain constraints object
+function parseTalentRequestView(view) {
+  const values = view.state.values;
+  const get = (blockId) => values[blockId]?.value || {};
+  const budget = get("budget").value;
+
+  return {
+    discipline: get("discipline").selected_option?.value || null,
+    seniority: get("seniority").selected_option?.value || null,
+    startDate: get("start_date").selected_date || null,
+    endDate: get("end_date").selected_date || null,
+    budget: budget ? parseFloat(budget) : null,
+    client: (get("client").value || "").trim() || null,
+    workSetup: get("work_setup").selected_option?.value || null,
+    details: (get("details").value || "").trim(),
+    files: get("brief_file").files || [],
+  };
+}
+
+function formatConstraintsForPrompt(constraints) {
+  const lines = [];
+  if (constraints.discipline) lines.push(`• Discipline: ${constraints.discipline}`);
+  if (constraints.seniority) lines.push(`• Seniority: ${constraints.seniority}`);
+  if (constraints.startDate || constraints.endDate) {
+    lines.push(`• Dates: ${constraints.startDate || "flexible"} → ${constraints.endDate || "open-ended"}`);
+  }
+  if (constraints.budget) lines.push(`• Budget: $${constraints.budget}/day (cost rate)`);
+  if (constraints.client) lines.push(`• Client: ${constraints.client}`);
+  if (constraints.workSetup) lines.push(`• Work setup: ${constraints.workSetup}`);
+  return lines.join("\n");
+}
+
+// Structured constraints override whatever the scorer would guess from free text
+function applyConstraintsToCriteria(criteria, constraints) {
+  return {
+    ...criteria,
+    text: constraints.client ? `${criteria.text} ${normalizeName(constraints.client)}` : criteria.text,
+    categories: constraints.discipline ? [constraints.discipline] : criteria.categories,
+    levelRank: constraints.seniority ? detectLevelRank(constraints.seniority) : criteria.levelRank,
+    budget: constraints.budget || criteria.budget,
+    startDate: constraints.startDate || criteria.startDate,
+    endDate: constraints.startDate
+      ? constraints.endDate || addDays(constraints.startDate, DEFAULT_WINDOW_DAYS - 1)
+      : constraints.endDate || criteria.endDate,
+  };
+}
+
+// Post somewhere the requester can see — the channel they ran /talent in, or their DM with the bot
+async function postTalentRequestHeader(channel, userId, text) {
+  try {
+    return await slack.client.chat.postMessage({ channel, text });
+  } catch (err) {
+    console.warn(`📋 /talent: couldn't post in ${channel} (${err.data?.error || err.message}) — falling back to DM`);
+    return await slack.client.chat.postMessage({ channel: userId, text });
+  }
+}
+
+async function runTalentRequest(constraints, channel, userId) {
+  const summary = formatConstraintsForPrompt(constraints);
+  const header = await postTalentRequestHeader(
+    channel,
+    userId,
+    `📋 *Talent request from <@${userId}>*\n${summary}\n\n> ${constraints.details.replace(/\n/g, "\n> ")}`
+  );
+  await runRecommendationPipeline({
+    channel: header.channel,
+    threadTs: header.ts,
+    query: constraints.details,
+    requester: userId,
+    requestText: `STRUCTURED REQUEST (from the /talent form — these constraints are confirmed, don't ask about them):\n${summary}\n\nProject: ${constraints.details}`,
+    briefSource: { files: constraints.files, text: "" },
+    applyCriteria: (criteria) => applyConstraintsToCriteria(criteria, constraints),
+    project: summariseProject(constraints.client ? `${constraints.client} — ${constraints.details}` : constraints.details),
+    label: "[/talent] ",
+  });
+}
+
+async function handleTalentCommand({ ack, body, client }) {
+  await ack();
+
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildTalentRequestModal(body.channel_id),
+    });
+  } catch (err) {
+    console.error("📋 /talent: could not open modal:", err.data?.error || err.message);
+  }
+}
+
+async function handleTalentRequestSubmit({ ack, body, view }) {
+  const constraints = parseTalentRequestView(view);
+
+  // Validate before closing the modal so the producer can fix it in place
+  if (constraints.startDate && constraints.endDate && constraints.endDate < constraints.startDate) {
+    await ack({ response_action: "errors", errors: { end_date: "End date is before the start date" } });
+    return;
+  }
+  await ack();
+
+  let channel = body.user.id;
+  try {
+    channel = JSON.parse(view.private_metadata || "{}").channel || body.user.id;
+  } catch (e) {
+    // Fall back to DMing the requester
+  }
+
+  console.log(`📋 /talent request from ${body.user.name || body.user.id}: ${constraints.discipline} | ${constraints.seniority || "any level"} | budget ${constraints.budget || "none"}`);
+  runTalentRequest(constraints, channel, body.user.id).catch((err) =>
+    console.error("📋 /talent pipeline error:", err.message)
+  );
+}
+
+// ── Google Form submission watcher ────────────────────────────────────
+
+// Map form "Primary Discipline" values to the actual tab names in the roster sheet
+const CATEGORY_TO_TAB = {
+  // Creative Directors
+  "creative director": "Creative Directors",
+  "cd": "Creative Directors",
+  "ecd": "Creative Directors",
+  // AD/Designers
+  "ad/designer": "AD/Designers",
+  "designer": "AD/Designers",
+  "art director": "AD/Designers",
+  "graphic designer": "AD/Designers",
+  "ui designer": "AD/Designers",
+  "ux designer": "AD/Designers",
+  "ui/ux designer": "AD/Designers",
+  "brand designer": "AD/Designers",
+  "visual designer": "AD/Designers",
+  // Copywriters
+  "copywriter": "Copywriters",
+  "writer": "Copywriters",
+  "content writer": "Copywriters",
+  // Animators
+  "animator": "Animators",
+  "motion designer": "Animators",
+  "motion graphics": "Animators",
+  "motion": "Animators",
+  "2d animator": "Animators",
+  // 3D Artists
+  "3d artist": "3D Artists",
+  "3d animator": "3D Artists",
+  "3d designer": "3D Artists",
+  "cgi artist": "3D Artists",
+  // Developers
+  "developer": "Developers",
+  "web developer": "Developers",
+  "frontend developer": "Developers",
+  "backend developer": "Developers",
+  "fullstack developer": "Developers",
+  // Producers/AM
+  "producer/am": "Producers/AM",
+  "producer": "Producers/AM",
+  "account manager": "Producers/AM",
+  "project manager": "Producers/AM",
+  // Retouchers
+  "retoucher": "Retouchers",
+  "photo retoucher": "Retouchers",
+  // Photographer/Videographers
+  "photographer/videographer": "Photographer/Videographers",
+  "photographer": "Photographer/Videographers",
+  "videographer": "Photographer/Videographers",
+  "dop": "Photographer/Videographers",
+  "cinematographer": "Photographer/Videographers",
+  // Strategists
+  "strategist": "Strategists",
+  "strategy": "Strategists",
+  "brand strategist": "Strategists",
+  // Specialists
+  "specialist": "Specialists",
+  "other": "Specialists",
+};
+
+function resolveTab(category) {
+  if (!category) return "Specialists";
+  const key = category.toLowerCase().replace(/\s*\(.*?\)\s*/g, "").trim();
+  return CATEGORY_TO_TAB[key] || "Specialists";
+}
+
+// Dedup: timestamps we've already notified about, plus the row count from the last poll.
+// Both persist so a restart neither re-posts old rows nor misses ones that arrived while down.
+const processedSubmissions = store.namespace("submissions");
+const watcherState = store.namespace("watchers");
+let isCheckingSubmissions = false; // Prevent overlapping polls
+const SUBMISSION_POLL_INTERVAL_MS = 5 * 60 * 1000; // Check every 5 minutes
+
+async function checkForNewSubmissions() {
+  if (!SUBMISSIONS_SPREADSHEET_ID || !SUBMISSIONS_NOTIFY_CHANNEL) return;
+  if (isCheckingSubmissions) return; // Already running — skip this cycle
+  isCheckingSubmissions = true;
+
+  try {
+    const { data } = await sheets.spreadsheets.values.get({
+      spreadsheetId: SUBMISSIONS_SPREADSHEET_ID,
+      range: "'Form Responses 1'!A1:Z",
+    });
+
+    const rows = data.values || [];
+    if (rows.length < 2) return; // No data yet (just headers)
+
+    const headers = rows[0].map((h) => h.trim());
+    const timestampCol = headers.findIndex((h) => h.toLowerCase() === "timestamp");
+    const currentCount = rows.length - 1; // Exclude header row
+
+    // First run ever — record the count and mark all existing submissions as processed
+    const lastKnownSubmissionCount = await watcherState.get("submissionCount");
+    if (lastKnownSubmissionCount === undefined) {
+      await watcherState.set("submissionCount", currentCount);
+      // Pre-populate dedup set with all existing rows so we never re-notify them
+      if (timestampCol >= 0) {
+        for (let i = 1; i < rows.length; i++) {
+          const ts = (rows[i][timestampCol] || "").trim();
+          if (ts) await processedSubmissions.set(ts, true);
+        }
+      }
+      console.log(`📝 Submissions watcher started — ${currentCount} existing submissions tracked`);
+      return;
+    }
+
+    // No new submissions
+    if (currentCount <= lastKnownSubmissionCount) return;
+
+    // Process new submissions (could be more than one if multiple came in between polls)
+    const newRows = rows.slice(lastKnownSubmissionCount + 1);
+    console.log(`📝 ${newRows.length} new freelancer submission(s) detected!`);
+
+    for (const row of newRows) {
+      // Dedup check — claim the row before posting so an overlapping instance skips it
+      const rowTimestamp = timestampCol >= 0 ? (row[timestampCol] || "").trim() : "";
+      if (rowTimestamp && !(await processedSubmissions.claim(rowTimestamp))) {
+        console.log(`📝 Skipping duplicate submission (timestamp: ${rowTimestamp})`);
+        continue;
+      }
+
+      const entry = {};
+      headers.forEach((header, col) => {
+        entry[header] = (row[col] || "").trim();
+      });
+
+      // Build a Slack notification
+      const name = entry["Full Name"] || entry["Name"] || "Unknown";
+      const email = entry["Email Address"] || entry["Email"] || "";
+      const category = entry["Primary Discipline"] || entry["Category"] || "";
+      const level = entry["Experience Level"] || entry["Level"] || "";
+      const rate = entry["Day Rate (per 8hr day)"] || entry["Rate"] || "";
+      const capabilities = entry["Key Skills & Capabilities"] || entry["Capabilities"] || "";
+      const portfolio = entry["Portfolio URL"] || entry["Portfolio"] || "";
+      const linkedin = entry["LinkedIn URL"] || entry["LinkedIn"] || "";
+      const location = entry["Location (City, Country)"] || entry["Location"] || "";
+      const about = entry["Tell us about yourself"] || entry["About"] || "";
+
+      // Build the message text
+      let summary = `*${name}*`;
+      if (category) summary += ` — ${category}`;
+      if (level) summary += ` | ${level}`;
+      if (rate) summary += ` | ${rate}/day`;
+      summary += `\n`;
+      if (location) summary += `📍 ${location}\n`;
+      if (capabilities) summary += `🛠️ ${capabilities}\n`;
+      if (about) summary += `💬 _"${about.length > 200 ? about.substring(0, 200) + "..." : about}"_\n`;
+
+      let links = "";
+      if (portfolio) links += `🔗 <${portfolio.startsWith("http") ? portfolio : "https://" + portfolio}|Portfolio>`;
+      if (linkedin) links += `${portfolio ? "  •  " : ""}🔗 <${linkedin.startsWith("http") ? linkedin : "https://" + linkedin}|LinkedIn>`;
+      if (email) links += `${portfolio || linkedin ? "  •  " : ""}📧 ${email}`;
+
+      const posted = await slack.client.chat.postMessage({
+        channel: SUBMISSIONS_NOTIFY_CHANNEL,
+        text: `📬 New Freelancer Application: ${name}`,
+        blocks: [
+          {
+            type: "section",
+            text: { type: "mrkdwn", text: `📬 *New Freelancer Application*\n\n${summary}` },
+          },
+          {
+            type: "section",
+            text: { type: "mrkdwn", text: links || "_No links provided_" },
+          },
+          {
+            type: "actions",
+            elements: [
+              {
+                type: "button",
+                text: { type: "plain_text", text: "✅ Add to Roster" },
+                style: "primary",
+                action_id: "approve_submission",
+                value: JSON.stringify({
+                  name,
+                  email,
+                  category,
+                  level: level.replace(/\s*\(.*?\)\s*/g, "").trim(),
+                  rate,
+                  capabilities,
+                  portfolio,
+                  linkedin,
+                  location,
+                  about: about.length > 300 ? about.substring(0, 300) : about,
+                  clients: entry["Notable Clients or Brands"] || entry["Clients"] || "",
+                }),
+              },
+              {
+                type: "button",
+                text: { type: "plain_text", text: "❌ Pass" },
+                style: "danger",
+                action_id: "reject_submission",
+              },
+            ],
+          },
+        ],
+      }).catch(async (err) => {
+        // Release the claim so the next poll retries this row
+        if (rowTimestamp) await processedSubmissions.delete(rowTimestamp);
+        throw err;
+      });
+
+      if (posted.ts) {
+        console.log(`📝 Posted submission for "${name}" (msg ts: ${posted.ts})`);
+      } else if (rowTimestamp) {
+        await processedSubmissions.delete(rowTimestamp);
+      }
+    }
+
+    await watcherState.set("submissionCount", currentCount);
+  } catch (err) {
+    // Don't crash the bot if submissions sheet isn't set up yet
+    if (err.message?.includes("Unable to parse range")) {
+      // Sheet tab doesn't exist yet — form hasn't received any responses
+      return;
+    }
+    console.warn("⚠️ Submission watcher error:", err.message);
+  } finally {
+    isCheckingSubmissions = false;
+  }
+}
+
+// ── Button handlers for approving/rejecting freelancer submissions ────
+
+async function handleApproveSubmission({ body, ack }) {
+  await ack();
+
+  const messageTs = body.message.ts;
+  const channel = body.channel.id;
+  const approvedBy = body.user.name || body.user.id;
+
+  // Read submission data from the button value (survives bot restarts)
+  let submission;
+  try {
+    submission = JSON.parse(body.actions[0].value);
+  } catch (e) {
+    submission = null;
+  }
+
+  if (!submission) {
+    console.log(`ℹ️ Approve clicked but no submission data in button value (msg ts: ${messageTs})`);
+    await slack.client.chat.postMessage({
+      channel,
+      thread_ts: messageTs,
+      text: "⚠️ Couldn't read the submission data. You'll need to add them manually.",
+    });
+    return;
+  }
+
+  console.log(`✅ "${submission.name}" approved by ${approvedBy} — adding to roster...`);
+
+  try {
+    const tabName = resolveTab(submission.category);
+
+    // Read the headers from that tab so we know the column order
+    const { data } = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${tabName}'!A2:Z2`, // Row 2 = headers (row 1 = title)
+    });
+
+    const headers = (data.values?.[0] || []).map((h) => h.trim());
+    if (headers.length === 0) {
+      console.error(`❌ No headers found in tab "${tabName}" row 2`);
+      return;
+    }
+
+    // Build a row matching the header order
+    const newRow = headers.map((header) => {
+      const h = header.toLowerCase();
+      if (h === "name") return submission.name;
+      if (h === "availibility" || h === "availability") return "Available";
+      if (h === "level") return submission.level;
+      if (h === "capabilites" || h === "capabilities") return submission.capabilities;
+      if (h === "reccomendation" || h === "recommendation") return "";
+      if (h.includes("cost rate")) return submission.rate;
+      if (h.includes("min sell")) return "";
+      if (h === "clients") return submission.clients;
+      if (h === "portfolio") return submission.portfolio;
+      if (h === "linkedin") return submission.linkedin;
+      if (h === "email address" || h === "email") return submission.email;
+      if (h === "phone number" || h === "phone") return "";
+      if (h === "location") return submission.location;
+      if (h === "comments") return submission.about ? `[Form submission] ${submission.about}` : "[Added via intake form]";
+      if (h === "status") return "New";
+      return "";
+    });
+
+    // Append the new row to the tab
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${tabName}'!A3`,
+      valueInputOption: "RAW",
+      insertDataOption: "INSERT_ROWS",
+      requestBody: {
+        values: [newRow],
+      },
+    });
+
+    console.log(`✅ "${submission.name}" added to "${tabName}" tab`);
+
+    // Bust roster cache
+    await sheetCache.delete("roster");
+
+    // Update the original message — replace buttons with confirmation
+    const originalBlocks = body.message.blocks || [];
+    const updatedBlocks = originalBlocks.filter((b) => b.type !== "actions");
+    updatedBlocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: `✅ *Added to ${tabName}* by ${approvedBy}` },
+    });
+
+    await slack.client.chat.update({
+      channel,
+      ts: messageTs,
+      blocks: updatedBlocks,
+      text: `✅ ${submission.name} added to ${tabName} by ${approvedBy}`,
+    });
+
+  } catch (error) {
+    console.error(`❌ Failed to add "${submission.name}" to roster:`, error.message);
+
+    let errorMsg = `⚠️ Couldn't add *${submission.name}* to the roster.`;
+    if (error.message?.includes("Unable to parse range")) {
+      const tabName = resolveTab(submission.category);
+      errorMsg += `\n\nThe *${tabName}* tab doesn't exist in the Google Sheet. Create it with the same headers as your other tabs (title in row 1, headers in row 2), then try the button again.`;
+    } else {
+      errorMsg += ` Error: ${error.message}`;
+    }
+
+    await slack.client.chat.postMessage({
+      channel,
+      thread_ts: messageTs,
+      text: errorMsg,
+    });
+  }
+}
+
+async function handleRejectSubmission({ body, ack }) {
+  await ack();
+
+  const messageTs = body.message.ts;
+  const channel = body.channel.id;
+  const rejectedBy = body.user.name || body.user.id;
+
+  // Update the original message — replace buttons with "passed" note
+  const originalBlocks = body.message.blocks || [];
+  const updatedBlocks = originalBlocks.filter((b) => b.type !== "actions");
+  updatedBlocks.push({
+    type: "section",
+    text: { type: "mrkdwn", text: `❌ *Passed* by ${rejectedBy}` },
+  });
+
+  await slack.client.chat.update({
+    channel,
+    ts: messageTs,
+    blocks: updatedBlocks,
+    text: `❌ Passed by ${rejectedBy}`,
+  });
+
+  console.log(`❌ Submission rejected by ${rejectedBy}`);
+}
+
+// ── Freelancer holds & bookings ──────────────────────────────────────
+// "Place hold" / "Confirm booking" / "Release" / "Schedule in Streamtime" buttons on each recommendation card.
+// Every action is recorded in a "Bookings" tab in the roster spreadsheet and mirrored
+// into the freelancer's Availability column, and overlapping holds by different
+// producers are flagged in both threads so nobody double-books a freelancer.
+
+const BOOKINGS_TAB = "Bookings";
+const BOOKINGS_HEADERS = [
+  "Booking ID", "Name", "Category", "Project", "Start", "End", "Status",
+  "Requested By", "Requester Name", "Rate", "Channel", "Thread", "Created", "Updated",
+];
+const ACTIVE_BOOKING_STATUSES = ["Hold", "Confirmed"];
+
+// Two producers clicking Hold on the same freelancer at once would each read the tab
+// before the other's row lands and miss the clash — so the read → check → write runs
+// under a per-freelancer lock claimed in the shared store. The TTL frees the lock if
+// an instance dies holding it.
+const BOOKING_LOCK_TTL_MS = 30_000;
+const BOOKING_LOCK_WAIT_MS = 10_000;
+const BOOKING_LOCK_RETRY_MS = 200;
+const bookingLocks = store.namespace("booking-locks", BOOKING_LOCK_TTL_MS);
+
+// True once the lock is ours, false if someone else still holds it after the wait
+async function acquireBookingLock(key) {
+  const started = Date.now();
+  while (!(await bookingLocks.claim(key))) {
+    if (Date.now() - started > BOOKING_LOCK_WAIT_MS) return false;
+    await new Promise((r) => setTimeout(r, BOOKING_LOCK_RETRY_MS));
+  }
+  return true;
+}
+
+// Short project label for booking records (first line of the request, trimmed)
+function summariseProject(text) {
+  const firstLine = (text || "").replace(/<@[A-Z0-9]+>/g, "").split("\n")[0].trim();
+  return firstLine.length > 120 ? firstLine.substring(0, 117) + "..." : firstLine || "Untitled project";
+}
+
+function buildBookingActionsBlock(person, bookingContext) {
+  const value = JSON.stringify({
+    name: person.Name,
+    category: person.Category || "",
+    project: bookingContext.project,
+    start: bookingContext.window?.start || "",
+    end: bookingContext.window?.end || "",
+    rate: getPersonRate(person),
+  });
+
+  return {
+    type: "actions",
+    elements: [
+      { type: "button", text: { type: "plain_text", text: "📌 Place hold" }, action_id: "booking_hold", value },
+      { type: "button", text: { type: "plain_text", text: "✅ Confirm booking" }, style: "primary", action_id: "booking_confirm", value },
+      { type: "button", text: { type: "plain_text", text: "↩️ Release" }, action_id: "booking_release", value },
+      ...(STREAMTIME_API_KEY ? [{ type: "button", text: { type: "plain_text", text: "🗓️ Schedule in Streamtime" }, action_id: "booking_streamtime", value }] : []),
+    ],
+  };
+}
+
+// Read all bookings — creates the tab with headers on first use
+async function fetchBookings() {
+  try {
+    const { data } = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${BOOKINGS_TAB}'!A1:N`,
+    });
+    const rows = data.values || [];
+    return rows.slice(1).map((row, i) => {
+      const entry = { rowNumber: i + 2 };
+      BOOKINGS_HEADERS.forEach((header, col) => {
+        entry[header] = (row[col] || "").trim();
+      });
+      return entry;
+    });
+  } catch (err) {
+    if (!err.message?.includes("Unable to parse range")) throw err;
+
+    console.log(`📌 Bookings: no "${BOOKINGS_TAB}" tab yet — creating it`);
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: SPREADSHEET_ID,
+      requestBody: { requests: [{ addSheet: { properties: { title: BOOKINGS_TAB } } }] },
+    });
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${BOOKINGS_TAB}'!A1`,
+      valueInputOption: "RAW",
+      requestBody: { values: [BOOKINGS_HEADERS] },
+    });
+    return [];
+  }
+}
+
+async function appendBooking(booking) {
+  await sheets.spreadsheets.values.append({
+    spreadsheetId: SPREADSHEET_ID,
+    range: `'${BOOKINGS_TAB}'!A1`,
+    valueInputOption: "RAW",
+    insertDataOption: "INSERT_ROWS",
+    requestBody: { values: [BOOKINGS_HEADERS.map((h) => booking[h] || "")] },
+  });
+}
+
+async function updateBookingStatus(booking, status) {
+  const statusCol = colIndexToLetter(BOOKINGS_HEADERS.indexOf("Status"));
+  const updatedCol = colIndexToLetter(BOOKINGS_HEADERS.indexOf("Updated"));
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId: SPREADSHEET_ID,
+    requestBody: {
+      valueInputOption: "RAW",
+      data: [
+        { range: `'${BOOKINGS_TAB}'!${statusCol}${booking.rowNumber}`, values: [[status]] },
+        { range: `'${BOOKINGS_TAB}'!${updatedCol}${booking.rowNumber}`, values: [[new Date().toISOString()]] },
+      ],
+    },
+  });
+}
+
+// Missing dates are treated as "could be any time", so they always overlap
+function bookingsOverlap(a, b) {
+  if (!a.Start || !b.Start) return true;
+  const aEnd = a.End || a.Start;
+  const bEnd = b.End || b.Start;
+  return a.Start <= bEnd && b.Start <= aEnd;
+}
+
+function describeBookingDates(booking) {
+  if (!booking.Start) return "dates TBC";
+  return formatDateWindow({ start: booking.Start, end: booking.End || booking.Start });
+}
+
+// Mirror the latest active booking into the freelancer's Availability column
+async function syncAvailabilityColumn(name, bookings) {
+  const active = bookings
+    .filter((b) => namesMatch(b.Name, name) && ACTIVE_BOOKING_STATUSES.includes(b.Status))
+    .sort((a, b) => (a.Start || "").localeCompare(b.Start || ""));
+
+  let text = "Available";
+  if (active.length > 0) {
+    // A confirmed booking outranks holds; otherwise show the latest hold
+    const latest = active.find((b) => b.Status === "Confirmed") || active[active.length - 1];
+    const label = latest.Status === "Confirmed" ? "Booked" : "On hold";
+    text = `${label} — ${latest.Project} (${describeBookingDates(latest)})`;
+    if (active.length > 1) text += ` +${active.length - 1} more`;
+  }
+
+  const matches = await findFreelancerInSheet(name);
+  for (const match of matches) {
+    if (match.isTeam || match.availabilityCol === null) continue;
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${match.tab}'!${colIndexToLetter(match.availabilityCol)}${match.sheetRow}`,
+      valueInputOption: "RAW",
+      requestBody: { values: [[text]] },
+    });
+  }
+
+  await sheetCache.delete("roster");
+  return text;
+}
+
+async function handleBookingAction({ body, ack, action }) {
+  await ack();
+
+  const channel = body.channel.id;
+  const threadTs = body.message.thread_ts || body.message.ts;
+  const userId = body.user.id;
+  const userName = body.user.name || body.user.id;
+  const kind = action.action_id.replace("booking_", "");
+
+  let request;
+  try {
+    request = JSON.parse(action.value);
+  } catch (e) {
+    request = null;
+  }
+  if (!request) {
+    await slack.client.chat.postMessage({ channel, thread_ts: threadTs, text: "⚠️ Couldn't read the booking details from that button." });
+    return;
+  }
+
+  const dates = describeBookingDates({ Start: request.start, End: request.end });
+  console.log(`📌 ${kind} for "${request.name}" by ${userName} — ${request.project} (${dates})`);
+
+  const lockKey = normalizeName(request.name);
+  if (!(await acquireBookingLock(lockKey))) {
+    await slack.client.chat.postEphemeral({ channel, user: userId, thread_ts: threadTs, text: `⏳ Someone else is updating *${request.name}*'s bookings right now — try again in a moment.` });
+    return;
+  }
+
+  try {
+    const bookings = await fetchBookings();
+    const now = new Date().toISOString();
+    const candidate = { Name: request.name, Start: request.start, End: request.end };
+
+    // This producer's existing active booking for this person + project
+    const own = bookings
+      .filter((b) => namesMatch(b.Name, request.name) && b.Project === request.project &&
+        b["Requested By"] === userId && ACTIVE_BOOKING_STATUSES.includes(b.Status))
+      .pop();
+
+    let message;
+
+    if (kind === "release") {
+      if (!own) {
+        await slack.client.chat.postEphemeral({ channel, user: userId, thread_ts: threadTs, text: `ℹ️ You don't have an active hold or booking on *${request.name}* for this project.` });
+        return;
+      }
+      await updateBookingStatus(own, "Released");
+      own.Status = "Released";
+      message = `↩️ <@${userId}> released *${request.name}* (${describeBookingDates(own)}).`;
+    } else {
+      const status = kind === "confirm" ? "Confirmed" : "Hold";
+
+      if (own && own.Status === status) {
+        await slack.client.chat.postEphemeral({ channel, user: userId, thread_ts: threadTs, text: `ℹ️ *${request.name}* is already ${status === "Hold" ? "on hold" : "confirmed"} for you on this project.` });
+        return;
+      }
+
+      // Overlapping holds/bookings by other producers
+      const clashes = bookings.filter((b) =>
+        namesMatch(b.Name, request.name) && ACTIVE_BOOKING_STATUSES.includes(b.Status) &&
+        b["Requested By"] !== userId && bookingsOverlap(b, candidate)
+      );
+
+      if (own) {
+        await updateBookingStatus(own, status);
+        own.Status = status;
+      } else {
+        const booking = {
+          "Booking ID": `BK-${Date.now().toString(36).toUpperCase()}`,
+          Name: request.name,
+          Category: request.category,
+          Project: request.project,
+          Start: request.start,
+          End: request.end,
+          Status: status,
+          "Requested By": userId,
+          "Requester Name": userName,
+          Rate: request.rate,
+          Channel: channel,
+          Thread: threadTs,
+          Created: now,
+          Updated: now,
+        };
+        await appendBooking(booking);
+        bookings.push(booking);
+      }
+
+      message = status === "Confirmed"
+        ? `✅ <@${userId}> confirmed *${request.name}* for _${request.project}_ (${dates}).`
+        : `📌 <@${userId}> placed a hold on *${request.name}* for _${request.project}_ (${dates}).`;
+
+      if (clashes.length > 0) {
+        message += `\n\n⚠️ *Double-booking alert:* ${clashes.map((c) => `<@${c["Requested By"]}> has ${c.Status === "Confirmed" ? "a confirmed booking" : "a hold"} for _${c.Project}_ (${describeBookingDates(c)})`).join("; ")}. Please sort it out between you before confirming with ${request.name}.`;
+
+        // Let the other producer(s) know in their own thread
+        for (const clash of clashes) {
+          if (!clash.Channel || !clash.Thread) continue;
+          await slack.client.chat.postMessage({
+            channel: clash.Channel,
+            thread_ts: clash.Thread,
+            text: `⚠️ *Double-booking alert:* <@${userId}> just ${status === "Confirmed" ? "confirmed" : "placed a hold on"} *${request.name}* for _${request.project}_ (${dates}), which overlaps your ${clash.Status === "Confirmed" ? "booking" : "hold"} (${describeBookingDates(clash)}).`,
+          }).catch((e) => console.warn(`📌 Couldn't notify clash thread: ${e.data?.error || e.message}`));
+        }
+        console.log(`📌 Clash: ${request.name} — ${clashes.length} overlapping booking(s)`);
+      }
+    }
+
+    const availability = await syncAvailabilityColumn(request.name, bookings);
+    message += `\n_Availability now shows: ${availability}_`;
+
+    await slack.client.chat.postMessage({ channel, thread_ts: threadTs, text: message });
+  } catch (error) {
+    console.error(`❌ Booking ${kind} failed for "${request.name}":`, error.message);
+    await slack.client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: `⚠️ Couldn't update the booking for *${request.name}*. Error: ${error.message}`,
+    });
+  } finally {
+    await bookingLocks.delete(lockKey);
+  }
+}
+
+// ── Scheduling bookings in Streamtime ────────────────────────────────
+// "🗓️ Schedule in Streamtime" asks for a job number, then puts the freelancer
+// on one of that job's items as a job item user with the planned hours, and
+// widens the item's estimated dates to cover the booking. If they're already
+// on the item, their planned hours are updated instead. The freelancer has to
+// exist as a user in Streamtime — the bot doesn't create users.
+
+const STREAMTIME_BOOKING_MAX_HOURS = 2000;
+
+function plannedHoursBetween(start, end) {
+  if (!start) return null;
+  return workingDaysBetween(start, end || start).reduce((sum, d) => sum + DEFAULT_DAILY_HOURS[new Date(`${d}T00:00:00Z`).getUTCDay()], 0);
+}
+
+function buildStreamtimeBookingModal(request, metadata) {
+  const hours = plannedHoursBetween(request.start, request.end);
+  const dateInput = (blockId, label, value) => ({
+    type: "input",
+    block_id: blockId,
+    optional: true,
+    label: { type: "plain_text", text: label },
+    element: { type: "datepicker", action_id: "value", ...(value ? { initial_date: value } : {}) },
+  });
+
+  return {
+    type: "modal",
+    callback_id: "booking_streamtime",
+    private_metadata: metadata,
+    title: { type: "plain_text", text: "Schedule in Streamtime" },
+    submit: { type: "plain_text", text: "Schedule" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      { type: "section", text: { type: "mrkdwn", text: `Add *${request.name}* to a Streamtime job for _${request.project}_.` } },
+      {
+        type: "input",
+        block_id: "job_number",
+        label: { type: "plain_text", text: "Job number" },
+        element: { type: "plain_text_input", action_id: "value", placeholder: { type: "plain_text", text: "e.g. ACM-042" } },
+      },
+      {
+        type: "input",
+        block_id: "task",
+        optional: true,
+        label: { type: "plain_text", text: "Task (job item)" },
+        hint: { type: "plain_text", text: "Leave blank to use the job's only item, or the one matching their discipline" },
+        element: { type: "plain_text_input", action_id: "value" },
+      },
+      dateInput("start_date", "Start date", request.start),
+      dateInput("end_date", "End date", request.end),
+      {
+        type: "input",
+        block_id: "hours",
+        label: { type: "plain_text", text: "Planned hours" },
+        element: { type: "plain_text_input", action_id: "value", ...(hours ? { initial_value: String(hours) } : {}) },
+      },
+    ],
+  };
+}
+
+function parseStreamtimeBookingView(view) {
+  const values = view.state.values;
+  const get = (blockId) => values[blockId]?.value || {};
+  return {
+    jobNumber: (get("job_number").value || "").trim(),
+    task: (get("task").value || "").trim(),
+    start: get("start_date").selected_date || "",
+    end: get("end_date").selected_date || "",
+    hours: parseFloat((get("hours").value || "").replace(/[^\d.]/g, "")),
+  };
+}
+
+// Job by number from the synced index — syncs once more if it's newer than the last sync
+async function findStreamtimeJob(jobNumber) {
+  const wanted = jobNumber.replace(/\s+/g, "").toLowerCase();
+  const find = (index) => Object.values(index?.views.jobs?.records || {}).find((j) => (j.number || "").replace(/\s+/g, "").toLowerCase() === wanted);
+  return find(await streamtimeIndex.get("index")) || find(await syncStreamtimeIndex());
+}
+
+// Job item id → its job item roles. Read from the synced index; any item the index has no
+// roles for (e.g. created since the last sync) is asked for item by item.
+async function jobItemRolesFor(items) {
+  const ids = new Set(items.map((i) => i.id));
+  const index = await streamtimeIndex.get("index");
+  const byItem = {};
+  for (const role of Object.values(index?.views.jobItemRoles?.records || {})) {
+    if (ids.has(role.jobItemId)) (byItem[role.jobItemId] = byItem[role.jobItemId] || []).push(role);
+  }
+  for (const item of items.filter((i) => !byItem[i.id])) {
+    byItem[item.id] = (await streamtimeFetch(`/job_items/${item.id}/job_item_roles`)) || [];
+  }
+  return byItem;
+}
+
+// The job item to book against: the named one, the job's only item, or the one whose
+// name or booked roles match the freelancer's discipline (Animator role → Animators)
+async function pickJobItem(items, task, category) {
+  if (task) {
+    const target = normalizeName(task);
+    return items.find((i) => normalizeName(i.name || "") === target) || items.find((i) => normalizeName(i.name || "").includes(target)) || null;
+  }
+  if (items.length === 1) return items[0];
+  if (!category) return null;
+
+  const [roles, itemRoles] = await Promise.all([streamtimeFetch("/roles"), jobItemRolesFor(items)]);
+  const roleNames = Object.fromEntries((roles || []).map((r) => [r.id, r.name]));
+  const matching = items.filter((item) => {
+    const labels = [item.name, ...(itemRoles[item.id] || []).filter((r) => r.active !== false).map((r) => roleNames[r.roleId])].filter(Boolean);
+    return labels.some((label) => detectCategories(label).includes(category));
+  });
+  return matching.length === 1 ? matching[0] : null;
+}
+
+// → { job, item, created, hours, dates } — throws with a message for the thread when it can't
+async function scheduleInStreamtime({ name, category, jobNumber, task, start, end, hours }) {
+  const users = await streamtimeFetch("/users");
+  if (!users) throw new Error("couldn't read Streamtime users");
+  const person = findClosestPerson(users.map((u) => ({ Name: `${u.firstName || ""} ${u.lastName || ""}`.trim(), user: u })), name);
+  if (!person) throw new Error(`${name} isn't a user in Streamtime yet — add them there first`);
+
+  const job = await findStreamtimeJob(jobNumber);
+  if (!job) throw new Error(`there's no Streamtime job numbered ${jobNumber}`);
+
+  const items = (await streamtimeFetch(`/jobs/${job.id}/job_items`)) || [];
+  const item = await pickJobItem(items, task, category);
+  if (!item) {
+    const names = items.map((i) => i.name).filter(Boolean);
+    if (names.length === 0) throw new Error(`${job.number} has no tasks to book against — add one in Streamtime first`);
+    throw new Error(`${task ? `${job.number} has no task called "${task}"` : `which task on ${job.number}?`} Its tasks are: ${names.join(", ")}`);
+  }
+
+  const minutes = Math.round(hours * 60);
+  const existing = ((await streamtimeFetch(`/job_items/${item.id}/job_item_users`)) || []).find((jiu) => jiu.userId === person.user.id);
+  const saved = existing
+    ? await streamtimeFetch(`/job_item_users/${existing.id}`, "PUT", { ...existing, totalPlannedMinutes: minutes })
+    : await streamtimeFetch(`/job_items/${item.id}/job_item_users`, "POST", { userId: person.user.id, totalPlannedMinutes: minutes });
+  if (!saved) throw new Error(`Streamtime didn't accept ${name} on ${job.number} — check the job isn't locked or complete`);
+
+  // Widen the item's estimated dates to cover the booking
+  let dates = null;
+  if (start) {
+    const from = [item.estimatedStartDate, start].filter(Boolean).sort()[0];
+    const to = [item.estimatedEndDate, end || start].filter(Boolean).sort().pop();
+    dates = { start: from, end: to };
+    if (from !== item.estimatedStartDate || to !== item.estimatedEndDate) {
+      const updated = await streamtimeFetch(`/job_items/${item.id}`, "PUT", { ...item, estimatedStartDate: from, estimatedEndDate: to });
+      if (!updated) {
+        console.warn(`📌 Streamtime: couldn't set the dates on job item ${item.id}`);
+        dates = null;
+      }
+    }
+  }
+
+  // Their schedule changed — rebuild availability from Streamtime on the next request
+  await streamtimeCache.delete("history");
+  return { job, item, created: !existing, hours, dates };
+}
+
+async function handleStreamtimeBookingButton({ ack, body, action, client }) {
+  await ack();
+  const channel = body.channel.id;
+  const threadTs = body.message.thread_ts || body.message.ts;
+
+  let request;
+  try {
+    request = JSON.parse(action.value);
+  } catch (e) {
+    request = null;
+  }
+  if (!request) {
+    await slack.client.chat.postEphemeral({ channel, user: body.user.id, thread_ts: threadTs, text: "⚠️ Couldn't read the booking details from that button." });
+    return;
+  }
+
+  try {
+    await client.views.open({ trigger_id: body.trigger_id, view: buildStreamtimeBookingModal(request, JSON.stringify({ ...request, channel, threadTs })) });
+  } catch (err) {
+    console.error("📌 Could not open the Streamtime booking form:", err.data?.error || err.message);
+  }
+}
+
+async function handleStreamtimeBookingSubmit({ ack, body, view }) {
+  const input = parseStreamtimeBookingView(view);
+  const errors = {};
+  if (!input.jobNumber) errors.job_number = "Enter the Streamtime job number";
+  if (input.start && input.end && input.end < input.start) errors.end_date = "End date is before the start date";
+  if (!(input.hours > 0) || input.hours > STREAMTIME_BOOKING_MAX_HOURS) errors.hours = "Enter the planned hours, e.g. 40";
+  if (Object.keys(errors).length > 0) {
+    await ack({ response_action: "errors", errors });
+    return;
+  }
+  await ack();
+
+  const request = JSON.parse(view.private_metadata);
+  const userId = body.user.id;
+  console.log(`📌 Scheduling "${request.name}" on ${input.jobNumber} in Streamtime for ${body.user.name || userId} (${input.hours}h)`);
+
+  let text;
+  try {
+    const result = await scheduleInStreamtime({ ...input, name: request.name, category: request.category });
+    const where = `*${result.job.number} ${result.job.name}* › _${result.item.name}_`;
+    const when = result.dates ? `, ${describeBookingDates({ Start: result.dates.start, End: result.dates.end })}` : "";
+    text = result.created
+      ? `🗓️ <@${userId}> scheduled *${request.name}* in Streamtime on ${where}: ${result.hours}h planned${when}.`
+      : `🗓️ <@${userId}> updated *${request.name}* on ${where} in Streamtime to ${result.hours}h planned${when}.`;
+    if (input.start && !result.dates) text += "\n_Couldn't set the task's dates — check them in Streamtime._";
+  } catch (err) {
+    console.warn(`📌 Streamtime scheduling failed for "${request.name}":`, err.message);
+    text = `⚠️ Couldn't schedule *${request.name}* in Streamtime: ${err.message}.`;
+  }
+
+  await slack.client.chat.postMessage({ channel: request.channel, thread_ts: request.threadTs, text })
+    .catch((e) => console.warn("📌 Couldn't post the Streamtime booking result:", e.data?.error || e.message));
+}
+
+// ── Brief archive & similar briefs ───────────────────────────────────
+// Every brief the pipeline reads is kept in a "Brief Archive" tab in the
+// roster spreadsheet: the text, its structured fields, who asked and where,
+// and everyone Claude recommended in that thread. "similar briefs: <text>"
+// ranks the archive against the text (TF-IDF over the same keywords the
+// scorer uses) and shows who was recommended and booked for each match —
+// bookings are read from the Bookings tab by thread, so they're never stale.
+
+const BRIEF_ARCHIVE_TAB = "Brief Archive";
+const BRIEF_ARCHIVE_HEADERS = [
+  "Brief ID", "Date", "Requested By", "Requester Name", "Channel", "Thread",
+  "Client", "Brand", "Project", "Deliverables", "Disciplines", "Start", "End",
+  "Budget", "Location", "Tone", "Request", "Sources", "Recommended", "Brief Text",
+];
+const BRIEF_ARCHIVE_FIELD_HEADERS = BRIEF_ARCHIVE_HEADERS.slice(BRIEF_ARCHIVE_HEADERS.indexOf("Client"), BRIEF_ARCHIVE_HEADERS.indexOf("Tone") + 1);
+const BRIEF_ARCHIVE_TEXT_MAX_CHARS = 40000; // Sheets caps a cell at 50,000 characters
+const SIMILAR_BRIEFS_TRIGGER = /^(?:similar|past|previous)\s+briefs?(?:\s+(?:like|to|for))?(?=[\s:,-]|$)[\s:,-]*/i;
+const SIMILAR_BRIEFS_LIMIT = 5;
+const SIMILAR_BRIEFS_MIN_SCORE = 0.08; // below this the only overlap is generic brief vocabulary
+
+function briefArchiveRange(cells) {
+  return `'${BRIEF_ARCHIVE_TAB}'!${cells}`;
+}
+
+function briefArchiveColumn(header) {
+  return colIndexToLetter(BRIEF_ARCHIVE_HEADERS.indexOf(header));
+}
+
+async function createBriefArchiveTab() {
+  console.log(`🗂️ Brief archive: no "${BRIEF_ARCHIVE_TAB}" tab yet — creating it`);
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: SPREADSHEET_ID,
+    requestBody: { requests: [{ addSheet: { properties: { title: BRIEF_ARCHIVE_TAB } } }] },
+  });
+  await sheets.spreadsheets.values.update({
+    spreadsheetId: SPREADSHEET_ID,
+    range: briefArchiveRange("A1"),
+    valueInputOption: "RAW",
+    requestBody: { values: [BRIEF_ARCHIVE_HEADERS] },
+  });
+}
+
+// Read every archived brief — creates the tab with headers on first use
+async function fetchBriefArchive() {
+  try {
+    const { data } = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: briefArchiveRange(`A1:${briefArchiveColumn("Brief Text")}`),
+    });
+    const rows = data.values || [];
+    return rows.slice(1).map((row, i) => {
+      const entry = { rowNumber: i + 2 };
+      BRIEF_ARCHIVE_HEADERS.forEach((header, col) => {
+        entry[header] = (row[col] || "").trim();
+      });
+      return entry;
+    }).filter((entry) => entry["Brief ID"]);
+  } catch (err) {
+    if (!err.message?.includes("Unable to parse range")) throw err;
+    await createBriefArchiveTab();
+    return [];
+  }
+}
+
+// Brief fields → their archive columns (lists one per line, so the sheet stays readable)
+function briefArchiveFields(brief) {
+  if (!brief) return Object.fromEntries(BRIEF_ARCHIVE_FIELD_HEADERS.map((h) => [h, ""]));
+  return {
+    Client: brief.client,
+    Brand: brief.brand,
+    Project: brief.project,
+    Deliverables: brief.deliverables.join("\n"),
+    Disciplines: brief.disciplines.join("\n"),
+    Start: brief.startDate || "",
+    End: brief.endDate || "",
+    Budget: brief.budget,
+    Location: [brief.location, brief.workSetup].filter(Boolean).join(", "),
+    Tone: brief.toneReferences.join("\n"),
+  };
+}
+
+async function lookupUserName(userId) {
+  try {
+    const { user } = await slack.client.users.info({ user: userId });
+    return user?.real_name || user?.name || "";
+  } catch (err) {
+    return "";
+  }
+}
+
+// Append a brief to the archive — returns its Brief ID, or null if the sheet couldn't be written
+// entry = { text, brief, channel, threadTs, requester, request, sources }
+async function archiveBrief(entry) {
+  const row = {
+    "Brief ID": `BR-${Date.now().toString(36).toUpperCase()}`,
+    Date: new Date().toISOString(),
+    "Requested By": entry.requester || "",
+    "Requester Name": entry.requester ? await lookupUserName(entry.requester) : "",
+    Channel: entry.channel,
+    Thread: entry.threadTs,
+    ...briefArchiveFields(entry.brief),
+    Request: entry.request || "",
+    Sources: entry.sources.join(", "),
+    Recommended: "",
+    "Brief Text": entry.text.length > BRIEF_ARCHIVE_TEXT_MAX_CHARS ? entry.text.substring(0, BRIEF_ARCHIVE_TEXT_MAX_CHARS) : entry.text,
+  };
+  const append = () =>
+    sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: briefArchiveRange("A1"),
+      valueInputOption: "RAW",
+      insertDataOption: "INSERT_ROWS",
+      requestBody: { values: [BRIEF_ARCHIVE_HEADERS.map((h) => row[h] || "")] },
+    });
+
+  try {
+    try {
+      await append();
+    } catch (err) {
+      if (!err.message?.includes("Unable to parse range")) throw err;
+      await createBriefArchiveTab();
+      await append();
+    }
+    console.log(`🗂️ Brief archived as ${row["Brief ID"]} (${row.Client || "unstructured"}, ${entry.text.length} chars)`);
+    return row["Brief ID"];
+  } catch (err) {
+    console.warn("🗂️ Could not archive the brief:", err.message);
+    return null;
+  }
+}
+
+// Sheet row of an archived brief — looked up by ID each time, so sorting the tab is safe
+async function findBriefArchiveRow(briefId) {
+  const { data } = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: briefArchiveRange("A:A") });
+  const index = (data.values || []).findIndex((row) => (row[0] || "").trim() === briefId);
+  return index > 0 ? index + 1 : null;
+}
+
+// Add this recommendation's picks to the brief's Recommended column (follow-ups and re-runs add to it)
+async function recordRecommendedPeople(briefId, rec) {
+  const names = [...rec.internal, ...rec.freelancers].map((pick) => pick.name);
+  if (names.length === 0) return;
+  try {
+    const row = await findBriefArchiveRow(briefId);
+    if (!row) return;
+    const cell = briefArchiveRange(`${briefArchiveColumn("Recommended")}${row}`);
+    const { data } = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: cell });
+    const existing = (data.values?.[0]?.[0] || "").split(",").map((n) => n.trim()).filter(Boolean);
+    const merged = [...existing, ...names.filter((name) => !existing.some((e) => namesMatch(e, name)))];
+    if (merged.length === existing.length) return;
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: cell,
+      valueInputOption: "RAW",
+      requestBody: { values: [[merged.join(", ")]] },
+    });
+  } catch (err) {
+    console.warn(`🗂️ Could not record recommendations on ${briefId}:`, err.message);
+  }
+}
+
+// A producer's corrections replace the archived fields
+async function updateArchivedBrief(brief) {
+  try {
+    const row = await findBriefArchiveRow(brief.archiveId);
+    if (!row) return;
+    const fields = briefArchiveFields(brief);
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: briefArchiveRange(`${briefArchiveColumn("Client")}${row}:${briefArchiveColumn("Tone")}${row}`),
+      valueInputOption: "RAW",
+      requestBody: { values: [BRIEF_ARCHIVE_FIELD_HEADERS.map((h) => fields[h] || "")] },
+    });
+  } catch (err) {
+    console.warn(`🗂️ Could not update archived brief ${brief.archiveId}:`, err.message);
+  }
+}
+
+// "similar briefs: launch film for a snack brand" → "launch film for a snack brand" (null if not a search)
+function detectSimilarBriefsRequest(query) {
+  const match = query.match(SIMILAR_BRIEFS_TRIGGER);
+  if (!match) return null;
+  return query.slice(match[0].length).trim();
+}
+
+// Cosine similarity of TF-IDF keyword vectors — words every brief uses count for little,
+// a shared client, brand or technique for a lot
+function rankSimilarBriefs(queryText, archive) {
+  const queryTerms = new Set(extractKeywords(queryText));
+  if (queryTerms.size === 0 || archive.length === 0) return [];
+
+  const docs = archive.map((entry) => ({
+    entry,
+    terms: new Set(extractKeywords([...BRIEF_ARCHIVE_FIELD_HEADERS, "Request"].map((h) => entry[h]).concat(entry["Brief Text"]).join("\n"))),
+  }));
+  const docFrequency = new Map();
+  for (const { terms } of docs) {
+    for (const term of terms) docFrequency.set(term, (docFrequency.get(term) || 0) + 1);
+  }
+  const idf = (term) => Math.log((1 + docs.length) / (1 + (docFrequency.get(term) || 0))) + 1;
+  const norm = (terms) => Math.sqrt([...terms].reduce((sum, t) => sum + idf(t) ** 2, 0));
+
+  const queryNorm = norm(queryTerms);
+  return docs
+    .map(({ entry, terms }) => {
+      let dot = 0;
+      for (const term of queryTerms) if (terms.has(term)) dot += idf(term) ** 2;
+      return { entry, score: dot > 0 ? dot / (queryNorm * norm(terms)) : 0 };
+    })
+    .filter((m) => m.score >= SIMILAR_BRIEFS_MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SIMILAR_BRIEFS_LIMIT);
+}
+
+async function briefPermalink(entry) {
+  try {
+    const { permalink } = await slack.client.chat.getPermalink({ channel: entry.Channel, message_ts: entry.Thread });
+    return permalink || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// One block of lines per match: what it was, who asked, who was recommended and who got booked
+function formatSimilarBrief(match, index, bookings, permalink) {
+  const { entry } = match;
+  const title = entry.Project || summariseProject(entry.Request || entry["Brief Text"]);
+  const client = [entry.Client, entry.Brand].filter(Boolean).join(" / ");
+  const date = entry.Date ? new Date(entry.Date).toLocaleDateString("en-AU", { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" }) : "";
+  const who = entry["Requested By"] ? `requested by <@${entry["Requested By"]}>` : "";
+  const where = entry.Channel ? `in <#${entry.Channel}>` : "";
+  const lines = [
+    `*${index + 1}. ${title}*${client ? ` — ${client}` : ""} _(${Math.round(match.score * 100)}% match)_`,
+    `    ${[date, [who, where].filter(Boolean).join(" "), permalink ? `<${permalink}|thread>` : ""].filter(Boolean).join(" · ")}`,
+  ];
+  const needs = entry.Disciplines.split("\n").filter(Boolean).join(", ");
+  if (needs) lines.push(`    Needs: ${needs}`);
+
+  lines.push(`    💡 Recommended: ${entry.Recommended || "_nobody recorded_"}`);
+  const threadBookings = bookings.filter((b) => b.Channel === entry.Channel && b.Thread === entry.Thread);
+  const confirmed = threadBookings.filter((b) => b.Status === "Confirmed").map((b) => b.Name);
+  const held = threadBookings.filter((b) => b.Status === "Hold").map((b) => b.Name);
+  const booked = [
+    confirmed.length ? `✅ Booked: ${confirmed.join(", ")}` : "",
+    held.length ? `📌 On hold: ${held.join(", ")}` : "",
+  ].filter(Boolean);
+  lines.push(`    ${booked.join(" · ") || "_Nobody booked through the bot_"}`);
+  return lines.join("\n");
+}
+
+async function handleSimilarBriefsRequest(query, event, say, threadTs) {
+  const searchText = detectSimilarBriefsRequest(query);
+  if (searchText === null) return false;
+
+  const documents = event.files?.length ? await extractBriefContent(event) : { text: null };
+  const text = [searchText, documents.text].filter(Boolean).join("\n\n");
+  if (!text) {
+    await say({ text: "🗂️ Tell me what the new brief is about and I'll find past briefs like it, e.g. _similar briefs: 30s launch film for a snack brand, 2D animation_ — or attach the brief.", thread_ts: threadTs });
+    return true;
+  }
+
+  try {
+    const [archive, bookings] = await Promise.all([fetchBriefArchive(), fetchBookings()]);
+    const matches = rankSimilarBriefs(text, archive);
+    console.log(`🗂️ Similar briefs: ${matches.length} match(es) from ${archive.length} archived`);
+    if (matches.length === 0) {
+      await say({
+        text: archive.length === 0
+          ? "🗂️ The brief archive is empty — briefs are added as producers attach them to requests."
+          : `🗂️ No past briefs look like that (searched ${archive.length}). Try the client, brand or the kind of work.`,
+        thread_ts: threadTs,
+      });
+      return true;
+    }
+
+    const permalinks = await Promise.all(matches.map((m) => briefPermalink(m.entry)));
+    const heading = `🗂️ *${matches.length} past brief${matches.length === 1 ? "" : "s"} like this* — who we recommended and who got booked:`;
+    await say({
+      text: [heading, ...matches.map((m, i) => formatSimilarBrief(m, i, bookings, permalinks[i]))].join("\n\n"),
+      thread_ts: threadTs,
+      unfurl_links: false,
+    });
+  } catch (err) {
+    console.error("🗂️ Similar briefs search failed:", err.message);
+    await say({ text: `⚠️ Couldn't search the brief archive. Error: ${err.message}`, thread_ts: threadTs });
+  }
+  return true;
+}
+
+// ── Client lookup — "who knows <client>" ─────────────────────────────
+// Lists everyone, internal and freelance, who has logged time on a client's
+// Streamtime jobs: their job numbers, the roles they worked in, total hours
+// and when they last worked for the client. The client is matched loosely —
+// legal suffixes are ignored, small typos are forgiven, the company website
+// counts as a name ("acme.co" → "acme"), and brands can be mapped to their
+// company in an optional "Client Aliases" tab:
+//   Client | Aliases
+//   Acme Foods | Crunchos, Acme Snacks
+
+const WHO_KNOWS_TRIGGER = /^who(?:\s+(?:knows|has\s+worked|worked)|'s\s+worked)(?:\s+(?:for|on|with))?(?=[\s:,-]|$)[\s:,-]*/i;
+const CLIENT_ALIASES_TAB = "Client Aliases";
+const CLIENT_NAME_NOISE = /\b(?:the|pty|ltd|limited|inc|incorporated|llc|plc|corp|corporation|co|company|group|holdings)\b/g;
+const CLIENT_MATCH_MIN_SCORE = 0.75;
+const CLIENT_SUGGEST_MIN_SCORE = 0.3; // e.g. "Acme Drinks" → did you mean Acme Foods?
+const WHO_KNOWS_MAX_CLIENTS = 3;
+const WHO_KNOWS_JOBS_PER_PERSON = 6;
+
+// "The Acme Foods Pty Ltd." → "acme foods" — what's left when the legal dressing is gone
+function normalizeClientName(name) {
+  const plain = normalizeName(name || "").replace(/&/g, " and ").replace(/['’]/g, "").replace(/[^a-z0-9]+/g, " ");
+  const stripped = plain.replace(CLIENT_NAME_NOISE, " ").replace(/\s+/g, " ").trim();
+  return stripped || plain.trim();
+}
+
+// "https://www.acme.co/" → "acme"
+function websiteAlias(url) {
+  const host = (url || "").trim().replace(/^[a-z]+:\/\//i, "").replace(/^www\./i, "").split(/[/:?#]/)[0];
+  return host.includes(".") ? host.split(".")[0] : "";
+}
+
+// Typo allowance for a word: one edit per ~5 characters, at most 2 (as findClosestPerson)
+function wordsAlike(a, b) {
+  if (a === b) return true;
+  const maxDistance = Math.min(2, Math.floor(Math.min(a.length, b.length) / 5));
+  return maxDistance > 0 && editDistance(a, b) <= maxDistance;
+}
+
+// 1 = same name, 0.9 = every word of one is in the other ("Acme" ↔ "Acme Foods"),
+// 0.75–0.8 = the same words with typos, below that only some words shared
+function clientNameScore(query, name) {
+  const q = normalizeClientName(query);
+  const n = normalizeClientName(name);
+  if (!q || !n) return 0;
+  if (q === n) return 1;
+  const qWords = q.split(" ");
+  const nWords = n.split(" ");
+  if (qWords.every((w) => nWords.includes(w)) || nWords.every((w) => qWords.includes(w))) return 0.9;
+  if (qWords.length === nWords.length && qWords.every((w, i) => wordsAlike(w, nWords[i]))) return 0.8;
+  const [fewer, more] = qWords.length <= nWords.length ? [qWords, nWords] : [nWords, qWords];
+  const shared = fewer.filter((w) => more.some((m) => wordsAlike(w, m))).length;
+  if (shared === fewer.length) return 0.75;
+  return (0.6 * shared) / more.length;
+}
+
+// [{ client, aliases }] from the "Client Aliases" tab — [] when the tab doesn't exist
+async function fetchClientAliases() {
+  const cached = await sheetCache.get("client-aliases");
+  if (cached) return cached;
+
+  let rows = [];
+  try {
+    const { data } = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${CLIENT_ALIASES_TAB}'!A1:B`,
+    });
+    rows = data.values || [];
+  } catch (err) {
+    if (!err.message?.includes("Unable to parse range")) {
+      console.warn(`🏢 Could not read the "${CLIENT_ALIASES_TAB}" tab — matching on company names only:`, err.message);
+      return [];
+    }
+  }
+
+  const aliases = rows.slice(1)
+    .filter((row) => row[0] && row[0].trim() && row[1])
+    .map((row) => ({ client: row[0].trim(), aliases: row[1].split(/[,;\n]/).map((a) => a.trim()).filter(Boolean) }));
+  await sheetCache.set("client-aliases", aliases);
+  return aliases;
+}
+
+// Every client the bot knows of: Streamtime companies, plus any only seen on jobs
+function knownClients(history) {
+  const clients = new Map();
+  for (const company of history.companies || []) {
+    if (company.name) clients.set(company.id, { id: company.id, name: company.name, websiteAddress: company.websiteAddress || "" });
+  }
+  for (const person of Object.values(history.personJobs || {})) {
+    for (const job of person.jobList || []) {
+      if (job.companyId != null && !clients.has(job.companyId)) clients.set(job.companyId, { id: job.companyId, name: job.company, websiteAddress: "" });
+    }
+  }
+  return [...clients.values()];
+}
+
+// Clients the query names, best first — only the exact ones when there are any
+function matchClients(query, clients, aliasRows) {
+  const scored = clients.map((client) => {
+    const key = normalizeClientName(client.name);
+    const names = [
+      client.name,
+      websiteAlias(client.websiteAddress),
+      ...aliasRows.filter((row) => normalizeClientName(row.client) === key).flatMap((row) => row.aliases),
+    ].filter(Boolean);
+    const best = names.reduce((top, name) => {
+      const score = clientNameScore(query, name);
+      return score > top.score ? { score, via: name } : top;
+    }, { score: 0, via: null });
+    return { client, ...best, alias: best.via && best.via !== client.name ? best.via : null };
+  }).sort((a, b) => b.score - a.score);
+
+  const exact = scored.filter((m) => m.score === 1);
+  const matches = exact.length > 0 ? exact : scored.filter((m) => m.score >= CLIENT_MATCH_MIN_SCORE);
+  return {
+    matches: matches.slice(0, WHO_KNOWS_MAX_CLIENTS),
+    suggestions: matches.length === 0 ? scored.filter((m) => m.score >= CLIENT_SUGGEST_MIN_SCORE).slice(0, 3) : [],
+  };
+}
+
+// People who logged time on the clients' jobs, most hours first
+function clientExperience(history, clientIds) {
+  const ids = new Set(clientIds);
+  const people = [];
+  for (const person of Object.values(history.personJobs || {})) {
+    const jobs = (person.jobList || [])
+      .filter((j) => ids.has(j.companyId) && j.totalHours > 0)
+      .sort((a, b) => (b.lastWorked || "").localeCompare(a.lastWorked || ""));
+    if (jobs.length === 0) continue;
+    people.push({
+      name: person.fullName,
+      jobs,
+      roles: [...new Set(jobs.flatMap((j) => j.roles || []))],
+      hours: Math.round(jobs.reduce((sum, j) => sum + j.totalHours, 0) * 10) / 10,
+      lastWorked: jobs.reduce((last, j) => (j.lastWorked > last ? j.lastWorked : last), ""),
+    });
+  }
+  return people.sort((a, b) => b.hours - a.hours || b.lastWorked.localeCompare(a.lastWorked));
+}
+
+function formatClientPerson(person) {
+  const lastWorked = person.lastWorked
+    ? new Date(`${person.lastWorked}T00:00:00Z`).toLocaleDateString("en-AU", { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" })
+    : "";
+  const numbers = person.jobs.map((j) => j.number).filter(Boolean);
+  const shown = numbers.slice(0, WHO_KNOWS_JOBS_PER_PERSON).join(", ") + (numbers.length > WHO_KNOWS_JOBS_PER_PERSON ? ` +${numbers.length - WHO_KNOWS_JOBS_PER_PERSON} more` : "");
+  const details = [
+    person.roles.join(" / "),
+    `${person.hours}h`,
+    lastWorked ? `last worked ${lastWorked}` : "",
+    shown ? `jobs ${shown}` : "",
+  ].filter(Boolean);
+  return `• *${person.name}* — ${details.join(" · ")}`;
+}
+
+// "who knows Acme" → "Acme" (null if not a lookup)
+function detectWhoKnowsRequest(query) {
+  const match = query.match(WHO_KNOWS_TRIGGER);
+  if (!match) return null;
+  return query.slice(match[0].length).replace(/[?.!]+$/, "").trim();
+}
+
+async function handleWhoKnowsRequest(query, say, threadTs) {
+  const clientQuery = detectWhoKnowsRequest(query);
+  if (clientQuery === null) return false;
+
+  if (!clientQuery) {
+    await say({ text: "🏢 Which client? e.g. _who knows Acme Foods_ — I'll list everyone who's logged time on their jobs in Streamtime.", thread_ts: threadTs });
+    return true;
+  }
+  if (!STREAMTIME_API_KEY) {
+    await say({ text: "⚠️ Client lookups need Streamtime. Set `STREAMTIME_API_KEY` in Railway.", thread_ts: threadTs });
+    return true;
+  }
+
+  try {
+    const [history, aliasRows, roster, team] = await Promise.all([fetchStreamtimeJobHistory(), fetchClientAliases(), fetchRoster(), fetchTeam()]);
+    if (!history) {
+      await say({ text: "⚠️ Couldn't reach Streamtime just now — try again in a minute.", thread_ts: threadTs });
+      return true;
+    }
+
+    const { matches, suggestions } = matchClients(clientQuery, knownClients(history), aliasRows);
+    console.log(`🏢 Who knows "${clientQuery}": ${matches.map((m) => `${m.client.name} (${Math.round(m.score * 100)}%)`).join(", ") || "no client"}`);
+    if (matches.length === 0) {
+      const didYouMean = suggestions.length > 0 ? ` Did you mean ${suggestions.map((m) => `*${m.client.name}*`).join(", ")}?` : "";
+      await say({ text: `🏢 No Streamtime client matches "${clientQuery}".${didYouMean}`, thread_ts: threadTs });
+      return true;
+    }
+
+    const clientNames = matches.map((m) => `${m.client.name}${m.alias ? ` (via "${m.alias}")` : ""}`).join(", ");
+    const people = clientExperience(history, matches.map((m) => m.client.id));
+    if (people.length === 0) {
+      await say({ text: `🏢 Nobody has logged time on ${clientNames} jobs in Streamtime yet.`, thread_ts: threadTs });
+      return true;
+    }
+
+    // Freelancers are on the roster; everyone else in Streamtime is studio staff
+    const isFreelancer = (name) => !findClosestPerson(team, name) && !!findClosestPerson(roster, name);
+    const freelancers = people.filter((p) => isFreelancer(p.name));
+    const internal = people.filter((p) => !isFreelancer(p.name));
+    const sections = [
+      `🏢 *Who knows ${clientNames}* — ${people.length} ${people.length === 1 ? "person has" : "people have"} logged time on their jobs:`,
+      internal.length > 0 ? `*Internal team*\n${internal.map(formatClientPerson).join("\n")}` : "",
+      freelancers.length > 0 ? `*Freelancers*\n${freelancers.map(formatClientPerson).join("\n")}` : "",
+    ].filter(Boolean);
+    await say({ text: sections.join("\n\n"), thread_ts: threadTs });
+  } catch (err) {
+    console.error("🏢 Client lookup failed:", err.message);
+    await say({ text: `⚠️ Couldn't look up that client. Error: ${err.message}`, thread_ts: threadTs });
+  }
+  return true;
+}
+
+// ── Rate reconciliation — roster sheet vs Streamtime ─────────────────
+// The sheet's "Cost Rate" and "Min Sell Rate (2X)" columns and Streamtime's
+// rates are kept up separately and drift. Once a week every roster freelancer
+// who is also a Streamtime user is checked against:
+//   • their Streamtime cost rate (× 8 for the sheet's day rate)
+//   • their role's rate on the rate card of their most recent job item
+//     (the item role's sell rate, named via /rate_cards), else the rate most
+//     job items book their role at, else their billable rate
+//   • the sell rate actually charged on their most recent job item
+// Differences over RATE_DRIFT_TOLERANCE are posted to RATE_REPORT_CHANNEL,
+// each with a button that writes the Streamtime figure into the sheet cell.
+
+const RATE_RECONCILE_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+const RATE_RECENT_MONTHS = 6; // job items older than this don't count as "recent"
+const RATE_DRIFT_TOLERANCE = 0.05; // 5% — rounding and small currency differences aren't drift
+const RATE_DAY_HOURS = 8; // the sheet's rates are "per 8hr day"; Streamtime's are hourly
+const RATE_REPORT_PEOPLE_PER_MESSAGE = 15; // 3 blocks each, under Slack's 50-block limit
+const MIN_SELL_RATE_HEADER = "Min Sell Rate (2X)";
+
+// Role id → { dayRate, items }: the sell rate most active job item roles book the role at.
+// Streamtime's Role (see streamtime-api-spec.json) only has id, name and active — no rate —
+// so /roles says which roles are live and the rates come from the job item roles.
+function usualRoleRates(roles, jobItemRoles) {
+  const live = new Set((roles || []).filter((r) => r.active !== false).map((r) => r.id));
+  const counts = {}; // roleId → { rate → count }
+  for (const itemRole of jobItemRoles) {
+    if (!live.has(itemRole.roleId) || itemRole.active === false || !(itemRole.jobCurrencySellRate > 0)) continue;
+    const byRate = (counts[itemRole.roleId] = counts[itemRole.roleId] || {});
+    byRate[itemRole.jobCurrencySellRate] = (byRate[itemRole.jobCurrencySellRate] || 0) + 1;
+  }
+  return Object.fromEntries(Object.entries(counts).map(([roleId, byRate]) => {
+    const [rate, items] = Object.entries(byRate).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+    return [roleId, { dayRate: Number(rate) * RATE_DAY_HOURS, items }];
+  }));
+}
+
+// Outside the sheet's figure (or range) by more than the tolerance
+function rateDrifts(sheetRange, dayRate) {
+  if (!dayRate) return false;
+  if (!sheetRange) return true;
+  return dayRate < sheetRange.min * (1 - RATE_DRIFT_TOLERANCE) || dayRate > sheetRange.max * (1 + RATE_DRIFT_TOLERANCE);
+}
+
+// Streamtime's rates for one user: cost, rate card and recently charged day rates
+function streamtimeRatesFor(user, { assignments, rolesByItem, jobItemMap, jobMap, rateCardNames, roleRates, roleNames, cutoff }) {
+  const recent = assignments
+    .filter((jiu) => jiu.userId === user.id && (jiu.latestEndDate || jiu.earliestStartDate || "") >= cutoff)
+    .sort((a, b) => (b.latestEndDate || "").localeCompare(a.latestEndDate || ""));
+
+  const charged = recent.find((jiu) => jiu.sellRate > 0);
+  const chargedJob = charged && jobMap[jobItemMap[charged.jobItemId]?.jobId];
+
+  // The rate their role sells at on the rate card of their latest job that books it
+  let rateCard = null;
+  for (const jiu of recent) {
+    const role = (rolesByItem[jiu.jobItemId] || []).find((r) => r.roleId === user.role?.id && r.jobCurrencySellRate > 0);
+    if (!role) continue;
+    const job = jobMap[jobItemMap[jiu.jobItemId]?.jobId];
+    const card = job?.rateCard ? rateCardNames[job.rateCard.id] || job.rateCard.name || "" : "";
+    rateCard = { dayRate: role.jobCurrencySellRate * RATE_DAY_HOURS, detail: `${user.role.name}${card ? ` on ${card}` : ""}` };
+    break;
+  }
+  const usual = user.role && roleRates[user.role.id];
+  if (!rateCard && usual) {
+    rateCard = { dayRate: usual.dayRate, detail: `${roleNames[user.role.id] || user.role.name}, usual rate on ${usual.items} job item${usual.items === 1 ? "" : "s"}` };
+  }
+  if (!rateCard && user.billableRate > 0) rateCard = { dayRate: user.billableRate * RATE_DAY_HOURS, detail: "billable rate" };
+
+  return {
+    cost: user.costRate > 0 ? user.costRate * RATE_DAY_HOURS : null,
+    rateCard,
+    charged: charged ? { dayRate: charged.sellRate * RATE_DAY_HOURS, detail: [chargedJob?.number, charged.latestEndDate ? formatShortDate(charged.latestEndDate) : ""].filter(Boolean).join(", ") } : null,
+  };
+}
+
+// One entry per person whose sheet rates disagree with Streamtime
+function findRateDiscrepancies(roster, users, context) {
+  const people = users.map((u) => ({ Name: `${u.firstName || ""} ${u.lastName || ""}`.trim(), user: u }));
+  const discrepancies = [];
+  for (const person of roster) {
+    const match = findClosestPerson(people, person.Name);
+    if (!match) continue;
+    const rates = streamtimeRatesFor(match.user, context);
+    const { cost, sell, sellDerived } = getPersonRates(person);
+    const issues = [];
+
+    if (rateDrifts(cost, rates.cost)) {
+      issues.push({
+        label: "Cost",
+        column: person["Cost Rate ( per 8hr day)"] !== undefined ? "Cost Rate ( per 8hr day)" : "Cost Rate (per 8hr day)",
+        sheet: cost,
+        lines: [`Streamtime cost ${formatMoney(rates.cost)}`],
+        suggested: rates.cost,
+      });
+    }
+
+    // A blank Min Sell Rate is reported as blank — the 2× cost fallback is a guess, not a rate
+    const sheetSell = sellDerived ? null : sell;
+    const sellChecks = [
+      rates.rateCard && rateDrifts(sheetSell, rates.rateCard.dayRate) ? `rate card ${formatMoney(rates.rateCard.dayRate)} (${rates.rateCard.detail})` : null,
+      rates.charged && rateDrifts(sheetSell, rates.charged.dayRate) ? `charged ${formatMoney(rates.charged.dayRate)} (${rates.charged.detail})` : null,
+    ].filter(Boolean);
+    if (sellChecks.length > 0) {
+      issues.push({
+        label: "Min sell",
+        column: MIN_SELL_RATE_HEADER,
+        sheet: sheetSell,
+        lines: sellChecks,
+        // What clients are actually paying beats the card
+        suggested: (rates.charged || rates.rateCard).dayRate,
+      });
+    }
+
+    if (issues.length > 0) discrepancies.push({ name: person.Name, tab: person.Category, issues });
+  }
+  return discrepancies;
+}
+
+function buildRateDiscrepancyBlocks(discrepancy) {
+  const lines = discrepancy.issues.map((issue) => `    ${issue.label}: sheet ${issue.sheet ? formatRateRange(issue.sheet) : "_blank_"} · ${issue.lines.join(" · ")}`);
+  return [
+    { type: "section", text: { type: "mrkdwn", text: `*${discrepancy.name}* _(${discrepancy.tab})_\n${lines.join("\n")}` } },
+    {
+      type: "actions",
+      elements: discrepancy.issues.map((issue) => ({
+        type: "button",
+        text: { type: "plain_text", text: `Set ${issue.label.toLowerCase()} to ${formatMoney(issue.suggested)}` },
+        action_id: `rate_update_${issue.column === MIN_SELL_RATE_HEADER ? "sell" : "cost"}`,
+        value: JSON.stringify({ name: discrepancy.name, tab: discrepancy.tab, column: issue.column, value: formatMoney(issue.suggested), previous: issue.sheet ? formatRateRange(issue.sheet) : "" }),
+      })),
+    },
+    { type: "divider" },
+  ];
+}
+
+async function runRateReconciliation() {
+  if (!RATE_REPORT_CHANNEL || !STREAMTIME_API_KEY) return null;
+  console.log("💱 Rate reconciliation: comparing the roster with Streamtime...");
+
+  try {
+    const [roster, users, rateCards, roles, index] = await Promise.all([
+      fetchRoster(),
+      streamtimeFetch("/users"),
+      streamtimeFetch("/rate_cards"),
+      streamtimeFetch("/roles"),
+      syncStreamtimeIndex(),
+    ]);
+    if (!users) throw new Error("couldn't read Streamtime users");
+
+    const recordsOf = (key) => Object.values(index.views[key]?.records || {});
+    const rolesByItem = {};
+    for (const role of recordsOf("jobItemRoles")) (rolesByItem[role.jobItemId] = rolesByItem[role.jobItemId] || []).push(role);
+    const context = {
+      assignments: recordsOf("jobItemUsers"),
+      rolesByItem,
+      jobItemMap: Object.fromEntries(recordsOf("jobItems").map((i) => [i.id, i])),
+      jobMap: Object.fromEntries(recordsOf("jobs").map((j) => [j.id, j])),
+      rateCardNames: Object.fromEntries((rateCards || []).map((c) => [c.id, c.name])),
+      roleRates: usualRoleRates(roles, recordsOf("jobItemRoles")),
+      roleNames: Object.fromEntries((roles || []).map((r) => [r.id, r.name])),
+      cutoff: monthsBefore(toIsoDate(new Date()), RATE_RECENT_MONTHS),
+    };
+
+    const discrepancies = findRateDiscrepancies(roster, users, context);
+    console.log(`💱 Rate reconciliation: ${discrepancies.length} of ${roster.length} roster people differ from Streamtime`);
+
+    if (discrepancies.length === 0) {
+      await slack.client.chat.postMessage({ channel: RATE_REPORT_CHANNEL, text: "💱 *Weekly rate check:* the roster's cost and sell rates all match Streamtime." });
+    } else {
+      await slack.client.chat.postMessage({
+        channel: RATE_REPORT_CHANNEL,
+        text: `💱 *Weekly rate check:* ${discrepancies.length} ${discrepancies.length === 1 ? "person's" : "people's"} sheet rates differ from Streamtime by more than ${Math.round(RATE_DRIFT_TOLERANCE * 100)}%. Day rates are Streamtime's hourly rates × ${RATE_DAY_HOURS}. Update the sheet before quoting from it.`,
+      });
+      for (let i = 0; i < discrepancies.length; i += RATE_REPORT_PEOPLE_PER_MESSAGE) {
+        const batch = discrepancies.slice(i, i + RATE_REPORT_PEOPLE_PER_MESSAGE);
+        await slack.client.chat.postMessage({
+          channel: RATE_REPORT_CHANNEL,
+          text: `Rate differences: ${batch.map((d) => d.name).join(", ")}`,
+          blocks: batch.flatMap(buildRateDiscrepancyBlocks),
+        });
+      }
+    }
+
+    await watcherState.set("rateReconciledAt", new Date().toISOString());
+    return discrepancies;
+  } catch (err) {
+    console.error("💱 Rate reconciliation failed:", err.message);
+    return null;
+  }
+}
+
+// Weekly, counted from the last run the store remembers — a restart doesn't post a second report
+async function runRateReconciliationIfDue() {
+  const last = await watcherState.get("rateReconciledAt");
+  if (last && Date.now() - Date.parse(last) < RATE_RECONCILE_INTERVAL_MS) return;
+  await runRateReconciliation();
+}
+
+async function handleRateUpdate({ body, ack, action }) {
+  await ack();
+  const channel = body.channel.id;
+  const threadTs = body.message.ts;
+
+  let update;
+  try {
+    update = JSON.parse(action.value);
+  } catch (e) {
+    update = null;
+  }
+  if (!update) {
+    await slack.client.chat.postMessage({ channel, thread_ts: threadTs, text: "⚠️ Couldn't read the rate from that button." });
+    return;
+  }
+
+  try {
+    const match = (await findFreelancerInSheet(update.name)).find((m) => m.tab === update.tab && !m.isTeam);
+    const col = match ? match.headers.indexOf(update.column) : -1;
+    if (col === -1) throw new Error(`couldn't find ${update.name}'s "${update.column}" cell on the ${update.tab} tab`);
+
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${match.tab}'!${colIndexToLetter(col)}${match.sheetRow}`,
+      valueInputOption: "RAW",
+      requestBody: { values: [[update.value]] },
+    });
+    await sheetCache.delete("roster");
+    console.log(`💱 ${body.user.name || body.user.id} set ${update.name}'s ${update.column} to ${update.value}`);
+
+    await slack.client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: `✅ <@${body.user.id}> updated *${update.name}*'s ${update.column} to ${update.value}${update.previous ? ` (was ${update.previous})` : ""}.`,
+    });
+  } catch (err) {
+    console.error(`💱 Rate update failed for "${update.name}":`, err.message);
+    await slack.client.chat.postMessage({ channel, thread_ts: threadTs, text: `⚠️ Couldn't update *${update.name}*'s rate: ${err.message}.` });
+  }
+}
+
+// ── Talent Scout — weekly scrape of freelancer directories ───────────
+
+const TALENT_SCOUT_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const seenTalentNames = store.namespace("talent-seen"); // Dedup — also mirrored to a Google Sheet tab
+let talentScoutRunning = false; // Prevent concurrent runs
+
+// Launch a headless browser for scraping JS-rendered sites
+async function launchBrowser() {
+  const puppeteer = require("puppeteer");
+  return puppeteer.launch({
+    headless: "new",
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+      "--disable-gpu",
+      "--single-process",
+    ],
+  });
+}
+
+// Scrape a single directory page for freelancer profile links and basic info
+async function scrapeDirectory(url) {
+  console.log(`🔍 Talent Scout: scraping ${url}...`);
+  let browser;
+
+  try {
+    browser = await launchBrowser();
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1280, height: 900 });
+
+    // Navigate and wait for content to render
+    await page.goto(url, { waitUntil: "networkidle2", timeout: 30000 });
+    // Extra wait for JS-rendered content
+    await new Promise((r) => setTimeout(r, 3000));
+
+    let profiles = [];
+
+    // ── NodePro-specific parsing ──
+    if (url.includes("nodepro.com.au")) {
+      profiles = await page.evaluate(() => {
+        const results = [];
+        // Find all artist profile links
+        const links = document.querySelectorAll('a[href*="/artist/"]');
+        links.forEach((el) => {
+          const href = el.getAttribute("href") || "";
+          const fullUrl = href.startsWith("http") ? href : `https://nodepro.com.au${href}`;
+
+          // Get the card content — name is usually in a heading or prominent text
+          const card = el.closest("[class*='card']") || el.closest("[class*='member']") || el.closest("[class*='artist']") || el;
+          const allText = card.innerText.trim().split("\n").map((s) => s.trim()).filter(Boolean);
+
+          // Skip badge/tag text like "NEW", "FEATURED", etc. to find the actual name
+          const skipWords = new Set(["new", "featured", "pro", "verified", "top", "hire", "view", "profile"]);
+          const meaningfulText = allText.filter((t) => !skipWords.has(t.toLowerCase()) && t.length > 2);
+
+          const name = meaningfulText[0] || "";
+          const role = meaningfulText[1] || "";
+          const location = allText.find((t) => /sydney|melbourne|brisbane|perth|adelaide|auckland|wellington|australia|nz/i.test(t)) || "";
+
+          // Only include if name looks like an actual person name (has a space = first + last)
+          if (name && name.length > 3 && name.length < 60 && name.includes(" ")) {
+            results.push({ name, role, location, profileUrl: fullUrl, source: "NodePro" });
+          }
+        });
+        return results;
+      });
+    } else {
+      // ── Generic directory parsing ──
+      profiles = await page.evaluate((sourceUrl) => {
+        const results = [];
+        const links = document.querySelectorAll("a[href]");
+        links.forEach((el) => {
+          const href = el.getAttribute("href") || "";
+          const text = el.innerText.trim();
+          if (/\/(profile|artist|talent|member|person|freelancer)\//i.test(href) && text.length > 1 && text.length < 60) {
+            const fullUrl = href.startsWith("http") ? href : new URL(href, sourceUrl).href;
+            results.push({
+              name: text.split("\n")[0]?.trim() || text,
+              role: "",
+              location: "",
+              profileUrl: fullUrl,
+              source: new URL(sourceUrl).hostname.replace("www.", ""),
+            });
+          }
+        });
+        return results;
+      }, url);
+    }
+
+    // Deduplicate by profile URL
+    const seen = new Set();
+    const unique = profiles.filter((p) => {
+      if (seen.has(p.profileUrl)) return false;
+      seen.add(p.profileUrl);
+      return true;
+    });
+
+    console.log(`🔍 Talent Scout: found ${unique.length} profiles on ${url}`);
+    return unique;
+  } catch (err) {
+    console.warn(`🔍 Talent Scout: error scraping ${url}:`, err.message);
+    return [];
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+  }
+}
+
+// Scrape an individual profile page for more detail (reuses an existing browser)
+async function scrapeProfile(profileUrl, browser) {
+  let page;
+  try {
+    page = browser ? await browser.newPage() : null;
+    if (!page) return null;
+    await page.goto(profileUrl, { waitUntil: "networkidle2", timeout: 15000 });
+    await new Promise((r) => setTimeout(r, 1500));
+
+    const data = await page.evaluate(() => {
+      const title = document.title || "";
+      const metaDesc = document.querySelector('meta[name="description"]')?.content || "";
+      const ogDesc = document.querySelector('meta[property="og:description"]')?.content || "";
+      const ogImage = document.querySelector('meta[property="og:image"]')?.content || "";
+      const origin = window.location.origin;
+
+      // Helper: make sure image URL is absolute
+      function makeAbsolute(url) {
+        if (!url) return "";
+        if (url.startsWith("http")) return url;
+        if (url.startsWith("//")) return "https:" + url;
+        if (url.startsWith("/")) return origin + url;
+        return origin + "/" + url;
+      }
+
+      // Try to find profile image from multiple sources
+      let profileImage = makeAbsolute(ogImage);
+
+      // If no og:image or it's a generic site image, look for actual profile photos
+      if (!profileImage || profileImage.includes("logo") || profileImage.includes("favicon") || profileImage.includes("og-default") || profileImage.includes("default")) {
+        profileImage = "";
+      }
+
+      if (!profileImage) {
+        // Look for common profile image patterns
+        const imgCandidates = [
+          // NodePro-specific: headshot images hosted on pockethost with rounded-2xl class
+          document.querySelector('img[class*="rounded-2xl"][class*="object-cover"]'),
+          document.querySelector('img[src*="pockethost"]'),
+          document.querySelector('img[src*="headshot"]'),
+          // Generic patterns
+          document.querySelector('img[class*="avatar"]'),
+          document.querySelector('img[class*="profile"]'),
+          document.querySelector('img[class*="photo"]'),
+          document.querySelector('img[class*="headshot"]'),
+          document.querySelector('img[alt*="profile"]'),
+          document.querySelector('.profile img, .avatar img, .hero img'),
+          document.querySelector('img[class*="hero"]'),
+          document.querySelector('img[class*="banner"]'),
+        ];
+        for (const img of imgCandidates) {
+          if (img && img.src && !img.src.includes("placeholder") && !img.src.includes("default") && !img.src.includes("logo") && !img.src.includes("og-default")) {
+            profileImage = makeAbsolute(img.src);
+            break;
+          }
+        }
+      }
+
+      // Last resort: find the largest visible image on the page (likely showreel/portfolio thumbnail)
+      if (!profileImage) {
+        let bestImg = "";
+        let bestArea = 0;
+        document.querySelectorAll("img").forEach((img) => {
+          const w = img.naturalWidth || img.width || 0;
+          const h = img.naturalHeight || img.height || 0;
+          const area = w * h;
+          const src = img.src || "";
+          if (area > bestArea && area > 10000 && src && !src.includes("logo") && !src.includes("icon") && !src.includes("placeholder") && !src.includes("data:")) {
+            bestArea = area;
+            bestImg = src;
+          }
+        });
+        if (bestImg) profileImage = makeAbsolute(bestImg);
+      }
+
+      // Remove noise
+      document.querySelectorAll("script, style, nav, footer, header").forEach((el) => el.remove());
+      const bodyText = document.body.innerText.replace(/\s+/g, " ").trim().substring(0, 3000);
+
+      return { title, description: ogDesc || metaDesc, bodyText, profileImage };
+    });
+
+    return data;
+  } catch (err) {
+    return null;
+  } finally {
+    if (page) await page.close().catch(() => {});
+  }
+}
+
+// Load previously seen talent from Google Sheet to avoid re-posting
+async function loadSeenTalent() {
+  try {
+    const { data } = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: "'Talent Scout Log'!A:B",
+    });
+    const rows = data.values || [];
+    for (const row of rows) {
+      const key = row[0] ? normalizeName(row[0]) : "";
+      if (key && !(await seenTalentNames.has(key))) await seenTalentNames.set(key, true);
+    }
+    console.log(`🔍 Talent Scout: ${(await seenTalentNames.keys()).length} previously seen profiles loaded`);
+  } catch (err) {
+    // Tab doesn't exist yet — that's fine, will be created on first run
+    if (err.message?.includes("Unable to parse range")) {
+      console.log("🔍 Talent Scout: no log sheet yet — will create on first find");
+    } else {
+      console.warn("🔍 Talent Scout: could not load seen log:", err.message);
+    }
+  }
+}
+
+// Record a talent as "seen" in the Google Sheet log
+async function markTalentSeen(name, profileUrl) {
+  await seenTalentNames.set(normalizeName(name), true);
+  try {
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: "'Talent Scout Log'!A1",
+      valueInputOption: "RAW",
+      insertDataOption: "INSERT_ROWS",
+      requestBody: {
+        values: [[name, profileUrl, new Date().toISOString()]],
+      },
+    });
+  } catch (err) {
+    // If the tab doesn't exist, create it
+    if (err.message?.includes("Unable to parse range")) {
+      try {
+        const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID });
+        await sheets.spreadsheets.batchUpdate({
+          spreadsheetId: SPREADSHEET_ID,
+          requestBody: {
+            requests: [{
+              addSheet: { properties: { title: "Talent Scout Log" } },
+            }],
+          },
+        });
+        // Add headers and this row
+        await sheets.spreadsheets.values.update({
+          spreadsheetId: SPREADSHEET_ID,
+          range: "'Talent Scout Log'!A1:C2",
+          valueInputOption: "RAW",
+          requestBody: {
+            values: [
+              ["Name", "Profile URL", "Date Found"],
+              [name, profileUrl, new Date().toISOString()],
+            ],
+          },
+        });
+      } catch (createErr) {
+        console.warn("🔍 Talent Scout: could not create log sheet:", createErr.message);
+      }
+    }
+  }
+}
+
+// Check if a talent is already in our roster
+function isInRoster(name, roster) {
+  const normalized = normalizeName(name);
+  return (roster || []).some((p) => p.Name && normalizeName(p.Name) === normalized);
+}
+
+// Main talent scout function
+async function runTalentScout() {
+  if (!TALENT_SCOUT_CHANNEL || TALENT_SCOUT_SOURCES.length === 0) return;
+  if (talentScoutRunning) {
+    console.log("🔍 Talent Scout: already running — skipping");
+    return;
+  }
+  talentScoutRunning = true;
+
+  console.log("🔍 Talent Scout: starting weekly scan...");
+
+  try {
+    // Load roster for deduplication
+    const roster = await fetchRoster();
+
+    // Load seen list from Google Sheet
+    await loadSeenTalent();
+
+    // Scrape all configured sources
+    const allProfiles = [];
+    for (const sourceUrl of TALENT_SCOUT_SOURCES) {
+      const profiles = await scrapeDirectory(sourceUrl);
+      allProfiles.push(...profiles);
+      // Be polite — wait between sites
+      if (TALENT_SCOUT_SOURCES.length > 1) {
+        await new Promise((r) => setTimeout(r, 2000));
+      }
+    }
+
+    if (allProfiles.length === 0) {
+      console.log("🔍 Talent Scout: no profiles found across all sources");
+      return;
+    }
+
+    // Filter out people already in roster or already seen
+    const seenNames = new Set(await seenTalentNames.keys());
+    const newProfiles = allProfiles.filter((p) => {
+      if (isInRoster(p.name, roster)) return false;
+      if (seenNames.has(normalizeName(p.name))) return false;
+      return true;
+    });
+
+    console.log(`🔍 Talent Scout: ${newProfiles.length} new profiles (${allProfiles.length} total, ${allProfiles.length - newProfiles.length} already known)`);
+
+    if (newProfiles.length === 0) {
+      console.log("🔍 Talent Scout: no new talent this week");
+      return;
+    }
+
+    // Limit to top 10 per week to avoid spamming
+    const batch = newProfiles.slice(0, 10);
+
+    // Scrape each profile for more detail, then use Claude to summarise
+    // Use a single browser instance for all profile pages
+    console.log(`🔍 Talent Scout: enriching ${batch.length} profiles...`);
+    let profileBrowser;
+    try { profileBrowser = await launchBrowser(); } catch (e) {
+      console.warn("🔍 Talent Scout: could not launch browser for profiles:", e.message);
+    }
+    const enriched = [];
+    for (let i = 0; i < batch.length; i++) {
+      const profile = batch[i];
+      console.log(`🔍 Talent Scout: scraping profile ${i + 1}/${batch.length}: ${profile.name}`);
+      const detail = await scrapeProfile(profile.profileUrl, profileBrowser);
+      if (detail?.profileImage) {
+        console.log(`🔍 Talent Scout: image found for ${profile.name}: ${detail.profileImage.substring(0, 100)}`);
+      }
+      // Small delay between profile fetches
+      await new Promise((r) => setTimeout(r, 500));
+
+      if (detail) {
+        // Use Claude to summarise the profile and extract key info
+        try {
+          const aiResponse = await claudeCreate({
+            model: "claude-sonnet-4-20250514",
+            max_tokens: 500,
+            messages: [{
+              role: "user",
+              content: `Summarise this freelancer's profile in 2-3 sentences for a creative agency. Extract their specialty/discipline (e.g. "Motion Designer", "Art Director"), location, and notable skills or clients. Keep it concise and useful for someone deciding whether to reach out.
+
+Name: ${profile.name}
+Profile URL: ${profile.profileUrl}
+Role from listing: ${profile.role || "Unknown"}
+Location from listing: ${profile.location || "Unknown"}
+
+Profile page content:
+${detail.title ? `Title: ${detail.title}` : ""}
+${detail.description ? `Description: ${detail.description}` : ""}
+${detail.bodyText ? `Page content: ${detail.bodyText.substring(0, 2000)}` : ""}
+
+Reply in this exact format:
+DISCIPLINE: [their main discipline]
+LOCATION: [city, country]
+SUMMARY: [2-3 sentence summary]`,
+            }],
+          });
+
+          const aiText = aiResponse.content[0].text;
+          const discipline = aiText.match(/DISCIPLINE:\s*(.+)/i)?.[1]?.trim() || profile.role || "Creative";
+          const location = aiText.match(/LOCATION:\s*(.+)/i)?.[1]?.trim() || profile.location || "";
+          const summary = aiText.match(/SUMMARY:\s*([\s\S]+)/i)?.[1]?.trim() || "";
+
+          enriched.push({
+            ...profile,
+            discipline,
+            location: location || profile.location,
+            summary,
+            image: detail.profileImage || "",
+          });
+        } catch (aiErr) {
+          // If Claude fails, still include with basic info
+          enriched.push({
+            ...profile,
+            discipline: profile.role || "Creative",
+            summary: "",
+            image: detail.profileImage || "",
+          });
+        }
+      } else {
+        enriched.push({
+          ...profile,
+          discipline: profile.role || "Creative",
+          summary: "",
+          image: "",
+        });
+      }
+    }
+
+    // Close the shared browser
+    if (profileBrowser) await profileBrowser.close().catch(() => {});
+    console.log(`🔍 Talent Scout: enrichment done — ${enriched.length} profiles ready to post`);
+
+    // Post digest header
+    await slack.client.chat.postMessage({
+      channel: TALENT_SCOUT_CHANNEL,
+      text: `🔍 Weekly Talent Scout — ${enriched.length} new find${enriched.length === 1 ? "" : "s"}`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `🔍 *Weekly Talent Scout — ${enriched.length} new find${enriched.length === 1 ? "" : "s"}*\nScanned ${TALENT_SCOUT_SOURCES.length} director${TALENT_SCOUT_SOURCES.length === 1 ? "y" : "ies"} · ${allProfiles.length} total profiles · ${newProfiles.length} new`,
+          },
+        },
+        { type: "divider" },
+      ],
+    });
+
+    // Post each profile as a separate message with Add/Pass buttons
+    for (const profile of enriched) {
+      let text = `*${profile.name}*`;
+      if (profile.discipline) text += ` — ${profile.discipline}`;
+      text += `\n`;
+      if (profile.location) text += `📍 ${profile.location}\n`;
+      if (profile.summary) text += `💬 _${profile.summary}_\n`;
+      text += `🔗 <${profile.profileUrl}|View Profile> · Source: ${profile.source}`;
+
+      // Build the profile section — with thumbnail if we have an image
+      const profileSection = {
+        type: "section",
+        text: { type: "mrkdwn", text },
+      };
+      if (profile.image) {
+        profileSection.accessory = {
+          type: "image",
+          image_url: profile.image,
+          alt_text: profile.name,
+        };
+      }
+
+      await slack.client.chat.postMessage({
+        channel: TALENT_SCOUT_CHANNEL,
+        text: `🔍 New talent: ${profile.name}`,
+        blocks: [
+          profileSection,
+          {
+            type: "actions",
+            elements: [
+              {
+                type: "button",
+                text: { type: "plain_text", text: "✅ Add to Roster" },
+                style: "primary",
+                action_id: "approve_scout",
+                value: JSON.stringify({
+                  name: profile.name,
+                  category: profile.discipline,
+                  portfolio: profile.profileUrl,
+                  location: profile.location || "",
+                  about: profile.summary || "",
+                  source: profile.source,
+                }),
+              },
+              {
+                type: "button",
+                text: { type: "plain_text", text: "❌ Pass" },
+                style: "danger",
+                action_id: "reject_scout",
+              },
+            ],
+          },
+        ],
+      });
+
+      // Mark as seen
+      await markTalentSeen(profile.name, profile.profileUrl);
+
+      // Small delay between posts
+      await new Promise((r) => setTimeout(r, 500));
+    }
+
+    console.log(`🔍 Talent Scout: posted ${enriched.length} new profiles to Slack`);
+  } catch (err) {
+    console.warn("🔍 Talent Scout error:", err.message);
+  } finally {
+    talentScoutRunning = false;
+  }
+}
+
+// ── Talent Scout button handlers ──────────────────────────────────────
+
+async function handleApproveScout({ body, ack }) {
+  await ack();
+
+  const messageTs = body.message.ts;
+  const channel = body.channel.id;
+  const approvedBy = body.user.name || body.user.id;
+
+  let profile;
+  try {
+    profile = JSON.parse(body.actions[0].value);
+  } catch (e) {
+    profile = null;
+  }
+
+  if (!profile) {
+    await slack.client.chat.postMessage({
+      channel,
+      thread_ts: messageTs,
+      text: "⚠️ Couldn't read the profile data. You'll need to add them manually.",
+    });
+    return;
+  }
+
+  console.log(`✅ Scout: "${profile.name}" approved by ${approvedBy} — adding to roster...`);
+
+  try {
+    const tabName = resolveTab(profile.category);
+
+    const { data } = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${tabName}'!A2:Z2`,
+    });
+
+    const headers = (data.values?.[0] || []).map((h) => h.trim());
+    if (headers.length === 0) {
+      console.error(`❌ No headers found in tab "${tabName}" row 2`);
+      return;
+    }
+
+    const newRow = headers.map((header) => {
+      const h = header.toLowerCase();
+      if (h === "name") return profile.name;
+      if (h === "availibility" || h === "availability") return "Available";
+      if (h === "capabilites" || h === "capabilities") return profile.category || "";
+      if (h === "portfolio") return profile.portfolio || "";
+      if (h === "location") return profile.location || "";
+      if (h === "profile image" || h === "profile image url" || h === "image") return profile.image || "";
+      if (h === "comments") return profile.about
+        ? `[Talent Scout - ${profile.source}] ${profile.about}`
+        : `[Found via Talent Scout - ${profile.source}]`;
+      if (h === "status") return "New";
+      return "";
+    });
+
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${tabName}'!A3`,
+      valueInputOption: "RAW",
+      insertDataOption: "INSERT_ROWS",
+      requestBody: { values: [newRow] },
+    });
+
+    console.log(`✅ Scout: "${profile.name}" added to "${tabName}" tab`);
+    await sheetCache.delete("roster");
+
+    const originalBlocks = body.message.blocks || [];
+    const updatedBlocks = originalBlocks.filter((b) => b.type !== "actions");
+    updatedBlocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: `✅ *Added to ${tabName}* by ${approvedBy}` },
+    });
+
+    await slack.client.chat.update({
+      channel,
+      ts: messageTs,
+      blocks: updatedBlocks,
+      text: `✅ ${profile.name} added to ${tabName} by ${approvedBy}`,
+    });
+  } catch (error) {
+    console.error(`❌ Scout: failed to add "${profile.name}":`, error.message);
+    await slack.client.chat.postMessage({
+      channel,
+      thread_ts: messageTs,
+      text: `⚠️ Couldn't add *${profile.name}* to the roster. Error: ${error.message}`,
+    });
+  }
+}
+
+async function handleRejectScout({ body, ack }) {
+  await ack();
+
+  const messageTs = body.message.ts;
+  const channel = body.channel.id;
+  const rejectedBy = body.user.name || body.user.id;
+
+  const originalBlocks = body.message.blocks || [];
+  const updatedBlocks = originalBlocks.filter((b) => b.type !== "actions");
+  updatedBlocks.push({
+    type: "section",
+    text: { type: "mrkdwn", text: `❌ *Passed* by ${rejectedBy}` },
+  });
+
+  await slack.client.chat.update({
+    channel,
+    ts: messageTs,
+    blocks: updatedBlocks,
+    text: `❌ Passed by ${rejectedBy}`,
+  });
+
+  console.log(`❌ Scout: talent passed by ${rejectedBy}`);
+}
+
+// ── Start the bot ────────────────────────────────────────────────────
+
+// ── Auto-detect actual tab names from the spreadsheet ─────────────────
+
+async function syncTabNames() {
+  try {
+    const { data } = await sheets.spreadsheets.get({
+      spreadsheetId: SPREADSHEET_ID,
+      fields: "sheets.properties.title",
+    });
+
+    const actualTabs = data.sheets.map((s) => s.properties.title);
+    console.log(`📂 Actual tabs in sheet: [${actualTabs.join(", ")}]`);
+
+    // Check each expected tab and fix the name if there's a close match
+    for (let i = 0; i < FREELANCER_TABS.length; i++) {
+      const expected = FREELANCER_TABS[i];
+      if (actualTabs.includes(expected)) continue; // Exact match — good
+
+      // Try to find a close match (case-insensitive, trimmed)
+      const match = actualTabs.find(
+        (t) => t.trim().toLowerCase() === expected.trim().toLowerCase()
+      );
+      if (match) {
+        console.log(`🔧 Tab name fix: "${expected}" → "${match}"`);
+        FREELANCER_TABS[i] = match;
+      } else {
+        console.warn(`⚠️ Tab "${expected}" not found in spreadsheet — will be skipped`);
+      }
+    }
+
+    // Also update the CATEGORY_TO_TAB mapping with corrected names
+    for (const [key, val] of Object.entries(CATEGORY_TO_TAB)) {
+      if (!actualTabs.includes(val)) {
+        const match = actualTabs.find(
+          (t) => t.trim().toLowerCase() === val.trim().toLowerCase()
+        );
+        if (match) CATEGORY_TO_TAB[key] = match;
+      }
+    }
+  } catch (err) {
+    console.warn("⚠️ Could not sync tab names:", err.message);
+  }
+}
+
+// ── Wiring & startup ─────────────────────────────────────────────────
+
+function registerHandlers(app) {
+  app.event("app_mention", handleAppMention);
+  app.event("message", handleDirectMessage);
+  app.command("/talent", handleTalentCommand);
+  app.view("talent_request", handleTalentRequestSubmit);
+  app.action("approve_submission", handleApproveSubmission);
+  app.action("reject_submission", handleRejectSubmission);
+  app.action(/^booking_(hold|confirm|release)$/, handleBookingAction);
+  app.action("booking_streamtime", handleStreamtimeBookingButton);
+  app.view("booking_streamtime", handleStreamtimeBookingSubmit);
+  app.action(/^rate_update_(cost|sell)$/, handleRateUpdate);
+  app.action("approve_scout", handleApproveScout);
+  app.action("reject_scout", handleRejectScout);
+  app.action("brief_edit", handleBriefEditButton);
+  app.view("brief_edit", handleBriefEditSubmit);
+}
+
+// deps: { slack, anthropic, sheets, drive, fetch?, storeBackend? }
+function init(deps) {
+  slack = deps.slack;
+  anthropic = deps.anthropic;
+  sheets = deps.sheets;
+  drive = deps.drive;
+  ocr = deps.ocr || null;
+  if (deps.fetch) fetch = deps.fetch;
+  store.backend = deps.storeBackend || createBackendFromEnv();
+  registerHandlers(slack);
+}
+
+async function start() {
+  await slack.start(process.env.PORT || 3000);
+  console.log("⚡ Freelancer Finder bot is running!");
+  console.log("📊 Connected to freelancer spreadsheet");
+  console.log(`💾 State store: ${store.backend.name}`);
+
+  // Auto-detect actual tab names to fix any mismatches
+  await syncTabNames();
+  console.log(`📂 Using tabs: ${FREELANCER_TABS.join(", ")}`);
+
+  if (TEAM_SPREADSHEET_ID) {
+    console.log("👥 Internal team sheet connected");
+  } else {
+    console.log("ℹ️  No internal team sheet configured (set GOOGLE_TEAM_SPREADSHEET_ID to enable)");
+  }
+  if (STREAMTIME_API_KEY) {
+    const stData = await fetchStreamtimeJobHistory();
+    if (stData) {
+      console.log(`🏢 Streamtime connected — ${stData.totalJobs} jobs, ${Object.keys(stData.personJobs).length} people mapped`);
+      // Sync Streamtime users → Team sheet (adds missing people, updates roles)
+      await syncStreamtimeToTeamSheet();
+    } else {
+      console.log("⚠️ Streamtime API key set but could not fetch data");
+    }
+  } else {
+    console.log("ℹ️  Streamtime not configured (set STREAMTIME_API_KEY to enable job history)");
+  }
+  if (SUBMISSIONS_SPREADSHEET_ID && SUBMISSIONS_NOTIFY_CHANNEL) {
+    console.log("📝 Submission watcher active — checking every 5 minutes");
+    // Initial check
+    await checkForNewSubmissions();
+    // Then poll on interval
+    setInterval(checkForNewSubmissions, SUBMISSION_POLL_INTERVAL_MS);
+  } else {
+    console.log("ℹ️  Submission watcher not configured (set GOOGLE_SUBMISSIONS_SPREADSHEET_ID and SUBMISSIONS_NOTIFY_CHANNEL to enable)");
+  }
+  if (TALENT_SCOUT_CHANNEL && TALENT_SCOUT_SOURCES.length > 0) {
+    console.log(`🔍 Talent Scout active — scanning ${TALENT_SCOUT_SOURCES.length} source(s) weekly`);
+    console.log(`🔍 Sources: ${TALENT_SCOUT_SOURCES.join(", ")}`);
+    // Run first scan 5 min after boot, then weekly
+    setTimeout(() => {
+      runTalentScout();
+      setInterval(runTalentScout, TALENT_SCOUT_INTERVAL_MS);
+    }, 5 * 60 * 1000);
+  } else {
+    console.log("ℹ️  Talent Scout not configured (set TALENT_SCOUT_CHANNEL and TALENT_SCOUT_SOURCES to enable)");
+  }
+
+  if (RATE_REPORT_CHANNEL && STREAMTIME_API_KEY) {
+    console.log(`💱 Rate reconciliation active — weekly report to ${RATE_REPORT_CHANNEL}`);
+    // Check 10 min after boot, then daily whether a week has passed
+    setTimeout(() => {
+      runRateReconciliationIfDue();
+      setInterval(runRateReconciliationIfDue, 24 * 60 * 60 * 1000);
+    }, 10 * 60 * 1000);
+  } else {
+    console.log("ℹ️  Rate reconciliation not configured (set RATE_REPORT_CHANNEL and STREAMTIME_API_KEY to enable)");
+  }
+
+  // Run profile image enrichment in the background (2 min after boot)
+  setTimeout(() => {
+    enrichProfileImages().catch((err) => console.warn("📸 Image enrichment error:", err.message));
+  }, 2 * 60 * 1000);
+}
+
+module.exports = {
+  init,
+  start,
+  // Exposed for tests
+  handleAppMention,
+  handleDirectMessage,
+  parseRequestCriteria,
+  scoreCandidate,
+  shortlistCandidates,
+  runRecommendationPipeline,
+  assembleRecommendationPrompt,
+  promptCacheStats,
+  handleReview,
+  checkForNewSubmissions,
+  fetchRoster,
+  fetchTeam,
+  fetchStreamtimeJobHistory,
+  runRateReconciliation,
+};
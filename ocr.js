@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// ── OCR for scanned briefs ───────────────────────────────────────────
+// Scanned PDFs and photographed briefs have no text layer, so the bot reads
+// them with tesseract.js — Tesseract compiled to WASM, running in-process.
+// The English model ships with the @tesseract.js-data/eng package, so nothing
+// is downloaded at runtime; OCR_LANG_PATH points at another folder of
+// <lang>.traineddata(.gz) files instead.
+//
+// An OCR engine is any object with:
+//   recognize(imageBuffer) → { text, confidence }   confidence is 0–100
+//   terminate()
+// bot.init() takes one as deps.ocr, so tests can pass a fake.
+
+const DEFAULT_IDLE_MS = 5 * 60 * 1000; // Free the worker's memory after 5 quiet minutes
+
+function bundledLangPath() {
+  return path.join(path.dirname(require.resolve("@tesseract.js-data/eng")), "4.0.0_best_int");
+}
+
+function createTesseractOcr({ lang = "eng", langPath = null, idleMs = DEFAULT_IDLE_MS } = {}) {
+  let workerPromise = null;
+  let idleTimer = null;
+
+  function getWorker() {
+    if (!workerPromise) {
+      // tesseract.js never settles createWorker() if the model can't be loaded — check it's there first
+      const dir = langPath || bundledLangPath();
+      const model = [".gz", ""].map((ext) => path.join(dir, `${lang}.traineddata${ext}`)).find((file) => fs.existsSync(file));
+      if (!model) return Promise.reject(new Error(`OCR model ${lang}.traineddata not found in ${dir}`));
+
+      const { createWorker } = require("tesseract.js");
+      console.log(`🔎 Starting OCR engine (${lang})...`);
+      workerPromise = createWorker(lang, undefined, {
+        langPath: dir,
+        gzip: model.endsWith(".gz"),
+        cacheMethod: "none", // the model is already on disk
+        // Without an errorHandler tesseract.js throws worker errors from an event listener, crashing the process
+        errorHandler: (err) => console.warn("🔎 OCR worker error:", err?.message || err),
+      }).catch((err) => {
+        workerPromise = null;
+        throw err;
+      });
+    }
+    return workerPromise;
+  }
+
+  async function terminate() {
+    clearTimeout(idleTimer);
+    const pending = workerPromise;
+    workerPromise = null;
+    if (pending) await (await pending).terminate();
+  }
+
+  return {
+    name: `tesseract.js (${lang})`,
+    async recognize(image) {
+      clearTimeout(idleTimer);
+      try {
+        const worker = await getWorker();
+        const { data } = await worker.recognize(image);
+        return { text: (data.text || "").trim(), confidence: Math.round(data.confidence || 0) };
+      } finally {
+        idleTimer = setTimeout(() => terminate().catch(() => {}), idleMs);
+        idleTimer.unref?.();
+      }
+    },
+    terminate,
+  };
+}
+
+// Pick an engine from the environment: OCR=off disables it, otherwise tesseract.js
+function createOcrFromEnv(env = process.env) {
+  if ((env.OCR || "").toLowerCase() === "off") return null;
+  return createTesseractOcr({ langPath: env.OCR_LANG_PATH || null });
+}
+
+// ── Page images from scanned PDFs ────────────────────────────────────
+// A scanned page is usually one big image XObject. JPEG (DCTDecode) streams
+// are passed through as-is; Flate-compressed raw pixels are wrapped as
+// PGM/PPM/PBM, which Tesseract reads natively. CCITT, JBIG2 and JPEG 2000
+// scans aren't decoded — those PDFs are reported as unreadable.
+
+const MIN_PAGE_IMAGE_SIDE = 400; // smaller images are logos and icons, not pages
+
+// Undo PNG row predictors (PDF /Predictor 10–15) — each row starts with its filter type byte
+function unfilterPngRows(data, rowBytes, bytesPerPixel) {
+  const rows = Math.floor(data.length / (rowBytes + 1));
+  const out = Buffer.alloc(rows * rowBytes);
+  for (let r = 0; r < rows; r++) {
+    const type = data[r * (rowBytes + 1)];
+    const src = r * (rowBytes + 1) + 1;
+    const dst = r * rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= bytesPerPixel ? out[dst + i - bytesPerPixel] : 0;
+      const up = r > 0 ? out[dst - rowBytes + i] : 0;
+      const upLeft = r > 0 && i >= bytesPerPixel ? out[dst - rowBytes + i - bytesPerPixel] : 0;
+      let predicted = 0;
+      if (type === 1) predicted = left;
+      else if (type === 2) predicted = up;
+      else if (type === 3) predicted = (left + up) >> 1;
+      else if (type === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      out[dst + i] = (data[src + i] + predicted) & 0xff;
+    }
+  }
+  return out;
+}
+
+// Raw samples → a netpbm image Tesseract can read, or null for layouts we don't handle
+function toNetpbm(pixels, { width, height, components, bitsPerComponent, inverted }) {
+  if (bitsPerComponent === 1 && components === 1) {
+    // PDF: 0 = black; PBM: 1 = black
+    const bits = Buffer.from(pixels.subarray(0, Math.ceil(width / 8) * height));
+    if (!inverted) for (let i = 0; i < bits.length; i++) bits[i] = ~bits[i] & 0xff;
+    return Buffer.concat([Buffer.from(`P4\n${width} ${height}\n`, "ascii"), bits]);
+  }
+  if (bitsPerComponent !== 8) return null;
+  if (components === 1) {
+    return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`, "ascii"), pixels.subarray(0, width * height)]);
+  }
+  if (components === 3) {
+    return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`, "ascii"), pixels.subarray(0, width * height * 3)]);
+  }
+  if (components === 4) {
+    // CMYK → RGB
+    const rgb = Buffer.alloc(width * height * 3);
+    for (let p = 0; p < width * height; p++) {
+      const k = 255 - pixels[p * 4 + 3];
+      rgb[p * 3] = ((255 - pixels[p * 4]) * k) / 255;
+      rgb[p * 3 + 1] = ((255 - pixels[p * 4 + 1]) * k) / 255;
+      rgb[p * 3 + 2] = ((255 - pixels[p * 4 + 2]) * k) / 255;
+    }
+    return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`, "ascii"), rgb]);
+  }
+  return null;
+}
+
+function dictNumber(dict, key) {
+  const match = new RegExp(`/${key}\\s+(\\d+)(?!\\s+\\d+\\s+R)`).exec(dict);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Decode a Flate image stream into a netpbm image
+function decodeFlateImage(raw, dict, width, height) {
+  let data;
+  try {
+    data = zlib.inflateSync(raw);
+  } catch (err) {
+    return null;
+  }
+  const bitsPerComponent = /\/ImageMask\s+true/.test(dict) ? 1 : dictNumber(dict, "BitsPerComponent") || 8;
+  const predictor = dictNumber(dict, "Predictor") || 1;
+
+  // Indirect colour spaces (ICCBased etc.) don't say how many components there are — infer it from the size
+  let components = /\/DeviceGray|\/CalGray|\/ImageMask\s+true/.test(dict) ? 1 : /\/DeviceRGB|\/CalRGB/.test(dict) ? 3 : /\/DeviceCMYK/.test(dict) ? 4 : null;
+  const rowBytesFor = (c) => Math.ceil((width * c * bitsPerComponent) / 8);
+  const expectedLength = (c) => (rowBytesFor(c) + (predictor >= 10 ? 1 : 0)) * height;
+  if (!components) components = [1, 3, 4].find((c) => data.length === expectedLength(c)) || null;
+  if (!components || data.length < expectedLength(components)) return null;
+
+  if (predictor >= 10) {
+    data = unfilterPngRows(data, rowBytesFor(components), Math.max(1, (components * bitsPerComponent) >> 3));
+  } else if (predictor !== 1) {
+    return null; // TIFF predictor — not used by scanners in practice
+  }
+  const inverted = /\/Decode\s*\[\s*1(?:\.0*)?\s+0(?:\.0*)?\s*\]/.test(dict);
+  return toNetpbm(data, { width, height, components, bitsPerComponent, inverted });
+}
+
+// Page-sized images in file order → [{ width, height, format: "jpeg" | "pnm", data }]
+function extractPdfImages(buffer, { maxImages = Infinity, minSide = MIN_PAGE_IMAGE_SIDE } = {}) {
+  const text = buffer.toString("latin1");
+  const images = [];
+  const streamPattern = /(?<!end)stream\r?\n/g;
+  let match;
+
+  while ((match = streamPattern.exec(text)) !== null && images.length < maxImages) {
+    const dictStart = text.lastIndexOf("obj", match.index);
+    const dict = dictStart >= 0 ? text.slice(dictStart, match.index) : "";
+    const dataStart = match.index + match[0].length;
+    const directLength = dictNumber(dict, "Length");
+    const dataEnd = directLength !== null ? dataStart + directLength : text.indexOf("endstream", dataStart);
+    if (dataEnd < dataStart) break;
+    streamPattern.lastIndex = dataEnd; // don't scan binary data for keywords
+
+    if (!/\/Subtype\s*\/Image/.test(dict)) continue;
+    const width = dictNumber(dict, "Width");
+    const height = dictNumber(dict, "Height");
+    if (!width || !height || Math.min(width, height) < minSide) continue;
+
+    const filters = [...(/\/Filter\s*(\[[^\]]*\]|\/\w+)/.exec(dict)?.[1] || "").matchAll(/\/(\w+)/g)].map((m) => m[1]);
+    const raw = buffer.subarray(dataStart, dataEnd);
+    if (filters.length === 1 && filters[0] === "DCTDecode") {
+      images.push({ width, height, format: "jpeg", data: Buffer.from(raw) });
+    } else if (filters.length === 1 && filters[0] === "FlateDecode") {
+      const data = decodeFlateImage(raw, dict, width, height);
+      if (data) images.push({ width, height, format: "pnm", data });
+    }
+  }
+  return images;
+}
+
+module.exports = {
+  createTesseractOcr,
+  createOcrFromEnv,
+  extractPdfImages,
+};
@@ -0,0 +1,242 @@
+const fs = require("fs");
+const path = require("path");
+
+// ── Persistent key/value store for bot state ─────────────────────────
+// Dedup sets, caches and watcher counters live here instead of in process
+// memory, so a redeploy doesn't reset them and two overlapping instances
+// don't both post the same thing.
+//
+// A backend is any object with these async methods:
+//   get(namespace, key)                      → value, or undefined if missing/expired
+//   set(namespace, key, value, ttlMs)        → stores value; ttlMs null = never expires
+//   delete(namespace, key)
+//   claim(namespace, key, value, ttlMs)      → true if the key was absent and is now set
+//   keys(namespace)                          → live keys in the namespace
+//   clear(namespace)
+//
+// claim() must be atomic across every process sharing the backend — it's
+// what stops two instances handling the same Slack event or form row.
+
+const DEFAULT_STORE_PATH = path.join(__dirname, "data", "bot-state.json");
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 15000; // A lock older than this was left by a crashed process
+
+function isLive(entry, now = Date.now()) {
+  return entry && (entry.expiresAt === null || entry.expiresAt > now);
+}
+
+function makeEntry(value, ttlMs) {
+  return { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+}
+
+// ── In-memory backend (tests, or when no disk is available) ──────────
+
+function createMemoryBackend() {
+  const data = {};
+  const bucket = (ns) => (data[ns] = data[ns] || {});
+
+  return {
+    name: "memory",
+    async get(ns, key) {
+      const entry = bucket(ns)[key];
+      if (!isLive(entry)) {
+        delete bucket(ns)[key];
+        return undefined;
+      }
+      return entry.value;
+    },
+    async set(ns, key, value, ttlMs = null) {
+      bucket(ns)[key] = makeEntry(value, ttlMs);
+    },
+    async delete(ns, key) {
+      delete bucket(ns)[key];
+    },
+    async claim(ns, key, value = true, ttlMs = null) {
+      if (isLive(bucket(ns)[key])) return false;
+      bucket(ns)[key] = makeEntry(value, ttlMs);
+      return true;
+    },
+    async keys(ns) {
+      const now = Date.now();
+      return Object.keys(bucket(ns)).filter((k) => isLive(bucket(ns)[k], now));
+    },
+    async clear(ns) {
+      delete data[ns];
+    },
+  };
+}
+
+// ── JSON file backend (default) ──────────────────────────────────────
+// Each namespace is its own JSON file next to the store path ("bot-state.json"
+// → "bot-state.events.json", "bot-state.streamtime-index.json", …), so a dedup
+// claim never has to rewrite the Streamtime index. Every write takes that
+// file's lock, re-reads it if another process changed it, applies the change
+// and renames a temp file over the original, so instances sharing a volume
+// stay in sync. A single-file store left by an older version is read once to
+// seed any namespace that doesn't have a file yet.
+
+function createJsonFileBackend(filePath = DEFAULT_STORE_PATH) {
+  const { dir, name } = path.parse(filePath);
+  const loaded = {}; // ns → { data, mtimeMs }
+  let legacy = null;
+
+  const fileFor = (ns) => path.join(dir, `${name}.${encodeURIComponent(ns)}.json`);
+
+  function readLegacy(ns) {
+    if (legacy === null) {
+      try {
+        legacy = JSON.parse(fs.readFileSync(filePath, "utf8")) || {};
+      } catch (err) {
+        if (err.code !== "ENOENT") console.warn(`⚠️ Store: could not read ${filePath} — ignoring it:`, err.message);
+        legacy = {};
+      }
+    }
+    return { ...legacy[ns] };
+  }
+
+  // The namespace's entries, re-read only when the file changed since we last saw it
+  function readFromDisk(ns) {
+    const file = fileFor(ns);
+    try {
+      const stat = fs.statSync(file);
+      if (loaded[ns] && stat.mtimeMs === loaded[ns].mtimeMs) return loaded[ns].data;
+      loaded[ns] = { data: JSON.parse(fs.readFileSync(file, "utf8")) || {}, mtimeMs: stat.mtimeMs };
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(`⚠️ Store: could not read ${file} — starting empty:`, err.message);
+      }
+      loaded[ns] = loaded[ns] || { data: err.code === "ENOENT" ? readLegacy(ns) : {}, mtimeMs: -1 };
+    }
+    return loaded[ns].data;
+  }
+
+  function writeToDisk(ns) {
+    // Drop expired entries so the file doesn't grow forever
+    const data = loaded[ns].data;
+    const now = Date.now();
+    for (const key of Object.keys(data)) {
+      if (!isLive(data[key], now)) delete data[key];
+    }
+    const file = fileFor(ns);
+    const tmpPath = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, file);
+    loaded[ns].mtimeMs = fs.statSync(file).mtimeMs;
+  }
+
+  async function withLock(ns, fn) {
+    fs.mkdirSync(dir, { recursive: true });
+    const lockPath = `${fileFor(ns)}.lock`;
+    const started = Date.now();
+    let fd = null;
+    while (fd === null) {
+      try {
+        fd = fs.openSync(lockPath, "wx");
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+        try {
+          if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+            fs.unlinkSync(lockPath);
+            continue;
+          }
+        } catch {
+          continue; // Lock vanished between open and stat — just retry
+        }
+        if (Date.now() - started > LOCK_TIMEOUT_MS) {
+          throw new Error(`Store: timed out waiting for lock on ${fileFor(ns)}`);
+        }
+        await new Promise((r) => setTimeout(r, LOCK_RETRY_MS));
+      }
+    }
+    try {
+      return fn(readFromDisk(ns));
+    } finally {
+      fs.closeSync(fd);
+      fs.unlinkSync(lockPath);
+    }
+  }
+
+  return {
+    name: `json-file (${filePath})`,
+    async get(ns, key) {
+      const entry = readFromDisk(ns)[key];
+      return isLive(entry) ? entry.value : undefined;
+    },
+    async set(ns, key, value, ttlMs = null) {
+      await withLock(ns, (data) => {
+        data[key] = makeEntry(value, ttlMs);
+        writeToDisk(ns);
+      });
+    },
+    async delete(ns, key) {
+      await withLock(ns, (data) => {
+        if (!data[key]) return;
+        delete data[key];
+        writeToDisk(ns);
+      });
+    },
+    async claim(ns, key, value = true, ttlMs = null) {
+      return withLock(ns, (data) => {
+        if (isLive(data[key])) return false;
+        data[key] = makeEntry(value, ttlMs);
+        writeToDisk(ns);
+        return true;
+      });
+    },
+    async keys(ns) {
+      const data = readFromDisk(ns);
+      const now = Date.now();
+      return Object.keys(data).filter((k) => isLive(data[k], now));
+    },
+    async clear(ns) {
+      await withLock(ns, (data) => {
+        if (Object.keys(data).length === 0) return;
+        loaded[ns].data = {};
+        writeToDisk(ns);
+      });
+    },
+  };
+}
+
+// ── Namespaced view with a default TTL ───────────────────────────────
+// Each subsystem gets its own namespace so keys never collide, e.g.
+//   const events = store.namespace("events", 60_000);
+//   if (!(await events.claim(event.ts))) return; // already handled
+
+function createStore(backend) {
+  const store = {
+    backend, // Can be swapped later (e.g. once config is known) — namespaces look it up per call
+    namespace(ns, defaultTtlMs = null) {
+      return {
+        get: (key) => store.backend.get(ns, key),
+        has: async (key) => (await store.backend.get(ns, key)) !== undefined,
+        set: (key, value, ttlMs = defaultTtlMs) => store.backend.set(ns, key, value, ttlMs),
+        delete: (key) => store.backend.delete(ns, key),
+        claim: (key, value = true, ttlMs = defaultTtlMs) => store.backend.claim(ns, key, value, ttlMs),
+        keys: () => store.backend.keys(ns),
+        clear: () => store.backend.clear(ns),
+      };
+    },
+  };
+  return store;
+}
+
+// Pick a backend from the environment:
+//   STORE_BACKEND=memory — nothing persisted (local testing)
+//   STORE_BACKEND=file (default) — JSON files named after STORE_PATH, one per namespace
+function createBackendFromEnv(env = process.env) {
+  const kind = (env.STORE_BACKEND || "file").toLowerCase();
+  if (kind === "memory") return createMemoryBackend();
+  if (kind !== "file") {
+    console.warn(`⚠️ Store: unknown STORE_BACKEND "${env.STORE_BACKEND}" — using the JSON file backend`);
+  }
+  return createJsonFileBackend(env.STORE_PATH || DEFAULT_STORE_PATH);
+}
+
+module.exports = {
+  createStore,
+  createBackendFromEnv,
+  createMemoryBackend,
+  createJsonFileBackend,
+};
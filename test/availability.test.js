@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const { textOf } = require("./fakes/anthropic");
+const streamtimeFixtures = require("./fixtures/streamtime.json");
+
+// The request asks for 3–14 March 2031: ten working days. Jane's ACM-042 task is
+// in play at 8h a day over whichever dates each test gives it.
+function janeBookedFor(start, end) {
+  return {
+    ...streamtimeFixtures,
+    jobItemUsers: streamtimeFixtures.jobItemUsers.map((jiu) =>
+      jiu.id === 8001
+        ? { ...jiu, jobItemUserStatus: { id: 2, name: "In Play" }, totalIncompleteMinutes: 4800, earliestStartDate: start, latestEndDate: end }
+        : jiu
+    ),
+  };
+}
+
+async function janeInPrompt(streamtime) {
+  const { slack, anthropic, say } = setupBot({ streamtime, claudeReplies: [{ freelancers: [{ name: "Jane Doe", reasons: "Acme history." }] }] });
+  const event = { type: "app_mention", channel: "C_PROJECTS", user: "U_PRODUCER", ts: "1730000700.000100", text: "<@UBOT> 2D animator for Acme Foods, 3-14 March 2031" };
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+  await settle();
+
+  const prompt = textOf(anthropic.calls[0].messages[0]);
+  return {
+    streamtime: prompt.match(/^• Jane Doe \[(.*)\]$/m)?.[1],
+    dates: prompt.match(/^• Jane Doe: \d+ — .*(dates [^,\n]*)$/m)?.[1],
+  };
+}
+
+test("a booking that ends before the project's dates leaves the person free", async () => {
+  const jane = await janeInPrompt(janeBookedFor("2031-02-17", "2031-02-28"));
+
+  assert.equal(jane.streamtime, "📅 FREE 3 Mar – 14 Mar");
+  assert.equal(jane.dates, "dates +10 (free 3 Mar – 14 Mar)");
+});
+
+test("a booking over part of the dates counts the days it takes", async () => {
+  const jane = await janeInPrompt(janeBookedFor("2031-03-10", "2031-03-21"));
+
+  assert.equal(jane.streamtime, "⚠️ PARTIALLY BOOKED (5 of 10 days) 3 Mar – 14 Mar: ACM-042");
+  assert.equal(jane.dates, "dates -13 (booked 5 of 10 days)");
+});
+
+test("a booking that covers all the dates marks the person fully booked", async () => {
+  const jane = await janeInPrompt(janeBookedFor("2031-03-03", "2031-03-14"));
+
+  assert.equal(jane.streamtime, "⛔ FULLY BOOKED 3 Mar – 14 Mar: ACM-042");
+  assert.equal(jane.dates, "dates -30 (fully booked 3 Mar – 14 Mar)");
+});
@@ -0,0 +1,29 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot } = require("./harness");
+
+const HOLD = { name: "Jane Doe", category: "Animators", start: "2030-03-04", end: "2030-03-15", rate: "$750" };
+
+function hold(setup, user, project, threadTs) {
+  const value = JSON.stringify({ ...HOLD, project });
+  return setup.slack.dispatch("action", "booking_hold", {
+    ack: async () => {},
+    action: { action_id: "booking_hold", value },
+    body: { user: { id: user, name: user }, channel: { id: "C_PROD" }, message: { ts: "1000.000100", thread_ts: threadTs } },
+  });
+}
+
+test("two producers holding the same freelancer at once still get a double-booking alert", async () => {
+  const setup = setupBot();
+
+  await Promise.all([
+    hold(setup, "U_ALEX", "Crunchos launch film", "1730000100.000100"),
+    hold(setup, "U_SAM", "Northwind brand refresh", "1730000200.000100"),
+  ]);
+
+  const rows = setup.sheets.rows("roster-sheet", "Bookings").slice(1);
+  assert.deepEqual(rows.map((r) => r[3]).sort(), ["Crunchos launch film", "Northwind brand refresh"]);
+
+  const alerts = setup.slack.client.callsTo("chat.postMessage").filter((p) => /Double-booking alert/.test(p.text));
+  assert.deepEqual(alerts.map((a) => a.thread_ts).sort(), ["1730000100.000100", "1730000200.000100"], "both threads hear about the clash");
+});
@@ -0,0 +1,158 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const { textOf } = require("./fakes/anthropic");
+
+const RECOMMENDATION = {
+  freelancers: [{ name: "Jane Doe", reasons: "Senior 2D animator with Acme Foods history." }],
+};
+
+const BRIEF = {
+  client: "Acme Foods",
+  brand: "Crunchos",
+  project: "Crunchos launch film",
+  deliverables: ["1x 30s hero film", "3x 6s cutdowns"],
+  disciplines: ["Animator"],
+  start_date: "2030-03-04",
+  end_date: "2030-03-29",
+  timeline: "Boards wk 1, animation wks 2–4",
+  budget: "$40k total",
+  location: "Sydney",
+  work_setup: "Hybrid",
+  tone_references: ["Playful cel-shaded 2D"],
+};
+
+// Long enough that the old 4000-char cut would have lost the ending
+const BRIEF_DOC = `Crunchos launch brief.\n${"Background on the Crunchos range. ".repeat(300)}\nFINAL PAGE: the mascot must be redrawn.`;
+
+function briefFiles() {
+  return { "https://files.slack.test/": () => ({ ok: true, arrayBuffer: async () => Buffer.from(BRIEF_DOC) }) };
+}
+
+function mention(text, extra = {}) {
+  return {
+    type: "app_mention",
+    channel: "C_PROD",
+    user: "U_PRODUCER",
+    ts: "1730000900.000100",
+    text: `<@UBOT> ${text}`,
+    files: [{ id: "F1", name: "crunchos.txt", mimetype: "text/plain", size: BRIEF_DOC.length, url_private: "https://files.slack.test/crunchos.txt" }],
+    ...extra,
+  };
+}
+
+async function send(setup, event) {
+  await setup.slack.dispatch("event", "app_mention", { event, say: setup.say(event.channel) });
+  await settle();
+}
+
+const summaryPost = (slack) => slack.client.callsTo("chat.postMessage").find((p) => /^📄 \*Brief/.test(p.text || ""));
+
+test("attached briefs are structured by a dedicated call and the fields, not the raw text, go to the recommendation", async () => {
+  const setup = setupBot({ claudeReplies: [BRIEF, RECOMMENDATION], routes: briefFiles() });
+
+  await send(setup, mention("Animator for this please"));
+
+  const [analysis, recommendation] = setup.anthropic.calls;
+  assert.equal(analysis.tool_choice.name, "record_brief");
+  assert.match(textOf(analysis.messages[0]), /FINAL PAGE: the mascot must be redrawn/);
+
+  const prompt = textOf(recommendation.messages[0]);
+  assert.match(prompt, /STRUCTURED BRIEF \(read from the attached brief\):\n• Client: Acme Foods \/ Crunchos\n• Project: Crunchos launch film\n• Deliverables: 1x 30s hero film; 3x 6s cutdowns\n• Needs: Animator\n• Timeline: 4 Mar – 29 Mar — Boards wk 1/);
+  assert.match(prompt, /• Location: Sydney, Hybrid\n• Tone: Playful cel-shaded 2D/);
+  assert.doesNotMatch(prompt, /Background on the Crunchos range/);
+  // The brief's dates drive availability
+  assert.match(prompt, /4 Mar – 29 Mar/);
+
+  const summary = summaryPost(setup.slack);
+  assert.equal(summary.thread_ts, "1730000900.000100");
+  assert.match(summary.text, /• \*Budget:\* \$40k total/);
+  assert.match(summary.text, /Read from crunchos\.txt/);
+  const button = summary.blocks[1].elements[0];
+  assert.equal(button.action_id, "brief_edit");
+  assert.equal(button.value, "C_PROD:1730000900.000100");
+});
+
+test("follow-ups in the thread reuse the stored brief without analysing it again", async () => {
+  const setup = setupBot({ claudeReplies: [BRIEF, RECOMMENDATION, RECOMMENDATION], routes: briefFiles() });
+
+  await send(setup, mention("Animator for this please"));
+  await send(setup, mention("Anyone cheaper?", { ts: "1730000950.000100", thread_ts: "1730000900.000100", files: undefined }));
+
+  assert.equal(setup.anthropic.calls.length, 3);
+  const followUp = setup.anthropic.calls[2].messages.at(-1);
+  assert.match(textOf(followUp), /STRUCTURED BRIEF[\s\S]*Client: Acme Foods/);
+});
+
+test("producers can correct the brief and the search runs again with their fields", async () => {
+  const setup = setupBot({ claudeReplies: [BRIEF, RECOMMENDATION, RECOMMENDATION], routes: briefFiles() });
+  await send(setup, mention("Animator for this please"));
+  const summary = summaryPost(setup.slack);
+
+  await setup.slack.dispatch("action", "brief_edit", {
+    ack: async () => {},
+    action: summary.blocks[1].elements[0],
+    body: { trigger_id: "T1", user: { id: "U_PRODUCER" }, channel: { id: "C_PROD" }, message: { ts: "1000.000100" } },
+  });
+  const [{ view }] = setup.slack.client.callsTo("views.open");
+  const initial = Object.fromEntries(view.blocks.map((b) => [b.block_id, b.element.initial_value ?? b.element.initial_date ?? b.element.initial_option?.value]));
+  assert.equal(initial.client, "Acme Foods");
+  assert.equal(initial.deliverables, "1x 30s hero film\n3x 6s cutdowns");
+  assert.equal(initial.start_date, "2030-03-04");
+  assert.equal(initial.work_setup, "Hybrid");
+
+  const state = { values: {} };
+  for (const [blockId, value] of Object.entries({ ...initial, client: "Acme Beverages", disciplines: "Motion Designer", budget: "$900/day" })) {
+    const field = /date$/.test(blockId) ? { selected_date: value } : blockId === "work_setup" ? { selected_option: { value } } : { value };
+    state.values[blockId] = { value: field };
+  }
+  const acks = [];
+  await setup.slack.dispatch("view", "brief_edit", {
+    ack: async (response) => acks.push(response),
+    body: { user: { id: "U_PRODUCER", name: "producer" } },
+    view: { ...view, state },
+  });
+  await settle();
+
+  assert.deepEqual(acks, [undefined]);
+  const update = setup.slack.client.callsTo("chat.update").find((u) => /^📄 \*Brief/.test(u.text));
+  assert.ok(update.blocks, "summary is updated in place, button included");
+  assert.match(update.text, /Client:\* Acme Beverages \/ Crunchos/);
+  assert.match(update.text, /Corrected by <@U_PRODUCER>/);
+  assert.ok(setup.slack.client.callsTo("chat.postMessage").some((p) => /corrected the brief — searching again/.test(p.text || "")));
+
+  const rerun = textOf(setup.anthropic.calls[2].messages[0]);
+  assert.match(rerun, /STRUCTURED BRIEF \(checked by the producer\):\n• Client: Acme Beverages/);
+  assert.match(rerun, /• Needs: Motion Designer/);
+  assert.match(rerun, /Request: Animator for this please/);
+});
+
+test("an end date before the start date is rejected in the modal", async () => {
+  const setup = setupBot({ claudeReplies: [BRIEF, RECOMMENDATION], routes: briefFiles() });
+  await send(setup, mention("Animator for this please"));
+
+  const acks = [];
+  await setup.slack.dispatch("view", "brief_edit", {
+    ack: async (response) => acks.push(response),
+    body: { user: { id: "U_PRODUCER" } },
+    view: {
+      private_metadata: "C_PROD:1730000900.000100",
+      state: { values: { start_date: { value: { selected_date: "2030-03-10" } }, end_date: { value: { selected_date: "2030-03-01" } } } },
+    },
+  });
+
+  assert.equal(acks[0].response_action, "errors");
+  assert.equal(setup.anthropic.calls.length, 2);
+});
+
+test("the brief is analysed with the channel's model from Bot Config", async () => {
+  const setup = setupBot({
+    claudeReplies: [BRIEF, RECOMMENDATION],
+    routes: briefFiles(),
+    rosterTabs: { "Bot Config": [["Channel", "Model"], ["C_PROD", "claude-opus-4-20250514"]] },
+  });
+
+  await send(setup, mention("Animator for this please"));
+
+  assert.deepEqual(setup.anthropic.calls.map((c) => c.model), ["claude-opus-4-20250514", "claude-opus-4-20250514"]);
+});
@@ -0,0 +1,152 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const { textOf } = require("./fakes/anthropic");
+const { buildPptx, buildXlsx } = require("./fixtures/office");
+
+const PPTX_MIME = "application/vnd.openxmlformats-officedocument.presentationml.presentation";
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const RECOMMENDATION = {
+  freelancers: [{ name: "Jane Doe", reasons: "Senior 2D animator with Acme Foods history." }],
+};
+
+// Brief analysis runs first whenever something was read
+const BRIEF = { client: "Acme Foods", project: "Snacks launch film", disciplines: ["Animator"] };
+
+const DECK = buildPptx([
+  { title: "Acme Snacks Launch", body: ["30s hero film", "Cel-shaded 2D"], notes: ["Client wants the mascot redrawn"] },
+  { title: "Deliverables", body: ["1x 30s, 3x 6s cutdowns"] },
+]);
+
+const SCHEDULE = buildXlsx({
+  Schedule: [
+    ["Phase", "Weeks"],
+    ["Boards", 2],
+    ["Animation", 4],
+  ],
+  Budget: [["Line", "Amount"], ["Animation", 12000]],
+});
+
+// Returns the first prompt sent — the brief analysis when a brief was read, otherwise the recommendation
+async function mentionWith(setup, text) {
+  const event = { type: "app_mention", channel: "C_PROD", user: "U_PRODUCER", ts: "1730000700.000100", text: `<@UBOT> ${text}` };
+  await setup.slack.dispatch("event", "app_mention", { event, say: setup.say(event.channel) });
+  await settle();
+  return textOf(setup.anthropic.calls[0].messages[0]);
+}
+
+test("Slides links are exported with a heading per slide and its speaker notes", async () => {
+  const setup = setupBot({ claudeReplies: [BRIEF, RECOMMENDATION], driveFiles: { deck123: { exports: { [PPTX_MIME]: DECK } } } });
+
+  const prompt = await mentionWith(setup, "2D animator for https://docs.google.com/presentation/d/deck123/edit#slide=id.p");
+
+  assert.deepEqual(setup.drive.calls[0], { method: "files.export", fileId: "deck123", mimeType: PPTX_MIME });
+  assert.match(prompt, /--- Google Slides Brief ---\n## Slide 1: Acme Snacks Launch\n30s hero film\nCel-shaded 2D\nSpeaker notes: Client wants the mascot redrawn/);
+  assert.match(prompt, /## Slide 2: Deliverables\n1x 30s, 3x 6s cutdowns/);
+});
+
+test("Sheets links are exported with a heading per tab", async () => {
+  const setup = setupBot({ claudeReplies: [BRIEF, RECOMMENDATION], driveFiles: { sheet456: { exports: { [XLSX_MIME]: SCHEDULE } } } });
+
+  const prompt = await mentionWith(setup, "Who's free for this? https://docs.google.com/spreadsheets/d/sheet456/edit#gid=0");
+
+  assert.match(prompt, /--- Google Sheets Brief ---\n## Tab: Schedule\nPhase \| Weeks\nBoards \| 2\nAnimation \| 4\n\n## Tab: Budget\nLine \| Amount\nAnimation \| 12000/);
+});
+
+test("an uploaded .pptx opened in Slides is downloaded instead of exported", async () => {
+  const setup = setupBot({ claudeReplies: [BRIEF, RECOMMENDATION], driveFiles: { upload789: { raw: DECK } } });
+
+  const prompt = await mentionWith(setup, "Animator please https://docs.google.com/presentation/d/upload789/edit");
+
+  assert.deepEqual(setup.drive.calls.map((c) => c.method), ["files.export", "files.get"]);
+  assert.match(prompt, /## Slide 1: Acme Snacks Launch/);
+});
+
+test("a link Drive can't open doesn't stop the recommendation", async () => {
+  const setup = setupBot({ claudeReplies: [RECOMMENDATION] });
+
+  const prompt = await mentionWith(setup, "Animator please https://docs.google.com/spreadsheets/d/missing/edit");
+
+  assert.doesNotMatch(prompt, /Google Sheets Brief/);
+  assert.equal(setup.slack.client.callsTo("chat.postMessage").filter((p) => p.blocks).length, 1);
+});
+
+// ── Attachments ──────────────────────────────────────────────────────
+
+function slackFiles(contents) {
+  return {
+    "https://files.slack.test/": (url) => {
+      const body = contents[url.split("/").pop()];
+      return body === undefined ? { ok: false, status: 404 } : { ok: true, arrayBuffer: async () => Buffer.from(body) };
+    },
+  };
+}
+
+function attachment(name, mimetype, extra = {}) {
+  return { id: `F_${name}`, name, mimetype, size: 2048, url_private: `https://files.slack.test/${name}`, ...extra };
+}
+
+async function mentionWithFiles(setup, files) {
+  const event = { type: "app_mention", channel: "C_PROD", user: "U_PRODUCER", ts: "1730000800.000100", text: "<@UBOT> Animator for the attached brief", files };
+  await setup.slack.dispatch("event", "app_mention", { event, say: setup.say(event.channel) });
+  await settle();
+  return textOf(setup.anthropic.calls[0].messages[0]);
+}
+
+test("PPTX, XLSX, RTF and HTML attachments are read into the brief", async () => {
+  const rtf = String.raw`{\rtf1\ansi{\fonttbl{\f0 Helvetica;}}{\colortbl;\red0\green0\blue0;}\f0 Launch brief for Acme\par Caf\'e9 scenes, 3 weeks\par Caf\u233?s and {\uc0\u8220 Snack\u8221 } spots\par}`;
+  const html = "<html><head><style>p{color:red}</style></head><body><h1>Acme tone</h1><p>Playful,<br>hand-drawn</p></body></html>";
+  const setup = setupBot({
+    claudeReplies: [BRIEF, RECOMMENDATION],
+    routes: slackFiles({ "deck.pptx": DECK, "schedule.xlsx": SCHEDULE, "brief.rtf": rtf, "tone.html": html }),
+  });
+
+  const prompt = await mentionWithFiles(setup, [
+    attachment("deck.pptx", PPTX_MIME),
+    attachment("schedule.xlsx", XLSX_MIME),
+    attachment("brief.rtf", "text/rtf"),
+    attachment("tone.html", "text/html"),
+  ]);
+
+  assert.match(prompt, /--- Brief: deck\.pptx ---\n## Slide 1: Acme Snacks Launch\n30s hero film/);
+  assert.match(prompt, /--- Brief: schedule\.xlsx ---\n## Tab: Schedule\nPhase \| Weeks/);
+  // \uN drops one fallback character by default, none after \uc0
+  assert.match(prompt, /--- Brief: brief\.rtf ---\nLaunch brief for Acme\nCafé scenes, 3 weeks\nCafés and “Snack” spots/);
+  assert.match(prompt, /--- Brief: tone\.html ---\nAcme tone\nPlayful,\nhand-drawn/);
+  assert.doesNotMatch(prompt, /Helvetica|color:red/);
+});
+
+test("the thread lists which files were read and which were skipped, and why", async () => {
+  const setup = setupBot({
+    claudeReplies: [BRIEF, RECOMMENDATION],
+    routes: slackFiles({ "deck.pptx": DECK, "empty.pdf": "%PDF-1.4" }),
+  });
+
+  await mentionWithFiles(setup, [
+    attachment("deck.pptx", PPTX_MIME),
+    attachment("Pitch.key", "application/x-iwork-keynote-sffkey", { filetype: "keynote" }),
+    attachment("moodboard.gif", "image/gif"),
+    attachment("empty.pdf", "application/pdf"),
+    attachment("gone.docx", "application/vnd.openxmlformats-officedocument.wordprocessingml.document"),
+  ]);
+
+  const report = setup.slack.client.callsTo("chat.postMessage").find((p) => /Brief files/.test(p.text));
+  assert.equal(report.thread_ts, "1730000800.000100");
+  const lines = report.text.split("\n").slice(1);
+  assert.match(lines[0], /^✅ deck\.pptx — PPTX, [\d,]+ chars$/);
+  assert.match(lines[1], /^⏭️ Pitch\.key — skipped: Keynote file — export it as PDF or PowerPoint/);
+  assert.match(lines[2], /^⏭️ moodboard\.gif — skipped: image — only PNG and JPG/);
+  assert.match(lines[3], /^⏭️ empty\.pdf — skipped: no readable text in this PDF$/);
+  assert.match(lines[4], /^⏭️ gone\.docx — skipped: couldn't download it from Slack$/);
+  // The recommendation still runs on what could be read
+  assert.equal(setup.slack.client.callsTo("chat.postMessage").filter((p) => /^🥇/.test(p.blocks?.[0].text?.text)).length, 1);
+});
+
+test("no report is posted when nothing was attached or linked", async () => {
+  const setup = setupBot({ claudeReplies: [RECOMMENDATION] });
+
+  await mentionWith(setup, "Senior 2D animator for Acme Foods");
+
+  assert.ok(!setup.slack.client.callsTo("chat.postMessage").some((p) => /Brief files/.test(p.text || "")));
+});
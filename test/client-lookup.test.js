@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const streamtimeFixtures = require("./fixtures/streamtime.json");
+
+const COMPLETE = { id: 2, name: "Complete" };
+
+// Jane (freelancer) animated ACM-042 for Acme; Priya (team) designed ACM-051 for Acme and did NOR-007 for the bank
+const streamtime = {
+  ...streamtimeFixtures,
+  companies: [
+    { id: 9001, name: "Acme Foods Pty Ltd", websiteAddress: "https://www.acmefoods.com.au" },
+    { id: 9002, name: "Northwind Bank", websiteAddress: null },
+  ],
+  jobs: [
+    ...streamtimeFixtures.jobs,
+    { id: 503, number: "ACM-051", name: "Pack Refresh", company: { id: 9001, name: "Acme Foods Pty Ltd" }, jobStatus: { id: 3, name: "Complete" }, users: [{ id: 101 }] },
+  ],
+  jobItems: [
+    ...streamtimeFixtures.jobItems,
+    { id: 7003, jobId: 503, name: "Pack design", jobItemStatus: COMPLETE },
+  ],
+  jobItemUsers: [
+    ...streamtimeFixtures.jobItemUsers,
+    { id: 8003, jobItemId: 7003, userId: 101, jobItemUserStatus: COMPLETE, totalPlannedMinutes: 600, totalLoggedMinutes: 600, earliestStartDate: "2024-11-11", latestEndDate: "2024-11-20" },
+  ],
+  roles: [
+    { id: 3, name: "Motion Designer", active: true },
+    { id: 11, name: "Animator", active: true },
+    { id: 12, name: "Designer", active: true },
+  ],
+  jobItemRoles: [
+    { id: 901, jobItemId: 7001, roleId: 11, active: true, totalPlannedMinutes: 2400 },
+    { id: 902, jobItemId: 7003, roleId: 12, active: true, totalPlannedMinutes: 600 },
+  ],
+  // Jane's last day on ACM-042 comes from her time entries, not the item's end date
+  loggedTimes: [
+    { id: 1, userId: 102, date: "2025-03-12", minutes: 480, loggedTimeStatus: COMPLETE, job: { id: 501 }, jobItemUser: { jobItemId: 7001 } },
+    { id: 2, userId: 102, date: "2025-03-04", minutes: 480, loggedTimeStatus: COMPLETE, job: { id: 501 }, jobItemUser: { jobItemId: 7001 } },
+  ],
+};
+
+const rosterTabs = {
+  "Client Aliases": [
+    ["Client", "Aliases"],
+    ["Acme Foods", "Crunchos, Acme Snacks"],
+  ],
+};
+
+async function ask(text, options = {}) {
+  const setup = setupBot({ streamtime, rosterTabs, ...options });
+  const event = { type: "app_mention", channel: "C_PROD", user: "U_PRODUCER", ts: "1730001000.000100", text: `<@UBOT> ${text}` };
+  await setup.slack.dispatch("event", "app_mention", { event, say: setup.say(event.channel) });
+  await settle();
+  const reply = setup.slack.client.callsTo("chat.postMessage").at(-1);
+  return { ...setup, reply };
+}
+
+test("who knows lists internal and freelance people with jobs, roles, hours and last-worked date", async () => {
+  const { reply, anthropic, fetch } = await ask("who knows Acme Foods?");
+
+  assert.equal(anthropic.calls.length, 0, "a lookup doesn't run a recommendation");
+  assert.ok(fetch.calls.some((c) => c.url.includes("search_view=12")), "companies were searched");
+  assert.equal(reply.thread_ts, "1730001000.000100");
+  const [heading, internal, freelancers] = reply.text.split("\n\n");
+  assert.match(heading, /^🏢 \*Who knows Acme Foods Pty Ltd\* — 2 people have logged time/);
+  assert.equal(internal, "*Internal team*\n• *Priya Shah* — Designer · 10h · last worked 20 Nov 2024 · jobs ACM-051");
+  assert.equal(freelancers, "*Freelancers*\n• *Jane Doe* — Animator · 38h · last worked 12 Mar 2025 · jobs ACM-042");
+  assert.doesNotMatch(reply.text, /NOR-007/, "other clients' jobs aren't listed");
+});
+
+test("clients are matched through brand aliases, websites and typos", async () => {
+  const brand = await ask("who has worked for crunchos");
+  assert.match(brand.reply.text, /Who knows Acme Foods Pty Ltd \(via "Crunchos"\)\* — 2 people/);
+  assert.match(brand.reply.text, /Jane Doe/);
+
+  const website = await ask("who knows acmefoods");
+  assert.match(website.reply.text, /Who knows Acme Foods Pty Ltd \(via "acmefoods"\)\*/);
+
+  const typo = await ask("who's worked with Northwnd Bank");
+  assert.match(typo.reply.text, /Who knows Northwind Bank\* — 1 person has/);
+  assert.match(typo.reply.text, /• \*Priya Shah\* — Motion Designer · 15h · last worked 8 Jan 2025 · jobs NOR-007/);
+});
+
+test("unknown clients get suggestions, and an empty lookup asks which client", async () => {
+  const unknown = await ask("who knows Acme Drinks");
+  assert.equal(unknown.reply.text, `🏢 No Streamtime client matches "Acme Drinks". Did you mean *Acme Foods Pty Ltd*?`);
+
+  const empty = await ask("who knows");
+  assert.match(empty.reply.text, /Which client\?/);
+});
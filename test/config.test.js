@@ -0,0 +1,138 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const { textOf } = require("./fakes/anthropic");
+
+const CONFIG_HEADERS = ["Channel", "Model", "Max Tokens", "Freelancer Picks", "Tone", "Priority Disciplines", "Extra Rules"];
+
+const THREE_PICKS = {
+  freelancers: [
+    { name: "Mia Chen", reasons: "Art direction." },
+    { name: "Jane Doe", reasons: "2D animation." },
+    { name: "Tom Reyes", reasons: "Kinetic type." },
+  ],
+};
+
+function mention(channel, text) {
+  return { type: "app_mention", channel, user: "U_PRODUCER", ts: `1730000500.${channel}`, text: `<@UBOT> ${text}` };
+}
+
+async function ask(setup, channel, text) {
+  const event = mention(channel, text);
+  await setup.slack.dispatch("event", "app_mention", { event, say: setup.say(channel) });
+  await settle();
+  return setup.slack.client.callsTo("chat.postMessage").filter((p) => p.blocks);
+}
+
+test("a channel row sets the model, token limit, number of picks, tone and rules", async () => {
+  const setup = setupBot({
+    claudeReplies: [THREE_PICKS],
+    rosterTabs: {
+      "Bot Config": [
+        CONFIG_HEADERS,
+        ["C_DESIGN", "claude-opus-4-20250514", "3000", "2", "Warm and brief", "AD/Designers", "Mention packaging experience\nNever suggest juniors"],
+      ],
+    },
+  });
+
+  const cards = await ask(setup, "C_DESIGN", "Designer for a packaging refresh");
+
+  const [call] = setup.anthropic.calls;
+  assert.equal(call.model, "claude-opus-4-20250514");
+  assert.equal(call.max_tokens, 3000);
+  const system = call.system.map((b) => b.text).join("");
+  assert.match(system, /Always recommend 2 freelancer options/);
+  const { freelancers } = call.tools[0].input_schema.properties;
+  assert.equal(freelancers.description, "Freelancers ranked best first — up to 2.");
+  assert.equal(freelancers.maxItems, 2);
+  assert.match(system, /CHANNEL SETTINGS:\n- This channel works mostly with AD\/Designers[^\n]*\n- Tone: Warm and brief\n- Mention packaging experience\n- Never suggest juniors/);
+  assert.match(textOf(call.messages[0]), /Mia Chen: .*channel priority \+15 \(AD\/Designers\)/);
+  assert.equal(cards.length, 2);
+});
+
+test("rows can name a channel, and the default row covers everything else", async () => {
+  const setup = setupBot({
+    claudeReplies: [THREE_PICKS, THREE_PICKS],
+    rosterTabs: {
+      "Bot Config": [
+        CONFIG_HEADERS,
+        ["default", "", "", "1", "", "", ""],
+        ["#video-production", "", "1500", "", "", "Animators", ""],
+      ],
+    },
+    slackResponses: {
+      "conversations.info": (args) => ({ ok: true, channel: { id: args.channel, name: args.channel === "C_VIDEO" ? "video-production" : "general" } }),
+    },
+  });
+
+  await ask(setup, "C_VIDEO", "Animator for a launch film");
+  await ask(setup, "C_GENERAL", "Animator for a launch film");
+
+  const [video, general] = setup.anthropic.calls;
+  assert.equal(video.max_tokens, 1500);
+  assert.match(video.system[0].text, /works mostly with Animators/);
+  // Both inherit the default row's single pick; neither sets a model
+  assert.match(video.system[0].text, /Always recommend 1 freelancer option alongside/);
+  assert.equal(general.max_tokens, 2048);
+  assert.doesNotMatch(general.system[0].text, /CHANNEL SETTINGS/);
+  assert.equal(general.model, "claude-sonnet-4-20250514");
+  assert.equal(setup.slack.client.callsTo("chat.postMessage").filter((p) => p.blocks).length, 2);
+});
+
+test("channel names that look like IDs when lowercased are still looked up by name", async () => {
+  const setup = setupBot({
+    claudeReplies: [THREE_PICKS],
+    rosterTabs: {
+      "Bot Config": [
+        CONFIG_HEADERS,
+        ["C0DESIGN01", "", "", "1", "", "", ""],
+        ["#copywriters", "", "1200", "", "", "", ""],
+      ],
+    },
+    slackResponses: {
+      "conversations.info": (args) => ({ ok: true, channel: { id: args.channel, name: "copywriters" } }),
+    },
+  });
+
+  await ask(setup, "C0COPY0001", "Writer for a launch campaign");
+
+  assert.equal(setup.anthropic.calls[0].max_tokens, 1200);
+});
+
+test("without a Bot Config tab the built-in defaults apply", async () => {
+  const setup = setupBot({ claudeReplies: [THREE_PICKS] });
+
+  const cards = await ask(setup, "C_PROJECTS", "Animator please");
+
+  const [call] = setup.anthropic.calls;
+  assert.equal(call.model, "claude-sonnet-4-20250514");
+  assert.equal(call.max_tokens, 2048);
+  assert.match(call.system[0].text, /Always recommend 3 freelancer options/);
+  assert.equal(cards.length, 3);
+});
+
+test("a Bot Config tab without a Channel header falls back to the defaults", async () => {
+  const setup = setupBot({
+    claudeReplies: [THREE_PICKS],
+    rosterTabs: { "Bot Config": [["Chanel", "Model"], ["C_PROJECTS", "claude-opus-4-20250514"]] },
+  });
+
+  const cards = await ask(setup, "C_PROJECTS", "Animator please");
+
+  assert.equal(setup.anthropic.calls[0].model, "claude-sonnet-4-20250514");
+  assert.equal(cards.length, 3);
+});
+
+test("crew mode breaks the brief down with the channel's model", async () => {
+  const roles = JSON.stringify({ summary: "", roles: [{ role: "Animator", count: 1, level: "", skills: "" }] });
+  const setup = setupBot({
+    claudeReplies: [roles],
+    rosterTabs: { "Bot Config": [CONFIG_HEADERS, ["C_DESIGN", "claude-opus-4-20250514", "", "", "", "", ""]] },
+  });
+
+  const event = mention("C_DESIGN", "crew me an animated launch film for Acme Foods");
+  await setup.slack.dispatch("event", "app_mention", { event, say: setup.say("C_DESIGN") });
+  await settle();
+
+  assert.equal(setup.anthropic.calls[0].model, "claude-opus-4-20250514");
+});
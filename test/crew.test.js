@@ -0,0 +1,117 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+
+const BRIEF = "crew me: Acme Foods spring launch — 3 week social campaign, need a senior motion designer, 2 animators and a designer for key art";
+
+const ROLES = JSON.stringify({
+  summary: "Acme Foods spring launch",
+  roles: [
+    { role: "Motion Designer", count: 1, level: "senior", skills: "motion design, 2D animation" },
+    { role: "Animator", count: 2, level: "", skills: "character animation, After Effects" },
+    { role: "Designer", count: 1, level: "senior", skills: "key art, brand identity" },
+  ],
+});
+
+// What brief analysis reads out of BRIEF before the roles are broken down
+const ANALYSED = {
+  client: "Acme Foods",
+  project: "Spring launch",
+  deliverables: ["Social campaign"],
+  disciplines: ["Motion Designer", "Animator", "Designer"],
+  start_date: "2031-03-03",
+  end_date: "2031-03-21",
+};
+
+function mention(text) {
+  return { type: "app_mention", channel: "C_PROJECTS", user: "U_PRODUCER", ts: "1740000000.000100", text: `<@UBOT> ${text}` };
+}
+
+test("crew me fills each role internal-first, never double-casts, and totals the daily burn", async () => {
+  const { slack, anthropic, say } = setupBot({ claudeReplies: [ANALYSED, ROLES] });
+
+  const event = mention(BRIEF);
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+
+  assert.equal(anthropic.calls.length, 2, "one call to structure the brief, one to break down roles, no per-role calls");
+  assert.match(anthropic.calls[1].messages[0].content, /2 animators/);
+
+  const proposal = slack.client.callsTo("chat.update").at(-1).text;
+  const section = (role) => proposal.split(`*${role}*`)[1].split("\n*")[0];
+
+  // Internal motion designer is picked before any freelancer
+  assert.match(section("Motion Designer"), /🏠 \*Priya Shah\* \(internal\)/);
+  // Priya is taken, so the two animator slots go to freelancers
+  assert.match(section("Animator"), /Jane Doe/);
+  assert.match(section("Animator"), /Tom Reyes/);
+  assert.doesNotMatch(section("Animator"), /Priya Shah/);
+  assert.match(section("Designer"), /Mia Chen/);
+
+  // $750 + $600 + $900 for the freelancers; Priya has no cost rate in the team sheet
+  assert.match(proposal, /Estimated daily burn:\* \$2,250\/day cost/);
+  assert.match(proposal, /plus Priya Shah — no cost rate on file/);
+});
+
+test("crew mode flags roles nobody can fill within budget", async () => {
+  const roles = JSON.stringify({ summary: "", roles: [{ role: "Art Director", count: 1, level: "senior", skills: "" }] });
+  const { slack, say } = setupBot({ claudeReplies: [{ client: "Northwind Bank", budget: "$700/day" }, roles] });
+
+  const event = mention("crew me a packaging refresh for Northwind Bank, budget $700/day");
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+
+  const proposal = slack.client.callsTo("chat.update").at(-1).text;
+  assert.match(proposal, /No one on the team or roster fits within budget/);
+  assert.match(proposal, /Estimated daily burn:\* unknown/);
+});
+
+test("crew mode falls back to disciplines named in the brief if the breakdown isn't JSON", async () => {
+  const { slack, say } = setupBot({ claudeReplies: [{ client: "Globex" }, "Sorry, I can't help with that."] });
+
+  const event = mention("crew me an animator and a copywriter for a two week Globex explainer");
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+
+  const proposal = slack.client.callsTo("chat.update").at(-1).text;
+  assert.match(proposal, /\*Animator\*/);
+  assert.match(proposal, /\*Copywriter\*\n• ⚠️ No one/);
+});
+
+test("crew briefs are structured and archived with everyone proposed, so similar briefs finds them", async () => {
+  const { slack, sheets, say } = setupBot({ claudeReplies: [ANALYSED, ROLES] });
+
+  const event = mention(BRIEF);
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+
+  // The structured brief is posted for correction, and its dates are checked against bookings
+  const summary = slack.client.callsTo("chat.postMessage").find((p) => /^📄 \*Brief/.test(p.text || ""));
+  assert.equal(summary.thread_ts, event.ts);
+  assert.match(slack.client.callsTo("chat.update").at(-1).text, /_4 people · 3 Mar – 21 Mar_/);
+
+  const [headers, row] = sheets.rows("roster-sheet", "Brief Archive");
+  const entry = Object.fromEntries(headers.map((h, i) => [h, row[i]]));
+  assert.equal(entry.Client, "Acme Foods");
+  assert.equal(entry.Start, "2031-03-03");
+  assert.equal(entry["Requested By"], "U_PRODUCER");
+  assert.match(entry.Request, /^Acme Foods spring launch/);
+  assert.match(entry["Brief Text"], /2 animators/);
+  assert.equal(entry.Recommended, "Priya Shah, Jane Doe, Tom Reyes, Mia Chen");
+});
+
+test("correcting a crew brief proposes the crew again", async () => {
+  const { slack, anthropic, say } = setupBot({ claudeReplies: [ANALYSED, ROLES, ROLES] });
+  const event = mention(BRIEF);
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+
+  await slack.dispatch("view", "brief_edit", {
+    ack: async () => {},
+    body: { user: { id: "U_PRODUCER", name: "producer" } },
+    view: { private_metadata: `C_PROJECTS:${event.ts}`, state: { values: { budget: { value: { value: "$800/day" } } } } },
+  });
+  await settle();
+
+  assert.equal(anthropic.calls.length, 3, "the brief isn't analysed again, and no single-role recommendation runs");
+  assert.match(anthropic.calls[2].messages[0].content, /Budget: \$800\/day/);
+  const proposal = slack.client.callsTo("chat.update").at(-1).text;
+  assert.match(proposal, /^🎬 \*Proposed crew/);
+  assert.match(proposal, /budget \$800\/day per person/);
+  assert.doesNotMatch(proposal, /Mia Chen/, "over the corrected budget");
+});
@@ -0,0 +1,79 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const { textOf } = require("./fakes/anthropic");
+
+const RECOMMENDATION = {
+  freelancers: [{ name: "Jane Doe", reasons: "Senior 2D animator with Acme Foods history." }],
+};
+
+function dm(text, extra = {}) {
+  return { type: "message", channel_type: "im", channel: "D_PRODUCER", user: "U_PRODUCER", ts: "1730000100.000100", text, ...extra };
+}
+
+test("DMs run the same pipeline as mentions and reply in a thread", async () => {
+  const { slack, anthropic, say } = setupBot({ claudeReplies: [RECOMMENDATION] });
+
+  const event = dm("Need a senior 2D animator for Acme Foods");
+  await slack.dispatch("event", "message", { event, say: say(event.channel) });
+  await settle();
+
+  assert.equal(anthropic.calls.length, 1);
+  assert.match(textOf(anthropic.calls[0].messages[0]), /Request: Need a senior 2D animator for Acme Foods/);
+  const posts = slack.client.callsTo("chat.postMessage");
+  assert.ok(posts.every((p) => p.thread_ts === event.ts));
+  assert.deepEqual(posts.filter((p) => p.blocks).map((c) => c.blocks[0].text.text.split("\n")[0]), ["🥇 *#1 — Jane Doe*"]);
+});
+
+test("follow-ups in a DM thread send the earlier conversation to Claude", async () => {
+  const { slack, anthropic, say } = setupBot({
+    claudeReplies: [{ message: "Tom is cheaper." }],
+    slackResponses: {
+      "conversations.replies": {
+        ok: true,
+        messages: [
+          { user: "U_PRODUCER", ts: "1.0", text: "Need a 2D animator for Acme Foods" },
+          { user: "UBOT", bot_id: "B1", ts: "1.1", text: "🥇 *#1 — Jane Doe*" },
+          { user: "U_PRODUCER", ts: "1.2", text: "Anyone cheaper?" },
+        ],
+      },
+    },
+  });
+
+  const event = dm("Anyone cheaper?", { ts: "1.2", thread_ts: "1.0" });
+  await slack.dispatch("event", "message", { event, say: say(event.channel) });
+
+  const { messages } = anthropic.calls[0];
+  assert.deepEqual(messages.map((m) => m.role), ["user", "assistant", "user"]);
+  assert.match(textOf(messages[0]), /Need a 2D animator for Acme Foods/);
+  // The message being answered is sent once, as the latest turn
+  assert.equal(textOf(messages[2]), "Anyone cheaper?");
+  assert.equal(slack.client.callsTo("chat.update").at(-1).text, "Tom is cheaper.");
+});
+
+test("long DM briefs that can't be structured are trimmed to MAX_BRIEF_CHARS like mentions", async () => {
+  const brief = "Storyboard notes. ".repeat(400);
+  const { slack, anthropic, say } = setupBot({
+    claudeReplies: [() => { throw new Error("overloaded"); }, RECOMMENDATION],
+    routes: { "https://files.slack.test/": () => ({ ok: true, arrayBuffer: async () => Buffer.from(brief) }) },
+  });
+
+  const event = dm("Animator for this brief", {
+    files: [{ name: "brief.txt", mimetype: "text/plain", size: brief.length, url_private: "https://files.slack.test/brief.txt" }],
+  });
+  await slack.dispatch("event", "message", { event, say: say(event.channel) });
+  await settle();
+
+  const prompt = textOf(anthropic.calls[1].messages[0]);
+  assert.match(prompt, /\[Brief truncated — full document was \d+ chars\]/);
+});
+
+test("the talent scout trigger works in DMs", async () => {
+  const { slack, anthropic, say } = setupBot();
+
+  const event = dm("scout");
+  await slack.dispatch("event", "message", { event, say: say(event.channel) });
+
+  assert.equal(anthropic.calls.length, 0);
+  assert.match(slack.client.callsTo("chat.postMessage")[0].text, /Talent Scout isn't configured yet/);
+});
@@ -0,0 +1,135 @@
+// ── Recorded Claude responder ────────────────────────────────────────
+// Stands in for the Anthropic client. Each messages.create() call is
+// recorded (claude.calls) and answered with the next reply in the list:
+// a string becomes a text block, an object becomes the input of a tool_use
+// block for the tool the request forced (or its first tool). A reply can
+// also be a function of the request params returning either.
+//
+// messages.stream() works too: it emits "inputJson" snapshots (one per
+// field / list item) or "text" deltas, chunkDelayMs apart, before resolving.
+//
+// Prompt caching is simulated: each cache_control block ends a cacheable
+// prefix (tools, then system, then messages). The longest prefix seen before
+// is reported as cache_read_input_tokens, the rest up to the last breakpoint
+// as cache_creation_input_tokens.
+//
+//   const claude = createRecordedClaude([{ freelancers: [{ name: "Jane Doe", reasons: "..." }] }]);
+//   textOf(claude.calls[0].messages[0]) // → the prompt the bot sent
+
+const approxTokens = (value) => Math.ceil(JSON.stringify(value).length / 4);
+
+// A request's blocks in cache order, and the index just past each cache_control block
+function cacheBreakpoints(params) {
+  const parts = [
+    ...(params.tools || []),
+    ...(Array.isArray(params.system) ? params.system : [params.system]),
+    ...(params.messages || []).flatMap((m) => (typeof m.content === "string" ? [m.content] : m.content)),
+  ].filter(Boolean);
+  const ends = parts.flatMap((p, i) => (p.cache_control ? [i + 1] : []));
+  return { parts, ends };
+}
+
+// Successively fuller copies of a tool input — one per top-level field or list item
+function growingSnapshots(input) {
+  const snapshots = [];
+  const snapshot = {};
+  for (const [key, value] of Object.entries(input || {})) {
+    if (Array.isArray(value)) {
+      value.forEach((_, i) => snapshots.push({ ...snapshot, [key]: value.slice(0, i + 1) }));
+    } else {
+      snapshots.push({ ...snapshot, [key]: value });
+    }
+    snapshot[key] = value;
+  }
+  return snapshots;
+}
+
+// Plain text of a message, whether its content is a string or a list of blocks
+function textOf(message) {
+  if (typeof message.content === "string") return message.content;
+  return message.content.map((b) => b.text ?? b.content ?? "").join("");
+}
+
+function createRecordedClaude(replies = [], { chunkDelayMs = 0 } = {}) {
+  const queue = [...replies];
+  const calls = [];
+  const cachedPrefixes = new Set();
+
+  function usageFor(params) {
+    const { parts, ends } = cacheBreakpoints(params);
+    const keys = ends.map((end) => JSON.stringify(parts.slice(0, end)));
+    const hitAt = ends.findLast((_, i) => cachedPrefixes.has(keys[i])) ?? 0;
+    const lastEnd = ends.at(-1) ?? 0;
+    keys.forEach((key) => cachedPrefixes.add(key));
+    return {
+      input_tokens: approxTokens(parts.slice(lastEnd)),
+      output_tokens: 0,
+      cache_read_input_tokens: hitAt ? approxTokens(parts.slice(0, hitAt)) : 0,
+      cache_creation_input_tokens: lastEnd > hitAt ? approxTokens(parts.slice(hitAt, lastEnd)) : 0,
+    };
+  }
+
+  function respond(params) {
+    calls.push(params);
+    if (queue.length === 0) {
+      throw new Error(`Recorded Claude has no reply left for call #${calls.length}`);
+    }
+    const next = queue.shift();
+    const reply = typeof next === "function" ? next(params) : next;
+    const isToolUse = typeof reply !== "string";
+    const toolName = params.tool_choice?.name || params.tools?.[0]?.name;
+    return {
+      id: `msg_test_${calls.length}`,
+      type: "message",
+      role: "assistant",
+      model: params.model,
+      content: isToolUse
+        ? [{ type: "tool_use", id: `toolu_test_${calls.length}`, name: toolName, input: reply }]
+        : [{ type: "text", text: reply }],
+      stop_reason: isToolUse ? "tool_use" : "end_turn",
+      usage: usageFor(params),
+    };
+  }
+
+  return {
+    calls,
+    messages: {
+      async create(params) {
+        return respond(params);
+      },
+      // A MessageStream stand-in: listeners via .on(), result via .finalMessage()
+      stream(params) {
+        const listeners = {};
+        const emit = (event, ...args) => (listeners[event] || []).forEach((fn) => fn(...args));
+        const pause = () => new Promise((resolve) => setTimeout(resolve, chunkDelayMs));
+        const stream = {
+          on(event, fn) {
+            (listeners[event] = listeners[event] || []).push(fn);
+            return stream;
+          },
+          async finalMessage() {
+            const message = respond(params);
+            const [block] = message.content;
+            if (block.type === "tool_use") {
+              for (const snapshot of growingSnapshots(block.input)) {
+                await pause();
+                emit("inputJson", "", snapshot);
+              }
+            } else {
+              let text = "";
+              for (const word of block.text.split(/(?<= )/)) {
+                await pause();
+                text += word;
+                emit("text", word, text);
+              }
+            }
+            return message;
+          },
+        };
+        return stream;
+      },
+    },
+  };
+}
+
+module.exports = { createRecordedClaude, textOf };
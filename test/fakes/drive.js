@@ -0,0 +1,44 @@
+// ── Google Drive fake ─────────────────────────────────────────────────
+// Serves files.export / files.get from an in-memory map of file id → file.
+// A native Google file lists the formats it can be exported to; an
+// uploaded file only has raw bytes, and exporting it fails the way the
+// real API does.
+//
+//   const drive = createFakeDrive({
+//     deck1: { exports: { [PPTX_MIME]: buildPptx([...]) } },
+//     upload1: { raw: buildXlsx([...]) },
+//   });
+
+function createFakeDrive(files = {}) {
+  const calls = [];
+
+  const find = (fileId) => {
+    const file = files[fileId];
+    if (!file) throw new Error(`File not found: ${fileId}.`);
+    return file;
+  };
+
+  return {
+    calls,
+    files: {
+      async export({ fileId, mimeType }) {
+        calls.push({ method: "files.export", fileId, mimeType });
+        const file = find(fileId);
+        if (!file.exports) throw new Error("Export only supports Docs Editors files.");
+        if (!(mimeType in file.exports)) throw new Error(`The requested conversion is not supported: ${mimeType}`);
+        return { data: file.exports[mimeType] };
+      },
+      async get({ fileId, alt }) {
+        calls.push({ method: "files.get", fileId, alt });
+        const file = find(fileId);
+        if (alt === "media") {
+          if (!file.raw) throw new Error("Only files with binary content can be downloaded. Use Export with Docs Editors files.");
+          return { data: file.raw };
+        }
+        return { data: { id: fileId, name: file.name || fileId } };
+      },
+    },
+  };
+}
+
+module.exports = { createFakeDrive };
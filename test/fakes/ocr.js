@@ -0,0 +1,26 @@
+// ── OCR fake ─────────────────────────────────────────────────────────
+// Stands in for the tesseract.js engine in ocr.js. Images are looked up by
+// their bytes as a latin1 string, so a test can embed "JPEG" streams like
+// "page-1" in a PDF and say what each one reads as. Unknown images read as
+// nothing; every call is recorded.
+//
+//   const ocr = createFakeOcr({ "page-1": { text: "Launch brief...", confidence: 91 } });
+//   ocr.calls // → ["page-1", ...]
+
+function createFakeOcr(pages = {}) {
+  const calls = [];
+  return {
+    name: "fake",
+    calls,
+    async recognize(image) {
+      const key = Buffer.from(image).toString("latin1");
+      calls.push(key);
+      const page = pages[key];
+      if (page instanceof Error) throw page;
+      return page ? { text: page.text, confidence: page.confidence } : { text: "", confidence: 0 };
+    },
+    async terminate() {},
+  };
+}
+
+module.exports = { createFakeOcr };
@@ -0,0 +1,152 @@
+// ── In-memory Google Sheets fake ─────────────────────────────────────
+// Implements the slice of googleapis' sheets v4 client the bot uses, backed by
+// plain 2D arrays. A1 ranges are honoured ("'Tab'!A2:Z", "A1:Z", "'Tab'!H5",
+// "'Tab'!A:B"), and unknown tabs fail with the same "Unable to parse range"
+// error the real API returns so the bot's fallbacks get exercised.
+//
+//   const sheets = createFakeSheets({ roster: { Animators: [["title"], ["Name", ...], [...]] } });
+//   sheets.rows("roster", "Animators") // → current contents, for assertions
+
+function columnToIndex(letters) {
+  let n = 0;
+  for (const ch of letters.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function parseCell(ref) {
+  const m = /^([A-Z]*)(\d*)$/i.exec(ref);
+  if (!m) throw new Error(`Unable to parse range: ${ref}`);
+  return {
+    col: m[1] ? columnToIndex(m[1]) : null,
+    row: m[2] ? parseInt(m[2], 10) - 1 : null,
+  };
+}
+
+// "'My Tab'!A2:Z" → { tab: "My Tab", startRow: 1, startCol: 0, endRow: Infinity, endCol: 25 }
+function parseRange(range) {
+  let tab = null;
+  let cells = range;
+  const bang = range.lastIndexOf("!");
+  if (bang >= 0) {
+    tab = range.substring(0, bang).replace(/^'(.*)'$/, "$1").replace(/''/g, "'");
+    cells = range.substring(bang + 1);
+  }
+  const [from, to] = cells.split(":");
+  const start = parseCell(from);
+  const end = to ? parseCell(to) : start;
+  return {
+    tab,
+    startRow: start.row ?? 0,
+    startCol: start.col ?? 0,
+    endRow: to ? end.row ?? Infinity : start.row ?? Infinity,
+    endCol: to ? end.col ?? Infinity : start.col ?? Infinity,
+  };
+}
+
+function createFakeSheets(spreadsheets = {}) {
+  // spreadsheetId → Map(tabName → rows), insertion order = sheet order
+  const books = {};
+  for (const [id, tabs] of Object.entries(spreadsheets)) {
+    books[id] = new Map(Object.entries(tabs).map(([name, rows]) => [name, rows.map((r) => [...r])]));
+  }
+  const calls = [];
+
+  function resolve(spreadsheetId, range) {
+    const book = books[spreadsheetId];
+    if (!book) throw new Error(`Requested entity was not found: ${spreadsheetId}`);
+    const parsed = parseRange(range);
+    const tab = parsed.tab ?? book.keys().next().value;
+    if (!book.has(tab)) throw new Error(`Unable to parse range: ${range}`);
+    return { ...parsed, tab, rows: book.get(tab) };
+  }
+
+  function writeValues(rows, startRow, startCol, values) {
+    values.forEach((valueRow, r) => {
+      const target = (rows[startRow + r] = rows[startRow + r] || []);
+      valueRow.forEach((value, c) => {
+        while (target.length < startCol + c) target.push("");
+        target[startCol + c] = value == null ? "" : String(value);
+      });
+    });
+    for (let i = 0; i < rows.length; i++) rows[i] = rows[i] || [];
+  }
+
+  function update({ spreadsheetId, range, requestBody }) {
+    const { tab, rows, startRow, startCol } = resolve(spreadsheetId, range);
+    const values = requestBody.values || [];
+    writeValues(rows, startRow, startCol, values);
+    const updatedCells = values.reduce((sum, r) => sum + r.length, 0);
+    return { data: { updatedCells, updatedRange: `'${tab}'!${range.split("!").pop()}` } };
+  }
+
+  const api = {
+    calls,
+    rows(spreadsheetId, tab) {
+      return books[spreadsheetId]?.get(tab);
+    },
+    spreadsheets: {
+      async get({ spreadsheetId }) {
+        calls.push({ method: "get", spreadsheetId });
+        const book = books[spreadsheetId];
+        if (!book) throw new Error(`Requested entity was not found: ${spreadsheetId}`);
+        return {
+          data: {
+            sheets: [...book.keys()].map((title, sheetId) => ({ properties: { sheetId, title } })),
+          },
+        };
+      },
+      async batchUpdate({ spreadsheetId, requestBody }) {
+        calls.push({ method: "batchUpdate", spreadsheetId, requestBody });
+        const book = books[spreadsheetId];
+        for (const request of requestBody.requests || []) {
+          const title = request.addSheet?.properties?.title;
+          if (title && !book.has(title)) book.set(title, []);
+        }
+        return { data: {} };
+      },
+      values: {
+        async get({ spreadsheetId, range }) {
+          calls.push({ method: "values.get", spreadsheetId, range });
+          const { rows, startRow, startCol, endRow, endCol } = resolve(spreadsheetId, range);
+          const values = rows
+            .slice(startRow, endRow === Infinity ? undefined : endRow + 1)
+            .map((row) => row.slice(startCol, endCol === Infinity ? undefined : endCol + 1));
+          // Like the real API: trailing empty cells and rows are dropped
+          for (const row of values) {
+            while (row.length && row[row.length - 1] === "") row.pop();
+          }
+          while (values.length && values[values.length - 1].length === 0) values.pop();
+          return { data: values.length ? { range, values } : { range } };
+        },
+        async update(params) {
+          calls.push({ method: "values.update", spreadsheetId: params.spreadsheetId, range: params.range, values: params.requestBody.values });
+          return update(params);
+        },
+        async batchUpdate({ spreadsheetId, requestBody }) {
+          calls.push({ method: "values.batchUpdate", spreadsheetId, data: requestBody.data });
+          for (const { range, values } of requestBody.data || []) {
+            update({ spreadsheetId, range, requestBody: { values } });
+          }
+          return { data: {} };
+        },
+        async append({ spreadsheetId, range, requestBody }) {
+          calls.push({ method: "values.append", spreadsheetId, range, values: requestBody.values });
+          const { tab, rows, startRow, startCol } = resolve(spreadsheetId, range);
+          // Append after the last non-empty row at or below the anchor
+          let insertAt = startRow;
+          for (let i = rows.length - 1; i >= startRow; i--) {
+            if (rows[i] && rows[i].some((cell) => cell !== "")) {
+              insertAt = i + 1;
+              break;
+            }
+          }
+          writeValues(rows, insertAt, startCol, requestBody.values);
+          return { data: { updates: { updatedRange: `'${tab}'!A${insertAt + 1}` } } };
+        },
+      },
+    },
+  };
+  return api;
+}
+
+module.exports = { createFakeSheets, parseRange };
@@ -0,0 +1,84 @@
+// ── Slack fakes: a Bolt App stand-in and a recording Web API client ──
+// The App records registered handlers so tests can fire events/actions at
+// them; the client records every Web API call (client.calls) and returns
+// canned responses. Any method path works (client.chat.postMessage,
+// client.conversations.replies, ...) — override responses per method:
+//
+//   const app = createFakeSlackApp({ responses: { "auth.test": { user_id: "UBOT" } } });
+//   await app.dispatch("action", "approve_submission", { body, ack });
+//   app.client.callsTo("chat.postMessage") // → [args, ...]
+
+function createRecordingClient(responses = {}) {
+  const calls = [];
+  let nextTs = 1000;
+
+  const defaults = {
+    "auth.test": () => ({ ok: true, user_id: "UBOT" }),
+    "chat.postMessage": (args) => ({ ok: true, channel: args.channel, ts: `${nextTs++}.000100` }),
+    "chat.postEphemeral": () => ({ ok: true }),
+    "chat.update": (args) => ({ ok: true, channel: args.channel, ts: args.ts }),
+    "conversations.replies": () => ({ ok: true, messages: [] }),
+    "conversations.open": (args) => ({ ok: true, channel: { id: `D${args.users}` } }),
+    "users.info": (args) => ({ ok: true, user: { id: args.user, real_name: `User ${args.user}` } }),
+    "views.open": () => ({ ok: true }),
+  };
+
+  // Async like the real client, so a throwing override becomes a rejected promise
+  async function call(method, args) {
+    calls.push({ method, args });
+    const response = responses[method] ?? defaults[method] ?? { ok: true };
+    if (response instanceof Error) throw response;
+    return typeof response === "function" ? response(args) : response;
+  }
+
+  // client.a.b(args) → call("a.b", args), for any depth
+  function namespace(prefix) {
+    return new Proxy(function () {}, {
+      get(_, prop) {
+        if (prefix === "" && prop === "calls") return calls;
+        if (prefix === "" && prop === "callsTo") return (method) => calls.filter((c) => c.method === method).map((c) => c.args);
+        if (typeof prop === "symbol" || prop === "then") return undefined;
+        return namespace(prefix ? `${prefix}.${prop}` : prop);
+      },
+      apply(_, __, [args]) {
+        return call(prefix, args);
+      },
+    });
+  }
+
+  return namespace("");
+}
+
+function createFakeSlackApp({ responses } = {}) {
+  const handlers = { event: [], action: [], command: [], view: [] };
+  const client = createRecordingClient(responses);
+
+  const register = (kind) => (matcher, fn) => handlers[kind].push({ matcher, fn });
+  const matches = (matcher, id) => (matcher instanceof RegExp ? matcher.test(id) : matcher === id);
+
+  return {
+    client,
+    handlers,
+    event: register("event"),
+    action: register("action"),
+    command: register("command"),
+    view: register("view"),
+    async start() {},
+    // Run the handler registered for kind/id, the way Bolt would
+    async dispatch(kind, id, args) {
+      const handler = handlers[kind].find((h) => matches(h.matcher, id));
+      if (!handler) throw new Error(`No ${kind} handler registered for "${id}"`);
+      return handler.fn({ client, ...args });
+    },
+  };
+}
+
+// Bolt's say() for a given channel — posts through the recording client
+function createSay(client, channel) {
+  return (message) => {
+    const args = typeof message === "string" ? { text: message } : message;
+    return client.chat.postMessage({ channel, ...args });
+  };
+}
+
+module.exports = { createFakeSlackApp, createRecordingClient, createSay };
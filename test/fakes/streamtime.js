@@ -0,0 +1,124 @@
+// ── Streamtime API stub ──────────────────────────────────────────────
+// A fetch() replacement that serves fixtures shaped like
+// streamtime-api-spec.json: GET /users, GET /roles, GET /rate_cards,
+// GET /filter_group_types, POST /search?search_view=N with offset/maxResults
+// paging, and the job item endpoints used to schedule freelancers
+// (GET /jobs/{id}/job_items, GET /job_items/{id}/job_item_roles, GET/POST
+// /job_items/{id}/job_item_users, PUT /job_items/{id}, PUT /job_item_users/{id}).
+// Writes replace the arrays on the fixtures object passed in, so tests can
+// check what was saved. Any other URL (portfolio sites, Slack file downloads)
+// goes to `routes` if one matches, otherwise 404s — nothing ever touches the
+// network.
+//
+// Search filters are honoured for filter group types whose fixture entry
+// names a record `field` (a fake-only key): GREATER_THAN_OR_EQUALS compares
+// that field, so incremental "modified since" searches can be exercised.
+//
+//   const fetch = createStreamtimeFetch(require("../fixtures/streamtime.json"));
+//   fetch.calls // → [{ url, method, body }]
+
+const STREAMTIME_API_BASE = "https://api.streamtime.net/v1";
+
+// Search view ids the bot queries → fixture key
+const SEARCH_VIEWS = {
+  7: "jobs",
+  8: "loggedTimes",
+  12: "companies",
+  16: "jobItems",
+  17: "jobItemUsers",
+  20: "jobItemRoles",
+  22: "users",
+};
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers({ "content-type": "application/json" }),
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+    arrayBuffer: async () => Buffer.from(JSON.stringify(body)),
+  };
+}
+
+const GREATER_THAN_OR_EQUALS = 38;
+
+// Apply the filter groups the fake understands; any other filter matches everything
+function applyFilters(records, filterGroups, filterGroupTypes) {
+  return (filterGroups || []).reduce((matching, group) => {
+    const field = filterGroupTypes.find((t) => t.filterGroupType === group.filterGroupTypeId)?.field;
+    if (!field) return matching;
+    return matching.filter((record) =>
+      group.filters.every((f) => f.valueMatchTypeId !== GREATER_THAN_OR_EQUALS || String(record[field] || "") >= String(f.value))
+    );
+  }, records);
+}
+
+function createStreamtimeFetch(fixtures = {}, { routes = {} } = {}) {
+  const calls = [];
+
+  async function fetch(url, options = {}) {
+    const method = (options.method || "GET").toUpperCase();
+    const body = options.body ? JSON.parse(options.body) : null;
+    calls.push({ url, method, body });
+
+    for (const [prefix, handler] of Object.entries(routes)) {
+      if (url.startsWith(prefix)) return handler(url, options);
+    }
+    if (!url.startsWith(STREAMTIME_API_BASE)) return jsonResponse({ message: "Not found" }, 404);
+
+    const { pathname, searchParams } = new URL(url);
+    const path = pathname.replace(/^\/v1/, "");
+
+    if (method === "GET" && path === "/users") return jsonResponse(fixtures.users || []);
+    if (method === "GET" && path === "/roles") return jsonResponse(fixtures.roles || []);
+    if (method === "GET" && path === "/rate_cards") return jsonResponse(fixtures.rateCards || []);
+    if (method === "GET" && path === "/filter_group_types") {
+      const views = (searchParams.get("search_views") || "").split(",").map(Number);
+      return jsonResponse((fixtures.filterGroupTypes || []).filter((t) => t.searchViews.some((v) => views.includes(v))));
+    }
+
+    const [, resource, id, sub] = path.match(/^\/(jobs|job_items|job_item_users)\/(\d+)(?:\/(\w+))?$/) || [];
+    if (resource === "jobs" && sub === "job_items" && method === "GET") {
+      return jsonResponse((fixtures.jobItems || []).filter((i) => i.jobId === Number(id)));
+    }
+    if (resource === "job_items" && sub === "job_item_roles" && method === "GET") {
+      return jsonResponse((fixtures.jobItemRoles || []).filter((r) => r.jobItemId === Number(id)));
+    }
+    if (resource === "job_items" && sub === "job_item_users") {
+      if (method === "GET") return jsonResponse((fixtures.jobItemUsers || []).filter((u) => u.jobItemId === Number(id)));
+      if (method === "POST") {
+        const created = { ...body, id: 80000 + (fixtures.jobItemUsers || []).length, jobItemId: Number(id) };
+        fixtures.jobItemUsers = [...(fixtures.jobItemUsers || []), created];
+        return jsonResponse(created);
+      }
+    }
+    if ((resource === "job_items" || resource === "job_item_users") && !sub && method === "PUT") {
+      const key = resource === "job_items" ? "jobItems" : "jobItemUsers";
+      const existing = (fixtures[key] || []).find((r) => r.id === Number(id));
+      if (!existing) return jsonResponse({ message: "Not found" }, 404);
+      const updated = { ...existing, ...body, id: existing.id };
+      fixtures[key] = fixtures[key].map((r) => (r === existing ? updated : r));
+      return jsonResponse(updated);
+    }
+
+    if (method === "POST" && path === "/search") {
+      const key = SEARCH_VIEWS[searchParams.get("search_view")];
+      if (!key) return jsonResponse({ message: "Unsupported search view" }, 400);
+      const all = applyFilters(fixtures[key] || [], body?.filterGroupCollection?.filterGroups, fixtures.filterGroupTypes || []);
+      const offset = body?.offset || 0;
+      const maxResults = body?.maxResults || 200;
+      return jsonResponse({
+        searchResults: all.slice(offset, offset + maxResults),
+        statistics: { matchedRecords: all.length, totalActiveRecords: all.length },
+      });
+    }
+
+    return jsonResponse({ message: `No stub for ${method} ${path}` }, 404);
+  }
+
+  fetch.calls = calls;
+  return fetch;
+}
+
+module.exports = { createStreamtimeFetch, jsonResponse };
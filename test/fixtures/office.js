@@ -0,0 +1,56 @@
+// Minimal .pptx / .xlsx builders — just the parts the brief reader looks at,
+// laid out the way Google's exports are.
+
+const AdmZip = require("adm-zip");
+
+const escapeXml = (text) => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const paragraphs = (lines) => lines.map((l) => `<a:p><a:r><a:t>${escapeXml(l)}</a:t></a:r></a:p>`).join("");
+const shape = (type, lines) =>
+  `<p:sp><p:nvSpPr><p:nvPr>${type ? `<p:ph type="${type}"/>` : ""}</p:nvPr></p:nvSpPr><p:txBody>${paragraphs(lines)}</p:txBody></p:sp>`;
+
+// slides: [{ title, body: [lines], notes: [lines] }]
+function buildPptx(slides) {
+  const zip = new AdmZip();
+  const add = (path, xml) => zip.addFile(path, Buffer.from(xml, "utf-8"));
+
+  add("ppt/presentation.xml", `<p:presentation><p:sldIdLst>${slides.map((_, i) => `<p:sldId id="${256 + i}" r:id="rId${i + 10}"/>`).join("")}</p:sldIdLst></p:presentation>`);
+  add("ppt/_rels/presentation.xml.rels", `<Relationships>${slides.map((_, i) => `<Relationship Id="rId${i + 10}" Target="slides/slide${i + 1}.xml"/>`).join("")}</Relationships>`);
+  slides.forEach((slide, i) => {
+    const n = i + 1;
+    add(`ppt/slides/slide${n}.xml`, `<p:sld><p:cSld><p:spTree>${slide.title ? shape("title", [slide.title]) : ""}${shape(null, slide.body || [])}</p:spTree></p:cSld></p:sld>`);
+    if (slide.notes) {
+      add(`ppt/slides/_rels/slide${n}.xml.rels`, `<Relationships><Relationship Id="rId1" Target="../notesSlides/notesSlide${n}.xml"/></Relationships>`);
+      add(`ppt/notesSlides/notesSlide${n}.xml`, `<p:notes><p:cSld><p:spTree>${shape("sldImg", [])}${shape("body", slide.notes)}</p:spTree></p:cSld></p:notes>`);
+    }
+  });
+  return zip.toBuffer();
+}
+
+// tabs: { "Tab name": [[cell, ...], ...] } — strings go through sharedStrings, numbers inline
+function buildXlsx(tabs) {
+  const zip = new AdmZip();
+  const add = (path, xml) => zip.addFile(path, Buffer.from(xml, "utf-8"));
+  const strings = [];
+  const column = (i) => String.fromCharCode(65 + i);
+
+  const names = Object.keys(tabs);
+  add("xl/workbook.xml", `<workbook><sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets></workbook>`);
+  add("xl/_rels/workbook.xml.rels", `<Relationships>${names.map((_, i) => `<Relationship Id="rId${i + 1}" Target="worksheets/sheet${i + 1}.xml"/>`).join("")}</Relationships>`);
+  names.forEach((name, i) => {
+    const rows = tabs[name].map((row, r) => {
+      const cells = row.map((value, c) => {
+        const ref = `${column(c)}${r + 1}`;
+        if (value === "" || value == null) return "";
+        if (typeof value === "number") return `<c r="${ref}"><v>${value}</v></c>`;
+        strings.push(value);
+        return `<c r="${ref}" t="s"><v>${strings.length - 1}</v></c>`;
+      });
+      return `<row r="${r + 1}">${cells.join("")}</row>`;
+    });
+    add(`xl/worksheets/sheet${i + 1}.xml`, `<worksheet><sheetData>${rows.join("")}</sheetData></worksheet>`);
+  });
+  add("xl/sharedStrings.xml", `<sst>${strings.map((s) => `<si><t>${escapeXml(s)}</t></si>`).join("")}</sst>`);
+  return zip.toBuffer();
+}
+
+module.exports = { buildPptx, buildXlsx };
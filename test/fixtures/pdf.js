@@ -0,0 +1,47 @@
+// A scanned PDF: one page per image, no text layer. Images are DCTDecode
+// streams holding whatever bytes the test passes (the OCR fake keys on them),
+// or raw 8-bit grey pixels for the Flate path.
+
+const zlib = require("zlib");
+
+// pages: [{ jpeg: "page-1" } | { gray: Buffer, width, height }], sized like a real scan unless given
+function buildScannedPdf(pages) {
+  const objects = [];
+  const add = (body) => objects.push(body) && objects.length;
+
+  const pageIds = [];
+  const pagesId = 2;
+  objects.push(null, null); // 1 catalog, 2 page tree — filled in below
+  for (const page of pages) {
+    const width = page.width || 1654;
+    const height = page.height || 2339;
+    const data = page.jpeg !== undefined ? Buffer.from(page.jpeg, "latin1") : zlib.deflateSync(page.gray);
+    const filter = page.jpeg !== undefined ? "/DCTDecode" : "/FlateDecode";
+    const colour = page.jpeg !== undefined ? "/DeviceRGB" : "/DeviceGray";
+    const imageId = add([
+      Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace ${colour} /BitsPerComponent 8 /Filter ${filter} /Length ${data.length} >>\nstream\n`, "latin1"),
+      data,
+      Buffer.from("\nendstream", "latin1"),
+    ]);
+    const content = Buffer.from(`q 595 0 0 842 0 0 cm /Im0 Do Q`, "latin1");
+    const contentId = add([Buffer.from(`<< /Length ${content.length} >>\nstream\n`, "latin1"), content, Buffer.from("\nendstream", "latin1")]);
+    pageIds.push(add([Buffer.from(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 595 842] /Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`, "latin1")]));
+  }
+  objects[0] = [Buffer.from(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`, "latin1")];
+  objects[1] = [Buffer.from(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`, "latin1")];
+
+  const chunks = [Buffer.from("%PDF-1.4\n", "latin1")];
+  let offset = chunks[0].length;
+  const offsets = [];
+  objects.forEach((parts, i) => {
+    const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, "latin1"), ...parts, Buffer.from("\nendobj\n", "latin1")]);
+    offsets.push(offset);
+    offset += chunk.length;
+    chunks.push(chunk);
+  });
+  const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${offset}\n%%EOF\n`, "latin1"));
+  return Buffer.concat(chunks);
+}
+
+module.exports = { buildScannedPdf };
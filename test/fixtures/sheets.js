@@ -0,0 +1,47 @@
+// Spreadsheet fixtures for the fake Sheets client. Builders return fresh
+// copies so one test's writes never leak into the next.
+
+const ROSTER_HEADERS = [
+  "Name", "Level", "Capabilites", "Cost Rate ( per 8hr day)", "Min Sell Rate (2X)",
+  "Availibility", "Clients", "Portfolio", "Location", "Comments",
+];
+
+// extraTabs adds tabs such as "Bot Config" or "Bookings" after the roster tabs
+function rosterSpreadsheet(extraTabs = {}) {
+  return {
+    Animators: [
+      ["ANIMATORS"],
+      ROSTER_HEADERS,
+      ["Jane Doe", "Senior", "2D character animation, After Effects, motion design", "$750", "$1,500", "Available", "Acme Foods, Globex", "", "Sydney", ""],
+      ["Tom Reyes", "Mid", "Motion design, kinetic type, Cinema 4D", "$600", "", "Available", "Initech", "", "Melbourne", "Reliable"],
+    ],
+    "AD/Designers": [
+      ["AD / DESIGNERS"],
+      ROSTER_HEADERS,
+      ["Mia Chen", "Senior", "Brand identity, packaging, art direction", "$900", "$1,800", "Available", "Northwind Bank", "", "Sydney", ""],
+    ],
+    ...extraTabs,
+  };
+}
+
+function teamSpreadsheet() {
+  return {
+    Team: [
+      ["Name", "Role", "Capabilities", "Status", "Comments"],
+      ["Priya Shah", "Senior Motion Designer", "Motion design, 2D animation", "Active", ""],
+    ],
+  };
+}
+
+const SUBMISSION_HEADERS = [
+  "Timestamp", "Full Name", "Email Address", "Primary Discipline", "Experience Level",
+  "Day Rate (per 8hr day)", "Key Skills & Capabilities", "Portfolio URL", "Location (City, Country)",
+];
+
+function submissionsSpreadsheet(rows = []) {
+  return {
+    "Form Responses 1": [SUBMISSION_HEADERS, ...rows],
+  };
+}
+
+module.exports = { ROSTER_HEADERS, rosterSpreadsheet, teamSpreadsheet, submissionsSpreadsheet };
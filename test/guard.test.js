@@ -0,0 +1,84 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+
+function mention(text) {
+  return { type: "app_mention", channel: "C_PROJECTS", user: "U_PRODUCER", ts: "1730000000.000200", text: `<@UBOT> ${text}` };
+}
+
+async function ask(setup, text) {
+  const event = mention(text);
+  await setup.slack.dispatch("event", "app_mention", { event, say: setup.say(event.channel) });
+  await settle();
+  return setup.slack.client.callsTo("chat.postMessage").filter((p) => p.thread_ts === event.ts).slice(1); // after the thinking message
+}
+
+const cardTitles = (posts) => posts.filter((p) => p.blocks).map((c) => c.blocks[0].text.text.split("\n")[0]);
+
+test("near-miss spellings are matched to the roster name", async () => {
+  const setup = setupBot({
+    claudeReplies: [{ freelancers: [{ name: "Jane Do", reasons: "Senior 2D animator." }, { name: "Reyes, Tom", reasons: "Kinetic type." }] }],
+  });
+
+  const posts = await ask(setup, "2D animator for Acme Foods");
+
+  assert.equal(setup.anthropic.calls.length, 1);
+  assert.deepEqual(cardTitles(posts), ["🥇 *#1 — Jane Doe*", "🥈 *#2 — Tom Reyes*"]);
+});
+
+test("an unknown name gets one corrective re-prompt before posting", async () => {
+  const setup = setupBot({
+    claudeReplies: [
+      { freelancers: [{ name: "Sam Ghost", reasons: "Great animator." }] },
+      { freelancers: [{ name: "Tom Reyes", reasons: "Kinetic type." }] },
+    ],
+  });
+
+  const posts = await ask(setup, "2D animator for Globex");
+
+  assert.equal(setup.anthropic.calls.length, 2);
+  const retry = setup.anthropic.calls[1].messages;
+  assert.equal(retry.at(-2).role, "assistant");
+  const [result] = retry.at(-1).content;
+  assert.equal(result.type, "tool_result");
+  assert.equal(result.tool_use_id, "toolu_test_1");
+  assert.equal(result.is_error, true);
+  assert.match(result.content, /Sam Ghost/);
+  assert.deepEqual(setup.anthropic.calls[1].tool_choice, { type: "tool", name: "recommend_talent" });
+
+  // The replacement was real, so nothing needs flagging
+  assert.deepEqual(cardTitles(posts), ["🥇 *#1 — Tom Reyes*"]);
+  assert.doesNotMatch(posts.map((p) => p.text).join("\n"), /Sam Ghost|Checked against/);
+});
+
+test("a misquoted day rate is replaced with the sheet rate and flagged", async () => {
+  const setup = setupBot({
+    claudeReplies: [{ freelancers: [{ name: "Tom Reyes", day_rate: "$450", reasons: "Cheapest option at $450/day." }] }],
+  });
+
+  const posts = await ask(setup, "budget animator");
+
+  const [card] = posts.filter((p) => p.blocks);
+  assert.match(card.blocks[0].text.text, /Animators \| Mid \| \$600\/day/);
+  assert.match(posts.at(-1).text, /Tom Reyes: rate quoted as \$450\/day, the sheet says \$600\/day/);
+});
+
+test("job numbers that aren't in the person's Streamtime history are stripped", async () => {
+  const setup = setupBot({
+    claudeReplies: [{
+      freelancers: [{
+        name: "Jane Doe",
+        reasons: "Animated the Acme launch [ACM-042] and the Woolworths spot [WOOL1349].",
+        job_numbers: ["ACM-042", "WOOL1349"],
+      }],
+    }],
+  });
+
+  const posts = await ask(setup, "animator who knows Acme Foods");
+
+  const [card] = posts.filter((p) => p.blocks);
+  const body = card.blocks[0].text.text;
+  assert.match(body, /\[ACM-042\]/);
+  assert.doesNotMatch(body, /WOOL1349/);
+  assert.match(posts.at(-1).text, /Jane Doe: removed \[WOOL1349\] — not in their Streamtime history/);
+});
@@ -0,0 +1,57 @@
+// ── Offline harness: wires bot.js to the fakes in test/fakes ─────────
+// bot.js reads its config from the environment when first required, so the
+// test env is set here before anything loads it.
+
+process.env.GOOGLE_SPREADSHEET_ID = "roster-sheet";
+process.env.GOOGLE_TEAM_SPREADSHEET_ID = "team-sheet";
+process.env.GOOGLE_SUBMISSIONS_SPREADSHEET_ID = "submissions-sheet";
+process.env.SUBMISSIONS_NOTIFY_CHANNEL = "C_SUBMISSIONS";
+process.env.RATE_REPORT_CHANNEL = "C_RATES";
+process.env.STREAMTIME_API_KEY = "test-streamtime-key";
+process.env.SLACK_BOT_TOKEN = "xoxb-test";
+delete process.env.TALENT_SCOUT_CHANNEL;
+delete process.env.TALENT_SCOUT_SOURCES;
+
+const bot = require("../bot");
+const { createMemoryBackend } = require("../store");
+const { createFakeSheets } = require("./fakes/sheets");
+const { createFakeSlackApp, createSay } = require("./fakes/slack");
+const { createStreamtimeFetch } = require("./fakes/streamtime");
+const { createRecordedClaude } = require("./fakes/anthropic");
+const { createFakeDrive } = require("./fakes/drive");
+const { createFakeOcr } = require("./fakes/ocr");
+const { rosterSpreadsheet, teamSpreadsheet, submissionsSpreadsheet } = require("./fixtures/sheets");
+const streamtimeFixtures = require("./fixtures/streamtime.json");
+
+// The bot logs every step; keep test output readable unless asked
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+// Fresh fakes + a fresh in-memory store for every test
+function setupBot({ claudeReplies = [], claudeOptions, rosterTabs, submissions = [], slackResponses, streamtime = streamtimeFixtures, routes, driveFiles, ocrPages, storeBackend = createMemoryBackend() } = {}) {
+  const sheets = createFakeSheets({
+    "roster-sheet": rosterSpreadsheet(rosterTabs),
+    "team-sheet": teamSpreadsheet(),
+    "submissions-sheet": submissionsSpreadsheet(submissions),
+  });
+  const slack = createFakeSlackApp({ responses: slackResponses });
+  const anthropic = createRecordedClaude(claudeReplies, claudeOptions);
+  const fetch = createStreamtimeFetch(streamtime, { routes });
+
+  const drive = createFakeDrive(driveFiles);
+  const ocr = ocrPages === null ? null : createFakeOcr(ocrPages);
+
+  bot.init({ slack, anthropic, sheets, drive, ocr, fetch, storeBackend });
+
+  return { bot, sheets, slack, anthropic, fetch, drive, ocr, storeBackend, say: (channel) => createSay(slack.client, channel) };
+}
+
+// Let fire-and-forget work (e.g. portfolio enrichment) finish before asserting
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+module.exports = { setupBot, settle };
@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const { textOf } = require("./fakes/anthropic");
+const streamtimeFixtures = require("./fixtures/streamtime.json");
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+
+const COMPLETE = { id: 2, name: "Complete" };
+
+// Jane (freelancer, no Streamtime role) animates for an FMCG client; Priya logs logo animation for the bank
+const streamtime = {
+  ...streamtimeFixtures,
+  jobs: streamtimeFixtures.jobs.map((job) =>
+    job.id === 501 ? { ...job, company: { ...job.company, companyLabels: [{ id: 1, name: "FMCG" }] } } : job
+  ),
+  roles: [
+    { id: 3, name: "Motion Designer", active: true },
+    { id: 11, name: "Animator", active: true },
+    { id: 12, name: "Designer", active: true },
+  ],
+  jobItemRoles: [
+    { id: 901, jobItemId: 7001, roleId: 11, active: true, totalPlannedMinutes: 2400 },
+    { id: 902, jobItemId: 7002, roleId: 3, active: true, totalPlannedMinutes: 300 },
+    { id: 903, jobItemId: 7002, roleId: 12, active: true, totalPlannedMinutes: 600 },
+  ],
+  loggedTimes: [
+    { id: 1, userId: 102, date: daysAgo(10), minutes: 12000, loggedTimeStatus: COMPLETE, job: { id: 501 }, jobItemUser: { jobItemId: 7001 }, itemName: "Character animation" },
+    { id: 2, userId: 102, date: daysAgo(100), minutes: 6000, loggedTimeStatus: COMPLETE, job: { id: 501 }, jobItemUser: { jobItemId: 7001 }, itemName: "Character animation" },
+    // Second year — counts towards the 24-month total only
+    { id: 3, userId: 102, date: daysAgo(540), minutes: 6000, loggedTimeStatus: COMPLETE, job: { id: 502 }, jobItemUser: { jobItemId: 7002 }, itemName: "Logo animation" },
+    // Too old, and a to-do that was never worked
+    { id: 4, userId: 102, date: daysAgo(900), minutes: 60000, loggedTimeStatus: COMPLETE, job: { id: 502 }, jobItemUser: { jobItemId: 7002 }, itemName: "Logo animation" },
+    { id: 5, userId: 102, date: daysAgo(5), minutes: 60000, loggedTimeStatus: { id: 1, name: "Incomplete" }, job: { id: 501 }, jobItemUser: { jobItemId: 7001 }, itemName: "Character animation" },
+    { id: 6, userId: 101, date: daysAgo(20), minutes: 3000, loggedTimeStatus: COMPLETE, job: { id: 502 }, jobItemUser: { jobItemId: 7002 }, itemName: "Logo animation" },
+  ],
+};
+
+const RECOMMENDATION = { freelancers: [{ name: "Jane Doe", reasons: "300 hrs of animation on FMCG clients in the past year." }] };
+
+test("logged time is summed into role, task and client profiles that go to Claude as evidence", async () => {
+  const { slack, anthropic, fetch, say } = setupBot({ claudeReplies: [RECOMMENDATION], streamtime });
+
+  const event = { type: "app_mention", channel: "C_PROJECTS", user: "U_PRODUCER", ts: "1730000000.000100", text: "<@UBOT> 2D animator for a snack brand launch" };
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+  await settle();
+
+  assert.ok(fetch.calls.some((c) => c.url.includes("search_view=8")), "time entries were searched");
+  assert.ok(fetch.calls.some((c) => c.url.includes("search_view=20")), "job item roles were searched");
+  assert.ok(fetch.calls.some((c) => c.url.endsWith("/roles")), "role names were fetched");
+
+  const prompt = textOf(anthropic.calls[0].messages[0]);
+  assert.match(
+    prompt,
+    /• Jane Doe[^\n]*\n {2}Logged time: 300h in the past 12 months \(400h over 24\) \| 300 hrs of animation on FMCG clients \| roles: Animator 300h \| tasks: Animation 300h \| clients: Acme Foods 300h \| sectors: FMCG 300h\n/
+  );
+  // Priya's own role wins on an item with several roles; unlabelled clients are named directly
+  assert.match(prompt, /• Priya Shah[^\n]*\n {2}Logged time: 50h in the past 12 months \| 50 hrs of animation on Northwind Bank \| roles: Motion Designer 50h/);
+
+  // The hours count towards the match score too
+  assert.match(prompt, /• Jane Doe: \d+ — .*logged time \+15 \(300h as Animator in the past year\)/);
+});
+
+test("people whose hours are all older than a year show their two-year total", async () => {
+  const old = { ...streamtime, loggedTimes: streamtime.loggedTimes.filter((t) => t.id === 3) };
+  const { slack, anthropic, say } = setupBot({ claudeReplies: [RECOMMENDATION], streamtime: old });
+
+  const event = { type: "app_mention", channel: "C_PROJECTS", user: "U_PRODUCER", ts: "1730000000.000100", text: "<@UBOT> 2D animator for a snack brand launch" };
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+  await settle();
+
+  const prompt = textOf(anthropic.calls[0].messages[0]);
+  assert.match(prompt, new RegExp(`Logged time: none in the past year; 100h over 24 months \\(Animation 100h\\), last on ${daysAgo(540)}`));
+  assert.doesNotMatch(prompt, /logged time \+/);
+});
@@ -0,0 +1,157 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const { textOf } = require("./fakes/anthropic");
+
+const RECOMMENDATION = {
+  internal: [
+    { name: "Priya Shah", role: "Senior Motion Designer", reasons: "Has done motion work for Acme Foods before.", job_numbers: ["ACM-042"] },
+  ],
+  freelancers: [
+    { name: "Jane Doe", category: "Animators", level: "Senior", day_rate: "$750", reasons: "Senior 2D animator who has already worked on Acme Foods jobs.", job_numbers: ["[ACM-042]"] },
+    { name: "Tom Reyes", category: "Animators", level: "Mid", day_rate: "$600", reasons: "Mid-level motion designer, strong on kinetic type.", caveats: "Check his Initech dates" },
+  ],
+  note: "Check Jane's dates before pitching.",
+};
+
+function mention(text, extra = {}) {
+  return { type: "app_mention", channel: "C_PROJECTS", user: "U_PRODUCER", ts: "1730000000.000100", text: `<@UBOT> ${text}`, ...extra };
+}
+
+test("mention flow shortlists the roster, asks Claude and posts a card per person", async () => {
+  const { slack, anthropic, fetch, say } = setupBot({ claudeReplies: [RECOMMENDATION] });
+
+  const event = mention("We need a senior 2D animator for an Acme Foods campaign, $800/day budget");
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+  await settle();
+
+  // Claude saw the shortlisted roster, the team and the Streamtime history
+  assert.equal(anthropic.calls.length, 1);
+  const prompt = textOf(anthropic.calls[0].messages[0]);
+  assert.match(prompt, /Jane Doe/);
+  assert.match(prompt, /Priya Shah/);
+  assert.match(prompt, /Acme Foods/);
+  assert.match(prompt, /PRE-RANKED MATCH SCORES/);
+  assert.doesNotMatch(prompt, /Mia Chen.*\$900/s, "over-budget designer is filtered out");
+  assert.ok(fetch.calls.some((c) => c.url.includes("search_view=7")), "Streamtime jobs were searched");
+
+  // The call forces the structured recommendation tool
+  assert.equal(anthropic.calls[0].tool_choice.name, "recommend_talent");
+
+  // Thinking message becomes a pointer; internal section, one card per freelancer and the note are posted
+  const updates = slack.client.callsTo("chat.update");
+  assert.equal(updates.at(-1).text, "✅ Here are my recommendations:");
+
+  const posts = slack.client.callsTo("chat.postMessage").filter((p) => p.thread_ts === event.ts).slice(1); // after the thinking message
+  const cards = posts.filter((p) => p.blocks);
+  assert.deepEqual(cards.map((c) => c.blocks[0].text.text.split("\n")[0]), ["🥇 *#1 — Jane Doe*", "🥈 *#2 — Tom Reyes*"]);
+  assert.match(posts[0].text, /^🏠 \*Internal Team\*\n\n\*Priya Shah\* — Senior Motion Designer\n_Why:_ Has done motion work/);
+  assert.match(posts[0].text, /📁 Streamtime: \[ACM-042\]/);
+  assert.equal(posts.at(-1).text, "💡 *Note:* Check Jane's dates before pitching.");
+
+  // Card fields come from the sheet; cited jobs, caveats, margin line and booking buttons are added
+  const [janeCard, tomCard] = cards;
+  assert.match(janeCard.blocks[0].text.text, /\nAnimators \| Senior \| \$750\/day\n/);
+  assert.match(janeCard.blocks[0].text.text, /📁 Streamtime: \[ACM-042\]/);
+  assert.match(janeCard.blocks[0].text.text, /Margin/i);
+  assert.match(tomCard.blocks[0].text.text, /⚠️ Check his Initech dates/);
+  const actions = janeCard.blocks.find((b) => b.type === "actions");
+  assert.deepEqual(actions.elements.map((e) => e.action_id), ["booking_hold", "booking_confirm", "booking_release", "booking_streamtime"]);
+});
+
+test("a retried Slack event is only handled once", async () => {
+  const { slack, anthropic, say } = setupBot({ claudeReplies: [RECOMMENDATION] });
+
+  const event = mention("Need a motion designer next week");
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+  await settle();
+
+  assert.equal(anthropic.calls.length, 1);
+});
+
+test("follow-ups in a thread send the earlier conversation to Claude", async () => {
+  const { slack, anthropic, say } = setupBot({
+    claudeReplies: [{ message: "Tom is the better fit if budget is tight." }],
+    slackResponses: {
+      "conversations.replies": {
+        ok: true,
+        messages: [
+          { user: "U_PRODUCER", ts: "1.0", text: "<@UBOT> Need a 2D animator for Acme Foods" },
+          { user: "UBOT", bot_id: "B1", ts: "1.1", text: "🥇 *#1 — Jane Doe*\nAnimators | Senior | $750/day" },
+        ],
+      },
+    },
+  });
+
+  const event = mention("What if the budget is only $650/day?", { ts: "1.2", thread_ts: "1.0" });
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+
+  const { messages } = anthropic.calls[0];
+  assert.equal(messages[0].role, "user");
+  assert.match(textOf(messages[0]), /Need a 2D animator for Acme Foods/);
+  assert.equal(textOf(messages.at(-1)), "What if the budget is only $650/day?");
+
+  // A plain follow-up answer replaces the thinking message — no cards
+  assert.equal(slack.client.callsTo("chat.update").at(-1).text, "Tom is the better fit if budget is tight.");
+  assert.equal(slack.client.callsTo("chat.postMessage").filter((p) => p.blocks).length, 0);
+});
+
+test("names that aren't in the roster or team are dropped before posting", async () => {
+  const reply = {
+    internal: [{ name: "Jane Doe", reasons: "Filed under internal by mistake." }],
+    freelancers: [
+      { name: "Imaginary Person", reasons: "Does not exist." },
+      { name: "tom reyes", reasons: "Kinetic type." },
+    ],
+    no_internal_reason: "Nobody internal is free.",
+  };
+  // Claude repeats the made-up name after the correction, so it gets stripped
+  const { slack, say } = setupBot({ claudeReplies: [reply, reply] });
+
+  const event = mention("2D animator for a Globex explainer");
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+  await settle();
+
+  const posts = slack.client.callsTo("chat.postMessage").filter((p) => p.thread_ts === event.ts).slice(1); // after the thinking message
+  assert.match(posts[0].text, /_Nobody internal is free\._/);
+  // Jane is a freelancer, so she moves to the ranked list; casing comes from the sheet
+  const cards = posts.filter((p) => p.blocks);
+  assert.deepEqual(cards.map((c) => c.blocks[0].text.text.split("\n")[0]), ["🥇 *#1 — Jane Doe*", "🥈 *#2 — Tom Reyes*"]);
+  assert.doesNotMatch(cards.map((c) => c.text).join("\n"), /Imaginary Person/);
+  assert.match(posts.at(-1).text, /Left out Imaginary Person — not in the roster or internal team sheet/);
+});
+
+test("an over-budget freelancer named by Claude is dropped, not carded", async () => {
+  const reply = {
+    internal: [],
+    freelancers: [
+      { name: "Mia Chen", reasons: "Strong art director." },
+      { name: "Jane Doe", reasons: "Senior 2D animator." },
+    ],
+  };
+  const { slack, anthropic, say } = setupBot({ claudeReplies: [reply, reply] });
+
+  const event = mention("Art director or 2D animator for an Acme Foods launch, $800/day budget");
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+  await settle();
+
+  // Claude is asked to replace her, and she's still left out when it names her again
+  assert.equal(anthropic.calls.length, 2);
+  assert.match(textOf(anthropic.calls[1].messages.at(-1)), /not in the roster or internal team data you were given: Mia Chen/);
+
+  const posts = slack.client.callsTo("chat.postMessage").filter((p) => p.thread_ts === event.ts).slice(1);
+  const cards = posts.filter((p) => p.blocks);
+  assert.deepEqual(cards.map((c) => c.blocks[0].text.text.split("\n")[0]), ["🥇 *#1 — Jane Doe*"]);
+  assert.match(posts.at(-1).text, /Left out Mia Chen — over the \$800\/day budget/);
+});
+
+test("a clarifying question is posted instead of cards", async () => {
+  const { slack, say } = setupBot({ claudeReplies: [{ clarifying_question: "What dates and budget are you working with?" }] });
+
+  const event = mention("need someone");
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+
+  assert.equal(slack.client.callsTo("chat.update").at(-1).text, "What dates and budget are you working with?");
+  assert.equal(slack.client.callsTo("chat.postMessage").filter((p) => p.blocks).length, 0);
+});
@@ -0,0 +1,87 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const { textOf } = require("./fakes/anthropic");
+const { buildScannedPdf } = require("./fixtures/pdf");
+const { extractPdfImages } = require("../ocr");
+
+const RECOMMENDATION = {
+  freelancers: [{ name: "Jane Doe", reasons: "Senior 2D animator with Acme Foods history." }],
+};
+const BRIEF = { client: "Acme Foods", project: "Crunchos launch film", disciplines: ["Animator"] };
+
+const SCAN = buildScannedPdf([{ jpeg: "page-1" }, { jpeg: "page-2" }]);
+const OCR_PAGES = {
+  "page-1": { text: "CRUNCHOS LAUNCH BRIEF\nClient: Acme Foods", confidence: 93 },
+  "page-2": { text: "Deliverables: 1x 30s hero film, cel-shaded 2D", confidence: 87 },
+  "photo.jpg": { text: "Whiteboard: need 2 animators wk of 3 March", confidence: 41 },
+};
+
+function slackFiles(contents) {
+  return {
+    "https://files.slack.test/": (url) => {
+      const body = contents[url.split("/").pop()];
+      return body === undefined ? { ok: false, status: 404 } : { ok: true, arrayBuffer: async () => Buffer.from(body) };
+    },
+  };
+}
+
+function attachment(name, mimetype) {
+  return { id: `F_${name}`, name, mimetype, size: 4096, url_private: `https://files.slack.test/${name}` };
+}
+
+async function mentionWithFiles(setup, files) {
+  const event = { type: "app_mention", channel: "C_PROD", user: "U_PRODUCER", ts: "1730001000.000100", text: "<@UBOT> Animator for the attached brief", files };
+  await setup.slack.dispatch("event", "app_mention", { event, say: setup.say(event.channel) });
+  await settle();
+  return setup.slack.client.callsTo("chat.postMessage").find((p) => /Brief files/.test(p.text || ""));
+}
+
+test("scanned PDFs are read with OCR page by page, and the thread is told how confident it was", async () => {
+  const setup = setupBot({ claudeReplies: [BRIEF, RECOMMENDATION], routes: slackFiles({ "scan.pdf": SCAN }), ocrPages: OCR_PAGES });
+
+  const report = await mentionWithFiles(setup, [attachment("scan.pdf", "application/pdf")]);
+
+  assert.deepEqual(setup.ocr.calls, ["page-1", "page-2"]);
+  const analysed = textOf(setup.anthropic.calls[0].messages[0]);
+  assert.match(analysed, /--- Brief: scan\.pdf \(scanned — read with OCR at 90% confidence, may contain recognition errors\) ---\nCRUNCHOS LAUNCH BRIEF\nClient: Acme Foods\n\nDeliverables: 1x 30s hero film/);
+  assert.match(report.text, /✅ scan\.pdf — PDF, [\d,]+ chars · 🔎 OCR, 2 page\(s\), 🟢 90% confidence/);
+  assert.match(report.text, /Scanned text was read with OCR — check names, dates and figures/);
+  assert.doesNotMatch(report.text, /Low OCR confidence/);
+});
+
+test("PNG and JPG briefs are read with OCR, with a warning when confidence is low", async () => {
+  const setup = setupBot({ claudeReplies: [BRIEF, RECOMMENDATION], routes: slackFiles({ "photo.jpg": "photo.jpg" }), ocrPages: OCR_PAGES });
+
+  const report = await mentionWithFiles(setup, [attachment("photo.jpg", "image/jpeg")]);
+
+  assert.match(textOf(setup.anthropic.calls[0].messages[0]), /Whiteboard: need 2 animators/);
+  assert.match(report.text, /✅ photo\.jpg — image, [\d,]+ chars · 🔎 OCR, 1 page\(s\), 🔴 41% confidence/);
+  assert.match(report.text, /⚠️ _Low OCR confidence on photo\.jpg/);
+});
+
+test("with OCR turned off, scans and images are skipped with the reason", async () => {
+  const setup = setupBot({ claudeReplies: [RECOMMENDATION], routes: slackFiles({ "scan.pdf": SCAN, "photo.jpg": "photo.jpg" }), ocrPages: null });
+
+  const report = await mentionWithFiles(setup, [attachment("scan.pdf", "application/pdf"), attachment("photo.jpg", "image/jpeg")]);
+
+  assert.match(report.text, /⏭️ scan\.pdf — skipped: it's a scan and OCR is turned off/);
+  assert.match(report.text, /⏭️ photo\.jpg — skipped: image — OCR is turned off/);
+  assert.equal(setup.anthropic.calls.length, 1);
+});
+
+test("Flate-compressed grey scans are handed to OCR as PGM images; small images are ignored", () => {
+  const width = 600;
+  const height = 800;
+  const gray = Buffer.alloc(width * height, 255);
+  gray.fill(0, width * 100, width * 120); // a black bar
+  const pdf = buildScannedPdf([{ jpeg: "logo", width: 120, height: 60 }, { gray, width, height }]);
+
+  const images = extractPdfImages(pdf);
+
+  assert.equal(images.length, 1);
+  assert.equal(images[0].format, "pnm");
+  const header = `P5\n${width} ${height}\n255\n`;
+  assert.equal(images[0].data.subarray(0, header.length).toString("ascii"), header);
+  assert.ok(images[0].data.subarray(header.length).equals(gray));
+});
@@ -0,0 +1,41 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+
+function mention(text) {
+  return { type: "app_mention", channel: "C_PROJECTS", user: "U_PRODUCER", ts: "1730000400.000100", text: `<@UBOT> ${text}` };
+}
+
+test("the thinking message reports each stage, then the streamed draft, then the answer", async () => {
+  const { slack, say } = setupBot({
+    claudeReplies: [{
+      freelancers: [
+        { name: "Jane Doe", reasons: "Senior 2D animator with Acme Foods history." },
+        { name: "Tom Reyes", reasons: "Kinetic type." },
+      ],
+      note: "Check Jane's dates.",
+    }],
+    // Three snapshots, 450ms apart — long enough for throttled updates to land mid-stream
+    claudeOptions: { chunkDelayMs: 450 },
+  });
+
+  const event = mention("2D animator for Acme Foods");
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+  await settle();
+
+  // Every update targets the thinking message (the first post, ts 1000.000100)
+  const updates = slack.client.callsTo("chat.update").map((u) => u.text);
+  assert.ok(slack.client.callsTo("chat.update").every((u) => u.ts === "1000.000100"));
+
+  const progress = updates.slice(0, -1);
+  assert.match(progress[0], /Roster loaded: 3 freelancers/);
+  assert.match(progress[0], /Team loaded: 1 people/);
+  assert.match(progress[0], /Streamtime: 2 jobs/);
+  assert.match(progress[0], /Shortlisted \d+ freelancers \+ \d+ team/);
+  assert.ok(progress.some((t) => /✍️ _Drafting…_\n🥇 Jane Doe — Senior 2D animator/.test(t)));
+  // Throttled: ~1.4s of streaming never produces one update per snapshot
+  assert.ok(progress.length <= 3, `expected throttled updates, got ${progress.length}`);
+
+  // The final answer wins — nothing overwrites it afterwards
+  assert.equal(updates.at(-1), "✅ Here are my recommendations:");
+});
@@ -0,0 +1,64 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { bot } = require("./harness").setupBot();
+
+const person = (Name, Category, extra = {}) => ({
+  Name,
+  Category,
+  Level: "Senior",
+  Capabilites: "2D animation, character rigging, kinetic type, explainer videos, After Effects, Cinema 4D",
+  Clients: "Acme Foods, Globex, Initech, Northwind Bank",
+  ...extra,
+});
+const entry = (p, score) => ({ person: p, score, breakdown: [] });
+
+function shortlist() {
+  return {
+    team: [entry(person("Priya Shah", "Team"), 30), entry(person("Sam Lee", "Team"), 20), entry(person("Ana Ruiz", "Team"), 10)],
+    freelancers: [
+      entry(person("Jane Doe", "Animators"), 40),
+      entry(person("Tom Reyes", "Animators"), 35),
+      entry(person("Lee Park", "Animators"), 25),
+      entry(person("Kai Wong", "Animators"), 15),
+      entry(person("Mia Chen", "AD/Designers"), 12),
+      entry(person("Noah Bell", "AD/Designers"), 5),
+    ],
+    budget: null,
+    excludedForBudget: [],
+    window: null,
+  };
+}
+
+const criteria = { categories: ["Animators"] };
+const brief = "Launch film storyboard and shot list. ".repeat(100);
+
+test("a prompt under budget is sent untouched", () => {
+  const prompt = bot.assembleRecommendationPrompt({ shortlist: shortlist(), streamtime: null, criteria, requestText: "2D animator", brief, budget: 100_000 });
+
+  assert.deepEqual(prompt.trimmed, []);
+  assert.match(prompt.allData, /Noah Bell/);
+  assert.ok(prompt.requestText.includes(brief));
+});
+
+test("over budget, off-discipline freelancers go first, then the brief", () => {
+  const full = bot.assembleRecommendationPrompt({ shortlist: shortlist(), streamtime: null, criteria, requestText: "2D animator", brief, budget: 100_000 });
+  // Room for everyone in the discipline but not the whole brief
+  const prompt = bot.assembleRecommendationPrompt({ shortlist: shortlist(), streamtime: null, criteria, requestText: "2D animator", brief, budget: full.tokens - 400 });
+
+  assert.match(prompt.trimmed[0], /off-discipline freelancer Noah Bell/);
+  assert.match(prompt.trimmed[1], /off-discipline freelancer Mia Chen/);
+  assert.ok(prompt.trimmed.some((t) => /^brief cut to \d+ chars$/.test(t)));
+  assert.match(prompt.requestText, /\[Brief truncated — full document was \d+ chars\]/);
+  for (const name of ["Jane Doe", "Tom Reyes", "Lee Park", "Kai Wong", "Priya Shah"]) assert.match(prompt.allData, new RegExp(name));
+  assert.ok(prompt.tokens <= full.tokens - 400);
+});
+
+test("a tiny budget keeps the top matches and the request itself", () => {
+  const prompt = bot.assembleRecommendationPrompt({ shortlist: shortlist(), streamtime: null, criteria, requestText: "2D animator for Acme", brief, budget: 10 });
+
+  assert.match(prompt.requestText, /^2D animator for Acme/);
+  assert.match(prompt.allData, /Jane Doe/);
+  assert.doesNotMatch(prompt.allData, /Kai Wong|Ana Ruiz/);
+  assert.ok(prompt.trimmed.includes("freelancer Kai Wong (score 15)"));
+  assert.ok(prompt.trimmed.includes("team member Ana Ruiz (score 10)"));
+});
@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+
+function mention(text, extra = {}) {
+  return { type: "app_mention", channel: "C_PROJECTS", user: "U_PRODUCER", ts: "1730000300.000100", text: `<@UBOT> ${text}`, ...extra };
+}
+
+const isCached = (block) => block.cache_control?.type === "ephemeral";
+
+test("system prompt and roster block are cacheable; the request is not", async () => {
+  const { slack, anthropic, say } = setupBot({ claudeReplies: [{ freelancers: [{ name: "Jane Doe", reasons: "Acme history." }] }] });
+
+  const event = mention("2D animator for Acme Foods, $800/day budget");
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+  await settle();
+
+  const [call] = anthropic.calls;
+  assert.ok(isCached(call.system.at(-1)));
+  const [roster, request] = call.messages[0].content;
+  assert.ok(isCached(roster));
+  assert.match(roster.text, /Jane Doe/);
+  assert.doesNotMatch(roster.text, /Mia Chen/, "the cached roster is the shortlist — over-budget people never reach Claude");
+  assert.ok(!isCached(request));
+  assert.equal(request.text, "Request: 2D animator for Acme Foods, $800/day budget");
+});
+
+test("separate requests read the cached system prompt and tool even when their shortlists differ", async () => {
+  const { bot, slack, anthropic, say } = setupBot({
+    claudeReplies: [
+      { freelancers: [{ name: "Jane Doe", reasons: "Acme history." }] },
+      { freelancers: [{ name: "Jane Doe", reasons: "Cheapest animator." }] },
+    ],
+  });
+  const before = { ...bot.promptCacheStats };
+
+  for (const [text, ts] of [["2D animator for Acme Foods", "1730000300.000300"], ["2D animator for Acme Foods, $800/day budget", "1730000300.000400"]]) {
+    const event = mention(text, { ts });
+    await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+    await settle();
+  }
+
+  const [first, second] = anthropic.calls.map((c) => c.messages[0].content[0].text);
+  assert.match(first, /Mia Chen/);
+  assert.doesNotMatch(second, /Mia Chen/, "each request only sends its own shortlist");
+  assert.equal(bot.promptCacheStats.requests - before.requests, 2);
+  assert.equal(bot.promptCacheStats.hits - before.hits, 1);
+  assert.ok(bot.promptCacheStats.readTokens > before.readTokens);
+});
+
+test("a re-prompt reuses the cached roster and the hit is counted", async () => {
+  const { bot, slack, anthropic, say } = setupBot({
+    claudeReplies: [
+      { freelancers: [{ name: "Sam Ghost", reasons: "Made up." }] },
+      { freelancers: [{ name: "Tom Reyes", reasons: "Kinetic type." }] },
+    ],
+  });
+  const before = { ...bot.promptCacheStats };
+
+  const event = mention("2D animator for Globex", { ts: "1730000300.000200" });
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+  await settle();
+
+  assert.equal(anthropic.calls.length, 2);
+  assert.equal(bot.promptCacheStats.requests - before.requests, 2);
+  assert.equal(bot.promptCacheStats.hits - before.hits, 1);
+  assert.ok(bot.promptCacheStats.readTokens > before.readTokens);
+});
+
+test("thread follow-ups cache the conversation up to the new message", async () => {
+  const { slack, anthropic, say } = setupBot({
+    claudeReplies: [{ message: "Tom is cheaper." }],
+    slackResponses: {
+      "conversations.replies": {
+        ok: true,
+        messages: [
+          { user: "U_PRODUCER", ts: "1.0", text: "<@UBOT> Need a 2D animator for Acme Foods" },
+          { user: "UBOT", bot_id: "B1", ts: "1.1", text: "🥇 *#1 — Jane Doe*" },
+        ],
+      },
+    },
+  });
+
+  const event = mention("Anyone cheaper?", { ts: "1.2", thread_ts: "1.0" });
+  await slack.dispatch("event", "app_mention", { event, say: say(event.channel) });
+
+  const { messages } = anthropic.calls[0];
+  assert.deepEqual(messages.map((m) => m.role), ["user", "assistant", "user"]);
+  assert.ok(isCached(messages[1].content.at(-1)));
+  assert.equal(messages[2].content, "Anyone cheaper?");
+});
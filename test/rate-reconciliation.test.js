@@ -0,0 +1,89 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const streamtimeFixtures = require("./fixtures/streamtime.json");
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+const shortDate = (iso) => new Date(`${iso}T00:00:00Z`).toLocaleDateString("en-AU", { day: "numeric", month: "short", timeZone: "UTC" });
+
+// Jane's sheet says $750 cost / $1,500 min sell; Streamtime has her at $75/h cost, the
+// Standard Rates card sells Animators at $160/h and ACM-042 charged her out at $140/h
+const streamtime = {
+  ...streamtimeFixtures,
+  users: streamtimeFixtures.users.map((u) => (u.id === 102 ? { ...u, role: { id: 11, name: "Animator" } } : u)),
+  jobs: streamtimeFixtures.jobs.map((job) => (job.id === 501 ? { ...job, rateCard: { id: 7 } } : job)),
+  rateCards: [{ id: 7, name: "Standard Rates", currency: { id: "AUD" } }],
+  jobItemRoles: [{ id: 901, jobItemId: 7001, roleId: 11, active: true, jobCurrencySellRate: 160 }],
+  jobItemUsers: streamtimeFixtures.jobItemUsers.map((jiu) => (jiu.id === 8001 ? { ...jiu, sellRate: 140, latestEndDate: daysAgo(20) } : jiu)),
+};
+
+test("sheet rates that drift from Streamtime are reported with buttons to fix them", async () => {
+  const { bot, slack } = setupBot({ streamtime });
+
+  const discrepancies = await bot.runRateReconciliation();
+  assert.deepEqual(discrepancies.map((d) => d.name), ["Jane Doe"], "people who aren't Streamtime users are skipped");
+
+  const [summary, report] = slack.client.callsTo("chat.postMessage");
+  assert.equal(summary.channel, "C_RATES");
+  assert.match(summary.text, /1 person's sheet rates differ from Streamtime by more than 5%/);
+
+  assert.equal(
+    report.blocks[0].text.text,
+    `*Jane Doe* _(Animators)_\n    Cost: sheet $750 · Streamtime cost $600\n    Min sell: sheet $1,500 · rate card $1,280 (Animator on Standard Rates) · charged $1,120 (ACM-042, ${shortDate(daysAgo(20))})`
+  );
+  assert.deepEqual(report.blocks[1].elements.map((b) => b.text.text), ["Set cost to $600", "Set min sell to $1,120"]);
+});
+
+test("the button writes the Streamtime rate into the sheet cell", async () => {
+  const { bot, slack, sheets } = setupBot({ streamtime });
+  await bot.runRateReconciliation();
+  const report = slack.client.callsTo("chat.postMessage")[1];
+  const sellButton = report.blocks[1].elements[1];
+
+  await slack.dispatch("action", sellButton.action_id, {
+    ack: async () => {},
+    action: sellButton,
+    body: { user: { id: "U_PRODUCER", name: "producer" }, channel: { id: "C_RATES" }, message: { ts: "1001.000100" } },
+  });
+  await settle();
+
+  const [, headers, jane] = sheets.rows("roster-sheet", "Animators");
+  assert.equal(jane[headers.indexOf("Min Sell Rate (2X)")], "$1,120");
+  assert.equal(jane[headers.indexOf("Cost Rate ( per 8hr day)")], "$750", "other cells are left alone");
+  const confirmation = slack.client.callsTo("chat.postMessage").at(-1);
+  assert.equal(confirmation.thread_ts, "1001.000100");
+  assert.equal(confirmation.text, "✅ <@U_PRODUCER> updated *Jane Doe*'s Min Sell Rate (2X) to $1,120 (was $1,500).");
+});
+
+test("rates within tolerance and old job items aren't flagged", async () => {
+  const matching = {
+    ...streamtime,
+    // $94/h ≈ $752/day and $190/h ≈ $1,520/day are within 5% of the sheet; the $140/h job was a year ago
+    users: streamtime.users.map((u) => (u.id === 102 ? { ...u, costRate: 94, billableRate: 190, role: null } : u)),
+    jobItemUsers: streamtime.jobItemUsers.map((jiu) => (jiu.id === 8001 ? { ...jiu, latestEndDate: daysAgo(365) } : jiu)),
+  };
+  const { bot, slack } = setupBot({ streamtime: matching });
+
+  assert.deepEqual(await bot.runRateReconciliation(), []);
+  assert.match(slack.client.callsTo("chat.postMessage")[0].text, /rates all match Streamtime/);
+});
+
+test("without their role on a recent job, the rate most job items book the role at is used", async () => {
+  const { bot, slack, fetch } = setupBot({
+    streamtime: {
+      ...streamtime,
+      roles: [{ id: 11, name: "Animator", active: true }],
+      jobItemRoles: [
+        { id: 902, jobItemId: 7002, roleId: 11, active: true, jobCurrencySellRate: 170 },
+        { id: 903, jobItemId: 7010, roleId: 11, active: true, jobCurrencySellRate: 170 },
+        { id: 904, jobItemId: 7011, roleId: 11, active: true, jobCurrencySellRate: 120 },
+      ],
+    },
+  });
+
+  await bot.runRateReconciliation();
+
+  assert.ok(fetch.calls.some((c) => c.url.endsWith("/roles")));
+  const report = slack.client.callsTo("chat.postMessage")[1];
+  assert.match(report.blocks[0].text.text, /rate card \$1,360 \(Animator, usual rate on 2 job items\)/);
+});
@@ -0,0 +1,41 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot } = require("./harness");
+
+const COMMENTS_COL = 9; // "Comments" in the roster fixture
+
+test("handleReview appends dated feedback to the freelancer's Comments cell", async () => {
+  const { bot, sheets, slack, say } = setupBot();
+
+  const handled = await bot.handleReview("review Tom Reyes - fast turnaround, 9/10", say("C_PROJECTS"), "1.0", "C_PROJECTS");
+
+  assert.equal(handled, true);
+  const tom = sheets.rows("roster-sheet", "Animators")[3];
+  assert.match(tom[COMMENTS_COL], /^Reliable \| \[\d{4}-\d{2}-\d{2} via Slack\] fast turnaround, 9\/10$/);
+  assert.match(slack.client.callsTo("chat.update").at(-1).text, /Feedback logged for \*Tom Reyes\*.*\*Animators\*/s);
+});
+
+test("handleReview writes to the team sheet for internal people", async () => {
+  const { bot, sheets, say } = setupBot();
+
+  await bot.handleReview("feedback Priya Shah: lovely storyboards", say("C_PROJECTS"), "1.0", "C_PROJECTS");
+
+  const priya = sheets.rows("team-sheet", "Team")[1];
+  assert.match(priya[4], /via Slack\] lovely storyboards$/);
+});
+
+test("handleReview reports unknown names without touching the sheet", async () => {
+  const { bot, sheets, slack, say } = setupBot();
+
+  await bot.handleReview("review Nobody Here - great", say("C_PROJECTS"), "1.0", "C_PROJECTS");
+
+  assert.equal(sheets.calls.filter((c) => c.method === "values.update").length, 0);
+  assert.match(slack.client.callsTo("chat.update").at(-1).text, /Couldn't find \*Nobody Here\*/);
+});
+
+test("handleReview ignores messages that aren't reviews", async () => {
+  const { bot, slack, say } = setupBot();
+
+  assert.equal(await bot.handleReview("need a senior animator", say("C_PROJECTS"), "1.0", "C_PROJECTS"), false);
+  assert.equal(slack.client.calls.length, 0);
+});
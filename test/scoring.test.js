@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { bot } = require("./harness").setupBot();
+
+const person = (Name, Category, extra = {}) => ({
+  Name,
+  Category,
+  Source: "Freelancer",
+  Level: "Senior",
+  Capabilites: "2D animation, character rigging, After Effects",
+  "Cost Rate ( per 8hr day)": "$750",
+  ...extra,
+});
+const points = (result) => Object.fromEntries(result.breakdown.map((b) => [b.factor, b.points]));
+
+test("each factor adds its points with the detail that earned them", () => {
+  const criteria = bot.parseRequestCriteria("Senior 2D animator with character rigging for Acme Foods, under $900/day");
+  const result = bot.scoreCandidate(person("Jane Doe", "Animators", { Clients: "Acme Foods, Globex", Availability: "Available" }), criteria, null);
+
+  assert.deepEqual(points(result), { category: 30, level: 10, capabilities: 16, clients: 15, availability: 5, budget: 8 });
+  assert.equal(result.score, 84);
+  assert.equal(result.breakdown.find((b) => b.factor === "capabilities").detail, "2d, animator, character, rigging");
+  assert.equal(result.breakdown.find((b) => b.factor === "budget").detail, "$750/day within $900");
+});
+
+test("mismatched seniority, unavailability, do-not-use and unknown rates count against a person", () => {
+  const criteria = bot.parseRequestCriteria("junior animator, budget $900 per day");
+  const result = bot.scoreCandidate(
+    person("Tom Reyes", "Animators", { Availability: "Booked until May", Status: "Do not use", "Cost Rate ( per 8hr day)": "TBC" }),
+    criteria,
+    null
+  );
+
+  assert.deepEqual(points(result), { category: 30, level: -5, capabilities: 4, availability: -15, status: -40, budget: -3 });
+  assert.equal(result.score, -29);
+});
+
+test("the shortlist drops over-budget people before ranking and flags rates that straddle the budget", () => {
+  const roster = [
+    person("Jane Doe", "Animators"),
+    person("Tom Reyes", "Animators", { "Cost Rate ( per 8hr day)": "$800-$1,000" }),
+    person("Mia Chen", "AD/Designers", { "Cost Rate ( per 8hr day)": "$1,200" }),
+    person("", "Animators"),
+  ];
+  const shortlist = bot.shortlistCandidates(roster, [], null, bot.parseRequestCriteria("animator under $900/day"));
+
+  assert.deepEqual(shortlist.excludedForBudget.map((e) => e.person.Name), ["Mia Chen"]);
+  assert.deepEqual(shortlist.freelancers.map((e) => [e.person.Name, e.score]), [["Jane Doe", 42], ["Tom Reyes", 29]]);
+  assert.equal(shortlist.freelancers[1].breakdown.find((b) => b.factor === "budget").detail, "$800–$1,000/day may exceed $900");
+  assert.equal(shortlist.budget, 900);
+});
@@ -0,0 +1,160 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+
+const ARCHIVE_HEADERS = [
+  "Brief ID", "Date", "Requested By", "Requester Name", "Channel", "Thread",
+  "Client", "Brand", "Project", "Deliverables", "Disciplines", "Start", "End",
+  "Budget", "Location", "Tone", "Request", "Sources", "Recommended", "Brief Text",
+];
+const BOOKINGS_HEADERS = [
+  "Booking ID", "Name", "Category", "Project", "Start", "End", "Status",
+  "Requested By", "Requester Name", "Rate", "Channel", "Thread", "Created", "Updated",
+];
+
+const RECOMMENDATION = {
+  internal: [{ name: "Priya Shah", reasons: "Motion work for Acme Foods." }],
+  freelancers: [{ name: "Jane Doe", reasons: "Senior 2D animator with Acme Foods history." }],
+};
+
+const BRIEF = {
+  client: "Acme Foods",
+  brand: "Crunchos",
+  project: "Crunchos launch film",
+  deliverables: ["1x 30s hero film", "3x 6s cutdowns"],
+  disciplines: ["Animator"],
+  start_date: "2030-03-04",
+  end_date: "2030-03-29",
+  budget: "$40k total",
+  tone_references: ["Playful cel-shaded 2D"],
+};
+
+const BRIEF_DOC = "Crunchos launch brief. A playful 2D animated hero film for the new snack range, with cutdowns for social.";
+
+function mention(text, extra = {}) {
+  return { type: "app_mention", channel: "C_PROD", user: "U_PRODUCER", ts: "1730000900.000100", text: `<@UBOT> ${text}`, ...extra };
+}
+
+const attached = {
+  files: [{ id: "F1", name: "crunchos.txt", mimetype: "text/plain", size: BRIEF_DOC.length, url_private: "https://files.slack.test/crunchos.txt" }],
+};
+
+async function send(setup, event) {
+  await setup.slack.dispatch("event", "app_mention", { event, say: setup.say(event.channel) });
+  await settle();
+}
+
+function archiveRow(fields) {
+  return ARCHIVE_HEADERS.map((h) => fields[h] || "");
+}
+
+const reply = (slack) => slack.client.callsTo("chat.postMessage").find((p) => /^🗂️/.test(p.text || ""));
+
+test("attached briefs are archived with their fields, requester and recommended people", async () => {
+  const setup = setupBot({
+    claudeReplies: [BRIEF, RECOMMENDATION],
+    routes: { "https://files.slack.test/": () => ({ ok: true, arrayBuffer: async () => Buffer.from(BRIEF_DOC) }) },
+  });
+
+  await send(setup, mention("Animator for this please", attached));
+
+  const [headers, row] = setup.sheets.rows("roster-sheet", "Brief Archive");
+  assert.deepEqual(headers, ARCHIVE_HEADERS);
+  const entry = Object.fromEntries(ARCHIVE_HEADERS.map((h, i) => [h, row[i]]));
+  assert.match(entry["Brief ID"], /^BR-/);
+  assert.equal(entry["Requested By"], "U_PRODUCER");
+  assert.equal(entry["Requester Name"], "User U_PRODUCER");
+  assert.equal(entry.Channel, "C_PROD");
+  assert.equal(entry.Thread, "1730000900.000100");
+  assert.equal(entry.Client, "Acme Foods");
+  assert.equal(entry.Deliverables, "1x 30s hero film\n3x 6s cutdowns");
+  assert.equal(entry.Start, "2030-03-04");
+  assert.equal(entry.Request, "Animator for this please");
+  assert.equal(entry.Sources, "crunchos.txt");
+  assert.equal(entry.Recommended, "Priya Shah, Jane Doe");
+  assert.match(entry["Brief Text"], /playful 2D animated hero film/);
+});
+
+test("corrections to the brief are written back to the archive", async () => {
+  const setup = setupBot({
+    claudeReplies: [BRIEF, RECOMMENDATION, { freelancers: [{ name: "Tom Reyes", reasons: "Motion design." }] }],
+    routes: { "https://files.slack.test/": () => ({ ok: true, arrayBuffer: async () => Buffer.from(BRIEF_DOC) }) },
+  });
+  await send(setup, mention("Animator for this please", attached));
+
+  const fields = { client: "Acme Beverages", disciplines: "Motion Designer" };
+  await setup.slack.dispatch("view", "brief_edit", {
+    ack: async () => {},
+    body: { user: { id: "U_PRODUCER", name: "producer" } },
+    view: {
+      private_metadata: "C_PROD:1730000900.000100",
+      state: { values: Object.fromEntries(Object.entries(fields).map(([id, value]) => [id, { value: { value } }])) },
+    },
+  });
+  await settle();
+
+  const [, row] = setup.sheets.rows("roster-sheet", "Brief Archive");
+  const entry = Object.fromEntries(ARCHIVE_HEADERS.map((h, i) => [h, row[i]]));
+  assert.equal(entry.Client, "Acme Beverages");
+  assert.equal(entry.Disciplines, "Motion Designer");
+  assert.equal(entry.Deliverables, "", "cleared fields are cleared in the archive too");
+  assert.equal(entry.Recommended, "Priya Shah, Jane Doe, Tom Reyes", "the re-run's picks are added");
+});
+
+test("similar briefs ranks the archive and shows who was recommended and booked", async () => {
+  const setup = setupBot({
+    rosterTabs: {
+      "Brief Archive": [
+        ARCHIVE_HEADERS,
+        archiveRow({
+          "Brief ID": "BR-1", Date: "2029-06-02T01:00:00.000Z", "Requested By": "U_ANA", Channel: "C_PROD", Thread: "1700000000.000100",
+          Client: "Acme Foods", Brand: "Crunchos", Project: "Crunchos summer film", Disciplines: "Animator\nDesigner",
+          Recommended: "Jane Doe, Tom Reyes", "Brief Text": "2D animated snack film, playful characters, social cutdowns.",
+        }),
+        archiveRow({
+          "Brief ID": "BR-2", Date: "2029-08-10T01:00:00.000Z", "Requested By": "U_BEN", Channel: "C_PROD", Thread: "1710000000.000100",
+          Client: "Northwind Bank", Project: "Annual report design", Disciplines: "Designer",
+          Recommended: "Mia Chen", "Brief Text": "Annual report layout, data visualisation, print and PDF.",
+        }),
+        archiveRow({
+          "Brief ID": "BR-3", Date: "2029-09-15T01:00:00.000Z", "Requested By": "U_ANA", Channel: "C_PROD", Thread: "1720000000.000100",
+          Client: "Globex", Project: "Explainer animation", Disciplines: "Animator",
+          "Brief Text": "Animated explainer for a software product, flat 2D style.",
+        }),
+      ],
+      Bookings: [
+        BOOKINGS_HEADERS,
+        ["BK-1", "Jane Doe", "Animators", "Crunchos summer film", "2029-06-10", "2029-06-28", "Confirmed", "U_ANA", "ana", "$750", "C_PROD", "1700000000.000100", "", ""],
+        ["BK-2", "Tom Reyes", "Animators", "Crunchos summer film", "2029-06-10", "2029-06-28", "Released", "U_ANA", "ana", "$600", "C_PROD", "1700000000.000100", "", ""],
+        ["BK-3", "Tom Reyes", "Animators", "Other job", "2029-09-20", "2029-09-30", "Hold", "U_ANA", "ana", "$600", "C_OTHER", "1720000000.000100", "", ""],
+      ],
+    },
+  });
+
+  await send(setup, mention("similar briefs: playful 2D animated film for a snack brand"));
+
+  assert.equal(setup.anthropic.calls.length, 0, "searching the archive doesn't run a recommendation");
+  const { text, thread_ts } = reply(setup.slack);
+  assert.equal(thread_ts, "1730000900.000100");
+  const matches = text.split("\n\n").slice(1);
+  assert.equal(matches.length, 2, "the annual report doesn't match");
+  assert.match(matches[0], /^\*1\. Crunchos summer film\* — Acme Foods \/ Crunchos/);
+  assert.match(matches[0], /^ {4}2 June? 2029 · requested by <@U_ANA> in <#C_PROD>$/m);
+  assert.match(matches[0], /Needs: Animator, Designer/);
+  assert.match(matches[0], /💡 Recommended: Jane Doe, Tom Reyes/);
+  assert.match(matches[0], /✅ Booked: Jane Doe\n?$/, "released holds aren't shown");
+  assert.match(matches[1], /^\*2\. Explainer animation\* — Globex/);
+  assert.match(matches[1], /Recommended: _nobody recorded_/);
+  assert.match(matches[1], /Nobody booked through the bot/, "bookings from other threads don't count");
+});
+
+test("similar briefs explains an empty search and creates the archive tab on first use", async () => {
+  const setup = setupBot();
+
+  await send(setup, mention("similar briefs"));
+  assert.match(reply(setup.slack).text, /Tell me what the new brief is about/);
+
+  await send(setup, mention("similar briefs: launch film", { ts: "1730000950.000100" }));
+  assert.match(setup.slack.client.callsTo("chat.postMessage").at(-1).text, /brief archive is empty/);
+  assert.deepEqual(setup.sheets.rows("roster-sheet", "Brief Archive")[0], ARCHIVE_HEADERS);
+});
@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore, createMemoryBackend, createJsonFileBackend } = require("../store");
+
+function tempStorePath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bot-store-"));
+  return path.join(dir, "state.json");
+}
+
+for (const [name, makeBackend] of [["memory", () => createMemoryBackend()], ["json-file", () => createJsonFileBackend(tempStorePath())]]) {
+  test(`${name} backend: claim succeeds once, then again after the TTL lapses`, async () => {
+    const events = createStore(makeBackend()).namespace("events", 30);
+
+    assert.equal(await events.claim("1.0"), true);
+    assert.equal(await events.claim("1.0"), false);
+    await new Promise((r) => setTimeout(r, 40));
+    assert.equal(await events.has("1.0"), false);
+    assert.equal(await events.claim("1.0"), true);
+  });
+
+  test(`${name} backend: namespaces are isolated and clear() only empties one`, async () => {
+    const store = createStore(makeBackend());
+    const a = store.namespace("a");
+    const b = store.namespace("b");
+
+    await a.set("k", { n: 1 });
+    await b.set("k", { n: 2 });
+    await a.clear();
+
+    assert.equal(await a.get("k"), undefined);
+    assert.deepEqual(await b.get("k"), { n: 2 });
+    assert.deepEqual(await b.keys(), ["k"]);
+  });
+}
+
+test("json-file backend: a second instance on the same file sees claims and values", async () => {
+  const file = tempStorePath();
+  const first = createStore(createJsonFileBackend(file)).namespace("submissions");
+  const second = createStore(createJsonFileBackend(file)).namespace("submissions");
+
+  assert.equal(await first.claim("row-1"), true);
+  assert.equal(await second.claim("row-1"), false, "overlapping instance must not re-post");
+
+  await second.set("count", 4);
+  assert.equal(await first.get("count"), 4);
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+test("json-file backend: each namespace is its own file, so a claim doesn't rewrite the others", async () => {
+  const file = tempStorePath();
+  const store = createStore(createJsonFileBackend(file));
+  const index = store.namespace("streamtime-index");
+  const events = store.namespace("events");
+
+  await index.set("index", { views: { jobs: { records: { 501: { number: "ACM-042" } } } } });
+  const indexFile = path.join(path.dirname(file), "state.streamtime-index.json");
+  const before = fs.statSync(indexFile).mtimeMs;
+  await new Promise((r) => setTimeout(r, 20));
+  await events.claim("1.0");
+
+  assert.equal(fs.statSync(indexFile).mtimeMs, before);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(path.dirname(file), "state.events.json"), "utf8"))), ["1.0"]);
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+test("json-file backend: state saved as one file by an older version is picked up", async () => {
+  const file = tempStorePath();
+  fs.writeFileSync(file, JSON.stringify({ submissions: { "row-1": { value: true, expiresAt: null } } }));
+  const submissions = createStore(createJsonFileBackend(file)).namespace("submissions");
+
+  assert.equal(await submissions.claim("row-1"), false, "rows handled before the upgrade aren't handled again");
+  assert.equal(await submissions.claim("row-2"), true);
+  assert.deepEqual((await submissions.keys()).sort(), ["row-1", "row-2"]);
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
@@ -0,0 +1,137 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const streamtimeFixtures = require("./fixtures/streamtime.json");
+
+// ACM-042 has two tasks: Jane is already on the animation (Animator role), nobody is on the storyboards yet
+function fixtures() {
+  return {
+    ...streamtimeFixtures,
+    jobItems: [
+      ...streamtimeFixtures.jobItems,
+      { id: 7004, jobId: 501, name: "Storyboards", jobItemStatus: { id: 1, name: "Scheduled" }, estimatedStartDate: "2030-03-06", estimatedEndDate: "2030-03-08" },
+    ],
+    roles: [
+      { id: 11, name: "Animator", active: true },
+      { id: 12, name: "Designer", active: true },
+    ],
+    jobItemRoles: [
+      { id: 901, jobItemId: 7001, roleId: 11, active: true },
+      { id: 904, jobItemId: 7004, roleId: 12, active: true },
+    ],
+  };
+}
+
+const REQUEST = { name: "Jane Doe", category: "Animators", project: "Crunchos launch film", start: "2030-03-04", end: "2030-03-15", rate: "$750" };
+const BODY = { trigger_id: "T1", user: { id: "U_PRODUCER", name: "producer" }, channel: { id: "C_PROD" }, message: { ts: "1000.000100", thread_ts: "1730000900.000100" } };
+
+async function openForm(setup, request = REQUEST) {
+  await setup.slack.dispatch("action", "booking_streamtime", {
+    ack: async () => {},
+    action: { action_id: "booking_streamtime", value: JSON.stringify(request) },
+    body: BODY,
+  });
+  return setup.slack.client.callsTo("views.open").at(-1).view;
+}
+
+async function submit(setup, view, fields) {
+  const values = {
+    job_number: { value: { value: fields.jobNumber ?? "" } },
+    task: { value: { value: fields.task ?? "" } },
+    start_date: { value: { selected_date: fields.start ?? null } },
+    end_date: { value: { selected_date: fields.end ?? null } },
+    hours: { value: { value: fields.hours ?? "" } },
+  };
+  const acks = [];
+  await setup.slack.dispatch("view", "booking_streamtime", {
+    ack: async (response) => acks.push(response),
+    body: { user: BODY.user },
+    view: { private_metadata: view.private_metadata, state: { values } },
+  });
+  await settle();
+  return { ack: acks[0], reply: setup.slack.client.callsTo("chat.postMessage").at(-1) };
+}
+
+test("scheduling adds the freelancer to the named task with the planned hours and dates", async () => {
+  const streamtime = fixtures();
+  const setup = setupBot({ streamtime });
+
+  const view = await openForm(setup);
+  const initial = Object.fromEntries(view.blocks.filter((b) => b.block_id).map((b) => [b.block_id, b.element.initial_value ?? b.element.initial_date]));
+  assert.deepEqual(initial, { job_number: undefined, task: undefined, start_date: "2030-03-04", end_date: "2030-03-15", hours: "80" });
+
+  const { ack, reply } = await submit(setup, view, { jobNumber: "acm-042", task: "storyboards", start: "2030-03-04", end: "2030-03-15", hours: "40" });
+  assert.equal(ack, undefined);
+
+  const created = streamtime.jobItemUsers.find((u) => u.jobItemId === 7004);
+  assert.equal(created.userId, 102);
+  assert.equal(created.totalPlannedMinutes, 2400);
+  const item = streamtime.jobItems.find((i) => i.id === 7004);
+  assert.deepEqual([item.estimatedStartDate, item.estimatedEndDate], ["2030-03-04", "2030-03-15"], "the task's dates widen to cover the booking");
+
+  assert.equal(reply.channel, "C_PROD");
+  assert.equal(reply.thread_ts, "1730000900.000100");
+  assert.equal(reply.text, "🗓️ <@U_PRODUCER> scheduled *Jane Doe* in Streamtime on *ACM-042 Spring Launch Film* › _Storyboards_: 40h planned, 4 Mar – 15 Mar.");
+});
+
+test("without a task the item's role picks it for the discipline, and an existing assignment is updated", async () => {
+  const streamtime = fixtures();
+  const setup = setupBot({ streamtime });
+  const view = await openForm(setup);
+
+  const { reply } = await submit(setup, view, { jobNumber: "ACM-042", hours: "24" });
+
+  assert.equal(streamtime.jobItemUsers.length, 2, "no second assignment was created");
+  const jane = streamtime.jobItemUsers.find((u) => u.id === 8001);
+  assert.equal(jane.totalPlannedMinutes, 1440);
+  assert.equal(reply.text, "🗓️ <@U_PRODUCER> updated *Jane Doe* on *ACM-042 Spring Launch Film* › _Character animation_ in Streamtime to 24h planned.");
+  assert.ok(!setup.fetch.calls.some((c) => c.url.includes("/job_item_roles")), "the items' roles come from the synced index");
+});
+
+test("roles added since the last sync are read from the job items instead", async () => {
+  const streamtime = fixtures();
+  const { jobItemRoles } = streamtime;
+  streamtime.jobItemRoles = [];
+  const setup = setupBot({ streamtime });
+  await setup.bot.fetchStreamtimeJobHistory();
+  streamtime.jobItemRoles = jobItemRoles;
+
+  const view = await openForm(setup);
+  const { reply } = await submit(setup, view, { jobNumber: "ACM-042", hours: "24" });
+
+  assert.match(reply.text, /_Character animation_/);
+  assert.equal(setup.fetch.calls.filter((c) => c.url.includes("/job_item_roles")).length, 2);
+});
+
+test("items added since the last sync have their roles read, even when the others are indexed", async () => {
+  const streamtime = fixtures();
+  const { jobItemRoles } = streamtime;
+  streamtime.jobItemRoles = jobItemRoles.filter((r) => r.jobItemId === 7001);
+  const setup = setupBot({ streamtime });
+  await setup.bot.fetchStreamtimeJobHistory();
+  streamtime.jobItemRoles = jobItemRoles;
+
+  const view = await openForm(setup, { ...REQUEST, category: "AD/Designers" });
+  const { reply } = await submit(setup, view, { jobNumber: "ACM-042", hours: "16" });
+
+  assert.match(reply.text, /› _Storyboards_/);
+  assert.deepEqual(setup.fetch.calls.filter((c) => c.url.includes("/job_item_roles")).map((c) => c.url.match(/job_items\/(\d+)/)[1]), ["7004"]);
+});
+
+test("problems are explained in the thread, and bad input is sent back to the form", async () => {
+  const setup = setupBot({ streamtime: fixtures() });
+  const view = await openForm(setup);
+
+  const { ack } = await submit(setup, view, { jobNumber: "", hours: "lots" });
+  assert.deepEqual(Object.keys(ack.errors), ["job_number", "hours"]);
+
+  let { reply } = await submit(setup, view, { jobNumber: "XYZ-001", hours: "8" });
+  assert.equal(reply.text, "⚠️ Couldn't schedule *Jane Doe* in Streamtime: there's no Streamtime job numbered XYZ-001.");
+
+  ({ reply } = await submit(setup, { private_metadata: JSON.stringify({ ...REQUEST, category: "3D Artists", channel: "C_PROD", threadTs: "1730000900.000100" }) }, { jobNumber: "ACM-042", hours: "8" }));
+  assert.match(reply.text, /which task on ACM-042\? Its tasks are: Character animation, Storyboards/);
+
+  const tom = await openForm(setup, { ...REQUEST, name: "Tom Reyes" });
+  ({ reply } = await submit(setup, tom, { jobNumber: "ACM-042", hours: "8" }));
+  assert.match(reply.text, /Tom Reyes isn't a user in Streamtime yet/);
+});
@@ -0,0 +1,118 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot } = require("./harness");
+const streamtimeFixtures = require("./fixtures/streamtime.json");
+
+const LAST_MODIFIED = 150;
+const OLD = "2020-01-01T00:00:00.000Z";
+
+// Fixtures with a fake-only modifiedDate the stub filters on, and a "Last Modified" filter for every view
+function fixtures({ modifiedViews = [7, 8, 16, 17, 20] } = {}) {
+  const stamp = (records) => records.map((r) => ({ ...r, modifiedDate: OLD }));
+  return {
+    ...streamtimeFixtures,
+    jobs: stamp(streamtimeFixtures.jobs),
+    jobItems: stamp(streamtimeFixtures.jobItems),
+    jobItemUsers: stamp(streamtimeFixtures.jobItemUsers),
+    filterGroupTypes: [
+      { filterGroupType: 12, filterType: 2, name: "Start Date", searchViews: [7], field: "startDate" },
+      { filterGroupType: LAST_MODIFIED, filterType: 6, name: "Last Modified", searchViews: modifiedViews, field: "modifiedDate" },
+    ],
+  };
+}
+
+const searches = (fetch, view) =>
+  fetch.calls.filter((c) => c.url.includes(`/search?search_view=${view}&`)).map((c) => c.body.filterGroupCollection.filterGroups);
+
+// The history is cached for 30 minutes — drop it so the next call syncs again
+async function expireHistory(storeBackend) {
+  await storeBackend.delete("streamtime-cache", "history");
+}
+
+test("later syncs only ask for records modified since the last one and merge them into the stored index", async () => {
+  const streamtime = fixtures();
+  const first = setupBot({ streamtime });
+  const before = await first.bot.fetchStreamtimeJobHistory();
+  assert.equal(before.totalJobs, 2);
+  assert.deepEqual(searches(first.fetch, 7), [[]], "the first sync reads everything");
+
+  // Edits in Streamtime: job 502 renamed, a new job for Jane
+  const now = new Date().toISOString();
+  streamtime.jobs = [
+    streamtime.jobs[0],
+    { ...streamtime.jobs[1], name: "Brand Refresh Phase 2", modifiedDate: now },
+    { id: 503, number: "GLX-001", name: "Explainer", company: { id: 9003, name: "Globex" }, jobStatus: { id: 2, name: "In Play" }, users: [{ id: 102 }], modifiedDate: now },
+  ];
+
+  // A restart: same store, fresh process
+  await expireHistory(first.storeBackend);
+  const second = setupBot({ streamtime, storeBackend: first.storeBackend });
+  const after = await second.bot.fetchStreamtimeJobHistory();
+
+  const [[group]] = searches(second.fetch, 7);
+  assert.equal(group.filterGroupTypeId, LAST_MODIFIED, "the modified filter is picked from /filter_group_types, not Start Date");
+  assert.equal(group.filters[0].valueMatchTypeId, 38);
+  assert.ok(group.filters[0].value > OLD && group.filters[0].value < now);
+
+  assert.equal(after.totalJobs, 3, "unchanged job 501 comes from the index");
+  assert.ok(after.personJobs["jane doe"].jobList.some((j) => j.number === "GLX-001"));
+  assert.ok(after.personJobs["priya shah"].jobList.some((j) => j.name === "Brand Refresh Phase 2"));
+});
+
+test("views without a modified filter are re-read in full, and a daily full sync drops deleted records", async () => {
+  const streamtime = fixtures({ modifiedViews: [7] });
+  const setup = setupBot({ streamtime });
+  await setup.bot.fetchStreamtimeJobHistory();
+
+  streamtime.jobs = streamtime.jobs.filter((j) => j.id !== 502);
+  await expireHistory(setup.storeBackend);
+  const incremental = await setup.bot.fetchStreamtimeJobHistory();
+  assert.equal(searches(setup.fetch, 7)[1][0].filterGroupTypeId, LAST_MODIFIED);
+  assert.deepEqual(searches(setup.fetch, 16)[1], [], "job items have no modified filter");
+  assert.equal(incremental.totalJobs, 2, "a deletion isn't visible to an incremental sync");
+
+  // A day later the whole index is rebuilt
+  const index = await setup.storeBackend.get("streamtime-index", "index");
+  await setup.storeBackend.set("streamtime-index", "index", { ...index, fullSyncedAt: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() });
+  await expireHistory(setup.storeBackend);
+  const full = await setup.bot.fetchStreamtimeJobHistory();
+  assert.deepEqual(searches(setup.fetch, 7)[2], []);
+  assert.equal(full.totalJobs, 1);
+});
+
+test("every page is read — no cap on jobs", async () => {
+  const streamtime = fixtures();
+  streamtime.jobs = Array.from({ length: 2100 }, (_, i) => ({ id: 10000 + i, number: `JOB-${i}`, name: `Job ${i}`, company: { name: "Acme Foods" }, users: [] }));
+  const { bot, fetch } = setupBot({ streamtime });
+
+  const history = await bot.fetchStreamtimeJobHistory();
+  assert.equal(history.totalJobs, 2100);
+  assert.equal(searches(fetch, 7).length, 11);
+});
+
+test("a view that fails to sync keeps its last good copy and cursor", async () => {
+  const streamtime = fixtures();
+  const setup = setupBot({ streamtime });
+  await setup.bot.fetchStreamtimeJobHistory();
+  const { views } = await setup.storeBackend.get("streamtime-index", "index");
+  const lastGoodSync = views.jobItems.syncedAt;
+
+  Object.defineProperty(streamtime, "jobItems", { get: () => { throw new Error("socket hang up"); } });
+  await expireHistory(setup.storeBackend);
+  const degraded = await setup.bot.fetchStreamtimeJobHistory();
+  assert.deepEqual(degraded.personJobs["jane doe"].jobList[0].tasks, ["Character animation"], "job items from the last sync are still used");
+
+  const index = await setup.storeBackend.get("streamtime-index", "index");
+  assert.equal(index.views.jobItems.syncedAt, lastGoodSync, "the next sync asks for everything modified since the last good one");
+});
+
+test("callers that arrive during a sync share it instead of starting their own", async () => {
+  const { bot, fetch } = setupBot({ streamtime: fixtures() });
+
+  const [history, report] = await Promise.all([bot.fetchStreamtimeJobHistory(), bot.runRateReconciliation()]);
+
+  assert.equal(history.totalJobs, 2);
+  assert.ok(Array.isArray(report));
+  assert.equal(searches(fetch, 7).length, 1, "jobs were read once");
+  assert.equal(fetch.calls.filter((c) => c.url.includes("/filter_group_types")).length, 1);
+});
@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot } = require("./harness");
+const { ROSTER_HEADERS } = require("./fixtures/sheets");
+
+const EXISTING = ["1/10/2026 09:00:00", "Old Applicant", "old@test.dev", "Animator", "Mid", "$500", "After Effects", "", "Perth, Australia"];
+const NEW = ["2/10/2026 14:30:00", "Sam Lee", "sam@test.dev", "Animator", "Senior (5+ years)", "$700", "Cel animation, Toon Boom", "samlee.tv", "Brisbane, Australia"];
+
+function submissionPosts(slack) {
+  return slack.client.callsTo("chat.postMessage").filter((p) => p.channel === "C_SUBMISSIONS");
+}
+
+test("checkForNewSubmissions treats existing rows as seen, then posts each new one once", async () => {
+  const { bot, sheets, slack } = setupBot({ submissions: [EXISTING] });
+
+  await bot.checkForNewSubmissions();
+  assert.equal(submissionPosts(slack).length, 0, "first poll only records what's already there");
+
+  sheets.rows("submissions-sheet", "Form Responses 1").push(NEW);
+  await bot.checkForNewSubmissions();
+  await bot.checkForNewSubmissions();
+
+  const posts = submissionPosts(slack);
+  assert.equal(posts.length, 1);
+  assert.match(posts[0].blocks[0].text.text, /\*Sam Lee\* — Animator \| Senior \(5\+ years\) \| \$700\/day/);
+  const approve = posts[0].blocks[2].elements.find((e) => e.action_id === "approve_submission");
+  assert.equal(JSON.parse(approve.value).level, "Senior");
+});
+
+test("a failed Slack post is retried on the next poll", async () => {
+  let failNext = true;
+  const { bot, sheets, slack } = setupBot({
+    submissions: [EXISTING],
+    slackResponses: {
+      "chat.postMessage": (args) => {
+        if (failNext) {
+          failNext = false;
+          throw new Error("ratelimited");
+        }
+        return { ok: true, channel: args.channel, ts: "2000.000100" };
+      },
+    },
+  });
+
+  await bot.checkForNewSubmissions();
+  sheets.rows("submissions-sheet", "Form Responses 1").push(NEW);
+  await bot.checkForNewSubmissions();
+  await bot.checkForNewSubmissions();
+
+  const posts = submissionPosts(slack);
+  assert.equal(posts.length, 2, "one failed attempt, one successful retry");
+});
+
+test("approve_submission appends the applicant to the matching roster tab", async () => {
+  const { sheets, slack } = setupBot();
+  const submission = {
+    name: "Sam Lee",
+    email: "sam@test.dev",
+    category: "Animator",
+    level: "Senior",
+    rate: "$700",
+    capabilities: "Cel animation, Toon Boom",
+    portfolio: "samlee.tv",
+    linkedin: "",
+    location: "Brisbane, Australia",
+    about: "",
+    clients: "",
+  };
+  const body = {
+    user: { id: "U_PRODUCER", name: "producer" },
+    channel: { id: "C_SUBMISSIONS" },
+    message: { ts: "3000.000100", blocks: [{ type: "section", text: { type: "mrkdwn", text: "📬 *New Freelancer Application*" } }, { type: "actions", elements: [] }] },
+    actions: [{ action_id: "approve_submission", value: JSON.stringify(submission) }],
+  };
+  let acked = false;
+
+  await slack.dispatch("action", "approve_submission", { body, ack: async () => { acked = true; } });
+
+  assert.ok(acked);
+  const rows = sheets.rows("roster-sheet", "Animators");
+  const added = Object.fromEntries(ROSTER_HEADERS.map((h, i) => [h, rows.at(-1)[i]]));
+  assert.equal(added.Name, "Sam Lee");
+  assert.equal(added.Level, "Senior");
+  assert.equal(added["Cost Rate ( per 8hr day)"], "$700");
+  assert.equal(added.Availibility, "Available");
+  assert.equal(added.Comments, "[Added via intake form]");
+
+  const update = slack.client.callsTo("chat.update").find((u) => u.ts === "3000.000100");
+  assert.ok(update.blocks.every((b) => b.type !== "actions"), "buttons are removed");
+  assert.match(update.blocks.at(-1).text.text, /Added to Animators\* by producer/);
+});
@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setupBot, settle } = require("./harness");
+const { textOf } = require("./fakes/anthropic");
+
+const option = (value) => ({ selected_option: { value } });
+
+async function openModal(setup) {
+  await setup.slack.dispatch("command", "/talent", {
+    ack: async () => {},
+    body: { trigger_id: "T1", channel_id: "C_PROJECTS", user_id: "U_PRODUCER" },
+  });
+  return setup.slack.client.callsTo("views.open").at(-1).view;
+}
+
+async function submit(setup, view, fields) {
+  const values = {
+    discipline: { value: option(fields.discipline) },
+    seniority: { value: fields.seniority ? option(fields.seniority) : {} },
+    start_date: { value: { selected_date: fields.start ?? null } },
+    end_date: { value: { selected_date: fields.end ?? null } },
+    budget: { value: { value: fields.budget ?? null } },
+    client: { value: { value: fields.client ?? "" } },
+    work_setup: { value: {} },
+    details: { value: { value: fields.details } },
+    brief_file: { value: { files: [] } },
+  };
+  const acks = [];
+  await setup.slack.dispatch("view", "talent_request", {
+    ack: async (response) => acks.push(response),
+    body: { user: { id: "U_PRODUCER", name: "producer" } },
+    view: { private_metadata: view.private_metadata, state: { values } },
+  });
+  await settle();
+  return acks[0];
+}
+
+test("/talent opens the form and runs the pipeline with its discipline, dates and budget", async () => {
+  const setup = setupBot({ claudeReplies: [{ freelancers: [{ name: "Jane Doe", reasons: "Acme history." }] }] });
+
+  const view = await openModal(setup);
+  assert.equal(view.callback_id, "talent_request");
+  assert.deepEqual(JSON.parse(view.private_metadata), { channel: "C_PROJECTS" });
+
+  const ack = await submit(setup, view, {
+    discipline: "Animators",
+    seniority: "Senior",
+    start: "2031-03-03",
+    end: "2031-03-14",
+    budget: "800",
+    client: "Acme Foods",
+    details: "Launch film for a new snack",
+  });
+  assert.equal(ack, undefined, "the modal closes");
+
+  const [header] = setup.slack.client.callsTo("chat.postMessage");
+  assert.equal(header.channel, "C_PROJECTS");
+  assert.equal(
+    header.text,
+    "📋 *Talent request from <@U_PRODUCER>*\n• Discipline: Animators\n• Seniority: Senior\n• Dates: 2031-03-03 → 2031-03-14\n• Budget: $800/day (cost rate)\n• Client: Acme Foods\n\n> Launch film for a new snack"
+  );
+
+  // The constraints reach Claude as confirmed, and the shortlist is scored against them
+  assert.equal(setup.anthropic.calls.length, 1);
+  const prompt = textOf(setup.anthropic.calls[0].messages[0]);
+  assert.match(prompt, /STRUCTURED REQUEST \(from the \/talent form[^\n]*\n• Discipline: Animators\n/);
+  assert.match(prompt, /═══ PROJECT DATES ═══\n2031-03-03 → 2031-03-14/);
+  assert.match(prompt, /Day-rate budget: \$800 \(cost rate\)\. 1 over-budget person has already been removed/);
+  assert.match(prompt, /• Jane Doe: \d+ — category \+30 \(Animators\), level \+10/);
+  assert.doesNotMatch(prompt, /Mia Chen/, "over the budget");
+
+  // Replies go in the header's thread — the first message the fake client posted
+  const cards = setup.slack.client.callsTo("chat.postMessage").filter((p) => p.blocks);
+  assert.deepEqual(cards.map((c) => c.thread_ts), ["1000.000100"]);
+});
+
+test("an end date before the start date is sent back to the form", async () => {
+  const setup = setupBot();
+  const view = await openModal(setup);
+
+  const ack = await submit(setup, view, { discipline: "Animators", start: "2031-03-14", end: "2031-03-03", details: "Launch film" });
+
+  assert.deepEqual(ack, { response_action: "errors", errors: { end_date: "End date is before the start date" } });
+  assert.equal(setup.anthropic.calls.length, 0);
+  assert.equal(setup.slack.client.callsTo("chat.postMessage").length, 0);
+});